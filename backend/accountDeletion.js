@@ -0,0 +1,443 @@
+/**
+ * Account Deletion Module for Pushin Reload Backend
+ * User-initiated account deletion with a grace period and full data erasure
+ *
+ * Features:
+ * - Deletion needs re-authentication (password or a fresh Google/Apple
+ *   token, plus 2FA when enabled)
+ * - Active Stripe subscriptions are set to cancel at period end right away,
+ *   so nothing renews while the deletion is pending
+ * - All sessions are signed out and sign in is refused until the account is
+ *   either erased or restored
+ * - The confirmation email carries an undo link that works until the grace
+ *   period (ACCOUNT_DELETION_GRACE_DAYS, default 14) ends; undoing switches
+ *   renewal back on for exactly the subscriptions deletion turned off
+ * - When the grace period ends the subscriptions are canceled outright, the
+ *   Stripe customer is deleted, the user row and everything that cascades
+ *   from it (tokens, sessions, subscriptions, workouts, usage, data export
+ *   archives, profile pictures) is removed, and audit_logs entries are kept
+ *   but pseudonymized
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const sessions = require('./sessions');
+const mailer = require('./mailer');
+const avatars = require('./avatars');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14');
+// Stable per user, so the audit trail of an erased account still reads as one subject
+const AUDIT_PSEUDONYM_KEY = process.env.AUDIT_PSEUDONYM_KEY || auth.JWT_SECRET;
+const RENEWING_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * Hash an undo token for storage
+ * @param {string} token - Raw token from the email
+ * @returns {string} SHA-256 hex digest
+ */
+function hashUndoToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Pseudonym that replaces a user's identity in audit_logs
+ * @param {number} userId - User ID
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+function pseudonymizeUser(userId) {
+  return crypto.createHmac('sha256', AUDIT_PSEUDONYM_KEY).update(`user:${userId}`).digest('hex');
+}
+
+/**
+ * Stripe subscriptions (and customers) belonging to a user
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} options - { activeOnly } to skip rows already marked inactive
+ * @returns {Promise<Array<Object>>} Rows with subscription_id and customer_id
+ */
+async function findUserSubscriptions(db, userId, { activeOnly = false } = {}) {
+  const result = await db.query(
+    `SELECT subscription_id, customer_id FROM subscriptions
+     WHERE user_id = $1 AND subscription_id IS NOT NULL AND ($2 = false OR is_active = true)
+     UNION
+     SELECT subscription_id, customer_id FROM anonymous_subscriptions
+     WHERE linked_user_id = $1 AND subscription_id IS NOT NULL AND ($2 = false OR is_active = true)`,
+    [userId, activeOnly]
+  );
+  return result.rows;
+}
+
+/**
+ * Check a Stripe error means the object is already gone
+ * @param {Error} error - Error thrown by the Stripe client
+ * @returns {boolean} True for resource_missing
+ */
+function isMissingStripeResource(error) {
+  return error && error.code === 'resource_missing';
+}
+
+/**
+ * Set cancel_at_period_end on a user's renewing subscriptions
+ * If one fails, the ones already changed are switched back before throwing.
+ * @param {Object} stripe - Stripe client
+ * @param {Array<Object>} subscriptions - Rows from findUserSubscriptions
+ * @returns {Promise<Array<string>>} IDs of the subscriptions that were changed
+ */
+async function stopRenewals(stripe, subscriptions) {
+  const changed = [];
+
+  try {
+    for (const { subscription_id: subscriptionId } of subscriptions) {
+      let subscription;
+      try {
+        subscription = await stripe.subscriptions.retrieve(subscriptionId);
+      } catch (error) {
+        if (isMissingStripeResource(error)) {
+          continue;
+        }
+        throw error;
+      }
+
+      // Already ending on its own: leave it (and leave it alone on undo)
+      if (!RENEWING_SUBSCRIPTION_STATUSES.includes(subscription.status) || subscription.cancel_at_period_end) {
+        continue;
+      }
+
+      await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+      changed.push(subscriptionId);
+    }
+  } catch (error) {
+    console.error('❌ Could not stop subscription renewal:', error.message);
+    await resumeRenewals(stripe, changed);
+    throw new Error('Could not cancel subscription');
+  }
+
+  return changed;
+}
+
+/**
+ * Undo stopRenewals (best effort: failures are logged)
+ * @param {Object} stripe - Stripe client
+ * @param {Array<string>} subscriptionIds - Subscriptions to renew again
+ */
+async function resumeRenewals(stripe, subscriptionIds) {
+  for (const subscriptionId of subscriptionIds) {
+    try {
+      await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: false });
+    } catch (error) {
+      console.error(`❌ Could not resume subscription ${subscriptionId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Schedule the caller's account for deletion
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {number} userId - User ID
+ * @param {Object} credentials - Passed to auth.reauthenticate
+ * @param {Object} context - { ipAddress, userAgent }
+ * @param {Object} options - Passed to auth.reauthenticate (tests)
+ * @returns {Promise<Object>} { scheduledFor }
+ */
+async function requestAccountDeletion(pool, stripe, userId, credentials, context = {}, options = {}) {
+  const { ipAddress = null, userAgent = null } = context;
+
+  const existing = await pool.query('SELECT 1 FROM account_deletions WHERE user_id = $1', [userId]);
+  if (existing.rows.length > 0) {
+    throw new Error('Account is scheduled for deletion');
+  }
+
+  const method = await auth.reauthenticate(pool, userId, credentials, options);
+
+  const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+  const { email } = userResult.rows[0];
+
+  const canceledSubscriptionIds = await stopRenewals(stripe, await findUserSubscriptions(pool, userId, { activeOnly: true }));
+
+  const undoToken = crypto.randomBytes(32).toString('hex');
+  const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // ON CONFLICT covers two deletion requests racing each other
+    const inserted = await client.query(
+      `INSERT INTO account_deletions (user_id, scheduled_for, undo_token_hash, canceled_subscription_ids)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO NOTHING`,
+      [userId, scheduledFor, hashUndoToken(undoToken), canceledSubscriptionIds]
+    );
+    if (inserted.rowCount === 0) {
+      throw new Error('Account is scheduled for deletion');
+    }
+
+    await sessions.revokeUserSessions(client, userId);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    await resumeRenewals(stripe, canceledSubscriptionIds);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auth.logAuditEvent(pool, 'account_deletion_requested', userId, ipAddress, userAgent, {
+    method,
+    scheduled_for: scheduledFor.toISOString(),
+    canceled_subscriptions: canceledSubscriptionIds.length
+  });
+
+  console.log(`🗑️ Account ${userId} scheduled for deletion on ${scheduledFor.toISOString()}`);
+
+  // The deletion stands even if the email doesn't go out
+  try {
+    await sendDeletionScheduledEmail(email, undoToken, scheduledFor);
+  } catch (error) {
+    console.error('❌ Failed to send account deletion email:', error.message);
+  }
+
+  return { scheduledFor };
+}
+
+/**
+ * Restore an account during its grace period
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {string} token - Undo token from the confirmation email
+ * @param {string} clientIp - Client IP
+ * @param {string} userAgent - User agent
+ * @returns {Promise<Object>} { email } of the restored account
+ */
+async function cancelAccountDeletion(pool, stripe, token, clientIp = null, userAgent = null) {
+  const deleted = await pool.query(
+    `DELETE FROM account_deletions
+     WHERE undo_token_hash = $1 AND scheduled_for > NOW()
+     RETURNING user_id, canceled_subscription_ids`,
+    [hashUndoToken(token)]
+  );
+
+  if (deleted.rows.length === 0) {
+    throw new Error('Invalid or expired token');
+  }
+
+  const { user_id: userId, canceled_subscription_ids: subscriptionIds } = deleted.rows[0];
+
+  await resumeRenewals(stripe, subscriptionIds);
+
+  await auth.logAuditEvent(pool, 'account_deletion_canceled', userId, clientIp, userAgent, {
+    resumed_subscriptions: subscriptionIds.length
+  });
+
+  const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+
+  console.log(`♻️ Account ${userId} restored`);
+
+  return { email: userResult.rows[0].email };
+}
+
+/**
+ * Erase one account whose grace period has ended
+ * An error thrown for a picked account carries its userId.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {Array<number>} skipUserIds - Accounts that already failed this run
+ * @returns {Promise<boolean>} False when no account is due
+ */
+async function purgeNextDueAccount(pool, stripe, skipUserIds = []) {
+  const client = await pool.connect();
+  let userId;
+  let email;
+
+  try {
+    await client.query('BEGIN');
+
+    // SKIP LOCKED lets several server instances purge side by side
+    const due = await client.query(
+      `SELECT d.user_id, u.email FROM account_deletions d
+       JOIN users u ON u.id = d.user_id
+       WHERE d.scheduled_for <= NOW() AND d.user_id <> ALL($1::integer[])
+       ORDER BY d.scheduled_for
+       LIMIT 1
+       FOR UPDATE OF d SKIP LOCKED`,
+      [skipUserIds]
+    );
+
+    if (due.rows.length === 0) {
+      await client.query('COMMIT');
+      return false;
+    }
+
+    userId = due.rows[0].user_id;
+    email = due.rows[0].email;
+
+    const subscriptions = await findUserSubscriptions(client, userId);
+    const subscriptionIds = subscriptions.map(row => row.subscription_id);
+    const customerIds = [...new Set(subscriptions.map(row => row.customer_id).filter(Boolean))];
+
+    // Stripe first: if it fails the transaction rolls back and the next run retries
+    for (const subscriptionId of subscriptionIds) {
+      try {
+        await stripe.subscriptions.cancel(subscriptionId);
+      } catch (error) {
+        // Already canceled subscriptions can't be canceled again
+        if (!isMissingStripeResource(error) && !/canceled/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+    for (const customerId of customerIds) {
+      try {
+        await stripe.customers.del(customerId);
+      } catch (error) {
+        if (!isMissingStripeResource(error)) {
+          throw error;
+        }
+      }
+    }
+
+    // Billing records aren't tied to users by foreign key
+    await client.query('DELETE FROM subscription_invoices WHERE subscription_id = ANY($1)', [subscriptionIds]);
+    await client.query('DELETE FROM stripe_events WHERE subscription_id = ANY($1)', [subscriptionIds]);
+
+    // Keep the audit trail, minus who it was about
+    const subject = pseudonymizeUser(userId);
+    await client.query(
+      `UPDATE audit_logs
+       SET user_id = NULL, ip_address = NULL, user_agent = NULL,
+           metadata = (COALESCE(metadata, '{}'::jsonb) - 'email' - 'previous_email') || jsonb_build_object('subject', $2::text)
+       WHERE user_id = $1 OR lower(metadata->>'email') = lower($3)`,
+      [userId, subject, email]
+    );
+
+    await avatars.deleteUserAvatar(client, userId);
+
+    // Everything else (tokens, sessions, subscriptions, workouts, usage,
+    // reset and verification tokens, 2FA, data export archives) cascades
+    // from the user row
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+    await client.query(
+      `INSERT INTO audit_logs (event_type, user_id, metadata, created_at)
+       VALUES ('account_deleted', NULL, $1, NOW())`,
+      [JSON.stringify({ subject, stripe_subscriptions: subscriptionIds.length })]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`🗑️ Account ${userId} erased`);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    error.userId = userId;
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  try {
+    await sendAccountDeletedEmail(email);
+  } catch (error) {
+    console.error('❌ Failed to send account deleted email:', error.message);
+  }
+
+  return true;
+}
+
+/**
+ * Erase every account whose grace period has ended
+ * A failing account is logged, skipped for the rest of this run and left
+ * for the next one; the accounts after it are still erased.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @returns {Promise<number>} Number of accounts erased
+ */
+async function purgeDueAccounts(pool, stripe) {
+  let purged = 0;
+  const failedUserIds = [];
+
+  for (;;) {
+    try {
+      if (!(await purgeNextDueAccount(pool, stripe, failedUserIds))) {
+        break;
+      }
+      purged++;
+    } catch (error) {
+      // Without an account to skip (e.g. the database is down) retrying won't help
+      if (error.userId === undefined) {
+        console.error('❌ Account purge error:', error.message);
+        break;
+      }
+      console.error(`❌ Account purge error for user ${error.userId}:`, error.message);
+      failedUserIds.push(error.userId);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`✅ Erased ${purged} deleted account(s)`);
+  }
+
+  return purged;
+}
+
+/**
+ * Send the deletion confirmation with the undo link
+ * @param {string} email - User email
+ * @param {string} undoToken - Raw undo token
+ * @param {Date} scheduledFor - When the account will be erased
+ */
+async function sendDeletionScheduledEmail(email, undoToken, scheduledFor) {
+  const baseUrl = process.env.ACCOUNT_RESTORE_URL || 'pushinapp://restore-account';
+  const restoreUrl = `${baseUrl}?token=${undoToken}`;
+  const dateText = scheduledFor.toUTCString();
+
+  const { html, text } = mailer.renderEmail({
+    title: 'Account Deletion Scheduled',
+    paragraphs: [
+      'We received a request to delete your PUSHIN account. You have been signed out on all devices.',
+      `Your account and all of its data will be permanently erased on ${dateText}. Any subscription has been set not to renew.`,
+      'Changed your mind? Restore your account before then:'
+    ],
+    actionUrl: restoreUrl,
+    actionLabel: 'Restore My Account',
+    notice: `After ${dateText} your account can no longer be restored.`,
+    footnote: "If you didn't request this, restore your account and change your password right away."
+  });
+
+  return mailer.sendMail({
+    to: email,
+    subject: 'Your PUSHIN account will be deleted',
+    html,
+    text
+  });
+}
+
+/**
+ * Tell the user their account is gone
+ * @param {string} email - Former account email
+ */
+async function sendAccountDeletedEmail(email) {
+  const { html, text } = mailer.renderEmail({
+    title: 'Account Deleted',
+    paragraphs: [
+      'Your PUSHIN account and its data have now been permanently erased, and any subscription has been canceled.',
+      "Thanks for working out with us. You're welcome back any time with a new account."
+    ]
+  });
+
+  return mailer.sendMail({
+    to: email,
+    subject: 'Your PUSHIN account has been deleted',
+    html,
+    text
+  });
+}
+
+module.exports = {
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeDueAccounts,
+  pseudonymizeUser,
+  ACCOUNT_DELETION_GRACE_DAYS
+};
@@ -0,0 +1,220 @@
+/**
+ * Anonymous Identity Module for Pushin Reload Backend
+ * Server-issued identities for guest purchasers
+ *
+ * Features:
+ * - Anonymous IDs are generated by the server, so clients can't choose or
+ *   guess another guest's ID
+ * - Short-lived access token plus a rotating refresh token per identity
+ *   (only a hash of the current refresh token is stored)
+ * - Linking an identity and its guest subscription into a full account in
+ *   one transaction
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+
+// Matches ANONYMOUS_REFRESH_EXPIRES_IN in auth.js
+const REFRESH_TOKEN_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new token pair and make its refresh token the only valid one
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} anonymousId - Anonymous ID
+ * @param {string|null} expectedHash - Hash of the refresh token being rotated
+ * @returns {Promise<Object>} { anonymousId, accessToken, refreshToken }
+ */
+async function issueTokens(db, anonymousId, expectedHash = null) {
+  const tokens = auth.generateAnonymousTokens(anonymousId);
+
+  // Rotating only if the presented token is still current means two
+  // concurrent refreshes with the same token can't both succeed
+  const result = await db.query(
+    `UPDATE anonymous_identities
+     SET refresh_token_hash = $1, refresh_expires_at = $2, last_seen_at = NOW()
+     WHERE anonymous_id = $3 AND linked_user_id IS NULL
+       AND ($4::text IS NULL OR refresh_token_hash = $4)`,
+    [hashToken(tokens.refreshToken), new Date(Date.now() + REFRESH_TOKEN_TTL_MS), anonymousId, expectedHash]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('Invalid refresh token');
+  }
+
+  return { anonymousId, ...tokens };
+}
+
+/**
+ * Create a new anonymous identity
+ * @param {Object} pool - PostgreSQL pool
+ * @returns {Promise<Object>} { anonymousId, accessToken, refreshToken }
+ */
+async function createAnonymousIdentity(pool) {
+  const anonymousId = `anon_${crypto.randomBytes(16).toString('hex')}`;
+
+  await pool.query(
+    'INSERT INTO anonymous_identities (anonymous_id) VALUES ($1)',
+    [anonymousId]
+  );
+
+  console.log(`✅ Anonymous identity created: ${anonymousId.substring(0, 13)}...`);
+  return issueTokens(pool, anonymousId);
+}
+
+/**
+ * Exchange an anonymous refresh token for a new token pair
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<Object>} { anonymousId, accessToken, refreshToken }
+ */
+async function refreshAnonymousTokens(pool, refreshToken) {
+  const decoded = auth.verifyToken(refreshToken, auth.JWT_REFRESH_SECRET);
+  if (!decoded || decoded.type !== 'anonymous' || !decoded.anonymousId) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const result = await pool.query(
+    'SELECT linked_user_id, refresh_expires_at FROM anonymous_identities WHERE anonymous_id = $1',
+    [decoded.anonymousId]
+  );
+  const identity = result.rows[0];
+
+  if (!identity) {
+    throw new Error('Invalid refresh token');
+  }
+  if (identity.linked_user_id) {
+    throw new Error('Anonymous identity has been linked to an account');
+  }
+  if (!identity.refresh_expires_at || new Date(identity.refresh_expires_at) < new Date()) {
+    throw new Error('Invalid refresh token');
+  }
+
+  return issueTokens(pool, decoded.anonymousId, hashToken(refreshToken));
+}
+
+/**
+ * Issue tokens for an existing guest purchase after the owner proved it
+ * (e.g. with a recovery token). Guest purchases made before server-issued
+ * identities have no identity row yet, so one is created.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} anonymousId - Anonymous ID of the purchase
+ * @returns {Promise<Object>} { anonymousId, accessToken, refreshToken }
+ */
+async function issueTokensForPurchase(pool, anonymousId) {
+  await pool.query(
+    'INSERT INTO anonymous_identities (anonymous_id) VALUES ($1) ON CONFLICT (anonymous_id) DO NOTHING',
+    [anonymousId]
+  );
+
+  try {
+    return await issueTokens(pool, anonymousId);
+  } catch (error) {
+    // issueTokens only fails this way when the identity is already linked
+    if (error.message === 'Invalid refresh token') {
+      throw new Error('Anonymous identity has been linked to an account');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Upgrade an anonymous identity into a user account. The guest subscription
+ * (if any) moves to the user and the identity's tokens stop working.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} anonymousId - Anonymous ID proven by the caller's token
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { subscription } (null if the guest never bought one)
+ */
+async function linkAnonymousIdentity(pool, anonymousId, userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'INSERT INTO anonymous_identities (anonymous_id) VALUES ($1) ON CONFLICT (anonymous_id) DO NOTHING',
+      [anonymousId]
+    );
+
+    const identityResult = await client.query(
+      'SELECT id, linked_user_id FROM anonymous_identities WHERE anonymous_id = $1 FOR UPDATE',
+      [anonymousId]
+    );
+    const identity = identityResult.rows[0];
+
+    if (identity.linked_user_id) {
+      throw new Error('Anonymous identity already linked');
+    }
+
+    const subscriptionResult = await client.query(
+      'SELECT * FROM anonymous_subscriptions WHERE anonymous_id = $1 AND linked_user_id IS NULL FOR UPDATE',
+      [anonymousId]
+    );
+    const anonymousSub = subscriptionResult.rows[0] || null;
+
+    if (anonymousSub && anonymousSub.is_active) {
+      const existingSub = await client.query(
+        'SELECT 1 FROM subscriptions WHERE user_id = $1 AND is_active = true',
+        [userId]
+      );
+      if (existingSub.rows.length > 0) {
+        throw new Error('User already has an active subscription');
+      }
+    }
+
+    if (anonymousSub) {
+      await client.query(
+        'UPDATE anonymous_subscriptions SET linked_user_id = $1, updated_at = NOW() WHERE id = $2',
+        [userId, anonymousSub.id]
+      );
+
+      await client.query(
+        `INSERT INTO subscriptions (user_id, customer_id, subscription_id, plan_id, current_period_end, is_active, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+         ON CONFLICT (subscription_id) DO UPDATE SET
+           user_id = EXCLUDED.user_id,
+           updated_at = NOW()`,
+        [userId, anonymousSub.customer_id, anonymousSub.subscription_id, anonymousSub.plan_id,
+          anonymousSub.current_period_end, anonymousSub.is_active, anonymousSub.created_at]
+      );
+    }
+
+    await client.query(
+      `UPDATE anonymous_identities
+       SET linked_user_id = $1, linked_at = NOW(), refresh_token_hash = NULL, refresh_expires_at = NULL
+       WHERE id = $2`,
+      [userId, identity.id]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Anonymous identity linked to user ${userId}${anonymousSub ? ` with subscription ${anonymousSub.subscription_id}` : ''}`);
+
+    return {
+      subscription: anonymousSub
+        ? { subscriptionId: anonymousSub.subscription_id, planId: anonymousSub.plan_id, isActive: anonymousSub.is_active }
+        : null
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  createAnonymousIdentity,
+  refreshAnonymousTokens,
+  issueTokensForPurchase,
+  linkAnonymousIdentity
+};
@@ -0,0 +1,103 @@
+/**
+ * Apple Sign In Verification Module for Pushin Reload Backend
+ * Verifies Apple identity tokens before we trust anything in them
+ *
+ * Features:
+ * - RS256 signature checked against Apple's published keys (cached, rotating)
+ * - iss, aud (our bundle/service IDs) and exp checks
+ * - Nonce binding: the app sends the raw nonce, Apple embeds its SHA-256
+ * - Pluggable key source for tests (see jwks.js)
+ *
+ * Configuration:
+ * - APPLE_BUNDLE_ID: iOS bundle ID(s), comma-separated (default com.pushin.app)
+ * - APPLE_SERVICE_ID: Services ID(s) for web sign in, comma-separated
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createJwksKeySource } = require('./jwks');
+
+const APPLE_ISSUER = 'https://appleid.apple.com';
+const APPLE_KEYS_URL = 'https://appleid.apple.com/auth/keys';
+const DEFAULT_APPLE_BUNDLE_ID = 'com.pushin.app';
+
+const defaultKeySource = createJwksKeySource({ url: APPLE_KEYS_URL });
+
+/**
+ * Client IDs Apple may issue our tokens for
+ * @returns {Array<string>} Accepted audiences
+ */
+function getAppleAudiences() {
+  const bundleIds = (process.env.APPLE_BUNDLE_ID || DEFAULT_APPLE_BUNDLE_ID).split(',');
+  const serviceIds = (process.env.APPLE_SERVICE_ID || '').split(',');
+
+  return [...bundleIds, ...serviceIds].map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Verify an Apple identity token
+ * @param {string} identityToken - JWT from Sign in with Apple
+ * @param {Object} options
+ * @param {string} options.nonce - Raw nonce the app generated for this sign in
+ * @param {Object} options.keySource - Key source (defaults to Apple's JWKS)
+ * @param {Array<string>} options.audiences - Accepted audiences (defaults to env)
+ * @returns {Promise<Object>} Verified token payload
+ */
+async function verifyAppleIdentityToken(identityToken, { nonce, keySource = defaultKeySource, audiences = getAppleAudiences() } = {}) {
+  const decoded = jwt.decode(identityToken, { complete: true });
+
+  if (!decoded || !decoded.header || !decoded.payload) {
+    throw new Error('Invalid Apple token format');
+  }
+  if (decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw new Error('Invalid Apple token header');
+  }
+
+  const key = await keySource.getKey(decoded.header.kid);
+  if (!key) {
+    throw new Error('Invalid Apple token: unknown signing key');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(identityToken, key, {
+      algorithms: ['RS256'],
+      issuer: APPLE_ISSUER,
+      audience: audiences
+    });
+  } catch (error) {
+    throw new Error(`Invalid Apple token: ${error.message}`);
+  }
+
+  if (!payload.sub) {
+    throw new Error('Invalid Apple token payload');
+  }
+
+  // A token issued for a nonce is only valid with that nonce, otherwise an
+  // intercepted token could be replayed by leaving the nonce out
+  if (payload.nonce || nonce) {
+    const expected = nonce ? crypto.createHash('sha256').update(nonce).digest('hex') : null;
+    if (!payload.nonce || !expected || payload.nonce !== expected) {
+      throw new Error('Invalid Apple token: nonce mismatch');
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * Whether Apple asserts the token's email is verified
+ * (Apple sends email_verified as a boolean or the string "true")
+ * @param {Object} payload - Verified token payload
+ * @returns {boolean}
+ */
+function isAppleEmailVerified(payload) {
+  return payload.email_verified === true || payload.email_verified === 'true';
+}
+
+module.exports = {
+  verifyAppleIdentityToken,
+  isAppleEmailVerified,
+  getAppleAudiences,
+  APPLE_ISSUER
+};
@@ -8,13 +8,24 @@
  * - Apple Sign In integration
  * - JWT access and refresh token management
  * - Secure token storage in database
+ * - Email verification (links are only honoured for the address they were sent to)
+ * - Passwordless sign in with an emailed link or 6-digit code
+ * - Optional TOTP two-factor authentication with one-time recovery codes
+ * - Password sign in throttled per email and IP, with lockout and an unlock email
  */
 
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const axios = require('axios');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
+const mailer = require('./mailer');
+const appleAuth = require('./appleAuth');
+const googleAuth = require('./googleAuth');
+const sessions = require('./sessions');
+const identities = require('./identities');
+const loginThrottle = require('./loginThrottle');
+const passwordPolicy = require('./passwordPolicy');
+const totp = require('./totp');
+const avatars = require('./avatars');
 
 /**
  * Validate password against security policy
@@ -22,53 +33,7 @@ const nodemailer = require('nodemailer');
  * @returns {Object} Validation result with isValid and errors array
  */
 function validatePasswordPolicy(password) {
-  const errors = [];
-
-  // Minimum length
-  if (password.length < 8) {
-    errors.push('Password must be at least 8 characters long');
-  }
-
-  // Maximum length (prevent DoS)
-  if (password.length > 128) {
-    errors.push('Password must be no more than 128 characters long');
-  }
-
-  // Require at least one uppercase letter
-  if (!/[A-Z]/.test(password)) {
-    errors.push('Password must contain at least one uppercase letter');
-  }
-
-  // Require at least one lowercase letter
-  if (!/[a-z]/.test(password)) {
-    errors.push('Password must contain at least one lowercase letter');
-  }
-
-  // Require at least one number
-  if (!/\d/.test(password)) {
-    errors.push('Password must contain at least one number');
-  }
-
-  // Require at least one special character
-  if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
-    errors.push('Password must contain at least one special character');
-  }
-
-  // Check for common weak passwords (basic check)
-  const commonPasswords = ['password', '12345678', 'qwerty', 'abc123', 'password123'];
-  if (commonPasswords.includes(password.toLowerCase())) {
-    errors.push('Password is too common and easily guessable');
-  }
-
-  // Check for repeated characters (more than 3 in a row)
-  if (/(.)\1{3,}/.test(password)) {
-    errors.push('Password cannot contain more than 3 repeated characters in a row');
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors: errors
-  };
+  return passwordPolicy.validatePassword(password);
 }
 
 /**
@@ -98,6 +63,24 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-i
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key-change-in-production';
 const JWT_EXPIRES_IN = '15m';
 const JWT_REFRESH_EXPIRES_IN = '7d';
+const ANONYMOUS_TOKEN_EXPIRES_IN = '15m';
+const ANONYMOUS_REFRESH_EXPIRES_IN = '90d';
+const EMAIL_VERIFICATION_EXPIRES_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAGIC_LINK_EXPIRES_MS = 15 * 60 * 1000; // 15 minutes
+const MAGIC_LINK_MAX_CODE_ATTEMPTS = 5; // a 6-digit code is guessable, so it's burned after this
+const MFA_CHALLENGE_EXPIRES_IN = '5m';
+const MFA_RECOVERY_CODE_COUNT = 10;
+// TOTP secrets have to be read back to check codes, so they're encrypted rather than hashed
+const MFA_ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+// A rotated refresh token presented again within this window is a client
+// race (two requests refreshing at once), not theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000; // 10 seconds
+const REAUTH_MAX_TOKEN_AGE_SECONDS = 5 * 60; // provider tokens live an hour; re-authentication wants a fresh one
+const RECENT_SIGN_IN_MS = 10 * 60 * 1000; // a session this new counts as having just re-authenticated
+// bcrypt hash (same cost as hashPassword) of a random string nobody knows
+const DUMMY_PASSWORD_HASH = '$2b$12$ZnRWp17j6Ne7ax1Ehiwyte0/88nGlHL/ckXp2vrQ.49UcZ0zbeUEu';
 
 /**
  * Hash a password with bcrypt
@@ -122,11 +105,18 @@ async function verifyPassword(password, hash) {
 /**
  * Generate JWT tokens for a user
  * @param {number} userId - User ID
+ * @param {number|null} sessionId - Session the tokens belong to (sid claim)
  * @returns {Object} Access and refresh tokens
  */
-function generateTokens(userId) {
-  const accessToken = jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-  const refreshToken = jwt.sign({ userId }, JWT_REFRESH_SECRET, { expiresIn: JWT_REFRESH_EXPIRES_IN });
+function generateTokens(userId, sessionId = null) {
+  const claims = sessionId ? { userId, sid: sessionId } : { userId };
+  const accessToken = jwt.sign(claims, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  // jti keeps refresh tokens issued in the same second distinct (token is UNIQUE)
+  const refreshToken = jwt.sign(
+    { ...claims, jti: crypto.randomBytes(16).toString('hex') },
+    JWT_REFRESH_SECRET,
+    { expiresIn: JWT_REFRESH_EXPIRES_IN }
+  );
 
   return { accessToken, refreshToken };
 }
@@ -146,28 +136,95 @@ function verifyToken(token, secret) {
   }
 }
 
+/**
+ * Generate tokens for a server-issued anonymous identity (guest purchaser)
+ * The access token proves ownership of the anonymousId on /api/stripe routes.
+ * @param {string} anonymousId - Anonymous identity ID
+ * @returns {Object} Access and refresh tokens
+ */
+function generateAnonymousTokens(anonymousId) {
+  const accessToken = jwt.sign({ anonymousId, type: 'anonymous' }, JWT_SECRET, { expiresIn: ANONYMOUS_TOKEN_EXPIRES_IN });
+  // jti keeps consecutive refresh tokens distinct so rotation can tell them apart
+  const refreshToken = jwt.sign(
+    { anonymousId, type: 'anonymous', jti: crypto.randomBytes(16).toString('hex') },
+    JWT_REFRESH_SECRET,
+    { expiresIn: ANONYMOUS_REFRESH_EXPIRES_IN }
+  );
+
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Verify an anonymous identity's access token
+ * @param {string} token - Anonymous access token
+ * @returns {Object|null} Decoded token ({ anonymousId }) or null if invalid
+ */
+function verifyAnonymousToken(token) {
+  const decoded = verifyToken(token, JWT_SECRET);
+  if (!decoded || decoded.type !== 'anonymous' || !decoded.anonymousId) {
+    return null;
+  }
+  return decoded;
+}
+
+/**
+ * Hash a refresh token for storage (only hashes are kept in the database)
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} Hex SHA-256 of the token
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
 /**
  * Store refresh token in database
- * @param {Object} pool - PostgreSQL pool
+ * @param {Object} pool - PostgreSQL pool or client
  * @param {number} userId - User ID
  * @param {string} refreshToken - Refresh token
+ * @param {number|null} sessionId - Session (refresh-token family) it belongs to
+ * @param {number|null} parentId - Token this one was rotated from
  */
-async function storeRefreshToken(pool, userId, refreshToken) {
+async function storeRefreshToken(pool, userId, refreshToken, sessionId = null, parentId = null) {
   const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
   await pool.query(
-    'INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1, $2, $3)',
-    [userId, refreshToken, expiresAt]
+    `INSERT INTO refresh_tokens (user_id, token, expires_at, session_id, parent_id)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, hashRefreshToken(refreshToken), expiresAt, sessionId, parentId]
   );
 }
 
+/**
+ * Start a new device session and issue its tokens
+ * Other sessions of the user stay signed in.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} context - { deviceName, platform, ipAddress, userAgent }
+ * @returns {Promise<Object>} Access and refresh tokens
+ */
+async function startSession(pool, userId, context = {}) {
+  // Every sign in ends up here; an account waiting to be erased can only be
+  // restored with the link from the deletion email
+  const pendingDeletion = await pool.query('SELECT 1 FROM account_deletions WHERE user_id = $1', [userId]);
+  if (pendingDeletion.rows.length > 0) {
+    throw new Error('Account is scheduled for deletion');
+  }
+
+  const session = await sessions.createSession(pool, userId, context);
+  const { accessToken, refreshToken } = generateTokens(userId, session.id);
+
+  await storeRefreshToken(pool, userId, refreshToken, session.id);
+
+  return { accessToken, refreshToken };
+}
+
 /**
  * Remove refresh token from database
  * @param {Object} pool - PostgreSQL pool
  * @param {string} token - Refresh token to remove
  */
 async function removeRefreshToken(pool, token) {
-  await pool.query('DELETE FROM refresh_tokens WHERE token = $1', [token]);
+  await pool.query('DELETE FROM refresh_tokens WHERE token = $1', [hashRefreshToken(token)]);
 }
 
 /**
@@ -179,29 +236,16 @@ async function removeUserRefreshTokens(pool, userId) {
   await pool.query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
 }
 
-/**
- * Verify Google OAuth token
- * @param {string} idToken - Google ID token
- * @returns {Promise<Object|null>} Google user data or null if invalid
- */
-async function verifyGoogleToken(idToken) {
-  try {
-    const response = await axios.get(`https://oauth2.googleapis.com/tokeninfo?id_token=${idToken}`);
-    return response.data;
-  } catch (error) {
-    console.error('Google token verification failed:', error.message);
-    return null;
-  }
-}
-
 /**
  * Register a new user with email and password
  * @param {Object} pool - PostgreSQL pool
  * @param {string} email - User email
  * @param {string} password - User password
+ * @param {string} firstname - First name
+ * @param {Object} context - Device details for the new session
  * @returns {Promise<Object>} User data and tokens
  */
-async function registerUser(pool, email, password, firstname = null) {
+async function registerUser(pool, email, password, firstname = null, context = {}) {
   // Check if user already exists
   const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
   if (existingUser.rows.length > 0) {
@@ -217,17 +261,23 @@ async function registerUser(pool, email, password, firstname = null) {
 
   const user = result.rows[0];
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokens(user.id);
+  // Start a session for this device
+  const { accessToken, refreshToken } = await startSession(pool, user.id, context);
 
-  // Store refresh token
-  await storeRefreshToken(pool, user.id, refreshToken);
+  // Registration still succeeds if the email can't be sent; the app can
+  // request another one with POST /api/auth/verify-email/resend
+  try {
+    await initiateEmailVerification(pool, user.id, context.ipAddress, context.userAgent);
+  } catch (error) {
+    console.error(`⚠️ Verification email not sent for user ${user.id}: ${error.message}`);
+  }
 
   return {
     user: {
       id: user.id,
       email: user.email,
       firstname: user.firstname,
+      emailVerified: false,
       createdAt: user.created_at
     },
     isNewUser: true, // Always true for registration
@@ -241,40 +291,60 @@ async function registerUser(pool, email, password, firstname = null) {
  * @param {Object} pool - PostgreSQL pool
  * @param {string} email - User email
  * @param {string} password - User password
+ * @param {Object} context - Device details for the new session
  * @returns {Promise<Object>} User data and tokens
  */
-async function loginUser(pool, email, password) {
-  // Find user
-  const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-  if (result.rows.length === 0) {
-    throw new Error('Invalid email or password');
-  }
+async function loginUser(pool, email, password, context = {}) {
+  const { ipAddress: clientIp, userAgent } = context;
 
-  const user = result.rows[0];
+  // Throttled attempts are refused before the password is even checked
+  const throttle = await loginThrottle.checkLoginThrottle(pool, email, clientIp);
+  if (throttle) {
+    await logAuditEvent(pool, 'login_throttled', null, clientIp, userAgent, {
+      email: email,
+      locked: throttle.locked,
+      retry_after: throttle.retryAfterSeconds
+    });
 
-  // Check if user has password (OAuth-only accounts)
-  if (!user.password_hash) {
-    throw new Error('Account registered with OAuth. Use Google or Apple sign in.');
+    const error = new Error(throttle.locked
+      ? 'Account temporarily locked after too many failed sign-in attempts'
+      : 'Too many failed sign-in attempts');
+    error.retryAfter = throttle.retryAfterSeconds;
+    throw error;
   }
 
-  // Verify password
-  const isValidPassword = await verifyPassword(password, user.password_hash);
-  if (!isValidPassword) {
+  // Find user
+  const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+  const user = result.rows[0] || null;
+
+  // Run bcrypt even without a password to check (unknown email, or a Google /
+  // Apple only account), so the answer takes as long and reads the same
+  const isValidPassword = await verifyPassword(
+    password,
+    user && user.password_hash ? user.password_hash : DUMMY_PASSWORD_HASH
+  );
+
+  if (!user || !user.password_hash || !isValidPassword) {
+    await recordFailedLogin(pool, email, user, context);
     throw new Error('Invalid email or password');
   }
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokens(user.id);
+  await loginThrottle.clearLoginFailures(pool, email);
+
+  // With 2FA on, no tokens until POST /api/auth/mfa/verify
+  if (await isMfaEnabled(pool, user.id)) {
+    return { mfaRequired: true, mfaToken: createMfaChallenge(user.id) };
+  }
 
-  // Remove old refresh tokens and store new one
-  await removeUserRefreshTokens(pool, user.id);
-  await storeRefreshToken(pool, user.id, refreshToken);
+  // Start a session for this device (other devices stay signed in)
+  const { accessToken, refreshToken } = await startSession(pool, user.id, context);
 
   return {
     user: {
       id: user.id,
       email: user.email,
       firstname: user.firstname,
+      emailVerified: !!user.email_verified_at,
       createdAt: user.created_at
     },
     isNewUser: false, // Always false for login
@@ -284,59 +354,258 @@ async function loginUser(pool, email, password) {
 }
 
 /**
- * Authenticate with Google OAuth
+ * Count a failed password sign in, and lock the address when there were too many
  * @param {Object} pool - PostgreSQL pool
- * @param {string} idToken - Google ID token
- * @returns {Promise<Object>} User data and tokens
+ * @param {string} email - Email as typed
+ * @param {Object|null} user - Account with that email, if any
+ * @param {Object} context - { ipAddress, userAgent }
+ */
+async function recordFailedLogin(pool, email, user, context = {}) {
+  const { ipAddress: clientIp, userAgent } = context;
+  const userId = user ? user.id : null;
+
+  const { failedAttempts, locked, unlockToken } = await loginThrottle.recordLoginFailure(pool, email, clientIp, userId);
+
+  await logAuditEvent(pool, 'login_failed', userId, clientIp, userAgent, {
+    email: email,
+    reason: !user ? 'unknown_email' : (!user.password_hash ? 'no_password' : 'wrong_password'),
+    failed_attempts: failedAttempts,
+    locked: locked
+  });
+
+  if (unlockToken) {
+    await logAuditEvent(pool, 'account_locked', userId, clientIp, userAgent, {
+      failed_attempts: failedAttempts
+    });
+
+    // Not awaited: waiting on SMTP would make a real account slower to answer
+    sendAccountLockedEmail(user.email, unlockToken).catch(error => {
+      console.error(`❌ Account locked email failed for user ${userId}: ${error.message}`);
+    });
+
+    console.log(`🔒 Sign in locked for user ${userId} after ${failedAttempts} failed attempts`);
+  }
+}
+
+/**
+ * Lift a sign-in lockout with the token from the account locked email
+ * @param {Object} pool - Database connection pool
+ * @param {string} token - Unlock token
+ * @param {string} clientIp - Client IP address
+ * @param {string} userAgent - Client user agent
  */
-async function loginWithGoogle(pool, idToken) {
-  // Verify Google token
-  const googleUser = await verifyGoogleToken(idToken);
-  if (!googleUser || !googleUser.sub) {
-    throw new Error('Invalid Google token');
+async function unlockAccount(pool, token, clientIp = null, userAgent = null) {
+  const userId = await loginThrottle.unlockWithToken(pool, token);
+
+  if (!userId) {
+    await logAuditEvent(pool, 'account_unlock_invalid', null, clientIp, userAgent, {});
+    throw new Error('Invalid or expired token');
   }
 
-  const googleId = googleUser.sub;
-  const email = googleUser.email;
+  await logAuditEvent(pool, 'account_unlocked', userId, clientIp, userAgent, {});
+
+  console.log(`🔓 Sign in unlocked for user ${userId}`);
+}
 
-  // Check if user exists with this Google ID
-  let user = await pool.query('SELECT * FROM users WHERE google_id = $1', [googleId]);
-  let isNewUser = false;
+/**
+ * Tell the owner their sign in was locked, with a link to unlock it
+ * @param {string} email - User email
+ * @param {string} unlockToken - Raw unlock token
+ */
+async function sendAccountLockedEmail(email, unlockToken) {
+  const unlockUrl = `${process.env.ACCOUNT_UNLOCK_URL || 'pushinapp://unlock-account'}?token=${unlockToken}`;
+  const minutes = Math.round(loginThrottle.ACCOUNT_LOCKOUT_MS / 60000);
+
+  console.log(`📧 Sending account locked email to ${email}`);
+
+  const { html, text } = mailer.renderEmail({
+    title: 'Sign In Locked',
+    paragraphs: [
+      `Someone entered the wrong password for your PUSHIN account ${loginThrottle.ACCOUNT_LOCKOUT_ATTEMPTS} times, so we've paused password sign in for ${minutes} minutes.`,
+      'If that was you, unlock your account now and try again:'
+    ],
+    actionUrl: unlockUrl,
+    actionLabel: 'Unlock My Account',
+    notice: 'Signing in with Google, Apple or an emailed link still works.',
+    footnote: "If that wasn't you, your password is still safe, but consider changing it to a strong one you don't use anywhere else."
+  });
 
-  if (user.rows.length === 0) {
-    // Check if user exists with this email (link accounts)
-    const existingUser = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+  return mailer.sendMail({
+    to: email,
+    subject: 'Your PUSHIN sign in was locked',
+    html,
+    text
+  });
+}
 
-    if (existingUser.rows.length > 0) {
-      // Link Google account to existing user
-      await pool.query('UPDATE users SET google_id = $1 WHERE id = $2', [googleId, existingUser.rows[0].id]);
-      user = await pool.query('SELECT * FROM users WHERE id = $1', [existingUser.rows[0].id]);
-    } else {
-      // Create new user
-      const firstname = googleUser.given_name || googleUser.name?.split(' ')[0] || null;
-      const result = await pool.query(
-        'INSERT INTO users (email, firstname, google_id) VALUES ($1, $2, $3) RETURNING *',
-        [email, firstname, googleId]
-      );
-      user = result;
-      isNewUser = true;
+/**
+ * Display name of a sign-in provider for messages
+ * @param {string} provider - 'google' or 'apple'
+ * @returns {string} 'Google' or 'Apple'
+ */
+function providerLabel(provider) {
+  return provider === 'google' ? 'Google' : 'Apple';
+}
+
+/**
+ * Link a Google or Apple account to the existing account with the same email
+ * The provider has verified the address, so the account's email counts as
+ * verified from now on. A password set on an account whose email was never
+ * verified could have been set by anyone registering that address first, so
+ * it's cleared and that account's sessions are signed out. All of it happens
+ * in one transaction: a failed link leaves the password and sessions alone.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} existingUser - users row matched by email
+ * @param {string} provider - 'google' or 'apple'
+ * @param {string} providerUserId - Provider's subject ID
+ * @param {Object} context - { ipAddress, userAgent } for the audit log
+ */
+async function linkProviderToExistingUser(pool, existingUser, provider, providerUserId, context = {}) {
+  let passwordCleared = false;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the user so a password set meanwhile is seen (and cleared) here
+    const userResult = await client.query(
+      'SELECT email_verified_at, password_hash IS NOT NULL AS has_password FROM users WHERE id = $1 FOR UPDATE',
+      [existingUser.id]
+    );
+    if (userResult.rows.length === 0) {
+      throw new Error('User not found');
+    }
+    const user = userResult.rows[0];
+
+    // One account per provider: never swap a linked one out behind the user's back
+    if (await identities.getIdentity(client, existingUser.id, provider)) {
+      throw new Error(`A different ${providerLabel(provider)} account is already linked`);
+    }
+
+    if (!user.email_verified_at && user.has_password) {
+      await client.query('UPDATE users SET password_hash = NULL WHERE id = $1', [existingUser.id]);
+      await sessions.revokeUserSessions(client, existingUser.id);
+      passwordCleared = true;
+    }
+
+    await identities.addIdentity(client, existingUser.id, provider, providerUserId, existingUser.email);
+    await client.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+       WHERE id = $1`,
+      [existingUser.id]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (passwordCleared) {
+    await logAuditEvent(pool, 'unverified_password_cleared', existingUser.id, context.ipAddress, context.userAgent, {
+      provider
+    });
+  }
+
+  await logAuditEvent(pool, 'identity_linked', existingUser.id, context.ipAddress, context.userAgent, {
+    provider,
+    automatic: true
+  });
+}
+
+/**
+ * Find or create the user for a Google or Apple sign in
+ * A provider account that isn't linked yet is linked automatically to the
+ * account with the same email, but only if the provider says it verified
+ * that email; otherwise the user has to sign in and link it explicitly.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} provider - 'google' or 'apple'
+ * @param {Object} account - { providerUserId, email, emailVerified, firstname } from the verified token
+ * @param {Object} context - { ipAddress, userAgent } for the audit log
+ * @returns {Promise<Object>} { user, isNewUser }
+ */
+async function resolveProviderUser(pool, provider, { providerUserId, email, emailVerified, firstname }, context = {}) {
+  const linkedUserId = await identities.findUserIdByIdentity(pool, provider, providerUserId);
+  if (linkedUserId) {
+    await identities.touchIdentity(pool, provider, providerUserId, email);
+    const user = await pool.query('SELECT * FROM users WHERE id = $1', [linkedUserId]);
+    return { user: user.rows[0], isNewUser: false };
+  }
+
+  if (!email) {
+    throw new Error(`Email is required for ${providerLabel(provider)} Sign In`);
+  }
+
+  // Check if user exists with this email (link accounts)
+  const existingUser = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+
+  if (existingUser.rows.length > 0) {
+    if (!emailVerified) {
+      throw new Error(`${providerLabel(provider)} email is not verified`);
     }
+
+    await linkProviderToExistingUser(pool, existingUser.rows[0], provider, providerUserId, context);
+    const user = await pool.query('SELECT * FROM users WHERE id = $1', [existingUser.rows[0].id]);
+    return { user: user.rows[0], isNewUser: false };
   }
 
-  const userData = user.rows[0];
+  // Create new user
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO users (email, firstname, email_verified_at)
+       VALUES ($1, $2, CASE WHEN $3 THEN NOW() END) RETURNING *`,
+      [email, firstname, !!emailVerified]
+    );
+    await identities.addIdentity(client, result.rows[0].id, provider, providerUserId, email);
+
+    await client.query('COMMIT');
+    return { user: result.rows[0], isNewUser: true };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokens(userData.id);
+/**
+ * Authenticate with Google OAuth
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} idToken - Google ID token
+ * @param {Object} context - Device details for the new session
+ * @param {Object} options - { keySource } passed to verifyGoogleIdToken
+ * @returns {Promise<Object>} User data and tokens
+ */
+async function loginWithGoogle(pool, idToken, context = {}, options = {}) {
+  // Verify signature, issuer, audience, expiry and email_verified locally
+  const googleUser = await googleAuth.verifyGoogleIdToken(idToken, options);
+
+  const { user: userData, isNewUser } = await resolveProviderUser(pool, 'google', {
+    providerUserId: googleUser.sub,
+    email: googleUser.email,
+    emailVerified: googleUser.email_verified === true || googleUser.email_verified === 'true',
+    firstname: googleUser.given_name || googleUser.name?.split(' ')[0] || null
+  }, context);
+
+  // The provider only counts as the first factor when 2FA is on
+  if (await isMfaEnabled(pool, userData.id)) {
+    return { mfaRequired: true, mfaToken: createMfaChallenge(userData.id) };
+  }
 
-  // Remove old refresh tokens and store new one
-  await removeUserRefreshTokens(pool, userData.id);
-  await storeRefreshToken(pool, userData.id, refreshToken);
+  // Start a session for this device (other devices stay signed in)
+  const { accessToken, refreshToken } = await startSession(pool, userData.id, context);
 
   return {
     user: {
       id: userData.id,
       email: userData.email,
       firstname: userData.firstname,
+      emailVerified: !!userData.email_verified_at,
       createdAt: userData.created_at
     },
     isNewUser,
@@ -349,67 +618,37 @@ async function loginWithGoogle(pool, idToken) {
  * Authenticate with Apple Sign In
  * @param {Object} pool - PostgreSQL pool
  * @param {string} identityToken - Apple identity token
- * @param {Object} userData - Additional Apple user data
+ * @param {Object} userData - Additional Apple user data (name on first sign in)
+ * @param {Object} context - Device details for the new session
+ * @param {Object} options - { nonce, keySource } passed to verifyAppleIdentityToken
  * @returns {Promise<Object>} User data and tokens
  */
-async function loginWithApple(pool, identityToken, userData = {}) {
-  // Decode Apple identity token
-  const tokenParts = identityToken.split('.');
-  if (tokenParts.length !== 3) {
-    throw new Error('Invalid Apple token format');
-  }
-
-  const payload = JSON.parse(Buffer.from(tokenParts[1], 'base64').toString());
-
-  if (!payload.sub) {
-    throw new Error('Invalid Apple token payload');
-  }
-
-  const appleId = payload.sub;
-  const email = payload.email || (userData && userData.email);
-
-  if (!email) {
-    throw new Error('Email is required for Apple Sign In');
-  }
-
-  // Check if user exists with this Apple ID
-  let user = await pool.query('SELECT * FROM users WHERE apple_id = $1', [appleId]);
-  let isNewUser = false;
-
-  if (user.rows.length === 0) {
-    // Check if user exists with this email (link accounts)
-    const existingUser = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-
-    if (existingUser.rows.length > 0) {
-      // Link Apple account to existing user
-      await pool.query('UPDATE users SET apple_id = $1 WHERE id = $2', [appleId, existingUser.rows[0].id]);
-      user = await pool.query('SELECT * FROM users WHERE id = $1', [existingUser.rows[0].id]);
-    } else {
-      // Create new user
-      const firstname = userData?.name?.firstName || null;
-      const result = await pool.query(
-        'INSERT INTO users (email, firstname, apple_id) VALUES ($1, $2, $3) RETURNING *',
-        [email, firstname, appleId]
-      );
-      user = result;
-      isNewUser = true;
-    }
+async function loginWithApple(pool, identityToken, userData = {}, context = {}, options = {}) {
+  // Verify signature, issuer, audience, expiry and nonce
+  const payload = await appleAuth.verifyAppleIdentityToken(identityToken, options);
+
+  // Only the signed email is trusted; userData comes straight from the client
+  const { user: userRecord, isNewUser } = await resolveProviderUser(pool, 'apple', {
+    providerUserId: payload.sub,
+    email: payload.email,
+    emailVerified: appleAuth.isAppleEmailVerified(payload),
+    firstname: userData?.name?.firstName || null
+  }, context);
+
+  // The provider only counts as the first factor when 2FA is on
+  if (await isMfaEnabled(pool, userRecord.id)) {
+    return { mfaRequired: true, mfaToken: createMfaChallenge(userRecord.id) };
   }
 
-  const userRecord = user.rows[0];
-
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokens(userRecord.id);
-
-  // Remove old refresh tokens and store new one
-  await removeUserRefreshTokens(pool, userRecord.id);
-  await storeRefreshToken(pool, userRecord.id, refreshToken);
+  // Start a session for this device (other devices stay signed in)
+  const { accessToken, refreshToken } = await startSession(pool, userRecord.id, context);
 
   return {
     user: {
       id: userRecord.id,
       email: userRecord.email,
       firstname: userRecord.firstname,
+      emailVerified: !!userRecord.email_verified_at,
       createdAt: userRecord.created_at
     },
     isNewUser,
@@ -420,40 +659,108 @@ async function loginWithApple(pool, identityToken, userData = {}) {
 
 /**
  * Refresh access token using refresh token
+ * Every refresh rotates the refresh token: the old one is marked rotated and
+ * the new one is chained to it. Presenting a rotated token again (outside a
+ * short grace window for concurrent requests) means it was copied, so the
+ * whole session is revoked.
  * @param {Object} pool - PostgreSQL pool
  * @param {string} refreshToken - Refresh token
+ * @param {Object} context - { ipAddress, userAgent } of the request
+ * @param {Object} options - { reuseGraceMs } override for tests
  * @returns {Promise<Object>} New tokens
  */
-async function refreshAccessToken(pool, refreshToken) {
+async function refreshAccessToken(pool, refreshToken, context = {}, { reuseGraceMs = REFRESH_REUSE_GRACE_MS } = {}) {
   // Verify refresh token
   const decoded = verifyToken(refreshToken, JWT_REFRESH_SECRET);
-  if (!decoded) {
+  if (!decoded || !decoded.userId) {
     throw new Error('Invalid or expired refresh token');
   }
 
-  // Check if refresh token exists in database
-  const tokenResult = await pool.query(
-    'SELECT * FROM refresh_tokens WHERE token = $1 AND expires_at > NOW()',
-    [refreshToken]
-  );
+  const tokenHash = hashRefreshToken(refreshToken);
+  const client = await pool.connect();
 
-  if (tokenResult.rows.length === 0) {
-    throw new Error('Invalid or expired refresh token');
-  }
+  try {
+    await client.query('BEGIN');
 
-  const userId = decoded.userId;
+    // Lock the row so concurrent refreshes with the same token run one at a time
+    const tokenResult = await client.query(
+      `SELECT id, user_id, session_id, expires_at, rotated_at, NOW() AS now
+       FROM refresh_tokens WHERE token = $1
+       FOR UPDATE`,
+      [tokenHash]
+    );
+
+    const stored = tokenResult.rows[0];
+    if (!stored || stored.user_id !== decoded.userId || new Date(stored.expires_at) <= new Date(stored.now)) {
+      await client.query('ROLLBACK');
+      throw new Error('Invalid or expired refresh token');
+    }
 
-  // Generate new tokens
-  const { accessToken, newRefreshToken } = generateTokens(userId);
+    if (stored.rotated_at) {
+      const rotatedAgoMs = new Date(stored.now) - new Date(stored.rotated_at);
 
-  // Remove old refresh token and store new one
-  await removeRefreshToken(refreshToken);
-  await storeRefreshToken(pool, userId, newRefreshToken);
+      if (rotatedAgoMs < reuseGraceMs) {
+        await client.query('ROLLBACK');
+        throw new Error('Refresh token already rotated');
+      }
 
-  return {
-    accessToken,
-    refreshToken: newRefreshToken
-  };
+      // Reuse of a rotated token: revoke the whole family
+      await sessions.revokeSession(client, stored.user_id, stored.session_id);
+      await client.query('COMMIT');
+
+      await logAuditEvent(pool, 'refresh_token_reuse_detected', stored.user_id, context.ipAddress, context.userAgent, {
+        session_id: stored.session_id,
+        token_id: stored.id,
+        rotated_at: stored.rotated_at
+      });
+      console.log(`⚠️ Refresh token reuse detected - user ${stored.user_id}, session ${stored.session_id} revoked`);
+      throw new Error('Refresh token reuse detected');
+    }
+
+    // Tokens from before sessions existed get a session on first refresh
+    let sessionId = stored.session_id;
+    if (!sessionId) {
+      const session = await sessions.createSession(client, stored.user_id, context);
+      sessionId = session.id;
+    }
+
+    await client.query(
+      'UPDATE refresh_tokens SET rotated_at = NOW(), session_id = $2 WHERE id = $1',
+      [stored.id, sessionId]
+    );
+
+    // Rotated tokens are only needed for reuse detection until they expire
+    await client.query(
+      `DELETE FROM refresh_tokens
+       WHERE session_id = $1 AND rotated_at IS NOT NULL AND expires_at <= NOW()`,
+      [sessionId]
+    );
+
+    const { accessToken, refreshToken: newRefreshToken } = generateTokens(stored.user_id, sessionId);
+    await storeRefreshToken(client, stored.user_id, newRefreshToken, sessionId, stored.id);
+    await sessions.touchSession(client, sessionId, context);
+
+    await client.query('COMMIT');
+
+    return {
+      accessToken,
+      refreshToken: newRefreshToken
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Replace a user row's avatar_key with the avatar URLs
+ * @param {Object} user - users row
+ * @returns {Object} User with avatar_urls (null without a picture)
+ */
+function withAvatarUrls({ avatar_key: avatarKey, ...user }) {
+  return { ...user, avatar_urls: avatars.getAvatarUrls(avatarKey) };
 }
 
 /**
@@ -464,7 +771,9 @@ async function refreshAccessToken(pool, refreshToken) {
  */
 async function getUserProfile(pool, userId) {
   const result = await pool.query(
-    'SELECT id, email, firstname, profile_picture, created_at FROM users WHERE id = $1',
+    `SELECT id, email, firstname, avatar_key, timezone, email_verified_at, created_at,
+       EXISTS (SELECT 1 FROM user_mfa WHERE user_id = users.id AND enabled_at IS NOT NULL) AS mfa_enabled
+     FROM users WHERE id = $1`,
     [userId]
   );
 
@@ -472,14 +781,14 @@ async function getUserProfile(pool, userId) {
     throw new Error('User not found');
   }
 
-  return result.rows[0];
+  return withAvatarUrls(result.rows[0]);
 }
 
 /**
  * Update user profile
  * @param {Object} pool - PostgreSQL pool
  * @param {number} userId - User ID
- * @param {Object} updates - Object containing fields to update (email, firstname, password)
+ * @param {Object} updates - Object containing fields to update (firstname, password, timezone)
  * @returns {Object} Updated user data
  */
 async function updateUserProfile(pool, userId, updates) {
@@ -487,20 +796,22 @@ async function updateUserProfile(pool, userId, updates) {
   const updateValues = [];
   let paramIndex = 1;
 
-  // Build dynamic update query
-  if (updates.email !== undefined) {
-    updateFields.push(`email = $${paramIndex}`);
-    updateValues.push(updates.email);
-    paramIndex++;
-  }
-
+  // Build dynamic update query (the email changes through emailChange.js)
   if (updates.firstname !== undefined) {
     updateFields.push(`firstname = $${paramIndex}`);
     updateValues.push(updates.firstname);
     paramIndex++;
   }
 
+  let previousPasswordHash = null;
   if (updates.password !== undefined) {
+    if (await passwordPolicy.isPasswordReused(pool, userId, updates.password)) {
+      throw new Error('Password has been used recently');
+    }
+
+    const current = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+    previousPasswordHash = current.rows.length > 0 ? current.rows[0].password_hash : null;
+
     // Hash the new password
     const hashedPassword = await hashPassword(updates.password);
     updateFields.push(`password_hash = $${paramIndex}`);
@@ -508,9 +819,9 @@ async function updateUserProfile(pool, userId, updates) {
     paramIndex++;
   }
 
-  if (updates.profile_picture !== undefined) {
-    updateFields.push(`profile_picture = $${paramIndex}`);
-    updateValues.push(updates.profile_picture);
+  if (updates.timezone !== undefined) {
+    updateFields.push(`timezone = $${paramIndex}`);
+    updateValues.push(updates.timezone);
     paramIndex++;
   }
 
@@ -525,7 +836,7 @@ async function updateUserProfile(pool, userId, updates) {
     UPDATE users
     SET ${updateFields.join(', ')}, updated_at = NOW()
     WHERE id = $${paramIndex}
-    RETURNING id, email, firstname, profile_picture, created_at, updated_at
+    RETURNING id, email, firstname, avatar_key, timezone, email_verified_at, created_at, updated_at
   `;
 
   const result = await pool.query(query, updateValues);
@@ -534,16 +845,28 @@ async function updateUserProfile(pool, userId, updates) {
     throw new Error('User not found or update failed');
   }
 
-  return result.rows[0];
+  if (updates.password !== undefined) {
+    await passwordPolicy.recordPasswordChange(pool, userId, previousPasswordHash);
+  }
+
+  return withAvatarUrls(result.rows[0]);
 }
 
 /**
- * Logout user (invalidate refresh tokens)
+ * Logout user (revoke the current session, or all of them)
  * @param {Object} pool - PostgreSQL pool
  * @param {number} userId - User ID
+ * @param {Object} options - { sessionId } current session, { all } every session
  */
-async function logoutUser(pool, userId) {
-  await removeUserRefreshTokens(pool, userId);
+async function logoutUser(pool, userId, { sessionId = null, all = false } = {}) {
+  // Tokens issued before sessions existed carry no sid, so there's no way to
+  // tell which device is signing out; fall back to signing out everywhere
+  if (all || !sessionId) {
+    await sessions.revokeUserSessions(pool, userId);
+    return;
+  }
+
+  await sessions.revokeSession(pool, userId, sessionId);
 }
 
 /**
@@ -679,6 +1002,14 @@ async function resetPassword(pool, token, newPassword, clientIp, userAgent) {
       throw new Error(`Password does not meet security requirements: ${passwordValidation.errors.join(', ')}`);
     }
 
+    if (await passwordPolicy.isPasswordReused(pool, userId, newPassword)) {
+      await logAuditEvent(pool, 'password_reset_policy_violation', userId, clientIp, userAgent, {
+        token_hash_prefix: tokenHash.substring(0, 8),
+        violations: ['recently_used']
+      });
+      throw new Error('Password has been used recently');
+    }
+
     // Hash new password
     const hashedPassword = await hashPassword(newPassword);
 
@@ -702,11 +1033,13 @@ async function resetPassword(pool, token, newPassword, clientIp, userAgent) {
         throw new Error('Token has already been used');
       }
 
-      // Update password
+      // Update password, keeping the old one in the history
+      const previous = await client.query('SELECT password_hash FROM users WHERE id = $1 FOR UPDATE', [userId]);
       await client.query(
         'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
         [hashedPassword, userId]
       );
+      await passwordPolicy.recordPasswordChange(client, userId, previous.rows.length > 0 ? previous.rows[0].password_hash : null);
 
       // Mark token as used with timestamp
       await client.query(
@@ -714,11 +1047,8 @@ async function resetPassword(pool, token, newPassword, clientIp, userAgent) {
         [tokenHash]
       );
 
-      // CRITICAL: Invalidate ALL refresh tokens for this user
-      await client.query(
-        'DELETE FROM refresh_tokens WHERE user_id = $1',
-        [userId]
-      );
+      // CRITICAL: Sign out ALL sessions (and their refresh tokens) for this user
+      await sessions.revokeUserSessions(client, userId);
 
       await client.query('COMMIT');
 
@@ -745,47 +1075,1026 @@ async function resetPassword(pool, token, newPassword, clientIp, userAgent) {
 }
 
 /**
- * Send password reset email using nodemailer
- * @param {string} email - User email
- * @param {string} resetToken - Reset token
+ * Send a verification link to the user's current email address
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @param {string} clientIp - Client IP address
+ * @param {string} userAgent - Client user agent
  */
-async function sendPasswordResetEmail(email, resetToken) {
-  // Build reset URL
-  const resetUrl = `${process.env.FRONTEND_URL || 'pushinapp://reset-password'}?token=${resetToken}`;
+async function initiateEmailVerification(pool, userId, clientIp = null, userAgent = null) {
+  const userResult = await pool.query(
+    'SELECT id, email, email_verified_at FROM users WHERE id = $1',
+    [userId]
+  );
 
-  console.log(`📧 Sending password reset email to ${email}`);
-  console.log(`🔗 Reset URL: ${resetUrl}`);
+  if (userResult.rows.length === 0) {
+    throw new Error('User not found');
+  }
 
-  // Configure email transporter
-  // Supports multiple email services via SMTP
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: parseInt(process.env.SMTP_PORT || '587'),
-    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    },
-    // For development/testing with services like Mailtrap
-    ...(process.env.NODE_ENV === 'test' && {
-      host: process.env.SMTP_HOST || 'sandbox.smtp.mailtrap.io',
-      port: parseInt(process.env.SMTP_PORT || '2525'),
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      }
-    })
-  });
+  const user = userResult.rows[0];
+  if (user.email_verified_at) {
+    throw new Error('Email already verified');
+  }
+
+  // Same scheme as password reset: random token mailed, only its hash stored
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const tokenHash = crypto.createHash('sha256').update(verificationToken).digest('hex');
+
+  // A new request replaces any earlier link
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at, used, created_at)
+     VALUES ($1, $2, $3, $4, false, NOW())
+     ON CONFLICT (user_id)
+     DO UPDATE SET email = $2, token_hash = $3, expires_at = $4, used = false, created_at = NOW()`,
+    [user.id, user.email, tokenHash, new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_MS)]
+  );
 
-  // Verify transporter configuration
   try {
-    await transporter.verify();
-    console.log('✅ SMTP server is ready to send emails');
+    await sendVerificationEmail(user.email, verificationToken);
+
+    await logAuditEvent(pool, 'email_verification_sent', user.id, clientIp, userAgent, {
+      email: user.email
+    });
+
+    console.log(`📧 Verification email sent to ${user.email}`);
+    return { emailSent: true };
+  } catch (emailError) {
+    // Email failed - clean up the token to prevent orphaned tokens
+    await pool.query(
+      'DELETE FROM email_verification_tokens WHERE token_hash = $1',
+      [tokenHash]
+    );
+
+    await logAuditEvent(pool, 'email_verification_email_failed', user.id, clientIp, userAgent, {
+      email: user.email,
+      error: emailError.message
+    });
+
+    console.error(`❌ Verification email failed for ${user.email}: ${emailError.message}`);
+    throw new Error('Failed to send verification email');
+  }
+}
+
+/**
+ * Verify an email address using the token from the verification link
+ * @param {Object} pool - Database connection pool
+ * @param {string} token - Verification token
+ * @param {string} clientIp - Client IP address
+ * @param {string} userAgent - Client user agent
+ * @returns {Promise<Object>} { userId, email }
+ */
+async function verifyEmail(pool, token, clientIp, userAgent) {
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the token so a link opened twice at once verifies once
+    const tokenResult = await client.query(
+      `SELECT t.user_id, t.email, t.used, t.expires_at > NOW() AS is_valid, u.email AS current_email
+       FROM email_verification_tokens t
+       INNER JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1
+       FOR UPDATE OF t`,
+      [tokenHash]
+    );
+
+    const tokenData = tokenResult.rows[0];
+
+    // The address changed since the link was sent: it proves nothing about the new one
+    const reason = !tokenData ? 'token_not_found'
+      : !tokenData.is_valid ? 'token_expired'
+      : tokenData.email.toLowerCase() !== tokenData.current_email.toLowerCase() ? 'email_changed'
+      : null;
+
+    if (reason) {
+      await client.query('ROLLBACK');
+      await logAuditEvent(pool, 'email_verification_token_invalid', tokenData ? tokenData.user_id : null, clientIp, userAgent, {
+        token_hash_prefix: tokenHash.substring(0, 8),
+        reason
+      });
+      throw new Error('Invalid or expired token');
+    }
+
+    if (tokenData.used) {
+      await client.query('ROLLBACK');
+      throw new Error('Token has already been used');
+    }
+
+    await client.query(
+      'UPDATE users SET email_verified_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [tokenData.user_id]
+    );
+    await client.query(
+      'UPDATE email_verification_tokens SET used = true WHERE token_hash = $1',
+      [tokenHash]
+    );
+
+    await client.query('COMMIT');
+
+    await logAuditEvent(pool, 'email_verified', tokenData.user_id, clientIp, userAgent, {
+      email: tokenData.email
+    });
+
+    console.log(`✅ Email verified for user ${tokenData.user_id}`);
+    return { userId: tokenData.user_id, email: tokenData.email };
   } catch (error) {
-    console.error('❌ SMTP verification failed:', error.message);
-    throw new Error(`Email service configuration error: ${error.message}`);
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Send email verification link
+ * @param {string} email - Address to verify
+ * @param {string} verificationToken - Verification token
+ */
+async function sendVerificationEmail(email, verificationToken) {
+  const verifyUrl = `${process.env.EMAIL_VERIFICATION_URL || 'pushinapp://verify-email'}?token=${verificationToken}`;
+
+  console.log(`📧 Sending verification email to ${email}`);
+
+  const { html, text } = mailer.renderEmail({
+    title: 'Verify Your Email',
+    paragraphs: [
+      'Please confirm that this is your email address for your PUSHIN account. Click the button below to verify it:'
+    ],
+    actionUrl: verifyUrl,
+    actionLabel: 'Verify Email',
+    notice: 'This link expires in 24 hours',
+    footnote: "If you didn't create a PUSHIN account, you can safely ignore this email."
+  });
+
+  return mailer.sendMail({
+    to: email,
+    subject: 'Verify your PUSHIN email address',
+    html,
+    text
+  });
+}
+
+/**
+ * Hash a magic link sign-in code
+ * Codes are only unique per user, so the user ID is part of the hash.
+ * @param {number} userId - User ID
+ * @param {string} code - 6-digit code
+ * @returns {string} Hex SHA-256
+ */
+function hashMagicLinkCode(userId, code) {
+  return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+}
+
+/**
+ * Start a passwordless sign in by emailing a link or a 6-digit code
+ * @param {Object} pool - Database connection pool
+ * @param {string} email - User email
+ * @param {string} method - 'link' (pushinapp://login?token=...) or 'code'
+ * @param {string} clientIp - Client IP address
+ * @param {string} userAgent - Client user agent
+ */
+async function initiateMagicLink(pool, email, method, clientIp, userAgent) {
+  console.log(`✨ Magic link sign in initiated - Email: ${email}, method: ${method}, IP: ${clientIp}`);
+
+  const userResult = await pool.query(
+    'SELECT id, email FROM users WHERE email = $1',
+    [email.toLowerCase()]
+  );
+
+  const user = userResult.rows[0] || null;
+
+  await logAuditEvent(pool, 'magic_link_initiated', user ? user.id : null, clientIp, userAgent, {
+    email: email,
+    method: method,
+    user_exists: !!user
+  });
+
+  if (!user) {
+    // Don't throw error - return success for security
+    console.log(`✨ Magic link requested for non-existent email: ${email}`);
+    return { emailSent: true };
+  }
+
+  let token = null;
+  let code = null;
+  let tokenHash = null;
+  let codeHash = null;
+
+  if (method === 'code') {
+    code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    codeHash = hashMagicLinkCode(user.id, code);
+  } else {
+    token = crypto.randomBytes(32).toString('hex');
+    tokenHash = crypto.createHash('sha256').update(token).digest('hex');
   }
 
+  // A new request replaces any earlier link or code
+  await pool.query(
+    `INSERT INTO magic_link_tokens (user_id, token_hash, code_hash, failed_attempts, expires_at, used, created_at)
+     VALUES ($1, $2, $3, 0, $4, false, NOW())
+     ON CONFLICT (user_id)
+     DO UPDATE SET token_hash = $2, code_hash = $3, failed_attempts = 0, expires_at = $4, used = false, created_at = NOW()`,
+    [user.id, tokenHash, codeHash, new Date(Date.now() + MAGIC_LINK_EXPIRES_MS)]
+  );
+
+  try {
+    await sendMagicLinkEmail(user.email, { token, code });
+
+    await logAuditEvent(pool, 'magic_link_email_sent', user.id, clientIp, userAgent, {
+      email: email,
+      method: method
+    });
+
+    console.log(`📧 Magic link email sent to ${email}`);
+    return { emailSent: true };
+  } catch (emailError) {
+    // Email failed - clean up the token to prevent orphaned tokens
+    await pool.query('DELETE FROM magic_link_tokens WHERE user_id = $1', [user.id]);
+
+    await logAuditEvent(pool, 'magic_link_email_failed', user.id, clientIp, userAgent, {
+      email: email,
+      error: emailError.message
+    });
+
+    console.error(`❌ Magic link email failed for ${email}: ${emailError.message}`);
+    throw new Error('Failed to send sign-in email');
+  }
+}
+
+/**
+ * Complete a passwordless sign in
+ * @param {Object} pool - Database connection pool
+ * @param {Object} credentials - { token } from the link, or { email, code }
+ * @param {Object} context - Device details for the new session
+ * @returns {Promise<Object>} User data and tokens
+ */
+async function verifyMagicLink(pool, { token, email, code }, context = {}) {
+  const { ipAddress: clientIp, userAgent } = context;
+  const method = token ? 'link' : 'code';
+  const invalidMessage = token ? 'Invalid or expired token' : 'Invalid or expired code';
+  const client = await pool.connect();
+  let userId;
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the row so a link or code can't be redeemed twice at once
+    const tokenResult = token
+      ? await client.query(
+        `SELECT m.*, m.expires_at > NOW() AS is_valid FROM magic_link_tokens m
+         WHERE m.token_hash = $1
+         FOR UPDATE`,
+        [crypto.createHash('sha256').update(token).digest('hex')]
+      )
+      : await client.query(
+        `SELECT m.*, m.expires_at > NOW() AS is_valid FROM magic_link_tokens m
+         INNER JOIN users u ON u.id = m.user_id
+         WHERE u.email = $1 AND m.code_hash IS NOT NULL
+         FOR UPDATE OF m`,
+        [email.toLowerCase()]
+      );
+
+    const tokenData = tokenResult.rows[0];
+
+    if (!tokenData || !tokenData.is_valid) {
+      await client.query('ROLLBACK');
+      await logAuditEvent(pool, 'magic_link_token_invalid', tokenData ? tokenData.user_id : null, clientIp, userAgent, {
+        method: method,
+        reason: tokenData ? 'token_expired' : 'token_not_found'
+      });
+      throw new Error(invalidMessage);
+    }
+
+    if (tokenData.used) {
+      await client.query('ROLLBACK');
+      await logAuditEvent(pool, 'magic_link_token_reused', tokenData.user_id, clientIp, userAgent, {
+        method: method
+      });
+      throw new Error('Token has already been used');
+    }
+
+    if (!token) {
+      const expected = Buffer.from(tokenData.code_hash, 'hex');
+      const actual = Buffer.from(hashMagicLinkCode(tokenData.user_id, String(code)), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        const attempts = tokenData.failed_attempts + 1;
+        await client.query(
+          'UPDATE magic_link_tokens SET failed_attempts = $1, used = $2 WHERE id = $3',
+          [attempts, attempts >= MAGIC_LINK_MAX_CODE_ATTEMPTS, tokenData.id]
+        );
+        await client.query('COMMIT');
+
+        await logAuditEvent(pool, 'magic_link_code_failed', tokenData.user_id, clientIp, userAgent, {
+          failed_attempts: attempts,
+          code_burned: attempts >= MAGIC_LINK_MAX_CODE_ATTEMPTS
+        });
+        throw new Error(invalidMessage);
+      }
+    }
+
+    userId = tokenData.user_id;
+
+    await client.query('UPDATE magic_link_tokens SET used = true WHERE id = $1', [tokenData.id]);
+
+    // Opening the email proves the address
+    await client.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // The email only counts as the first factor when 2FA is on
+  if (await isMfaEnabled(pool, userId)) {
+    await logAuditEvent(pool, 'magic_link_login', userId, clientIp, userAgent, {
+      method: method,
+      mfa_required: true
+    });
+    return { mfaRequired: true, mfaToken: createMfaChallenge(userId) };
+  }
+
+  const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+  const user = userResult.rows[0];
+
+  // Start a session for this device (other devices stay signed in)
+  const { accessToken, refreshToken } = await startSession(pool, user.id, context);
+
+  await logAuditEvent(pool, 'magic_link_login', user.id, clientIp, userAgent, {
+    method: method
+  });
+
+  console.log(`✅ Magic link sign in for user ${user.id} (${method})`);
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      firstname: user.firstname,
+      emailVerified: !!user.email_verified_at,
+      createdAt: user.created_at
+    },
+    isNewUser: false,
+    accessToken,
+    refreshToken
+  };
+}
+
+/**
+ * Send magic link sign-in email
+ * @param {string} email - User email
+ * @param {Object} secret - { token } for a link or { code } for a code
+ */
+async function sendMagicLinkEmail(email, { token, code }) {
+  console.log(`📧 Sending sign-in ${token ? 'link' : 'code'} to ${email}`);
+
+  const content = token
+    ? {
+      paragraphs: ['Tap the button below on your phone to sign in to PUSHIN:'],
+      actionUrl: `${process.env.MAGIC_LINK_URL || 'pushinapp://login'}?token=${token}`,
+      actionLabel: 'Sign In'
+    }
+    : {
+      paragraphs: ['Enter this code in the PUSHIN app to sign in:'],
+      code
+    };
+
+  const { html, text } = mailer.renderEmail({
+    title: 'Sign In to PUSHIN',
+    ...content,
+    notice: `This ${token ? 'link' : 'code'} expires in 15 minutes and works once`,
+    footnote: "If you didn't try to sign in, you can safely ignore this email. Nobody can sign in without it."
+  });
+
+  return mailer.sendMail({
+    to: email,
+    subject: token ? 'Your PUSHIN sign-in link' : `Your PUSHIN sign-in code: ${code}`,
+    html,
+    text
+  });
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext, base64
+ */
+function encryptMfaSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', MFA_ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Value from encryptMfaSecret
+ * @returns {string} Base32 secret
+ */
+function decryptMfaSecret(payload) {
+  const [iv, tag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', MFA_ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Hash a recovery code (case, spaces and dashes don't matter)
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} The new codes (shown to the user once)
+ */
+async function replaceRecoveryCodes(db, userId) {
+  // 10 base32 characters = 50 random bits each, formatted XXXXX-XXXXX
+  const codes = Array.from({ length: MFA_RECOVERY_CODE_COUNT }, () => {
+    const raw = totp.base32Encode(crypto.randomBytes(7)).substring(0, 10);
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Check whether a user has two-factor authentication turned on
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function isMfaEnabled(pool, userId) {
+  const result = await pool.query(
+    'SELECT 1 FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL',
+    [userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Issue the challenge token a first sign-in step returns when 2FA is on
+ * It only works with POST /api/auth/mfa/verify, never as an access token.
+ * @param {number} userId - User ID
+ * @returns {string} Challenge token
+ */
+function createMfaChallenge(userId) {
+  return jwt.sign({ userId, type: 'mfa_challenge' }, JWT_SECRET, { expiresIn: MFA_CHALLENGE_EXPIRES_IN });
+}
+
+/**
+ * Check a second factor: a TOTP code or an unused recovery code
+ * A TOTP code is accepted once; a recovery code is used up.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp', 'recovery_code' or null if invalid
+ */
+async function verifySecondFactor(db, userId, { code, recoveryCode } = {}) {
+  if (recoveryCode) {
+    const result = await db.query(
+      `UPDATE mfa_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashRecoveryCode(recoveryCode)]
+    );
+    return result.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  const mfaResult = await db.query(
+    'SELECT secret_encrypted FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL',
+    [userId]
+  );
+  if (mfaResult.rows.length === 0) {
+    return null;
+  }
+
+  const step = totp.verifyTotp(decryptMfaSecret(mfaResult.rows[0].secret_encrypted), code);
+  if (step === null) {
+    return null;
+  }
+
+  // Only a step later than the last accepted one, so an observed code can't be replayed
+  const result = await db.query(
+    `UPDATE user_mfa SET last_used_step = $2
+     WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+     RETURNING user_id`,
+    [userId, step]
+  );
+  return result.rows.length > 0 ? 'totp' : null;
+}
+
+/**
+ * Start 2FA enrollment: create a secret for the user's authenticator app
+ * Nothing changes for sign in until the first code is confirmed. Needs a
+ * recent sign in, or a stolen access token could turn on a second factor
+ * only the thief has.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} authentication - sessionId plus requireRecentAuthentication credentials
+ * @param {string} clientIp - Client IP address
+ * @param {string} userAgent - Client user agent
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+async function startMfaEnrollment(pool, userId, authentication = {}, clientIp = null, userAgent = null) {
+  await requireRecentAuthentication(pool, userId, authentication.sessionId, authentication);
+
+  const userResult = await pool.query('SELECT id, email, password_hash FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const user = userResult.rows[0];
+  if (!user.password_hash) {
+    throw new Error('Two-factor authentication requires a password');
+  }
+  if (await isMfaEnabled(pool, userId)) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = totp.generateSecret();
+
+  // Restarting enrollment replaces an unconfirmed secret
+  await pool.query(
+    `INSERT INTO user_mfa (user_id, secret_encrypted, enabled_at, last_used_step, created_at)
+     VALUES ($1, $2, NULL, NULL, NOW())
+     ON CONFLICT (user_id)
+     DO UPDATE SET secret_encrypted = $2, enabled_at = NULL, last_used_step = NULL, created_at = NOW()`,
+    [userId, encryptMfaSecret(secret)]
+  );
+
+  await logAuditEvent(pool, 'mfa_enrollment_started', userId, clientIp, userAgent);
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email })
+  };
+}
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * Needs a recent sign in, like starting it.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @param {Object} authentication - sessionId plus requireRecentAuthentication credentials
+ * @param {string} clientIp - Client IP address
+ * @param {string} userAgent - Client user agent
+ * @returns {Promise<Object>} { recoveryCodes } shown to the user once
+ */
+async function confirmMfaEnrollment(pool, userId, code, authentication = {}, clientIp = null, userAgent = null) {
+  await requireRecentAuthentication(pool, userId, authentication.sessionId, authentication);
+
+  const mfaResult = await pool.query(
+    'SELECT secret_encrypted, enabled_at FROM user_mfa WHERE user_id = $1',
+    [userId]
+  );
+
+  if (mfaResult.rows.length === 0) {
+    throw new Error('No two-factor enrollment in progress');
+  }
+  if (mfaResult.rows[0].enabled_at) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const step = totp.verifyTotp(decryptMfaSecret(mfaResult.rows[0].secret_encrypted), code);
+  if (step === null) {
+    await logAuditEvent(pool, 'mfa_enrollment_failed', userId, clientIp, userAgent);
+    throw new Error('Invalid two-factor code');
+  }
+
+  const client = await pool.connect();
+  let recoveryCodes;
+  try {
+    await client.query('BEGIN');
+
+    const updated = await client.query(
+      `UPDATE user_mfa SET enabled_at = NOW(), last_used_step = $2
+       WHERE user_id = $1 AND enabled_at IS NULL
+       RETURNING user_id`,
+      [userId, step]
+    );
+    if (updated.rows.length === 0) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    recoveryCodes = await replaceRecoveryCodes(client, userId);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await logAuditEvent(pool, 'mfa_enabled', userId, clientIp, userAgent);
+  console.log(`🔐 Two-factor authentication enabled for user ${userId}`);
+
+  return { recoveryCodes };
+}
+
+/**
+ * Complete a sign in that returned an mfa_required challenge
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} mfaToken - Challenge token from the first step
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Object} context - Device details for the new session
+ * @returns {Promise<Object>} User data and tokens
+ */
+async function verifyMfaChallenge(pool, mfaToken, factor, context = {}) {
+  const { ipAddress: clientIp, userAgent } = context;
+
+  const decoded = verifyToken(mfaToken, JWT_SECRET);
+  if (!decoded || decoded.type !== 'mfa_challenge' || !decoded.userId) {
+    throw new Error('Invalid or expired two-factor challenge');
+  }
+
+  const userId = decoded.userId;
+  const method = await verifySecondFactor(pool, userId, factor);
+
+  if (!method) {
+    await logAuditEvent(pool, 'mfa_verification_failed', userId, clientIp, userAgent, {
+      method: factor.recoveryCode ? 'recovery_code' : 'totp'
+    });
+    throw new Error('Invalid two-factor code');
+  }
+
+  if (method === 'recovery_code') {
+    const remaining = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    await logAuditEvent(pool, 'mfa_recovery_code_used', userId, clientIp, userAgent, {
+      remaining_codes: remaining.rows[0].count
+    });
+  }
+
+  const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+  const user = userResult.rows[0];
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Start a session for this device (other devices stay signed in)
+  const { accessToken, refreshToken } = await startSession(pool, user.id, context);
+
+  await logAuditEvent(pool, 'mfa_verified', user.id, clientIp, userAgent, { method });
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      firstname: user.firstname,
+      emailVerified: !!user.email_verified_at,
+      createdAt: user.created_at
+    },
+    isNewUser: false,
+    accessToken,
+    refreshToken
+  };
+}
+
+/**
+ * Turn 2FA off. Requires the password and a current code or recovery code,
+ * so a stolen access token alone can't remove the second factor.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} credentials - { password } plus { code } or { recoveryCode }
+ * @param {string} clientIp - Client IP address
+ * @param {string} userAgent - Client user agent
+ */
+async function disableMfa(pool, userId, { password, code, recoveryCode }, clientIp = null, userAgent = null) {
+  const userResult = await pool.query('SELECT id, password_hash FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    throw new Error('User not found');
+  }
+  if (!(await isMfaEnabled(pool, userId))) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  const user = userResult.rows[0];
+  if (!user.password_hash || !(await verifyPassword(password, user.password_hash))) {
+    await logAuditEvent(pool, 'mfa_disable_failed', userId, clientIp, userAgent, { reason: 'invalid_password' });
+    throw new Error('Invalid password');
+  }
+
+  if (!(await verifySecondFactor(pool, userId, { code, recoveryCode }))) {
+    await logAuditEvent(pool, 'mfa_disable_failed', userId, clientIp, userAgent, { reason: 'invalid_code' });
+    throw new Error('Invalid two-factor code');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await logAuditEvent(pool, 'mfa_disabled', userId, clientIp, userAgent);
+  console.log(`🔓 Two-factor authentication disabled for user ${userId}`);
+}
+
+/**
+ * Replace the recovery codes (e.g. after using several), confirmed with a TOTP code
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @param {string} clientIp - Client IP address
+ * @param {string} userAgent - Client user agent
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+async function regenerateRecoveryCodes(pool, userId, code, clientIp = null, userAgent = null) {
+  if (!(await verifySecondFactor(pool, userId, { code }))) {
+    await logAuditEvent(pool, 'mfa_recovery_codes_failed', userId, clientIp, userAgent);
+    throw new Error('Invalid two-factor code');
+  }
+
+  const recoveryCodes = await replaceRecoveryCodes(pool, userId);
+  await logAuditEvent(pool, 'mfa_recovery_codes_regenerated', userId, clientIp, userAgent);
+
+  return { recoveryCodes };
+}
+
+/**
+ * Check a Google or Apple token was issued recently
+ * @param {Object} payload - Verified token payload
+ * @returns {boolean} True if iat is within REAUTH_MAX_TOKEN_AGE_SECONDS
+ */
+function isFreshProviderToken(payload) {
+  return typeof payload.iat === 'number'
+    && payload.iat >= Math.floor(Date.now() / 1000) - REAUTH_MAX_TOKEN_AGE_SECONDS;
+}
+
+/**
+ * Confirm the caller is the account owner before a sensitive change
+ * Accepts the password, or a Google or Apple token for the linked provider
+ * account issued in the last few minutes (for accounts without a password).
+ * With 2FA on, a code or recovery code is needed as well.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} credentials - { password } | { idToken } | { identityToken, nonce }, plus { code } or { recoveryCode }
+ * @param {Object} options - { keySource } passed to the provider verification (tests)
+ * @returns {Promise<string>} Method used: 'password', 'google' or 'apple'
+ */
+async function reauthenticate(pool, userId, credentials = {}, options = {}) {
+  const { password, idToken, identityToken, nonce, code, recoveryCode } = credentials;
+
+  const userResult = await pool.query('SELECT id, password_hash FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const user = userResult.rows[0];
+  let method = null;
+
+  try {
+    if (password) {
+      if (user.password_hash && await verifyPassword(password, user.password_hash)) {
+        method = 'password';
+      }
+    } else if (idToken) {
+      const payload = await googleAuth.verifyGoogleIdToken(idToken, options);
+      const linkedUserId = await identities.findUserIdByIdentity(pool, 'google', payload.sub);
+      if (linkedUserId === userId && isFreshProviderToken(payload)) {
+        method = 'google';
+      }
+    } else if (identityToken) {
+      const payload = await appleAuth.verifyAppleIdentityToken(identityToken, { ...options, nonce });
+      const linkedUserId = await identities.findUserIdByIdentity(pool, 'apple', payload.sub);
+      if (linkedUserId === userId && isFreshProviderToken(payload)) {
+        method = 'apple';
+      }
+    }
+  } catch (error) {
+    console.log(`⚠️ Re-authentication token rejected for user ${userId}: ${error.message}`);
+  }
+
+  if (!method) {
+    throw new Error('Re-authentication failed');
+  }
+
+  if (await isMfaEnabled(pool, userId) && !(await verifySecondFactor(pool, userId, { code, recoveryCode }))) {
+    throw new Error('Invalid two-factor code');
+  }
+
+  return method;
+}
+
+/**
+ * Require a recent sign in or the current password for a sensitive change
+ * A session started in the last 10 minutes passes on its own (its sign in
+ * already went through 2FA); otherwise the current password is checked,
+ * with a second factor when 2FA is on.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session of the access token (sid claim)
+ * @param {Object} credentials - { currentPassword, code, recoveryCode }
+ * @returns {Promise<string>} 'recent_sign_in' or 'password'
+ */
+async function requireRecentAuthentication(pool, userId, sessionId, { currentPassword, code, recoveryCode } = {}) {
+  if (currentPassword) {
+    return reauthenticate(pool, userId, { password: currentPassword, code, recoveryCode });
+  }
+
+  if (sessionId) {
+    const result = await pool.query(
+      `SELECT 1 FROM user_sessions
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND created_at > $3`,
+      [sessionId, userId, new Date(Date.now() - RECENT_SIGN_IN_MS)]
+    );
+    if (result.rows.length > 0) {
+      return 'recent_sign_in';
+    }
+  }
+
+  throw new Error('Recent sign in required');
+}
+
+/**
+ * List a user's sign-in methods, marking which can be removed
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Identities with canUnlink
+ */
+async function getUserIdentities(pool, userId) {
+  const list = await identities.listIdentities(pool, userId);
+  const mfaEnabled = await isMfaEnabled(pool, userId);
+
+  return list.map(identity => ({
+    ...identity,
+    // The last method can't go, and 2FA hangs off the password
+    canUnlink: list.length > 1 && !(identity.provider === 'password' && mfaEnabled)
+  }));
+}
+
+/**
+ * Add a sign-in method to the signed-in user's account
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} provider - 'password', 'google' or 'apple'
+ * @param {Object} credentials - { password } | { idToken } | { identityToken, nonce } for the new method
+ * @param {Object} authentication - sessionId plus requireRecentAuthentication credentials
+ * @param {Object} context - { ipAddress, userAgent }
+ * @param {Object} options - { keySource } passed to the provider verification (tests)
+ * @returns {Promise<Array>} Updated identities
+ */
+async function linkIdentity(pool, userId, provider, credentials = {}, authentication = {}, context = {}, options = {}) {
+  await requireRecentAuthentication(pool, userId, authentication.sessionId, authentication);
+
+  if (provider === 'password') {
+    const { password } = credentials;
+    const passwordValidation = validatePasswordPolicy(password || '');
+    if (!passwordValidation.isValid) {
+      throw new Error(`Password does not meet security requirements: ${passwordValidation.errors.join(', ')}`);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const result = await pool.query(
+      `UPDATE users SET password_hash = $2, updated_at = NOW()
+       WHERE id = $1 AND password_hash IS NULL`,
+      [userId, passwordHash]
+    );
+    if (result.rowCount === 0) {
+      throw new Error('Password already set');
+    }
+  } else {
+    const payload = provider === 'google'
+      ? await googleAuth.verifyGoogleIdToken(credentials.idToken, options)
+      : await appleAuth.verifyAppleIdentityToken(credentials.identityToken, { ...options, nonce: credentials.nonce });
+
+    const linkedUserId = await identities.findUserIdByIdentity(pool, provider, payload.sub);
+    if (linkedUserId === userId) {
+      throw new Error(`${providerLabel(provider)} account already linked`);
+    }
+    if (linkedUserId) {
+      throw new Error(`This ${providerLabel(provider)} account is linked to another user`);
+    }
+    if (await identities.getIdentity(pool, userId, provider)) {
+      throw new Error(`A different ${providerLabel(provider)} account is already linked`);
+    }
+
+    try {
+      await identities.addIdentity(pool, userId, provider, payload.sub, payload.email || null);
+    } catch (error) {
+      // unique_violation: a concurrent request linked it first
+      if (error.code === '23505') {
+        throw new Error(`This ${providerLabel(provider)} account is linked to another user`);
+      }
+      throw error;
+    }
+  }
+
+  await logAuditEvent(pool, 'identity_linked', userId, context.ipAddress, context.userAgent, {
+    provider,
+    automatic: false
+  });
+
+  console.log(`🔗 ${provider} identity linked to user ${userId}`);
+
+  return getUserIdentities(pool, userId);
+}
+
+/**
+ * Remove a sign-in method from the signed-in user's account
+ * The last remaining method can't be removed.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} provider - 'password', 'google' or 'apple'
+ * @param {Object} authentication - sessionId plus requireRecentAuthentication credentials
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Array>} Updated identities
+ */
+async function unlinkIdentity(pool, userId, provider, authentication = {}, context = {}) {
+  await requireRecentAuthentication(pool, userId, authentication.sessionId, authentication);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the user so two unlinks can't each leave the other as the last method
+    const userResult = await client.query(
+      'SELECT password_hash IS NOT NULL AS has_password FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    if (userResult.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const current = await identities.listIdentities(client, userId);
+    if (!current.some(identity => identity.provider === provider)) {
+      throw new Error('Sign-in method not linked');
+    }
+    if (current.length <= 1) {
+      throw new Error('Cannot remove the last sign-in method');
+    }
+
+    if (provider === 'password') {
+      if (await isMfaEnabled(client, userId)) {
+        throw new Error('Turn off two-factor authentication before removing the password');
+      }
+      await client.query('UPDATE users SET password_hash = NULL, updated_at = NOW() WHERE id = $1', [userId]);
+    } else {
+      await identities.removeIdentity(client, userId, provider);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await logAuditEvent(pool, 'identity_unlinked', userId, context.ipAddress, context.userAgent, { provider });
+
+  console.log(`✂️ ${provider} identity unlinked from user ${userId}`);
+
+  return getUserIdentities(pool, userId);
+}
+
+/**
+ * Send password reset email
+ * @param {string} email - User email
+ * @param {string} resetToken - Reset token
+ */
+async function sendPasswordResetEmail(email, resetToken) {
+  // Build reset URL
+  const resetUrl = `${process.env.FRONTEND_URL || 'pushinapp://reset-password'}?token=${resetToken}`;
+
+  console.log(`📧 Sending password reset email to ${email}`);
+  console.log(`🔗 Reset URL: ${resetUrl}`);
+
   // Email template
   const mailOptions = {
     from: process.env.EMAIL_FROM || '"PUSHIN" <noreply@pushinapp.com>',
@@ -890,15 +2199,7 @@ This is an automated email. Please do not reply to this message.
     `.trim()
   };
 
-  // Send email
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log('✅ Password reset email sent successfully:', info.messageId);
-    return info;
-  } catch (error) {
-    console.error('❌ Failed to send password reset email:', error);
-    throw new Error(`Failed to send email: ${error.message}`);
-  }
+  return mailer.sendMail(mailOptions);
 }
 
 module.exports = {
@@ -909,12 +2210,14 @@ module.exports = {
   // Token utilities
   generateTokens,
   verifyToken,
+  generateAnonymousTokens,
+  verifyAnonymousToken,
   storeRefreshToken,
   removeRefreshToken,
   removeUserRefreshTokens,
+  startSession,
 
   // OAuth utilities
-  verifyGoogleToken,
 
   // Authentication methods
   registerUser,
@@ -938,7 +2241,35 @@ module.exports = {
 
   // Password reset functions
   initiatePasswordReset,
-  resetPassword
+  resetPassword,
+
+  // Email verification
+  initiateEmailVerification,
+  verifyEmail,
+
+  // Passwordless sign in
+  initiateMagicLink,
+  verifyMagicLink,
+
+  // Brute-force protection
+  unlockAccount,
+
+  // Two-factor authentication
+  isMfaEnabled,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+  verifyMfaChallenge,
+  disableMfa,
+  regenerateRecoveryCodes,
+
+  // Sensitive account changes
+  reauthenticate,
+  requireRecentAuthentication,
+
+  // Sign-in methods
+  getUserIdentities,
+  linkIdentity,
+  unlinkIdentity
 };
 
 
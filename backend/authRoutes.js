@@ -4,37 +4,43 @@
  */
 
 const express = require('express');
-const rateLimit = require('express-rate-limit');
 const auth = require('./auth');
+const anonymousIdentity = require('./anonymousIdentity');
+const sessionStore = require('./sessions');
+const identityStore = require('./identities');
+const accountDeletion = require('./accountDeletion');
+const { isValidTimeZone } = require('./streaks');
+const { createRateLimiter } = require('./rateLimits');
+const passwordPolicy = require('./passwordPolicy');
+const avatars = require('./avatars');
+const emailChange = require('./emailChange');
 
 const router = express.Router();
 
-// Rate limiting for password reset endpoints
-const forgotPasswordLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // Limit each IP to 5 requests per windowMs
-  message: {
-    success: false,
-    error: 'Too many password reset attempts. Please try again later.',
-    code: 'RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Use IP + email combination for more sophisticated limiting
-  keyGenerator: (req) => `${req.ip}:${req.body.email || 'unknown'}`,
-  skip: (req) => !req.body.email // Don't rate limit malformed requests
-});
-
-const resetPasswordLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // Limit each IP to 10 reset attempts per windowMs
-  message: {
-    success: false,
-    error: 'Too many password reset attempts. Please try again later.',
-    code: 'RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
+// Limits are configured in rateLimits.js
+const forgotPasswordLimiter = createRateLimiter('forgotPassword');
+const resetPasswordLimiter = createRateLimiter('resetPassword');
+const loginLimiter = createRateLimiter('login');
+const unlockAccountLimiter = createRateLimiter('unlockAccount');
+const anonymousIdentityLimiter = createRateLimiter('anonymousIdentity');
+const magicLinkLimiter = createRateLimiter('magicLink');
+const magicLinkVerifyLimiter = createRateLimiter('magicLinkVerify');
+const mfaManageLimiter = createRateLimiter('mfaManage');
+const identityLimiter = createRateLimiter('identity');
+const accountDeletionLimiter = createRateLimiter('accountDeletion');
+const restoreAccountLimiter = createRateLimiter('restoreAccount');
+const verifyEmailLimiter = createRateLimiter('verifyEmail');
+const resendVerificationLimiter = createRateLimiter('resendVerification');
+const avatarUploadLimiter = createRateLimiter('avatarUpload');
+const emailChangeLimiter = createRateLimiter('emailChange');
+const emailChangeTokenLimiter = createRateLimiter('emailChangeToken');
+
+// Two-factor codes are counted against the user the challenge was issued for
+const mfaVerifyLimiter = createRateLimiter('mfaVerify', {
+  keyGenerator: (req) => {
+    const challenge = req.body.mfaToken && auth.verifyToken(req.body.mfaToken, auth.JWT_SECRET);
+    return challenge && challenge.userId ? `user:${challenge.userId}` : req.ip;
+  }
 });
 
 /**
@@ -54,7 +60,9 @@ function authenticateToken(req, res, next) {
   }
 
   const decoded = auth.verifyToken(token, auth.JWT_SECRET);
-  if (!decoded) {
+  // Anonymous tokens share the secret but carry no userId; 2FA challenge
+  // tokens carry a userId but aren't access tokens
+  if (!decoded || !decoded.userId || decoded.type) {
     return res.status(403).json({
       success: false,
       error: 'Invalid or expired access token',
@@ -66,10 +74,62 @@ function authenticateToken(req, res, next) {
   next();
 }
 
+/**
+ * Subscriber Authentication Middleware
+ * Accepts either a user access token (sets req.user) or a guest purchaser's
+ * anonymous token (sets req.anonymous). Used by the /api/stripe routes.
+ */
+function authenticateSubscriber(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token or anonymous token required',
+      code: 'TOKEN_MISSING'
+    });
+  }
+
+  const anonymous = auth.verifyAnonymousToken(token);
+  if (anonymous) {
+    req.anonymous = { anonymousId: anonymous.anonymousId };
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+}
+
+/**
+ * Device details for the session a sign in starts
+ * deviceName and platform are optional body fields sent by the app.
+ */
+function getSessionContext(req) {
+  return {
+    deviceName: req.body.deviceName,
+    platform: req.body.platform,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
 // ===========================
 // AUTHENTICATION ENDPOINTS
 // ===========================
 
+/**
+ * GET /api/auth/password-policy
+ * The password rules, so the app can check a new password as it's typed
+ */
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      policy: passwordPolicy.getPublicPolicy()
+    }
+  });
+});
+
 /**
  * POST /api/auth/register
  * Register a new user with email and password
@@ -102,7 +162,7 @@ router.post('/register', async (req, res) => {
     // Get pool from app locals (set in main server.js)
     const pool = req.app.locals.pool;
 
-    const result = await auth.registerUser(pool, email, password, name);
+    const result = await auth.registerUser(pool, email, password, name, getSessionContext(req));
 
     console.log('✅ User registered successfully:', result.user.id);
 
@@ -135,7 +195,7 @@ router.post('/register', async (req, res) => {
  * POST /api/auth/login
  * Login with email and password
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     console.log('🔐 Login request:', { email: req.body.email });
 
@@ -150,7 +210,16 @@ router.post('/login', async (req, res) => {
     }
 
     const pool = req.app.locals.pool;
-    const result = await auth.loginUser(pool, email, password);
+    const result = await auth.loginUser(pool, email, password, getSessionContext(req));
+
+    if (result.mfaRequired) {
+      console.log('🔐 Password accepted, two-factor code required');
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: result
+      });
+    }
 
     console.log('✅ User logged in successfully:', result.user.id);
 
@@ -168,9 +237,57 @@ router.post('/login', async (req, res) => {
     if (error.message.includes('Invalid email or password')) {
       statusCode = 401;
       errorCode = 'INVALID_CREDENTIALS';
-    } else if (error.message.includes('OAuth')) {
-      statusCode = 401;
-      errorCode = 'OAUTH_ONLY';
+    } else if (error.message.includes('failed sign-in attempts')) {
+      statusCode = 429;
+      errorCode = error.message.startsWith('Account temporarily locked') ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED';
+      res.set('Retry-After', String(error.retryAfter));
+    } else if (error.message === 'Account is scheduled for deletion') {
+      statusCode = 403;
+      errorCode = 'ACCOUNT_PENDING_DELETION';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      code: errorCode
+    });
+  }
+});
+
+/**
+ * POST /api/auth/unlock
+ * Lift a sign-in lockout with the token from the account locked email
+ */
+router.post('/unlock', unlockAccountLimiter, async (req, res) => {
+  try {
+    console.log('🔓 Account unlock request');
+
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unlock token is required',
+        code: 'MISSING_TOKEN'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    await auth.unlockAccount(pool, token, req.ip, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can sign in again.'
+    });
+  } catch (error) {
+    console.error('❌ Account unlock error:', error.message);
+
+    let statusCode = 500;
+    let errorCode = 'UNLOCK_ERROR';
+
+    if (error.message.includes('Invalid or expired token')) {
+      statusCode = 400;
+      errorCode = 'INVALID_TOKEN';
     }
 
     res.status(statusCode).json({
@@ -200,7 +317,16 @@ router.post('/google', async (req, res) => {
     }
 
     const pool = req.app.locals.pool;
-    const result = await auth.loginWithGoogle(pool, idToken);
+    const result = await auth.loginWithGoogle(pool, idToken, getSessionContext(req));
+
+    if (result.mfaRequired) {
+      console.log('🔐 Google sign in accepted, two-factor code required');
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: result
+      });
+    }
 
     console.log('✅ Google authentication successful:', result.user.id);
 
@@ -218,6 +344,18 @@ router.post('/google', async (req, res) => {
     if (error.message.includes('Invalid Google token')) {
       statusCode = 401;
       errorCode = 'INVALID_GOOGLE_TOKEN';
+    } else if (error.message.includes('email is not verified')) {
+      statusCode = 403;
+      errorCode = 'EMAIL_NOT_VERIFIED';
+    } else if (error.message.includes('Signing keys unavailable')) {
+      statusCode = 503;
+      errorCode = 'PROVIDER_UNAVAILABLE';
+    } else if (error.message.endsWith('account is already linked')) {
+      statusCode = 409;
+      errorCode = 'IDENTITY_CONFLICT';
+    } else if (error.message === 'Account is scheduled for deletion') {
+      statusCode = 403;
+      errorCode = 'ACCOUNT_PENDING_DELETION';
     }
 
     res.status(statusCode).json({
@@ -236,7 +374,7 @@ router.post('/apple', async (req, res) => {
   try {
     console.log('🍎 Apple auth request');
 
-    const { identityToken, authorizationCode, user: appleUser } = req.body;
+    const { identityToken, authorizationCode, user: appleUser, nonce } = req.body;
 
     if (!identityToken) {
       return res.status(400).json({
@@ -247,7 +385,16 @@ router.post('/apple', async (req, res) => {
     }
 
     const pool = req.app.locals.pool;
-    const result = await auth.loginWithApple(pool, identityToken, appleUser);
+    const result = await auth.loginWithApple(pool, identityToken, appleUser, getSessionContext(req), { nonce });
+
+    if (result.mfaRequired) {
+      console.log('🔐 Apple sign in accepted, two-factor code required');
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: result
+      });
+    }
 
     console.log('✅ Apple authentication successful:', result.user.id);
 
@@ -262,9 +409,24 @@ router.post('/apple', async (req, res) => {
     let statusCode = 500;
     let errorCode = 'APPLE_AUTH_ERROR';
 
-    if (error.message.includes('Invalid Apple token') || error.message.includes('Email is required')) {
+    if (error.message.includes('Invalid Apple token')) {
+      statusCode = 401;
+      errorCode = 'INVALID_APPLE_TOKEN';
+    } else if (error.message.includes('Email is required')) {
       statusCode = 400;
       errorCode = 'INVALID_APPLE_TOKEN';
+    } else if (error.message.includes('email is not verified')) {
+      statusCode = 409;
+      errorCode = 'EMAIL_NOT_VERIFIED';
+    } else if (error.message.includes('Signing keys unavailable')) {
+      statusCode = 503;
+      errorCode = 'PROVIDER_UNAVAILABLE';
+    } else if (error.message.endsWith('account is already linked')) {
+      statusCode = 409;
+      errorCode = 'IDENTITY_CONFLICT';
+    } else if (error.message === 'Account is scheduled for deletion') {
+      statusCode = 403;
+      errorCode = 'ACCOUNT_PENDING_DELETION';
     }
 
     res.status(statusCode).json({
@@ -294,7 +456,7 @@ router.post('/refresh', async (req, res) => {
     }
 
     const pool = req.app.locals.pool;
-    const result = await auth.refreshAccessToken(pool, refreshToken);
+    const result = await auth.refreshAccessToken(pool, refreshToken, getSessionContext(req));
 
     console.log('✅ Token refreshed successfully');
 
@@ -306,6 +468,94 @@ router.post('/refresh', async (req, res) => {
   } catch (error) {
     console.error('❌ Token refresh error:', error.message);
 
+    // Another request from this device refreshed first; use the token it got
+    if (error.message === 'Refresh token already rotated') {
+      return res.status(409).json({
+        success: false,
+        error: 'Refresh token was already used by a concurrent request',
+        code: 'REFRESH_TOKEN_ROTATED'
+      });
+    }
+
+    if (error.message === 'Refresh token reuse detected') {
+      return res.status(401).json({
+        success: false,
+        error: 'Session revoked, please sign in again',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    res.status(403).json({
+      success: false,
+      error: 'Token refresh failed',
+      code: 'REFRESH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/anonymous
+ * Create a server-generated anonymous identity for guest purchases
+ */
+router.post('/anonymous', anonymousIdentityLimiter, async (req, res) => {
+  try {
+    console.log('👤 Anonymous identity request');
+
+    const pool = req.app.locals.pool;
+    const result = await anonymousIdentity.createAnonymousIdentity(pool);
+
+    res.status(201).json({
+      success: true,
+      message: 'Anonymous identity created',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Anonymous identity error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create anonymous identity',
+      code: 'ANONYMOUS_IDENTITY_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/anonymous/refresh
+ * Rotate an anonymous identity's tokens using its refresh token
+ */
+router.post('/anonymous/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required',
+        code: 'MISSING_REFRESH_TOKEN'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const result = await anonymousIdentity.refreshAnonymousTokens(pool, refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Anonymous token refresh error:', error.message);
+
+    // A linked identity lives on as the user's account; the client should sign in
+    if (error.message === 'Anonymous identity has been linked to an account') {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+        code: 'IDENTITY_LINKED'
+      });
+    }
+
     res.status(403).json({
       success: false,
       error: 'Token refresh failed',
@@ -342,6 +592,25 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Base64 takes 4 bytes per 3, plus room for the other profile fields
+const profileBodyParser = express.json({ limit: Math.ceil(avatars.AVATAR_MAX_BYTES * 4 / 3) + 16 * 1024 });
+
+/**
+ * JSON parser for PUT /api/auth/me, big enough for the base64
+ * profilePicture older app versions send. server.js mounts it ahead of the
+ * app-wide express.json(), whose 100kb limit would refuse the picture
+ * before this router runs. Oversized bodies get the API's error shape.
+ */
+function parseProfileUpdate(req, res, next) {
+  profileBodyParser(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      console.error('❌ Profile update error:', error.message);
+      return sendAvatarError(res, new Error('Image is too large'));
+    }
+    next(error);
+  });
+}
+
 /**
  * PUT /api/auth/me
  * Update current user profile
@@ -352,17 +621,19 @@ router.put('/me', authenticateToken, async (req, res) => {
 
     const { email, name, password } = req.body;
     const updates = {};
+    const pool = req.app.locals.pool;
 
-    // Validate and prepare updates
+    // The address only changes through POST /me/email (confirmed on both
+    // addresses); the app sends the unchanged one along with the profile
     if (email !== undefined) {
-      if (!email || !email.includes('@')) {
+      const current = await auth.getUserProfile(pool, req.user.userId);
+      if (typeof email !== 'string' || email.trim().toLowerCase() !== current.email.toLowerCase()) {
         return res.status(400).json({
           success: false,
-          error: 'Valid email is required',
-          code: 'INVALID_EMAIL'
+          error: 'Use POST /api/auth/me/email to change the email address',
+          code: 'EMAIL_CHANGE_REQUIRES_CONFIRMATION'
         });
       }
-      updates.email = email;
     }
 
     if (name !== undefined) {
@@ -399,13 +670,26 @@ router.put('/me', authenticateToken, async (req, res) => {
       updates.password = password;
     }
 
-    // Process profile picture
+    // Timezone drives server-side day boundaries (streaks)
+    if (req.body.timezone !== undefined) {
+      if (!isValidTimeZone(req.body.timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Timezone must be a valid IANA timezone (e.g. Europe/Berlin)',
+          code: 'INVALID_TIMEZONE'
+        });
+      }
+      updates.timezone = req.body.timezone;
+    }
+
+    // Older app versions send the picture here as base64; it gets the same
+    // checks and processing as PUT /me/avatar, and null removes it
+    let avatarImage;
     if (req.body.profilePicture !== undefined) {
-      // Basic validation for Base64 image string could be added here
-      updates.profile_picture = req.body.profilePicture;
+      avatarImage = req.body.profilePicture === null ? null : avatars.decodeBase64Image(req.body.profilePicture);
     }
 
-    if (Object.keys(updates).length === 0) {
+    if (Object.keys(updates).length === 0 && avatarImage === undefined) {
       return res.status(400).json({
         success: false,
         error: 'No valid fields to update',
@@ -413,8 +697,15 @@ router.put('/me', authenticateToken, async (req, res) => {
       });
     }
 
-    const pool = req.app.locals.pool;
-    const updatedUser = await auth.updateUserProfile(pool, req.user.userId, updates);
+    if (avatarImage) {
+      await avatars.setAvatar(pool, req.user.userId, avatarImage);
+    } else if (avatarImage === null) {
+      await avatars.removeAvatar(pool, req.user.userId);
+    }
+
+    const updatedUser = Object.keys(updates).length > 0
+      ? await auth.updateUserProfile(pool, req.user.userId, updates)
+      : await auth.getUserProfile(pool, req.user.userId);
 
     console.log('✅ User profile updated successfully:', updatedUser.id);
 
@@ -431,9 +722,11 @@ router.put('/me', authenticateToken, async (req, res) => {
     let statusCode = 500;
     let errorCode = 'UPDATE_USER_ERROR';
 
-    if (error.message.includes('already exists')) {
-      statusCode = 409;
-      errorCode = 'EMAIL_EXISTS';
+    if (error.message === 'Password has been used recently') {
+      statusCode = 400;
+      errorCode = 'PASSWORD_REUSED';
+    } else if (AVATAR_ERRORS[error.message]) {
+      [statusCode, errorCode] = AVATAR_ERRORS[error.message];
     }
 
     res.status(statusCode).json({
@@ -444,98 +737,1228 @@ router.put('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Status and code for each error avatars.js throws
+const AVATAR_ERRORS = {
+  'Image is required': [400, 'MISSING_IMAGE'],
+  'Image is not valid base64': [400, 'INVALID_IMAGE'],
+  'Image could not be read': [400, 'INVALID_IMAGE'],
+  'Image is too large': [413, 'IMAGE_TOO_LARGE'],
+  'Unsupported image type': [415, 'UNSUPPORTED_IMAGE_TYPE'],
+  'Image dimensions are too large': [400, 'INVALID_IMAGE_DIMENSIONS'],
+  'Image dimensions are too small': [400, 'INVALID_IMAGE_DIMENSIONS'],
+  'User not found': [404, 'USER_NOT_FOUND']
+};
+
 /**
- * POST /api/auth/logout
- * Logout user (invalidate refresh tokens)
+ * Send the API error response for a failed avatar change
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by avatars.js
  */
-router.post('/logout', authenticateToken, async (req, res) => {
+function sendAvatarError(res, error) {
+  const [statusCode, errorCode] = AVATAR_ERRORS[error.message] || [500, 'AVATAR_ERROR'];
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? 'Failed to update profile picture' : error.message,
+    code: errorCode
+  });
+}
+
+const avatarBodyParser = express.raw({ type: () => true, limit: avatars.AVATAR_MAX_BYTES });
+
+/**
+ * Read the uploaded image as raw bytes
+ * Bodies over the limit are refused (from Content-Length, before reading)
+ * with the API's error shape instead of Express's HTML error page.
+ */
+function parseAvatarUpload(req, res, next) {
+  avatarBodyParser(req, res, (error) => {
+    if (error) {
+      console.error('❌ Avatar upload error:', error.message);
+      return sendAvatarError(res, new Error(error.type === 'entity.too.large' ? 'Image is too large' : 'Image could not be read'));
+    }
+    next();
+  });
+}
+
+/**
+ * PUT /api/auth/me/avatar
+ * Set the profile picture. The body is the image file itself (JPEG, PNG or
+ * WebP, up to AVATAR_MAX_BYTES); the type is read from the file's content.
+ */
+router.put('/me/avatar', authenticateToken, avatarUploadLimiter, parseAvatarUpload, async (req, res) => {
   try {
-    console.log('🚪 Logout request:', req.user.userId);
+    console.log('🖼️ Avatar upload request:', req.user.userId);
 
     const pool = req.app.locals.pool;
-    await auth.logoutUser(pool, req.user.userId);
-
-    console.log('✅ User logged out successfully');
+    await avatars.setAvatar(pool, req.user.userId, req.body);
+    const user = await auth.getUserProfile(pool, req.user.userId);
 
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Profile picture updated',
+      data: {
+        user
+      }
     });
   } catch (error) {
-    console.error('❌ Logout error:', error.message);
-
-    res.status(500).json({
-      success: false,
-      error: 'Logout failed',
-      code: 'LOGOUT_ERROR'
-    });
+    console.error('❌ Avatar upload error:', error.message);
+    sendAvatarError(res, error);
   }
 });
 
 /**
- * POST /api/auth/forgot-password
- * Initiate password reset by sending email with reset token
+ * DELETE /api/auth/me/avatar
+ * Remove the profile picture
  */
-router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
+router.delete('/me/avatar', authenticateToken, avatarUploadLimiter, async (req, res) => {
   try {
-    console.log('🔑 Forgot password request:', { email: req.body.email });
-
-    const { email } = req.body;
-
-    if (!email || !email.includes('@')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid email is required',
-        code: 'INVALID_EMAIL'
-      });
-    }
+    console.log('🖼️ Avatar removal request:', req.user.userId);
 
     const pool = req.app.locals.pool;
-    const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
-    const userAgent = req.headers['user-agent'] || 'unknown';
-
-    const result = await auth.initiatePasswordReset(pool, email, clientIp, userAgent);
-
-    console.log('✅ Password reset initiated for:', email);
+    await avatars.removeAvatar(pool, req.user.userId);
+    const user = await auth.getUserProfile(pool, req.user.userId);
 
     res.json({
       success: true,
-      message: 'Password reset email sent',
-      data: result
+      message: 'Profile picture removed',
+      data: {
+        user
+      }
     });
   } catch (error) {
-    console.error('❌ Forgot password error:', error.message);
+    console.error('❌ Avatar removal error:', error.message);
+    sendAvatarError(res, error);
+  }
+});
 
-    if (error.message.includes('User not found')) {
-      // Don't reveal if user exists for security
-      return res.json({
-        success: true,
-        message: 'If an account with that email exists, a password reset link has been sent.'
-      });
-    }
+/**
+ * Send the API error response for a failed email change step
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by emailChange.js
+ * @param {string} fallbackCode - Code for unexpected errors
+ */
+function sendEmailChangeError(res, error, fallbackCode) {
+  let statusCode = 500;
+  let errorCode = fallbackCode;
+
+  if (error.message === 'Valid email is required') {
+    statusCode = 400;
+    errorCode = 'INVALID_EMAIL';
+  } else if (error.message === 'New email is the same as the current one') {
+    statusCode = 400;
+    errorCode = 'EMAIL_UNCHANGED';
+  } else if (error.message.includes('already exists')) {
+    statusCode = 409;
+    errorCode = 'EMAIL_EXISTS';
+  } else if (error.message === 'Recent sign in required') {
+    statusCode = 401;
+    errorCode = 'RECENT_SIGN_IN_REQUIRED';
+  } else if (error.message === 'Re-authentication failed') {
+    statusCode = 401;
+    errorCode = 'REAUTH_FAILED';
+  } else if (error.message === 'Invalid two-factor code') {
+    statusCode = 401;
+    errorCode = 'INVALID_MFA_CODE';
+  } else if (error.message === 'No pending email change') {
+    statusCode = 404;
+    errorCode = 'NO_PENDING_EMAIL_CHANGE';
+  } else if (error.message.includes('Invalid or expired token')) {
+    statusCode = 400;
+    errorCode = 'INVALID_TOKEN';
+  } else if (error.message.includes('already been used')) {
+    statusCode = 400;
+    errorCode = 'TOKEN_USED';
+  } else if (error.message === 'Failed to send confirmation email') {
+    errorCode = 'EMAIL_CHANGE_EMAIL_ERROR';
+  }
 
-    res.status(500).json({
-      success: false,
-      error: 'Failed to send password reset email',
-      code: 'RESET_EMAIL_ERROR'
+  res.status(statusCode).json({
+    success: false,
+    error: error.message,
+    code: errorCode
+  });
+}
+
+/**
+ * GET /api/auth/me/email
+ * The current user's pending email change, if any
+ */
+router.get('/me/email', authenticateToken, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const pendingEmailChange = await emailChange.getPendingEmailChange(pool, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        pendingEmailChange
+      }
     });
+  } catch (error) {
+    console.error('❌ Pending email change error:', error.message);
+    sendEmailChangeError(res, error, 'EMAIL_CHANGE_ERROR');
   }
 });
 
 /**
- * POST /api/auth/reset-password
- * Complete password reset using token
+ * POST /api/auth/me/email
+ * Start changing the email address: { newEmail }, plus currentPassword
+ * (and code or recoveryCode with 2FA) unless the session signed in within
+ * the last 10 minutes. The address changes once the link sent to it is
+ * opened; the current address gets a notice with a revert link.
  */
-router.post('/reset-password', resetPasswordLimiter, async (req, res) => {
+router.post('/me/email', authenticateToken, emailChangeLimiter, async (req, res) => {
   try {
-    console.log('🔄 Reset password request');
+    console.log('📧 Email change request:', req.user.userId);
 
-    const { token, newPassword } = req.body;
+    const { newEmail, currentPassword, code, recoveryCode } = req.body || {};
 
-    if (!token || !newPassword) {
+    if (!newEmail) {
       return res.status(400).json({
         success: false,
-        error: 'Token and new password are required',
+        error: 'New email is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const pendingEmailChange = await emailChange.requestEmailChange(
+      pool,
+      req.user.userId,
+      newEmail,
+      { sessionId: req.user.sid, currentPassword, code, recoveryCode },
+      { ipAddress: req.ip, userAgent: req.get('user-agent') }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: 'Check your new email address for a confirmation link',
+      data: {
+        pendingEmailChange
+      }
+    });
+  } catch (error) {
+    console.error('❌ Email change request error:', error.message);
+    sendEmailChangeError(res, error, 'EMAIL_CHANGE_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/auth/me/email
+ * Withdraw the pending email change
+ */
+router.delete('/me/email', authenticateToken, emailChangeLimiter, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    await emailChange.cancelEmailChange(pool, req.user.userId, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+
+    res.json({
+      success: true,
+      message: 'Email change canceled'
+    });
+  } catch (error) {
+    console.error('❌ Email change cancel error:', error.message);
+    sendEmailChangeError(res, error, 'EMAIL_CHANGE_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/email-change/confirm
+ * Apply the change with the token from the link sent to the new address.
+ * Every other device is signed out.
+ */
+router.post('/email-change/confirm', emailChangeTokenLimiter, async (req, res) => {
+  try {
+    console.log('📧 Email change confirmation');
+
+    const { token } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Confirmation token is required',
+        code: 'MISSING_TOKEN'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const { email } = await emailChange.confirmEmailChange(pool, token, req.ip, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: 'Email address changed',
+      data: {
+        email
+      }
+    });
+  } catch (error) {
+    console.error('❌ Email change confirmation error:', error.message);
+    sendEmailChangeError(res, error, 'EMAIL_CHANGE_CONFIRM_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/email-change/revert
+ * Undo a change with the token from the notice sent to the old address.
+ * Works before and after the change was confirmed; every device is signed out.
+ */
+router.post('/email-change/revert', emailChangeTokenLimiter, async (req, res) => {
+  try {
+    console.log('↩️ Email change revert');
+
+    const { token } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Revert token is required',
+        code: 'MISSING_TOKEN'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const { email } = await emailChange.revertEmailChange(pool, token, req.ip, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: "Email change undone and all devices signed out. If you didn't make this change, reset your password.",
+      data: {
+        email
+      }
+    });
+  } catch (error) {
+    console.error('❌ Email change revert error:', error.message);
+    sendEmailChangeError(res, error, 'EMAIL_CHANGE_REVERT_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/auth/me
+ * Schedule the current user's account for deletion
+ * Requires re-authentication: password, or a fresh Google idToken / Apple
+ * identityToken (+ nonce), plus code or recoveryCode when 2FA is on.
+ */
+router.delete('/me', authenticateToken, accountDeletionLimiter, async (req, res) => {
+  try {
+    console.log('🗑️ Account deletion request:', req.user.userId);
+
+    const { password, idToken, identityToken, nonce, code, recoveryCode } = req.body || {};
+
+    if (!password && !idToken && !identityToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password, idToken or identityToken is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const stripe = req.app.locals.stripe;
+    const { scheduledFor } = await accountDeletion.requestAccountDeletion(
+      pool,
+      stripe,
+      req.user.userId,
+      { password, idToken, identityToken, nonce, code, recoveryCode },
+      { ipAddress: req.ip, userAgent: req.get('user-agent') }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: 'Account scheduled for deletion. Check your email to undo this before it happens.',
+      data: {
+        scheduledFor: scheduledFor.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Account deletion error:', error.message);
+
+    let statusCode = 500;
+    let errorCode = 'ACCOUNT_DELETION_ERROR';
+
+    if (error.message === 'Re-authentication failed') {
+      statusCode = 401;
+      errorCode = 'REAUTH_FAILED';
+    } else if (error.message === 'Invalid two-factor code') {
+      statusCode = 401;
+      errorCode = 'INVALID_MFA_CODE';
+    } else if (error.message === 'Account is scheduled for deletion') {
+      statusCode = 409;
+      errorCode = 'ACCOUNT_PENDING_DELETION';
+    } else if (error.message === 'Could not cancel subscription') {
+      statusCode = 502;
+      errorCode = 'SUBSCRIPTION_CANCEL_FAILED';
+    } else if (error.message === 'User not found') {
+      statusCode = 404;
+      errorCode = 'USER_NOT_FOUND';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      code: errorCode
+    });
+  }
+});
+
+/**
+ * POST /api/auth/me/restore
+ * Cancel a pending account deletion with the token from the confirmation email
+ */
+router.post('/me/restore', restoreAccountLimiter, async (req, res) => {
+  try {
+    console.log('♻️ Account restore request');
+
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Restore token is required',
+        code: 'MISSING_TOKEN'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const stripe = req.app.locals.stripe;
+    const { email } = await accountDeletion.cancelAccountDeletion(pool, stripe, token, req.ip, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: 'Account restored. You can sign in again.',
+      data: {
+        email
+      }
+    });
+  } catch (error) {
+    console.error('❌ Account restore error:', error.message);
+
+    let statusCode = 500;
+    let errorCode = 'ACCOUNT_RESTORE_ERROR';
+
+    if (error.message.includes('Invalid or expired token')) {
+      statusCode = 400;
+      errorCode = 'INVALID_TOKEN';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      code: errorCode
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the devices the current user is signed in on
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const sessions = await sessionStore.listSessions(pool, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.user.sid
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ List sessions error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one device (its refresh tokens stop working immediately)
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id, 10);
+
+    if (!Number.isInteger(sessionId) || String(sessionId) !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID',
+        code: 'INVALID_SESSION_ID'
+      });
+    }
+
+    console.log('🚪 Revoke session request:', req.user.userId, sessionId);
+
+    const pool = req.app.locals.pool;
+    const revoked = await sessionStore.revokeSession(pool, req.user.userId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * Map sign-in method errors to responses
+ */
+function sendIdentityError(res, error, fallbackCode) {
+  let statusCode = 500;
+  let errorCode = fallbackCode;
+
+  if (error.message === 'Recent sign in required') {
+    statusCode = 401;
+    errorCode = 'RECENT_SIGN_IN_REQUIRED';
+  } else if (error.message === 'Re-authentication failed') {
+    statusCode = 401;
+    errorCode = 'REAUTH_FAILED';
+  } else if (error.message === 'Invalid two-factor code') {
+    statusCode = 401;
+    errorCode = 'INVALID_MFA_CODE';
+  } else if (error.message.includes('Invalid Google token')) {
+    statusCode = 401;
+    errorCode = 'INVALID_GOOGLE_TOKEN';
+  } else if (error.message.includes('Invalid Apple token')) {
+    statusCode = 401;
+    errorCode = 'INVALID_APPLE_TOKEN';
+  } else if (error.message.includes('email is not verified')) {
+    statusCode = 403;
+    errorCode = 'EMAIL_NOT_VERIFIED';
+  } else if (error.message.includes('Signing keys unavailable')) {
+    statusCode = 503;
+    errorCode = 'PROVIDER_UNAVAILABLE';
+  } else if (error.message.includes('does not meet security requirements')) {
+    statusCode = 400;
+    errorCode = 'INVALID_PASSWORD_POLICY';
+  } else if (error.message === 'Password already set' || error.message.endsWith('account already linked')) {
+    statusCode = 409;
+    errorCode = 'IDENTITY_ALREADY_LINKED';
+  } else if (error.message.endsWith('is linked to another user')) {
+    statusCode = 409;
+    errorCode = 'IDENTITY_IN_USE';
+  } else if (error.message.endsWith('account is already linked')) {
+    statusCode = 409;
+    errorCode = 'IDENTITY_CONFLICT';
+  } else if (error.message === 'Sign-in method not linked') {
+    statusCode = 404;
+    errorCode = 'IDENTITY_NOT_FOUND';
+  } else if (error.message === 'Cannot remove the last sign-in method') {
+    statusCode = 409;
+    errorCode = 'LAST_SIGN_IN_METHOD';
+  } else if (error.message.startsWith('Turn off two-factor authentication')) {
+    statusCode = 409;
+    errorCode = 'MFA_ENABLED';
+  } else if (error.message === 'User not found') {
+    statusCode = 404;
+    errorCode = 'USER_NOT_FOUND';
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: error.message,
+    code: errorCode
+  });
+}
+
+/**
+ * Check the :provider route parameter
+ */
+function isIdentityProvider(provider) {
+  return provider === 'password' || identityStore.PROVIDERS.includes(provider);
+}
+
+/**
+ * GET /api/auth/identities
+ * List the current user's sign-in methods (password, Google, Apple)
+ */
+router.get('/identities', authenticateToken, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const identities = await auth.getUserIdentities(pool, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        identities
+      }
+    });
+  } catch (error) {
+    console.error('❌ List identities error:', error.message);
+    sendIdentityError(res, error, 'IDENTITIES_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/identities/:provider
+ * Add a sign-in method: { password } to set a password, { idToken } for
+ * Google, { identityToken, nonce } for Apple. Needs a sign in within the
+ * last 10 minutes, or currentPassword (+ code / recoveryCode with 2FA).
+ */
+router.post('/identities/:provider', authenticateToken, identityLimiter, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!isIdentityProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provider must be password, google or apple',
+        code: 'INVALID_PROVIDER'
+      });
+    }
+
+    const { password, idToken, identityToken, nonce, currentPassword, code, recoveryCode } = req.body;
+
+    const credentialField = { password: 'password', google: 'idToken', apple: 'identityToken' }[provider];
+    if (!req.body[credentialField]) {
+      return res.status(400).json({
+        success: false,
+        error: `${credentialField} is required`,
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (provider === 'password') {
+      const passwordValidation = auth.validatePasswordPolicy(password);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: `Password does not meet security requirements: ${passwordValidation.errors.join(', ')}`,
+          code: 'INVALID_PASSWORD_POLICY',
+          violations: passwordValidation.errors
+        });
+      }
+    }
+
+    console.log('🔗 Link identity request:', req.user.userId, provider);
+
+    const pool = req.app.locals.pool;
+    const identities = await auth.linkIdentity(
+      pool,
+      req.user.userId,
+      provider,
+      { password, idToken, identityToken, nonce },
+      { sessionId: req.user.sid, currentPassword, code, recoveryCode },
+      { ipAddress: req.ip, userAgent: req.get('user-agent') }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Sign-in method added',
+      data: {
+        identities
+      }
+    });
+  } catch (error) {
+    console.error('❌ Link identity error:', error.message);
+    sendIdentityError(res, error, 'LINK_IDENTITY_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/auth/identities/:provider
+ * Remove a sign-in method; the last one can't be removed. Same recent sign
+ * in / currentPassword requirement as linking.
+ */
+router.delete('/identities/:provider', authenticateToken, identityLimiter, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!isIdentityProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provider must be password, google or apple',
+        code: 'INVALID_PROVIDER'
+      });
+    }
+
+    console.log('✂️ Unlink identity request:', req.user.userId, provider);
+
+    const { currentPassword, code, recoveryCode } = req.body || {};
+
+    const pool = req.app.locals.pool;
+    const identities = await auth.unlinkIdentity(
+      pool,
+      req.user.userId,
+      provider,
+      { sessionId: req.user.sid, currentPassword, code, recoveryCode },
+      { ipAddress: req.ip, userAgent: req.get('user-agent') }
+    );
+
+    res.json({
+      success: true,
+      message: 'Sign-in method removed',
+      data: {
+        identities
+      }
+    });
+  } catch (error) {
+    console.error('❌ Unlink identity error:', error.message);
+    sendIdentityError(res, error, 'UNLINK_IDENTITY_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Logout the current device, or every device with { "all": true }
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚪 Logout request:', req.user.userId);
+
+    const pool = req.app.locals.pool;
+    await auth.logoutUser(pool, req.user.userId, {
+      sessionId: req.user.sid,
+      all: req.body.all === true
+    });
+
+    console.log('✅ User logged out successfully');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('❌ Logout error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      code: 'LOGOUT_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link
+ * Email a sign-in link (pushinapp://login?token=...) or a 6-digit code
+ */
+router.post('/magic-link', magicLinkLimiter, async (req, res) => {
+  try {
+    console.log('✨ Magic link request:', { email: req.body.email, method: req.body.method });
+
+    const { email, method = 'link' } = req.body;
+
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid email is required',
+        code: 'INVALID_EMAIL'
+      });
+    }
+
+    if (method !== 'link' && method !== 'code') {
+      return res.status(400).json({
+        success: false,
+        error: "Method must be 'link' or 'code'",
+        code: 'INVALID_METHOD'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    await auth.initiateMagicLink(pool, email, method, clientIp, userAgent);
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: method === 'code'
+        ? 'If an account with that email exists, a sign-in code has been sent.'
+        : 'If an account with that email exists, a sign-in link has been sent.'
+    });
+  } catch (error) {
+    console.error('❌ Magic link error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send sign-in email',
+      code: 'MAGIC_LINK_EMAIL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Exchange a sign-in link token, or email + code, for access and refresh tokens
+ */
+router.post('/magic-link/verify', magicLinkVerifyLimiter, async (req, res) => {
+  try {
+    console.log('✨ Magic link verify request');
+
+    const { token, email, code } = req.body;
+
+    if (!token && !(email && code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token, or email and code, are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    // JSON can carry numbers, arrays and objects; only strings get further
+    if (token && typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    if (!token && typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid email is required',
+        code: 'INVALID_EMAIL'
+      });
+    }
+
+    if (!token && (typeof code !== 'string' || !/^\d{6}$/.test(code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code must be 6 digits',
+        code: 'INVALID_CODE'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const result = await auth.verifyMagicLink(pool, { token, email, code }, getSessionContext(req));
+
+    if (result.mfaRequired) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Magic link verify error:', error.message);
+
+    let statusCode = 500;
+    let errorCode = 'MAGIC_LINK_ERROR';
+
+    if (error.message.includes('Invalid or expired token')) {
+      statusCode = 400;
+      errorCode = 'INVALID_TOKEN';
+    } else if (error.message.includes('Invalid or expired code')) {
+      statusCode = 400;
+      errorCode = 'INVALID_CODE';
+    } else if (error.message.includes('already been used')) {
+      statusCode = 400;
+      errorCode = 'TOKEN_USED';
+    } else if (error.message === 'Account is scheduled for deletion') {
+      statusCode = 403;
+      errorCode = 'ACCOUNT_PENDING_DELETION';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      code: errorCode
+    });
+  }
+});
+
+/**
+ * Map two-factor errors to responses
+ */
+function sendMfaError(res, error, fallbackCode) {
+  let statusCode = 500;
+  let errorCode = fallbackCode;
+
+  if (error.message === 'Invalid two-factor code') {
+    statusCode = 401;
+    errorCode = 'INVALID_MFA_CODE';
+  } else if (error.message === 'Invalid or expired two-factor challenge') {
+    statusCode = 401;
+    errorCode = 'INVALID_MFA_CHALLENGE';
+  } else if (error.message === 'Invalid password') {
+    statusCode = 401;
+    errorCode = 'INVALID_CREDENTIALS';
+  } else if (error.message === 'Recent sign in required') {
+    statusCode = 401;
+    errorCode = 'RECENT_SIGN_IN_REQUIRED';
+  } else if (error.message === 'Re-authentication failed') {
+    statusCode = 401;
+    errorCode = 'REAUTH_FAILED';
+  } else if (error.message === 'Two-factor authentication is already enabled') {
+    statusCode = 409;
+    errorCode = 'MFA_ALREADY_ENABLED';
+  } else if (error.message === 'Two-factor authentication is not enabled'
+    || error.message === 'No two-factor enrollment in progress') {
+    statusCode = 409;
+    errorCode = 'MFA_NOT_ENABLED';
+  } else if (error.message === 'Two-factor authentication requires a password') {
+    statusCode = 400;
+    errorCode = 'PASSWORD_REQUIRED';
+  } else if (error.message === 'User not found') {
+    statusCode = 404;
+    errorCode = 'USER_NOT_FOUND';
+  } else if (error.message === 'Account is scheduled for deletion') {
+    statusCode = 403;
+    errorCode = 'ACCOUNT_PENDING_DELETION';
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: error.message,
+    code: errorCode
+  });
+}
+
+/**
+ * POST /api/auth/mfa/verify
+ * Second sign-in step: exchange the mfaToken from login plus a TOTP code
+ * (or a recovery code) for access and refresh tokens
+ */
+router.post('/mfa/verify', mfaVerifyLimiter, async (req, res) => {
+  try {
+    console.log('🔐 Two-factor verify request');
+
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mfaToken and a code or recoveryCode are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const result = await auth.verifyMfaChallenge(pool, mfaToken, { code, recoveryCode }, getSessionContext(req));
+
+    console.log('✅ User logged in with two-factor authentication:', result.user.id);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Two-factor verify error:', error.message);
+    sendMfaError(res, error, 'MFA_VERIFY_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enroll
+ * Start enabling 2FA: returns the secret and an otpauth:// URI for a QR code.
+ * Needs a sign in within the last 10 minutes, or currentPassword.
+ */
+router.post('/mfa/enroll', authenticateToken, mfaManageLimiter, async (req, res) => {
+  try {
+    console.log('🔐 Two-factor enroll request:', req.user.userId);
+
+    const { currentPassword } = req.body || {};
+
+    const pool = req.app.locals.pool;
+    const result = await auth.startMfaEnrollment(
+      pool,
+      req.user.userId,
+      { sessionId: req.user.sid, currentPassword },
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Two-factor enroll error:', error.message);
+    sendMfaError(res, error, 'MFA_ENROLL_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/mfa/confirm
+ * Finish enabling 2FA with a code from the app; returns the recovery codes.
+ * Same recent sign in / currentPassword requirement as enrolling.
+ */
+router.post('/mfa/confirm', authenticateToken, mfaManageLimiter, async (req, res) => {
+  try {
+    console.log('🔐 Two-factor confirm request:', req.user.userId);
+
+    const { code, currentPassword } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const result = await auth.confirmMfaEnrollment(
+      pool,
+      req.user.userId,
+      code,
+      { sessionId: req.user.sid, currentPassword },
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Two-factor confirm error:', error.message);
+    sendMfaError(res, error, 'MFA_CONFIRM_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn 2FA off; requires the password and a code or recovery code
+ */
+router.post('/mfa/disable', authenticateToken, mfaManageLimiter, async (req, res) => {
+  try {
+    console.log('🔓 Two-factor disable request:', req.user.userId);
+
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password and a code or recoveryCode are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    await auth.disableMfa(pool, req.user.userId, { password, code, recoveryCode }, req.ip, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('❌ Two-factor disable error:', error.message);
+    sendMfaError(res, error, 'MFA_DISABLE_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace the recovery codes; confirmed with a current code
+ */
+router.post('/mfa/recovery-codes', authenticateToken, mfaManageLimiter, async (req, res) => {
+  try {
+    console.log('🔐 Recovery codes request:', req.user.userId);
+
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const result = await auth.regenerateRecoveryCodes(pool, req.user.userId, code, req.ip, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Recovery codes error:', error.message);
+    sendMfaError(res, error, 'MFA_RECOVERY_CODES_ERROR');
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Verify the user's email address using the token from the verification link
+ */
+router.post('/verify-email', verifyEmailLimiter, async (req, res) => {
+  try {
+    console.log('📧 Verify email request');
+
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification token is required',
+        code: 'MISSING_TOKEN'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    const result = await auth.verifyEmail(pool, token, clientIp, userAgent);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        email: result.email
+      }
+    });
+  } catch (error) {
+    console.error('❌ Verify email error:', error.message);
+
+    let statusCode = 500;
+    let errorCode = 'VERIFY_EMAIL_ERROR';
+
+    if (error.message.includes('Invalid or expired token')) {
+      statusCode = 400;
+      errorCode = 'INVALID_TOKEN';
+    } else if (error.message.includes('already been used')) {
+      statusCode = 400;
+      errorCode = 'TOKEN_USED';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      code: errorCode
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send a new verification link to the current user's email address
+ */
+router.post('/verify-email/resend', authenticateToken, resendVerificationLimiter, async (req, res) => {
+  try {
+    console.log('📧 Resend verification email request:', req.user.userId);
+
+    const pool = req.app.locals.pool;
+    const result = await auth.initiateEmailVerification(pool, req.user.userId, req.ip, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Resend verification error:', error.message);
+
+    let statusCode = 500;
+    let errorCode = 'VERIFICATION_EMAIL_ERROR';
+
+    if (error.message === 'Email already verified') {
+      statusCode = 409;
+      errorCode = 'EMAIL_ALREADY_VERIFIED';
+    } else if (error.message === 'User not found') {
+      statusCode = 404;
+      errorCode = 'USER_NOT_FOUND';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      code: errorCode
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Initiate password reset by sending email with reset token
+ */
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
+  try {
+    console.log('🔑 Forgot password request:', { email: req.body.email });
+
+    const { email } = req.body;
+
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid email is required',
+        code: 'INVALID_EMAIL'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    const result = await auth.initiatePasswordReset(pool, email, clientIp, userAgent);
+
+    console.log('✅ Password reset initiated for:', email);
+
+    res.json({
+      success: true,
+      message: 'Password reset email sent',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error.message);
+
+    if (error.message.includes('User not found')) {
+      // Don't reveal if user exists for security
+      return res.json({
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send password reset email',
+      code: 'RESET_EMAIL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Complete password reset using token
+ */
+router.post('/reset-password', resetPasswordLimiter, async (req, res) => {
+  try {
+    console.log('🔄 Reset password request');
+
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and new password are required',
         code: 'MISSING_FIELDS'
       });
     }
@@ -576,6 +1999,9 @@ router.post('/reset-password', resetPasswordLimiter, async (req, res) => {
     } else if (error.message.includes('Token already used')) {
       statusCode = 400;
       errorCode = 'TOKEN_USED';
+    } else if (error.message === 'Password has been used recently') {
+      statusCode = 400;
+      errorCode = 'PASSWORD_REUSED';
     }
 
     res.status(statusCode).json({
@@ -670,16 +2096,6 @@ router.post('/validate-reset-token', resetPasswordLimiter, async (req, res) => {
 });
 
 module.exports = router;
-
-
-
-
-
-
-
-
-
-
-
-
-
+module.exports.authenticateToken = authenticateToken;
+module.exports.authenticateSubscriber = authenticateSubscriber;
+module.exports.parseProfileUpdate = parseProfileUpdate;
@@ -0,0 +1,215 @@
+/**
+ * Avatar Storage Module for Pushin Reload Backend
+ * Where processed profile pictures are kept, behind one small interface
+ *
+ * Features:
+ * - Backends with put(key, body, contentType), remove(key) and url(key)
+ * - 'local': files under AVATAR_STORAGE_DIR, served by this server at /media
+ *   (development, single instance)
+ * - 's3': any S3-compatible store (AWS S3, Cloudflare R2, MinIO, ...),
+ *   requests signed with AWS Signature Version 4
+ * - Picked with AVATAR_STORAGE; public URLs are AVATAR_PUBLIC_URL + key, so
+ *   a CDN can sit in front of either backend
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const LOCAL_MEDIA_PATH = '/media';
+
+/**
+ * SHA-256 as lowercase hex
+ * @param {Buffer|string} data - Data to hash
+ * @returns {string} Hex digest
+ */
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {Buffer|string} key - Key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} Signature
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Sign an S3 request (AWS Signature Version 4, no query parameters)
+ * Every header passed in is signed; host, x-amz-date and
+ * x-amz-content-sha256 are added.
+ * @param {Object} request - { method, url, headers, body }
+ * @param {Object} credentials - { region, accessKeyId, secretAccessKey }
+ * @param {Date} now - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+function signS3Request({ method, url, headers = {}, body = '' }, { region, accessKeyId, secretAccessKey }, now = new Date()) {
+  const { host, pathname } = new URL(url);
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host,
+    'x-amz-content-sha256': sha256Hex(body),
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(signed).sort();
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    '',
+    headerNames.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    signed['x-amz-content-sha256']
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  delete signed.host;
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * Storage on the local disk
+ * @param {Object} options - { dir, publicUrl }
+ * @returns {Object} Storage backend
+ */
+function createLocalStorage({ dir, publicUrl }) {
+  const filePath = (key) => path.join(dir, ...key.split('/'));
+
+  return {
+    name: 'local',
+    dir,
+
+    async put(key, body) {
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.promises.writeFile(filePath(key), body);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+
+    url(key) {
+      return `${publicUrl}/${key}`;
+    }
+  };
+}
+
+/**
+ * Storage in an S3-compatible bucket (path-style URLs)
+ * @param {Object} options - { endpoint, bucket, region, accessKeyId, secretAccessKey, publicUrl }
+ * @returns {Object} Storage backend
+ */
+function createS3Storage({ endpoint, bucket, region, accessKeyId, secretAccessKey, publicUrl }) {
+  const credentials = { region, accessKeyId, secretAccessKey };
+  const objectUrl = (key) => `${endpoint}/${bucket}/${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, body, contentType) {
+      const url = objectUrl(key);
+      const headers = signS3Request({
+        method: 'PUT',
+        url,
+        headers: {
+          'Content-Type': contentType,
+          // Keys change with every upload, so an object never changes
+          'Cache-Control': 'public, max-age=31536000, immutable'
+        },
+        body
+      }, credentials);
+
+      await axios.put(url, body, { headers, maxBodyLength: Infinity, timeout: 15000 });
+    },
+
+    async remove(key) {
+      const url = objectUrl(key);
+      await axios.delete(url, { headers: signS3Request({ method: 'DELETE', url }, credentials), timeout: 15000 });
+    },
+
+    url(key) {
+      return `${publicUrl || `${endpoint}/${bucket}`}/${key}`;
+    }
+  };
+}
+
+/**
+ * Build the storage backend from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Storage backend
+ */
+function createStorageFromEnv(env = process.env) {
+  const trim = (url) => (url || '').replace(/\/$/, '');
+
+  if ((env.AVATAR_STORAGE || 'local') === 's3') {
+    const missing = ['AVATAR_S3_ENDPOINT', 'AVATAR_S3_BUCKET', 'AVATAR_S3_ACCESS_KEY_ID', 'AVATAR_S3_SECRET_ACCESS_KEY']
+      .filter(name => !env[name]);
+    if (missing.length > 0) {
+      throw new Error(`AVATAR_STORAGE=s3 needs ${missing.join(', ')}`);
+    }
+
+    return createS3Storage({
+      endpoint: trim(env.AVATAR_S3_ENDPOINT),
+      bucket: env.AVATAR_S3_BUCKET,
+      region: env.AVATAR_S3_REGION || 'us-east-1',
+      accessKeyId: env.AVATAR_S3_ACCESS_KEY_ID,
+      secretAccessKey: env.AVATAR_S3_SECRET_ACCESS_KEY,
+      publicUrl: trim(env.AVATAR_PUBLIC_URL)
+    });
+  }
+
+  return createLocalStorage({
+    dir: env.AVATAR_STORAGE_DIR || path.join(__dirname, 'uploads'),
+    publicUrl: trim(env.AVATAR_PUBLIC_URL) || `${trim(env.API_BASE_URL) || 'http://localhost:3000'}${LOCAL_MEDIA_PATH}`
+  });
+}
+
+let storage = null;
+
+/**
+ * The configured storage backend (built on first use)
+ * @returns {Object} Storage backend
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorageFromEnv();
+  }
+  return storage;
+}
+
+/**
+ * Replace the storage backend (tests)
+ * @param {Object} backend - Storage backend
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  LOCAL_MEDIA_PATH,
+  signS3Request,
+  createLocalStorage,
+  createS3Storage,
+  createStorageFromEnv,
+  getStorage,
+  setStorage
+};
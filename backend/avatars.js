@@ -0,0 +1,245 @@
+/**
+ * Avatars Module for Pushin Reload Backend
+ * Profile picture uploads
+ *
+ * Features:
+ * - The image type is taken from the file's magic bytes (JPEG, PNG or WebP),
+ *   never from the client's Content-Type or file name
+ * - Size limits on the upload (AVATAR_MAX_BYTES, default 5 MB) and on the
+ *   decoded image (MAX_INPUT_PIXELS), so a small file can't expand into a
+ *   huge bitmap
+ * - Every upload is decoded and re-encoded as JPEG in fixed square sizes;
+ *   nothing the client sent is stored, and EXIF data (GPS location, camera)
+ *   is dropped after applying the orientation
+ * - Stored through avatarStorage.js; users.avatar_key holds the key prefix
+ *   and API responses carry URLs, one per size
+ * - A new upload gets a new random key, so URLs can be cached forever and
+ *   the old files are removed
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const avatarStorage = require('./avatarStorage');
+
+const AVATAR_MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES || String(5 * 1024 * 1024));
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const MIN_INPUT_DIMENSION = 32;
+const AVATAR_SIZES = { small: 64, medium: 256, large: 512 };
+
+// Magic bytes of the accepted formats, with the name sharp reports for each
+const IMAGE_SIGNATURES = [
+  { type: 'jpeg', matches: (buffer) => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { type: 'png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'webp', matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+/**
+ * Identify an image by its magic bytes
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {string|null} 'jpeg', 'png', 'webp' or null
+ */
+function detectImageType(buffer) {
+  const signature = IMAGE_SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? signature.type : null;
+}
+
+/**
+ * Decode a base64 image (older app versions sent the picture this way)
+ * @param {string} value - Base64, optionally as a data: URL
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeBase64Image(value) {
+  const base64 = typeof value === 'string' ? value.replace(/^data:[^,]*;base64,/, '').replace(/\s/g, '') : '';
+
+  if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    throw new Error('Image is not valid base64');
+  }
+
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Validate an upload and render every avatar size
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} JPEG buffers by size name
+ */
+async function processAvatarImage(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error('Image is required');
+  }
+
+  if (buffer.length > AVATAR_MAX_BYTES) {
+    throw new Error('Image is too large');
+  }
+
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw new Error('Unsupported image type');
+  }
+
+  // Only the header is read here, so the pixel limit applies before decoding
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new Error(/pixel limit/.test(error.message) ? 'Image dimensions are too large' : 'Image could not be read');
+  }
+
+  // A file that starts like one format but decodes as another is not trusted
+  if (metadata.format !== type) {
+    throw new Error('Unsupported image type');
+  }
+
+  if (Math.min(metadata.width, metadata.height) < MIN_INPUT_DIMENSION) {
+    throw new Error('Image dimensions are too small');
+  }
+
+  const rendered = {};
+  try {
+    for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+      rendered[name] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' })
+        .rotate()
+        .resize(size, size, { fit: 'cover', position: 'attention' })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer();
+    }
+  } catch (error) {
+    throw new Error('Image could not be read');
+  }
+
+  return rendered;
+}
+
+/**
+ * Storage key of one avatar size
+ * @param {string} avatarKey - users.avatar_key
+ * @param {string} size - Size name
+ * @returns {string} Object key
+ */
+function sizeKey(avatarKey, size) {
+  return `${avatarKey}-${AVATAR_SIZES[size]}.jpg`;
+}
+
+/**
+ * Public URLs of a user's avatar
+ * @param {string|null} avatarKey - users.avatar_key
+ * @returns {Object|null} URL by size name, null without an avatar
+ */
+function getAvatarUrls(avatarKey) {
+  if (!avatarKey) {
+    return null;
+  }
+
+  const storage = avatarStorage.getStorage();
+  return Object.fromEntries(Object.keys(AVATAR_SIZES).map(size => [size, storage.url(sizeKey(avatarKey, size))]));
+}
+
+/**
+ * Remove the stored files of an avatar
+ * Failures are logged: an orphaned file is only wasted space.
+ * @param {string|null} avatarKey - users.avatar_key
+ */
+async function removeAvatarFiles(avatarKey) {
+  if (!avatarKey) {
+    return;
+  }
+
+  const storage = avatarStorage.getStorage();
+  for (const size of Object.keys(AVATAR_SIZES)) {
+    try {
+      await storage.remove(sizeKey(avatarKey, size));
+    } catch (error) {
+      console.error(`⚠️ Avatar file ${sizeKey(avatarKey, size)} not removed:`, error.message);
+    }
+  }
+}
+
+/**
+ * Set a user's profile picture from an uploaded image
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} URL by size name
+ */
+async function setAvatar(pool, userId, buffer) {
+  const rendered = await processAvatarImage(buffer);
+
+  const storage = avatarStorage.getStorage();
+  const avatarKey = `avatars/${userId}/${crypto.randomBytes(12).toString('hex')}`;
+
+  let result;
+  try {
+    for (const [size, image] of Object.entries(rendered)) {
+      await storage.put(sizeKey(avatarKey, size), image, 'image/jpeg');
+    }
+
+    // Clears a picture stored the old way (base64 in profile_picture) too
+    result = await pool.query(
+      `WITH previous AS (SELECT id, avatar_key FROM users WHERE id = $1 FOR UPDATE)
+       UPDATE users SET avatar_key = $2, profile_picture = NULL, updated_at = NOW()
+       FROM previous WHERE users.id = previous.id
+       RETURNING previous.avatar_key AS previous_key`,
+      [userId, avatarKey]
+    );
+  } catch (error) {
+    await removeAvatarFiles(avatarKey);
+    throw error;
+  }
+
+  if (result.rows.length === 0) {
+    await removeAvatarFiles(avatarKey);
+    throw new Error('User not found');
+  }
+
+  await removeAvatarFiles(result.rows[0].previous_key);
+
+  console.log(`🖼️ Avatar updated for user ${userId} (${storage.name})`);
+
+  return getAvatarUrls(avatarKey);
+}
+
+/**
+ * Remove a user's profile picture
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ */
+async function removeAvatar(pool, userId) {
+  const result = await pool.query(
+    `WITH previous AS (SELECT id, avatar_key FROM users WHERE id = $1 FOR UPDATE)
+     UPDATE users SET avatar_key = NULL, profile_picture = NULL, updated_at = NOW()
+     FROM previous WHERE users.id = previous.id
+     RETURNING previous.avatar_key AS previous_key`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  await removeAvatarFiles(result.rows[0].previous_key);
+}
+
+/**
+ * Remove the stored avatar of a user (account erasure)
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ */
+async function deleteUserAvatar(db, userId) {
+  const result = await db.query('SELECT avatar_key FROM users WHERE id = $1', [userId]);
+  if (result.rows.length > 0) {
+    await removeAvatarFiles(result.rows[0].avatar_key);
+  }
+}
+
+module.exports = {
+  AVATAR_MAX_BYTES,
+  AVATAR_SIZES,
+  detectImageType,
+  decodeBase64Image,
+  processAvatarImage,
+  getAvatarUrls,
+  setAvatar,
+  removeAvatar,
+  deleteUserAvatar
+};
@@ -0,0 +1,44 @@
+/**
+ * Admin Script: Build the bundled breached-password list
+ *
+ * Takes a plain text password list, most common first (one per line, e.g. a
+ * "top 100k" list from a breach corpus), and writes the first N distinct
+ * entries, lowercased, to data/breached-passwords.txt.gz for passwordPolicy.js.
+ * The bundled file is built from SecLists'
+ * Passwords/Common-Credentials/10-million-password-list-top-1000000.txt
+ * (also shipped in the fxa-common-password-list npm package, under
+ * source_data/10_million_password_list_top_1M.txt).
+ *
+ * Usage:
+ *   node backend/build_breached_passwords.js <list.txt> [--top N]   (default 10000)
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const passwordPolicy = require('./passwordPolicy');
+
+const args = process.argv.slice(2);
+const topIndex = args.indexOf('--top');
+const inputPath = args.find((arg, i) => !arg.startsWith('--') && (topIndex < 0 || i !== topIndex + 1));
+const top = topIndex >= 0 ? parseInt(args[topIndex + 1]) : 10000;
+
+if (!inputPath || !Number.isInteger(top) || top <= 0) {
+  console.error('Usage: node backend/build_breached_passwords.js <list.txt> [--top N]');
+  process.exit(1);
+}
+
+const passwords = new Set();
+for (const line of fs.readFileSync(inputPath, 'utf8').split(/\r?\n/)) {
+  const password = line.trim().toLowerCase();
+  if (password) {
+    passwords.add(password);
+  }
+  if (passwords.size >= top) {
+    break;
+  }
+}
+
+const compressed = zlib.gzipSync([...passwords].join('\n') + '\n', { level: 9 });
+fs.writeFileSync(passwordPolicy.BREACHED_PASSWORDS_FILE, compressed);
+
+console.log(`✅ Wrote ${passwords.size} passwords (${compressed.length} bytes) to ${passwordPolicy.BREACHED_PASSWORDS_FILE}`);
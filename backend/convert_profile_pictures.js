@@ -0,0 +1,95 @@
+/**
+ * Admin Script: Move base64 profile pictures to avatar storage
+ *
+ * Profile pictures used to be stored as base64 in users.profile_picture.
+ * Each one is run through the avatar pipeline (avatars.js) like a new
+ * upload; the column is cleared once the picture is in storage. Pictures
+ * that aren't a valid image are reported and left alone unless
+ * --drop-invalid is given.
+ *
+ * Usage:
+ *   node backend/convert_profile_pictures.js                  Convert every stored picture
+ *   node backend/convert_profile_pictures.js --drop-invalid   Also clear the ones that fail validation
+ */
+
+const { Pool } = require('pg');
+const avatars = require('./avatars');
+
+// Load .env file
+try {
+  require('dotenv').config();
+} catch (err) {
+  // dotenv not installed, skip
+}
+
+// Get connection string
+const connectionString = process.env.DATABASE_PRIVATE_URL || process.env.DATABASE_URL;
+
+if (!connectionString) {
+  console.error('❌ ERROR: No database connection string found!');
+  process.exit(1);
+}
+
+// Configure SSL
+const useInternalConnection = !!process.env.DATABASE_PRIVATE_URL;
+const pool = new Pool({
+  connectionString,
+  ssl: useInternalConnection ? false : {
+    rejectUnauthorized: false
+  }
+});
+
+async function main() {
+  const dropInvalid = process.argv.includes('--drop-invalid');
+  let converted = 0;
+  let invalid = 0;
+  let failed = 0;
+
+  try {
+    // One at a time: a picture can be megabytes of base64
+    const users = await pool.query(
+      'SELECT id FROM users WHERE profile_picture IS NOT NULL ORDER BY id'
+    );
+
+    for (const { id } of users.rows) {
+      const row = await pool.query('SELECT profile_picture FROM users WHERE id = $1', [id]);
+      if (row.rows.length === 0 || !row.rows[0].profile_picture) {
+        continue;
+      }
+
+      // Validate on its own first, so a storage error never counts as invalid
+      let image;
+      try {
+        image = avatars.decodeBase64Image(row.rows[0].profile_picture);
+        await avatars.processAvatarImage(image);
+      } catch (error) {
+        invalid++;
+        console.log(`⚠️ User ${id}: ${error.message}${dropInvalid ? ' (cleared)' : ''}`);
+        if (dropInvalid) {
+          await pool.query('UPDATE users SET profile_picture = NULL WHERE id = $1', [id]);
+        }
+        continue;
+      }
+
+      try {
+        await avatars.setAvatar(pool, id, image);
+        converted++;
+      } catch (error) {
+        failed++;
+        console.log(`❌ User ${id}: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Converted ${converted} profile picture(s), ${invalid} invalid, ${failed} failed`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌ Conversion failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
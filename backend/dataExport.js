@@ -0,0 +1,451 @@
+/**
+ * Data Export Module for Pushin Reload Backend
+ * Personal data exports (GDPR access requests)
+ *
+ * Features:
+ * - Export jobs run in the background; only one pending or running job per
+ *   user (enforced by a partial unique index)
+ * - The archive is a ZIP with everything in export.json plus one CSV per
+ *   table: profile, linked sign-in providers, sessions, subscriptions,
+ *   workouts, daily usage, usage events and audit events
+ * - Archives are stored in Postgres (data_exports.archive), so every
+ *   instance can serve them, through a download link signed with HMAC that
+ *   expires with the archive (DATA_EXPORT_EXPIRES_HOURS, default 72)
+ * - The user is emailed the link when the archive is ready
+ * - Expired archives are deleted, and jobs interrupted by a restart are
+ *   picked up again
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const mailer = require('./mailer');
+const avatars = require('./avatars');
+const { createZip } = require('./zipArchive');
+
+const DATA_EXPORT_EXPIRES_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS || '72');
+const DATA_EXPORT_SIGNING_KEY = process.env.DATA_EXPORT_SIGNING_KEY || auth.JWT_SECRET;
+const STALE_JOB_MS = 30 * 60 * 1000; // a running job this old was cut off by a restart
+
+// CSV files in the archive: which section of the export and its columns
+const CSV_FILES = [
+  { name: 'profile.csv', section: 'profile', columns: ['id', 'email', 'firstname', 'avatar_urls', 'profile_picture', 'timezone', 'email_verified_at', 'has_password', 'mfa_enabled', 'created_at', 'updated_at'] },
+  { name: 'identities.csv', section: 'identities', columns: ['provider', 'email', 'linked_at', 'last_used_at'] },
+  { name: 'sessions.csv', section: 'sessions', columns: ['id', 'device_name', 'platform', 'last_ip', 'user_agent', 'created_at', 'last_seen_at', 'revoked_at'] },
+  { name: 'subscriptions.csv', section: 'subscriptions', columns: ['source', 'subscription_id', 'customer_id', 'plan_id', 'current_period_end', 'is_active', 'created_at', 'updated_at'] },
+  { name: 'workouts.csv', section: 'workouts', columns: ['client_id', 'workout_type', 'reps_completed', 'earned_seconds', 'workout_mode', 'rules_version', 'timezone', 'completed_at', 'created_at'] },
+  { name: 'daily_usage.csv', section: 'dailyUsage', columns: ['date', 'earned_seconds', 'consumed_seconds', 'plan_tier', 'last_updated'] },
+  { name: 'usage_events.csv', section: 'usageEvents', columns: ['date', 'event_type', 'event_id', 'requested_seconds', 'applied_seconds', 'plan_tier', 'created_at'] },
+  { name: 'audit_events.csv', section: 'auditEvents', columns: ['event_type', 'ip_address', 'user_agent', 'metadata', 'created_at'] }
+];
+
+/**
+ * Format one CSV field (RFC 4180)
+ * Dates become ISO strings and objects JSON. Strings starting with = + - @
+ * are prefixed with ' so spreadsheet apps don't run them as formulas.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} columns - Column names (header and field order)
+ * @returns {string} CSV with CRLF line endings
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCsvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Gather everything stored about a user
+ * Password hashes, token hashes and 2FA secrets are left out.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Export sections
+ */
+async function collectUserData(pool, userId) {
+  const profile = await pool.query(
+    `SELECT u.id, u.email, u.firstname, u.avatar_key, u.profile_picture, u.timezone, u.email_verified_at,
+            u.password_hash IS NOT NULL AS has_password,
+            EXISTS (SELECT 1 FROM user_mfa m WHERE m.user_id = u.id AND m.enabled_at IS NOT NULL) AS mfa_enabled,
+            u.created_at, u.updated_at
+     FROM users u WHERE u.id = $1`,
+    [userId]
+  );
+
+  if (profile.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const identities = await pool.query(
+    `SELECT provider, email, linked_at, last_used_at
+     FROM user_identities WHERE user_id = $1 ORDER BY linked_at, id`,
+    [userId]
+  );
+
+  const sessions = await pool.query(
+    `SELECT id, device_name, platform, last_ip, user_agent, created_at, last_seen_at, revoked_at
+     FROM user_sessions WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const subscriptions = await pool.query(
+    `SELECT 'account' AS source, subscription_id, customer_id, plan_id, current_period_end, is_active, created_at, updated_at
+     FROM subscriptions WHERE user_id = $1
+     UNION ALL
+     SELECT 'guest_purchase' AS source, subscription_id, customer_id, plan_id, current_period_end, is_active, created_at, updated_at
+     FROM anonymous_subscriptions WHERE linked_user_id = $1
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  const workouts = await pool.query(
+    `SELECT client_id, workout_type, reps_completed, earned_seconds, workout_mode, rules_version, timezone, completed_at, created_at
+     FROM workouts WHERE user_id = $1 ORDER BY completed_at, id`,
+    [userId]
+  );
+
+  const dailyUsage = await pool.query(
+    `SELECT to_char(date, 'YYYY-MM-DD') AS date, earned_seconds, consumed_seconds, plan_tier, last_updated
+     FROM daily_usage WHERE user_id = $1 ORDER BY date`,
+    [userId]
+  );
+
+  const usageEvents = await pool.query(
+    `SELECT to_char(date, 'YYYY-MM-DD') AS date, event_type, event_id, requested_seconds, applied_seconds, plan_tier, created_at
+     FROM usage_events WHERE user_id = $1 ORDER BY created_at, id`,
+    [userId]
+  );
+
+  const auditEvents = await pool.query(
+    `SELECT event_type, ip_address, user_agent, metadata, created_at
+     FROM audit_logs WHERE user_id = $1 ORDER BY created_at, id`,
+    [userId]
+  );
+
+  const { avatar_key: avatarKey, ...user } = profile.rows[0];
+
+  return {
+    profile: { ...user, avatar_urls: avatars.getAvatarUrls(avatarKey) },
+    identities: identities.rows,
+    sessions: sessions.rows,
+    subscriptions: subscriptions.rows,
+    workouts: workouts.rows,
+    dailyUsage: dailyUsage.rows,
+    usageEvents: usageEvents.rows,
+    auditEvents: auditEvents.rows
+  };
+}
+
+/**
+ * Build the export archive
+ * @param {Object} data - Sections from collectUserData
+ * @param {Date} generatedAt - Export time
+ * @returns {Buffer} ZIP file
+ */
+function buildArchive(data, generatedAt = new Date()) {
+  const entries = [
+    {
+      name: 'export.json',
+      content: JSON.stringify({ generatedAt: generatedAt.toISOString(), ...data }, null, 2)
+    },
+    ...CSV_FILES.map(({ name, section, columns }) => ({
+      name,
+      content: toCsv(Array.isArray(data[section]) ? data[section] : [data[section]], columns)
+    }))
+  ];
+
+  return createZip(entries, { modifiedAt: generatedAt });
+}
+
+/**
+ * Sign a download link
+ * @param {number} exportId - Export ID
+ * @param {number} expires - Expiry (Unix seconds)
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+function signDownload(exportId, expires) {
+  return crypto.createHmac('sha256', DATA_EXPORT_SIGNING_KEY).update(`${exportId}.${expires}`).digest('hex');
+}
+
+/**
+ * Build the signed download URL for an archive
+ * @param {number} exportId - Export ID
+ * @param {Date} expiresAt - When the archive expires
+ * @returns {string} Absolute URL
+ */
+function buildDownloadUrl(exportId, expiresAt) {
+  const baseUrl = (process.env.API_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  return `${baseUrl}/api/me/export/${exportId}/download?expires=${expires}&signature=${signDownload(exportId, expires)}`;
+}
+
+/**
+ * Format an export job for API responses
+ * @param {Object} row - data_exports row
+ * @returns {Object} Export job
+ */
+function formatExport(row) {
+  const ready = row.status === 'completed' && row.expires_at && new Date(row.expires_at) > new Date();
+
+  return {
+    id: row.id,
+    status: row.status,
+    createdAt: row.created_at,
+    completedAt: row.completed_at || null,
+    expiresAt: row.expires_at || null,
+    sizeBytes: row.size_bytes || null,
+    downloadUrl: ready ? buildDownloadUrl(row.id, new Date(row.expires_at)) : null
+  };
+}
+
+/**
+ * Queue a data export for the user and start it in the background
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} clientIp - Client IP
+ * @param {string} userAgent - User agent
+ * @returns {Promise<Object>} Export job
+ */
+async function requestDataExport(pool, userId, clientIp = null, userAgent = null) {
+  let result;
+  try {
+    result = await pool.query(
+      `INSERT INTO data_exports (user_id) VALUES ($1)
+       RETURNING id, status, created_at, completed_at, expires_at, size_bytes`,
+      [userId]
+    );
+  } catch (error) {
+    // unique_violation on idx_data_exports_one_active
+    if (error.code === '23505') {
+      throw new Error('Export already in progress');
+    }
+    throw error;
+  }
+
+  const job = result.rows[0];
+
+  await auth.logAuditEvent(pool, 'data_export_requested', userId, clientIp, userAgent, { export_id: job.id });
+
+  setImmediate(() => runExportJob(pool, job.id));
+
+  return formatExport(job);
+}
+
+/**
+ * Build, store and email one export
+ * Errors are recorded on the job rather than thrown.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} exportId - Export ID
+ * @returns {Promise<boolean>} False if the job was already taken or finished
+ */
+async function runExportJob(pool, exportId) {
+  // Claiming the row keeps two instances from building the same export
+  const claimed = await pool.query(
+    `UPDATE data_exports SET status = 'running', started_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING user_id`,
+    [exportId]
+  ).catch(error => {
+    console.error(`❌ Could not start data export ${exportId}:`, error.message);
+    return { rows: [] };
+  });
+
+  if (claimed.rows.length === 0) {
+    return false;
+  }
+
+  const userId = claimed.rows[0].user_id;
+  console.log(`📦 Building data export ${exportId} for user ${userId}`);
+
+  try {
+    const data = await collectUserData(pool, userId);
+    const archive = buildArchive(data);
+
+    const expiresAt = new Date(Date.now() + DATA_EXPORT_EXPIRES_HOURS * 60 * 60 * 1000);
+    await pool.query(
+      `UPDATE data_exports
+       SET status = 'completed', archive = $2, size_bytes = $3, expires_at = $4, completed_at = NOW(), error = NULL
+       WHERE id = $1`,
+      [exportId, archive, archive.length, expiresAt]
+    );
+
+    await auth.logAuditEvent(pool, 'data_export_completed', userId, null, null, {
+      export_id: exportId,
+      size_bytes: archive.length
+    });
+
+    console.log(`✅ Data export ${exportId} ready (${archive.length} bytes)`);
+
+    // The archive can still be fetched with GET /api/me/export if the email fails
+    try {
+      await sendDataExportEmail(data.profile.email, buildDownloadUrl(exportId, expiresAt), expiresAt);
+    } catch (error) {
+      console.error('❌ Failed to send data export email:', error.message);
+    }
+  } catch (error) {
+    console.error(`❌ Data export ${exportId} failed:`, error.message);
+
+    await pool.query(
+      `UPDATE data_exports SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1`,
+      [exportId, error.message]
+    ).catch(() => {});
+
+    await auth.logAuditEvent(pool, 'data_export_failed', userId, null, null, {
+      export_id: exportId,
+      error: error.message
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Get the user's most recent export
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Export job, or null if there is none
+ */
+async function getLatestDataExport(pool, userId) {
+  const result = await pool.query(
+    `SELECT id, status, created_at, completed_at, expires_at, size_bytes
+     FROM data_exports WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [userId]
+  );
+
+  return result.rows.length > 0 ? formatExport(result.rows[0]) : null;
+}
+
+/**
+ * Resolve a signed download link to the stored archive
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} exportId - Export ID
+ * @param {string} expires - expires query parameter (Unix seconds)
+ * @param {string} signature - signature query parameter
+ * @param {string} clientIp - Client IP
+ * @param {string} userAgent - User agent
+ * @returns {Promise<Buffer>} ZIP file
+ */
+async function resolveDownload(pool, exportId, expires, signature, clientIp = null, userAgent = null) {
+  const expected = Buffer.from(signDownload(exportId, expires));
+  const provided = Buffer.from(String(signature || ''));
+
+  if (!/^\d+$/.test(String(expires))
+    || provided.length !== expected.length
+    || !crypto.timingSafeEqual(provided, expected)
+    || parseInt(expires) * 1000 <= Date.now()) {
+    throw new Error('Invalid or expired download link');
+  }
+
+  const result = await pool.query(
+    `SELECT user_id, archive FROM data_exports
+     WHERE id = $1 AND status = 'completed' AND expires_at > NOW()`,
+    [exportId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Invalid or expired download link');
+  }
+
+  const { user_id: userId, archive } = result.rows[0];
+
+  await auth.logAuditEvent(pool, 'data_export_downloaded', userId, clientIp, userAgent, { export_id: exportId });
+
+  return archive;
+}
+
+/**
+ * Housekeeping: delete expired archives, requeue jobs cut off by a restart
+ * and run any pending jobs
+ * @param {Object} pool - PostgreSQL pool
+ */
+async function processDataExports(pool) {
+  try {
+    const expired = await pool.query(
+      `UPDATE data_exports SET status = 'expired', archive = NULL
+       WHERE status = 'completed' AND expires_at <= NOW()`
+    );
+    if (expired.rowCount > 0) {
+      console.log(`🧹 Deleted ${expired.rowCount} expired data export(s)`);
+    }
+
+    await pool.query(
+      `UPDATE data_exports SET status = 'pending'
+       WHERE status = 'running' AND started_at < $1`,
+      [new Date(Date.now() - STALE_JOB_MS)]
+    );
+
+    const pending = await pool.query(`SELECT id FROM data_exports WHERE status = 'pending' ORDER BY created_at`);
+    for (const { id } of pending.rows) {
+      await runExportJob(pool, id);
+    }
+  } catch (error) {
+    console.error('❌ Data export housekeeping error:', error.message);
+  }
+}
+
+/**
+ * Email the download link
+ * @param {string} email - User email
+ * @param {string} downloadUrl - Signed download URL
+ * @param {Date} expiresAt - When the link stops working
+ */
+async function sendDataExportEmail(email, downloadUrl, expiresAt) {
+  const { html, text } = mailer.renderEmail({
+    title: 'Your Data Export Is Ready',
+    paragraphs: [
+      'You asked for a copy of the data PUSHIN holds about you. It is ready to download.',
+      'The ZIP file contains your profile, devices, subscriptions, workouts, daily usage and account activity, as JSON and as CSV files you can open in a spreadsheet.'
+    ],
+    actionUrl: downloadUrl,
+    actionLabel: 'Download My Data',
+    notice: `This link expires on ${expiresAt.toUTCString()}.`,
+    footnote: "If you didn't request this export, change your password and review your signed-in devices."
+  });
+
+  return mailer.sendMail({
+    to: email,
+    subject: 'Your PUSHIN data export is ready',
+    html,
+    text
+  });
+}
+
+module.exports = {
+  requestDataExport,
+  runExportJob,
+  getLatestDataExport,
+  resolveDownload,
+  processDataExports,
+  collectUserData,
+  buildArchive,
+  toCsv,
+  signDownload,
+  buildDownloadUrl
+};
@@ -0,0 +1,129 @@
+/**
+ * Data Export Routes for Pushin Reload Backend
+ * Express routes for personal data export (GDPR access requests)
+ */
+
+const express = require('express');
+const dataExport = require('./dataExport');
+const { authenticateToken } = require('./authRoutes');
+const { createRateLimiter } = require('./rateLimits');
+
+const router = express.Router();
+
+const exportRequestLimiter = createRateLimiter('exportRequest');
+const exportDownloadLimiter = createRateLimiter('exportDownload');
+
+/**
+ * POST /api/me/export
+ * Start building an archive of the current user's data
+ * The download link is emailed when it's ready (and shown by GET /api/me/export).
+ */
+router.post('/', authenticateToken, exportRequestLimiter, async (req, res) => {
+  try {
+    console.log('📦 Data export request:', req.user.userId);
+
+    const pool = req.app.locals.pool;
+    const job = await dataExport.requestDataExport(pool, req.user.userId, req.ip, req.get('user-agent'));
+
+    res.status(202).json({
+      success: true,
+      message: "Export started. We'll email you a download link when it's ready.",
+      data: {
+        export: job
+      }
+    });
+  } catch (error) {
+    console.error('❌ Data export request error:', error.message);
+
+    if (error.message === 'Export already in progress') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: 'EXPORT_IN_PROGRESS'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start data export',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/me/export
+ * Status of the current user's most recent export, with a fresh download
+ * link once it's ready
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const job = await dataExport.getLatestDataExport(pool, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        export: job
+      }
+    });
+  } catch (error) {
+    console.error('❌ Data export status error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get data export',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/me/export/:id/download?expires=...&signature=...
+ * Download an archive through the signed link (no access token: the link
+ * is opened from the email)
+ */
+router.get('/:id/download', exportDownloadLimiter, async (req, res) => {
+  try {
+    const exportId = parseInt(req.params.id);
+    if (!Number.isInteger(exportId) || exportId <= 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid or expired download link',
+        code: 'INVALID_DOWNLOAD_LINK'
+      });
+    }
+
+    const pool = req.app.locals.pool;
+    const archive = await dataExport.resolveDownload(
+      pool,
+      exportId,
+      req.query.expires,
+      req.query.signature,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.attachment('pushin-data-export.zip');
+    res.type('application/zip').send(archive);
+  } catch (error) {
+    console.error('❌ Data export download error:', error.message);
+
+    if (error.message === 'Invalid or expired download link') {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_DOWNLOAD_LINK'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download data export',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,433 @@
+/**
+ * Email Change Module for Pushin Reload Backend
+ * Changing the account email address, confirmed on both addresses
+ *
+ * Features:
+ * - A change needs a recent sign in or the current password (plus 2FA when
+ *   on), like the other sensitive account changes
+ * - The address only changes once the link mailed to the new address is
+ *   opened (EMAIL_CHANGE_EXPIRES_HOURS, default 24); until then the account,
+ *   its sign in and purchase restore stay on the old address
+ * - The old address gets a notice with a revert link that keeps working for
+ *   EMAIL_CHANGE_REVERT_DAYS (default 7), also after the change went through:
+ *   it puts the old address back and signs out every device
+ * - Confirming signs out every other device and marks the new address as
+ *   verified; every step is written to audit_logs
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const sessions = require('./sessions');
+const mailer = require('./mailer');
+
+const EMAIL_CHANGE_EXPIRES_HOURS = parseInt(process.env.EMAIL_CHANGE_EXPIRES_HOURS || '24');
+const EMAIL_CHANGE_REVERT_DAYS = parseInt(process.env.EMAIL_CHANGE_REVERT_DAYS || '7');
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Hash an email change token for storage
+ * @param {string} token - Raw token from the email
+ * @returns {string} SHA-256 hex digest
+ */
+function hashEmailChangeToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Normalize and check an email address
+ * @param {string} email - Address as entered
+ * @returns {string|null} Trimmed, lowercased address, or null if invalid
+ */
+function normalizeEmail(email) {
+  if (typeof email !== 'string') {
+    return null;
+  }
+
+  const normalized = email.trim().toLowerCase();
+  return normalized.length <= 255 && EMAIL_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Check whether an address belongs to another account
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} email - Address
+ * @param {number} userId - Account to ignore
+ * @returns {Promise<boolean>} True if taken
+ */
+async function isEmailTaken(db, email, userId) {
+  const result = await db.query(
+    'SELECT 1 FROM users WHERE LOWER(email) = LOWER($1) AND id <> $2',
+    [email, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Start changing the signed-in user's email address
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} newEmail - Requested address
+ * @param {Object} authentication - sessionId plus requireRecentAuthentication credentials
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { newEmail, expiresAt }
+ */
+async function requestEmailChange(pool, userId, newEmail, authentication = {}, context = {}) {
+  const { ipAddress = null, userAgent = null } = context;
+
+  const email = normalizeEmail(newEmail);
+  if (!email) {
+    throw new Error('Valid email is required');
+  }
+
+  const method = await auth.requireRecentAuthentication(pool, userId, authentication.sessionId, authentication);
+
+  const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const oldEmail = userResult.rows[0].email;
+  if (oldEmail.toLowerCase() === email) {
+    throw new Error('New email is the same as the current one');
+  }
+
+  if (await isEmailTaken(pool, email, userId)) {
+    throw new Error('User with this email already exists');
+  }
+
+  const confirmToken = crypto.randomBytes(32).toString('hex');
+  const revertToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + EMAIL_CHANGE_EXPIRES_HOURS * 60 * 60 * 1000);
+  const revertExpiresAt = new Date(Date.now() + EMAIL_CHANGE_REVERT_DAYS * 24 * 60 * 60 * 1000);
+
+  const client = await pool.connect();
+  let changeId;
+  try {
+    await client.query('BEGIN');
+
+    // Serializes requests for the same user; a new request supersedes the pending one
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    await client.query(
+      `UPDATE email_changes SET status = 'canceled' WHERE user_id = $1 AND status = 'pending'`,
+      [userId]
+    );
+
+    const inserted = await client.query(
+      `INSERT INTO email_changes
+         (user_id, session_id, old_email, new_email, confirm_token_hash, revert_token_hash, expires_at, revert_expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [userId, authentication.sessionId || null, oldEmail, email,
+        hashEmailChangeToken(confirmToken), hashEmailChangeToken(revertToken), expiresAt, revertExpiresAt]
+    );
+    changeId = inserted.rows[0].id;
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Without the confirmation email the request is useless
+  try {
+    await sendEmailChangeConfirmation(email, confirmToken);
+  } catch (error) {
+    await pool.query(`UPDATE email_changes SET status = 'canceled' WHERE id = $1`, [changeId]);
+    console.error(`❌ Email change confirmation failed for user ${userId}: ${error.message}`);
+    throw new Error('Failed to send confirmation email');
+  }
+
+  // The change can still be confirmed if the notice doesn't go out
+  try {
+    await sendEmailChangeNotice(oldEmail, email, revertToken);
+  } catch (error) {
+    console.error(`❌ Email change notice failed for user ${userId}: ${error.message}`);
+  }
+
+  await auth.logAuditEvent(pool, 'email_change_requested', userId, ipAddress, userAgent, {
+    method,
+    email: email
+  });
+
+  console.log(`📧 Email change requested for user ${userId}`);
+
+  return { newEmail: email, expiresAt };
+}
+
+/**
+ * Withdraw the signed-in user's pending email change
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} context - { ipAddress, userAgent }
+ */
+async function cancelEmailChange(pool, userId, context = {}) {
+  const result = await pool.query(
+    `UPDATE email_changes SET status = 'canceled'
+     WHERE user_id = $1 AND status = 'pending' AND expires_at > NOW()
+     RETURNING new_email`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('No pending email change');
+  }
+
+  await auth.logAuditEvent(pool, 'email_change_canceled', userId, context.ipAddress, context.userAgent, {
+    email: result.rows[0].new_email
+  });
+}
+
+/**
+ * Apply an email change from the link sent to the new address
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} token - Confirmation token
+ * @param {string} clientIp - Client IP
+ * @param {string} userAgent - User agent
+ * @returns {Promise<Object>} { userId, email }
+ */
+async function confirmEmailChange(pool, token, clientIp = null, userAgent = null) {
+  const tokenHash = hashEmailChangeToken(token);
+  const client = await pool.connect();
+  let change;
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the request so a link opened twice at once applies once
+    const result = await client.query(
+      `SELECT c.id, c.user_id, c.session_id, c.old_email, c.new_email, c.status,
+              c.expires_at > NOW() AS is_valid, u.email AS current_email
+       FROM email_changes c
+       INNER JOIN users u ON u.id = c.user_id
+       WHERE c.confirm_token_hash = $1
+       FOR UPDATE OF c, u`,
+      [tokenHash]
+    );
+
+    change = result.rows[0];
+
+    if (change && change.status === 'confirmed') {
+      throw new Error('Token has already been used');
+    }
+
+    // The address changed some other way since: the request is stale
+    const reason = !change ? 'token_not_found'
+      : change.status !== 'pending' ? `request_${change.status}`
+      : !change.is_valid ? 'token_expired'
+      : change.current_email !== change.old_email ? 'email_changed'
+      : null;
+
+    if (reason) {
+      await client.query('ROLLBACK');
+      await auth.logAuditEvent(pool, 'email_change_token_invalid', change ? change.user_id : null, clientIp, userAgent, {
+        token_hash_prefix: tokenHash.substring(0, 8),
+        reason
+      });
+      throw new Error('Invalid or expired token');
+    }
+
+    // Someone else may have registered the address since the request
+    if (await isEmailTaken(client, change.new_email, change.user_id)) {
+      throw new Error('User with this email already exists');
+    }
+
+    // Opening the link proves the new address, so it counts as verified
+    await client.query(
+      'UPDATE users SET email = $2, email_verified_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [change.user_id, change.new_email]
+    );
+    await client.query(
+      `UPDATE email_changes SET status = 'confirmed', confirmed_at = NOW() WHERE id = $1`,
+      [change.id]
+    );
+
+    // Only the device that asked for the change stays signed in
+    await sessions.revokeUserSessions(client, change.user_id, { exceptSessionId: change.session_id });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    // unique_violation: the address was taken between the check and the update
+    if (error.code === '23505') {
+      throw new Error('User with this email already exists');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auth.logAuditEvent(pool, 'email_changed', change.user_id, clientIp, userAgent, {
+    email: change.new_email,
+    previous_email: change.old_email
+  });
+
+  console.log(`✅ Email changed for user ${change.user_id}`);
+
+  return { userId: change.user_id, email: change.new_email };
+}
+
+/**
+ * Undo an email change from the link sent to the old address
+ * Works on a pending change (it is dropped) and on a confirmed one (the old
+ * address is put back). Either way every device is signed out.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} token - Revert token
+ * @param {string} clientIp - Client IP
+ * @param {string} userAgent - User agent
+ * @returns {Promise<Object>} { userId, email } with the restored address
+ */
+async function revertEmailChange(pool, token, clientIp = null, userAgent = null) {
+  const tokenHash = hashEmailChangeToken(token);
+  const client = await pool.connect();
+  let change;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT c.id, c.user_id, c.old_email, c.new_email, c.status
+       FROM email_changes c
+       INNER JOIN users u ON u.id = c.user_id
+       WHERE c.revert_token_hash = $1 AND c.revert_expires_at > NOW()
+         AND c.status IN ('pending', 'confirmed')
+       FOR UPDATE OF c, u`,
+      [tokenHash]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Invalid or expired token');
+    }
+
+    change = result.rows[0];
+
+    if (change.status === 'confirmed') {
+      if (await isEmailTaken(client, change.old_email, change.user_id)) {
+        throw new Error('User with this email already exists');
+      }
+
+      // The previous owner just proved the old address again
+      await client.query(
+        'UPDATE users SET email = $2, email_verified_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [change.user_id, change.old_email]
+      );
+    }
+
+    // Any other request (from whoever made this one) goes too
+    await client.query(
+      `UPDATE email_changes SET status = 'canceled' WHERE user_id = $1 AND status = 'pending' AND id <> $2`,
+      [change.user_id, change.id]
+    );
+    await client.query(
+      `UPDATE email_changes SET status = 'reverted', reverted_at = NOW() WHERE id = $1`,
+      [change.id]
+    );
+
+    await sessions.revokeUserSessions(client, change.user_id);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auth.logAuditEvent(pool, 'email_change_reverted', change.user_id, clientIp, userAgent, {
+    email: change.old_email,
+    previous_email: change.new_email,
+    was_confirmed: change.status === 'confirmed'
+  });
+
+  console.log(`↩️ Email change reverted for user ${change.user_id}`);
+
+  return { userId: change.user_id, email: change.old_email };
+}
+
+/**
+ * The signed-in user's pending email change
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { newEmail, expiresAt } or null
+ */
+async function getPendingEmailChange(pool, userId) {
+  const result = await pool.query(
+    `SELECT new_email, expires_at FROM email_changes
+     WHERE user_id = $1 AND status = 'pending' AND expires_at > NOW()`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return { newEmail: result.rows[0].new_email, expiresAt: result.rows[0].expires_at };
+}
+
+/**
+ * Send the confirmation link to the new address
+ * @param {string} email - New address
+ * @param {string} confirmToken - Raw confirmation token
+ */
+async function sendEmailChangeConfirmation(email, confirmToken) {
+  const confirmUrl = `${process.env.EMAIL_CHANGE_CONFIRM_URL || 'pushinapp://confirm-email-change'}?token=${confirmToken}`;
+
+  const { html, text } = mailer.renderEmail({
+    title: 'Confirm Your New Email',
+    paragraphs: [
+      'You asked to use this address for your PUSHIN account. Click the button below to confirm it:'
+    ],
+    actionUrl: confirmUrl,
+    actionLabel: 'Confirm Email',
+    notice: `This link expires in ${EMAIL_CHANGE_EXPIRES_HOURS} hours. Other devices will be signed out.`,
+    footnote: "If you didn't ask for this, you can safely ignore this email."
+  });
+
+  return mailer.sendMail({
+    to: email,
+    subject: 'Confirm your new PUSHIN email address',
+    html,
+    text
+  });
+}
+
+/**
+ * Tell the old address about the change, with the revert link
+ * @param {string} email - Current address
+ * @param {string} newEmail - Requested address
+ * @param {string} revertToken - Raw revert token
+ */
+async function sendEmailChangeNotice(email, newEmail, revertToken) {
+  const revertUrl = `${process.env.EMAIL_CHANGE_REVERT_URL || 'pushinapp://revert-email-change'}?token=${revertToken}`;
+
+  const { html, text } = mailer.renderEmail({
+    title: 'Your Email Is Being Changed',
+    paragraphs: [
+      `Someone asked to change the email address of your PUSHIN account to ${newEmail}. The change happens once the new address is confirmed.`,
+      "If this wasn't you, keep your account on this address. This also signs out every device:"
+    ],
+    actionUrl: revertUrl,
+    actionLabel: "This Wasn't Me",
+    notice: `This link works for ${EMAIL_CHANGE_REVERT_DAYS} days, even after the change is confirmed.`,
+    footnote: "If you made this change, you can ignore this email. After undoing a change you didn't make, reset your password."
+  });
+
+  return mailer.sendMail({
+    to: email,
+    subject: 'Your PUSHIN email address is being changed',
+    html,
+    text
+  });
+}
+
+module.exports = {
+  EMAIL_CHANGE_EXPIRES_HOURS,
+  EMAIL_CHANGE_REVERT_DAYS,
+  normalizeEmail,
+  requestEmailChange,
+  cancelEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  getPendingEmailChange
+};
@@ -0,0 +1,96 @@
+/**
+ * Google Sign In Verification Module for Pushin Reload Backend
+ * Verifies Google ID tokens locally instead of calling tokeninfo per login
+ *
+ * Features:
+ * - RS256 signature checked against Google's published certs (cached, and
+ *   still usable through short outages of the cert endpoint - see jwks.js)
+ * - iss, aud (our iOS, Android and web client IDs) and exp checks
+ * - Only tokens with a Google-verified email are accepted
+ * - Pluggable key source for tests
+ *
+ * Configuration (each comma-separated):
+ * - GOOGLE_IOS_CLIENT_ID, GOOGLE_ANDROID_CLIENT_ID, GOOGLE_WEB_CLIENT_ID
+ *   (iOS and web default to the client IDs in the app's Firebase config)
+ */
+
+const jwt = require('jsonwebtoken');
+const { createJwksKeySource } = require('./jwks');
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const DEFAULT_GOOGLE_IOS_CLIENT_ID = '295186904898-tt9hae40m8v0l5b021cv008995a3eck7.apps.googleusercontent.com';
+const DEFAULT_GOOGLE_WEB_CLIENT_ID = '295186904898-vul5qdpt79ja2jrgr4du7tpdgpqikvte.apps.googleusercontent.com';
+
+// Google rotates its keys every few days and publishes new ones well ahead
+const defaultKeySource = createJwksKeySource({
+  url: GOOGLE_CERTS_URL,
+  cacheTtlMs: 6 * 60 * 60 * 1000 // 6 hours
+});
+
+/**
+ * Client IDs Google may issue our tokens for
+ * @returns {Array<string>} Accepted audiences
+ */
+function getGoogleClientIds() {
+  return [
+    process.env.GOOGLE_IOS_CLIENT_ID || DEFAULT_GOOGLE_IOS_CLIENT_ID,
+    process.env.GOOGLE_ANDROID_CLIENT_ID || '',
+    process.env.GOOGLE_WEB_CLIENT_ID || DEFAULT_GOOGLE_WEB_CLIENT_ID
+  ]
+    .join(',')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Verify a Google ID token
+ * @param {string} idToken - ID token from Google Sign In
+ * @param {Object} options
+ * @param {Object} options.keySource - Key source (defaults to Google's certs)
+ * @param {Array<string>} options.audiences - Accepted audiences (defaults to env)
+ * @returns {Promise<Object>} Verified token payload
+ */
+async function verifyGoogleIdToken(idToken, { keySource = defaultKeySource, audiences = getGoogleClientIds() } = {}) {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !decoded.header || !decoded.payload) {
+    throw new Error('Invalid Google token format');
+  }
+  if (decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw new Error('Invalid Google token header');
+  }
+
+  const key = await keySource.getKey(decoded.header.kid);
+  if (!key) {
+    throw new Error('Invalid Google token: unknown signing key');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      issuer: GOOGLE_ISSUERS,
+      audience: audiences
+    });
+  } catch (error) {
+    throw new Error(`Invalid Google token: ${error.message}`);
+  }
+
+  if (!payload.sub || !payload.email) {
+    throw new Error('Invalid Google token payload');
+  }
+
+  if (payload.email_verified !== true && payload.email_verified !== 'true') {
+    throw new Error('Google email is not verified');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  verifyGoogleIdToken,
+  getGoogleClientIds,
+  GOOGLE_ISSUERS
+};
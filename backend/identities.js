@@ -0,0 +1,139 @@
+/**
+ * Identities Module for Pushin Reload Backend
+ * The ways a user can sign in: a password and linked Google / Apple accounts
+ *
+ * Features:
+ * - One Google and one Apple account per user, and each provider account
+ *   belongs to at most one user (user_identities)
+ * - The password is an identity too (users.password_hash), so the app can
+ *   show every sign-in method in one list
+ * - Provider email and last use are kept up to date on each sign in
+ */
+
+const PROVIDERS = ['google', 'apple'];
+
+/**
+ * Find the user a provider account is linked to
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} provider - 'google' or 'apple'
+ * @param {string} providerUserId - Provider's subject ID
+ * @returns {Promise<number|null>} User ID
+ */
+async function findUserIdByIdentity(db, provider, providerUserId) {
+  const result = await db.query(
+    'SELECT user_id FROM user_identities WHERE provider = $1 AND provider_user_id = $2',
+    [provider, providerUserId]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+/**
+ * Get a user's identity for one provider
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} provider - 'google' or 'apple'
+ * @returns {Promise<Object|null>} user_identities row
+ */
+async function getIdentity(db, userId, provider) {
+  const result = await db.query(
+    'SELECT * FROM user_identities WHERE user_id = $1 AND provider = $2',
+    [userId, provider]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Link a provider account to a user
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} provider - 'google' or 'apple'
+ * @param {string} providerUserId - Provider's subject ID
+ * @param {string} email - Email the provider reported (optional)
+ */
+async function addIdentity(db, userId, provider, providerUserId, email = null) {
+  await db.query(
+    `INSERT INTO user_identities (user_id, provider, provider_user_id, email, last_used_at)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [userId, provider, providerUserId, email]
+  );
+}
+
+/**
+ * Record a sign in with a provider account
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} provider - 'google' or 'apple'
+ * @param {string} providerUserId - Provider's subject ID
+ * @param {string} email - Email in the current token (Apple only sends it sometimes)
+ */
+async function touchIdentity(db, provider, providerUserId, email = null) {
+  await db.query(
+    `UPDATE user_identities SET last_used_at = NOW(), email = COALESCE($3, email)
+     WHERE provider = $1 AND provider_user_id = $2`,
+    [provider, providerUserId, email]
+  );
+}
+
+/**
+ * Unlink a provider account from a user
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} provider - 'google' or 'apple'
+ * @returns {Promise<boolean>} False if nothing was linked
+ */
+async function removeIdentity(db, userId, provider) {
+  const result = await db.query(
+    'DELETE FROM user_identities WHERE user_id = $1 AND provider = $2',
+    [userId, provider]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * List a user's sign-in methods
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} { provider, email, linkedAt, lastUsedAt }, password first
+ */
+async function listIdentities(db, userId) {
+  const userResult = await db.query(
+    'SELECT email, password_hash IS NOT NULL AS has_password, created_at FROM users WHERE id = $1',
+    [userId]
+  );
+  if (userResult.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const user = userResult.rows[0];
+  const identities = [];
+
+  if (user.has_password) {
+    identities.push({ provider: 'password', email: user.email, linkedAt: null, lastUsedAt: null });
+  }
+
+  const result = await db.query(
+    `SELECT provider, email, linked_at, last_used_at FROM user_identities
+     WHERE user_id = $1 ORDER BY linked_at, id`,
+    [userId]
+  );
+
+  for (const row of result.rows) {
+    identities.push({
+      provider: row.provider,
+      email: row.email,
+      linkedAt: row.linked_at,
+      lastUsedAt: row.last_used_at
+    });
+  }
+
+  return identities;
+}
+
+module.exports = {
+  PROVIDERS,
+  findUserIdByIdentity,
+  getIdentity,
+  addIdentity,
+  touchIdentity,
+  removeIdentity,
+  listIdentities
+};
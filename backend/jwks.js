@@ -0,0 +1,122 @@
+/**
+ * JWKS Key Source Module for Pushin Reload Backend
+ * Fetches and caches an identity provider's signing keys
+ *
+ * Features:
+ * - Keys converted to PEM once (jwk-to-pem) and cached by kid
+ * - Refetches when the cache expires or a token names an unknown kid, so
+ *   provider key rotation is picked up without a restart
+ * - Refetches are throttled, so garbage tokens (or an outage) can't make us
+ *   hammer the provider
+ * - Keeps serving the last good keys for a while if the provider's endpoint
+ *   is down, so sign in survives short outages
+ * - Pluggable fetch function, so tests can serve a local fake key set
+ *
+ * A key source is any object with getKey(kid) -> Promise<string|null> (PEM).
+ */
+
+const axios = require('axios');
+const jwkToPem = require('jwk-to-pem');
+
+const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MIN_REFRESH_INTERVAL_MS = 60 * 1000; // 1 minute
+const DEFAULT_MAX_STALE_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+/**
+ * Create a caching JWKS key source
+ * @param {Object} options
+ * @param {string} options.url - JWKS endpoint (used by the default fetcher)
+ * @param {Function} options.fetchKeys - async () => Array of JWKs (overrides url)
+ * @param {number} options.cacheTtlMs - How long fetched keys are trusted
+ * @param {number} options.minRefreshIntervalMs - Minimum time between fetch
+ *   attempts once keys are cached
+ * @param {number} options.maxStaleMs - How long past cacheTtlMs cached keys
+ *   may still be used while fetching fails
+ * @returns {Object} Key source with getKey(kid)
+ */
+function createJwksKeySource({
+  url,
+  fetchKeys,
+  cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+  minRefreshIntervalMs = DEFAULT_MIN_REFRESH_INTERVAL_MS,
+  maxStaleMs = DEFAULT_MAX_STALE_MS
+} = {}) {
+  if (!fetchKeys && !url) {
+    throw new Error('JWKS key source needs a url or fetchKeys');
+  }
+
+  const fetcher = fetchKeys || (async () => {
+    const response = await axios.get(url, { timeout: 5000 });
+    return response.data.keys;
+  });
+
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+  let inFlight = null;
+
+  /**
+   * Fetch the key set, sharing one request between concurrent callers
+   */
+  function refresh() {
+    if (!inFlight) {
+      attemptedAt = Date.now();
+      inFlight = (async () => {
+        try {
+          const jwks = await fetcher();
+          if (!Array.isArray(jwks)) {
+            throw new Error('JWKS response has no keys');
+          }
+
+          const next = new Map();
+          for (const jwk of jwks) {
+            if (jwk.kid && jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig')) {
+              next.set(jwk.kid, jwkToPem(jwk));
+            }
+          }
+
+          keys = next;
+          fetchedAt = Date.now();
+        } finally {
+          inFlight = null;
+        }
+      })();
+    }
+    return inFlight;
+  }
+
+  return {
+    /**
+     * Get the PEM public key for a kid
+     * @param {string} kid - Key ID from the token header
+     * @returns {Promise<string|null>} PEM, or null if the provider has no such key
+     */
+    async getKey(kid) {
+      const now = Date.now();
+      const expired = fetchedAt === 0 || now - fetchedAt >= cacheTtlMs;
+      const mayRetry = fetchedAt === 0 || now - attemptedAt >= minRefreshIntervalMs;
+
+      // Refetch when expired or for a possibly freshly rotated key
+      if ((expired || !keys.has(kid)) && mayRetry) {
+        try {
+          await refresh();
+        } catch (error) {
+          if (fetchedAt === 0) {
+            throw new Error(`Signing keys unavailable: ${error.message}`);
+          }
+          console.warn(`⚠️ JWKS refresh failed, using cached keys: ${error.message}`);
+        }
+      }
+
+      if (now - fetchedAt > cacheTtlMs + maxStaleMs) {
+        throw new Error('Signing keys unavailable: cached keys are too old');
+      }
+
+      return keys.get(kid) || null;
+    }
+  };
+}
+
+module.exports = {
+  createJwksKeySource
+};
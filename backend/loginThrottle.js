@@ -0,0 +1,208 @@
+/**
+ * Login Throttle Module for Pushin Reload Backend
+ * Brute-force protection for email + password sign in
+ *
+ * Features:
+ * - Failed attempts counted per email address and per IP (login_throttles),
+ *   forgotten after an hour without failures
+ * - Progressive delays: after a few free attempts each failure doubles the
+ *   wait before the next attempt is even checked
+ * - Temporary lockout of an email address after repeated failures, with an
+ *   unlock token for the email sent to the account owner
+ * - Email keys are hashed and work the same whether or not an account exists,
+ *   so throttling never reveals which addresses are registered
+ */
+
+const crypto = require('crypto');
+
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // counters restart after an hour without failures
+const BASE_DELAY_MS = 15 * 1000; // first wait; doubles with each further failure
+const MAX_DELAY_MS = 15 * 60 * 1000;
+const ACCOUNT_FREE_ATTEMPTS = 5;
+const ACCOUNT_LOCKOUT_ATTEMPTS = 10;
+const ACCOUNT_LOCKOUT_MS = 30 * 60 * 1000; // 30 minutes, or until the unlock link is used
+const IP_FREE_ATTEMPTS = 20; // higher: many users can share an IP behind NAT
+
+/**
+ * Throttle key for an email address
+ * @param {string} email - Email as typed
+ * @returns {string} 'email:' + SHA-256 of the normalized address
+ */
+function accountKey(email) {
+  const normalized = String(email).trim().toLowerCase();
+  return `email:${crypto.createHash('sha256').update(normalized).digest('hex')}`;
+}
+
+/**
+ * Throttle key for a client IP
+ * @param {string} ipAddress - Client IP address
+ * @returns {string} 'ip:' + address
+ */
+function ipKey(ipAddress) {
+  return `ip:${String(ipAddress || 'unknown').substring(0, 50)}`;
+}
+
+/**
+ * Hash an unlock token for storage
+ * @param {string} token - Raw token from the email
+ * @returns {string} SHA-256 hex digest
+ */
+function hashUnlockToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * How long to wait after a number of consecutive failures
+ * @param {number} failedAttempts - Failures so far
+ * @param {number} freeAttempts - Failures allowed without any wait
+ * @returns {number} Delay in milliseconds (0 while under freeAttempts)
+ */
+function delayAfter(failedAttempts, freeAttempts) {
+  if (failedAttempts < freeAttempts) {
+    return 0;
+  }
+  return Math.min(BASE_DELAY_MS * Math.pow(2, failedAttempts - freeAttempts), MAX_DELAY_MS);
+}
+
+/**
+ * Check whether a sign in may be attempted right now
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} email - Email as typed
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object|null>} null, or { retryAfterSeconds, locked } while blocked
+ */
+async function checkLoginThrottle(db, email, ipAddress) {
+  const result = await db.query(
+    `SELECT key, failed_attempts, CEIL(EXTRACT(EPOCH FROM (blocked_until - NOW()))) AS retry_after
+     FROM login_throttles
+     WHERE key = ANY($1) AND blocked_until > NOW()`,
+    [[accountKey(email), ipKey(ipAddress)]]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    retryAfterSeconds: Math.max(...result.rows.map(row => parseInt(row.retry_after))),
+    locked: result.rows.some(row => row.key.startsWith('email:') && row.failed_attempts >= ACCOUNT_LOCKOUT_ATTEMPTS)
+  };
+}
+
+/**
+ * Count one failure against a key and set its wait
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} key - Throttle key
+ * @param {number} freeAttempts - Failures allowed without any wait
+ * @returns {Promise<number>} Consecutive failures including this one
+ */
+async function addFailure(db, key, freeAttempts) {
+  const result = await db.query(
+    `INSERT INTO login_throttles (key, failed_attempts, last_failed_at)
+     VALUES ($1, 1, NOW())
+     ON CONFLICT (key) DO UPDATE SET
+       failed_attempts = CASE
+         WHEN login_throttles.last_failed_at < NOW() - $2 * INTERVAL '1 millisecond' THEN 1
+         ELSE login_throttles.failed_attempts + 1
+       END,
+       last_failed_at = NOW()
+     RETURNING failed_attempts`,
+    [key, FAILURE_WINDOW_MS]
+  );
+
+  const failedAttempts = result.rows[0].failed_attempts;
+  const delayMs = delayAfter(failedAttempts, freeAttempts);
+
+  if (delayMs > 0) {
+    await db.query(
+      `UPDATE login_throttles SET blocked_until = NOW() + $2 * INTERVAL '1 millisecond' WHERE key = $1`,
+      [key, delayMs]
+    );
+  }
+
+  return failedAttempts;
+}
+
+/**
+ * Record a failed sign in against the email address and the IP
+ * Reaching ACCOUNT_LOCKOUT_ATTEMPTS locks the address; when it belongs to an
+ * account, an unlock token is issued for the owner.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} email - Email as typed
+ * @param {string} ipAddress - Client IP address
+ * @param {number|null} userId - Account with that email, if any
+ * @returns {Promise<Object>} { failedAttempts, locked, unlockToken }
+ */
+async function recordLoginFailure(db, email, ipAddress, userId = null) {
+  const key = accountKey(email);
+  const failedAttempts = await addFailure(db, key, ACCOUNT_FREE_ATTEMPTS);
+  await addFailure(db, ipKey(ipAddress), IP_FREE_ATTEMPTS);
+
+  if (failedAttempts < ACCOUNT_LOCKOUT_ATTEMPTS) {
+    return { failedAttempts, locked: false, unlockToken: null };
+  }
+
+  const unlockToken = userId ? crypto.randomBytes(32).toString('hex') : null;
+  await db.query(
+    `UPDATE login_throttles
+     SET blocked_until = NOW() + $2 * INTERVAL '1 millisecond', user_id = $3, unlock_token_hash = $4
+     WHERE key = $1`,
+    [key, ACCOUNT_LOCKOUT_MS, userId, unlockToken ? hashUnlockToken(unlockToken) : null]
+  );
+
+  return { failedAttempts, locked: true, unlockToken };
+}
+
+/**
+ * Forget an email address's failures after a successful sign in
+ * IP counters are left alone: signing in to one's own account mustn't reset
+ * the count for guesses made at others.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} email - Email as typed
+ */
+async function clearLoginFailures(db, email) {
+  await db.query('DELETE FROM login_throttles WHERE key = $1', [accountKey(email)]);
+}
+
+/**
+ * Lift a lockout with the token from the unlock email
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {string} token - Raw unlock token
+ * @returns {Promise<number|null>} User ID, or null if the token is unknown
+ */
+async function unlockWithToken(db, token) {
+  const result = await db.query(
+    'DELETE FROM login_throttles WHERE unlock_token_hash = $1 RETURNING user_id',
+    [hashUnlockToken(token)]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+/**
+ * Delete counters that have run out
+ * @param {Object} db - PostgreSQL pool or client
+ * @returns {Promise<number>} Rows deleted
+ */
+async function pruneLoginThrottles(db) {
+  const result = await db.query(
+    `DELETE FROM login_throttles
+     WHERE last_failed_at < NOW() - $1 * INTERVAL '1 millisecond'
+       AND (blocked_until IS NULL OR blocked_until < NOW())`,
+    [FAILURE_WINDOW_MS]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  ACCOUNT_FREE_ATTEMPTS,
+  ACCOUNT_LOCKOUT_ATTEMPTS,
+  ACCOUNT_LOCKOUT_MS,
+  IP_FREE_ATTEMPTS,
+  accountKey,
+  delayAfter,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockWithToken,
+  pruneLoginThrottles
+};
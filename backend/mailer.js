@@ -0,0 +1,191 @@
+/**
+ * Mailer Module for Pushin Reload Backend
+ * SMTP transport and the shared layout for transactional emails
+ *
+ * Features:
+ * - SMTP configuration from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   (Mailtrap defaults when NODE_ENV=test), sender from EMAIL_FROM
+ * - One branded HTML + plain text layout: heading, paragraphs, a call to
+ *   action button and an optional highlighted notice
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP transporter and check it can connect
+ * @returns {Promise<Object>} Nodemailer transporter
+ */
+async function createTransporter() {
+  // Supports multiple email services via SMTP
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    // For development/testing with services like Mailtrap
+    ...(process.env.NODE_ENV === 'test' && {
+      host: process.env.SMTP_HOST || 'sandbox.smtp.mailtrap.io',
+      port: parseInt(process.env.SMTP_PORT || '2525'),
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    })
+  });
+
+  try {
+    await transporter.verify();
+    console.log('✅ SMTP server is ready to send emails');
+  } catch (error) {
+    console.error('❌ SMTP verification failed:', error.message);
+    throw new Error(`Email service configuration error: ${error.message}`);
+  }
+
+  return transporter;
+}
+
+/**
+ * Send an email
+ * @param {Object} mailOptions - Nodemailer options ({ to, subject, html, text }); from defaults to EMAIL_FROM
+ * @returns {Promise<Object>} Nodemailer send info
+ */
+async function sendMail(mailOptions) {
+  const transporter = await createTransporter();
+
+  try {
+    const info = await transporter.sendMail({
+      from: process.env.EMAIL_FROM || '"PUSHIN" <noreply@pushinapp.com>',
+      ...mailOptions
+    });
+    console.log(`✅ Email "${mailOptions.subject}" sent:`, info.messageId);
+    return info;
+  } catch (error) {
+    console.error(`❌ Failed to send email "${mailOptions.subject}":`, error);
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+}
+
+/**
+ * Render an email in the PUSHIN layout
+ * @param {Object} content
+ * @param {string} content.title - Heading (also the page title)
+ * @param {Array<string>} content.paragraphs - Body paragraphs (plain text)
+ * @param {string} content.actionUrl - Button link (optional)
+ * @param {string} content.actionLabel - Button text
+ * @param {string} content.code - Code to show in large type (optional)
+ * @param {string} content.notice - Highlighted notice, e.g. an expiry (optional)
+ * @param {string} content.footnote - Closing paragraph (optional)
+ * @returns {Object} { html, text }
+ */
+function renderEmail({ title, paragraphs = [], actionUrl = null, actionLabel = null, code = null, notice = null, footnote = null }) {
+  const year = new Date().getFullYear();
+
+  const paragraphHtml = paragraphs.map(paragraph => `
+              <p style="margin: 0 0 16px; color: #4b5563; font-size: 15px; line-height: 1.6;">
+                ${paragraph}
+              </p>`).join('');
+
+  const actionHtml = actionUrl ? `
+              <div style="text-align: center; margin: 32px 0;">
+                <a href="${actionUrl}" style="display: inline-block; background: linear-gradient(135deg, #8B5CF6 0%, #7C3AED 100%); color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 100px; font-size: 16px; font-weight: 600; letter-spacing: -0.3px; box-shadow: 0 4px 12px rgba(139, 92, 246, 0.3);">
+                  ${actionLabel}
+                </a>
+              </div>
+
+              <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px; line-height: 1.5;">
+                If the button doesn't work, copy and paste this link into your browser:
+              </p>
+
+              <p style="margin: 0 0 24px; color: #8B5CF6; font-size: 13px; word-break: break-all; line-height: 1.4;">
+                ${actionUrl}
+              </p>` : '';
+
+  const codeHtml = code ? `
+              <div style="text-align: center; margin: 32px 0;">
+                <span style="display: inline-block; color: #1f2937; font-size: 32px; font-weight: 800; letter-spacing: 8px;">
+                  ${code}
+                </span>
+              </div>` : '';
+
+  const noticeHtml = notice ? `
+              <div style="background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 16px; margin: 24px 0; border-radius: 8px;">
+                <p style="margin: 0; color: #92400e; font-size: 14px; font-weight: 600;">
+                  ⚠️ ${notice}
+                </p>
+              </div>` : '';
+
+  const footnoteHtml = footnote ? `
+              <p style="margin: 0; color: #6b7280; font-size: 14px; line-height: 1.5;">
+                ${footnote}
+              </p>` : '';
+
+  const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${title}</title>
+        </head>
+        <body style="margin: 0; padding: 0; background-color: #f5f5f5; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+          <div style="max-width: 600px; margin: 40px auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <!-- Header -->
+            <div style="background: linear-gradient(135deg, #8B5CF6 0%, #7C3AED 100%); padding: 40px 30px; text-align: center;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 800; letter-spacing: -0.5px;">
+                ${title}
+              </h1>
+            </div>
+
+            <!-- Body -->
+            <div style="padding: 40px 30px;">
+              <p style="margin: 0 0 16px; color: #1f2937; font-size: 16px; line-height: 1.5;">
+                Hello,
+              </p>
+${paragraphHtml}${actionHtml}${codeHtml}${noticeHtml}${footnoteHtml}
+            </div>
+
+            <!-- Footer -->
+            <div style="background-color: #f9fafb; padding: 24px 30px; border-top: 1px solid #e5e7eb;">
+              <p style="margin: 0 0 8px; color: #1f2937; font-size: 14px; font-weight: 600;">
+                Best regards,<br>The PUSHIN Team
+              </p>
+
+              <p style="margin: 0; color: #9ca3af; font-size: 12px; line-height: 1.4;">
+                This is an automated email. Please do not reply to this message.
+              </p>
+            </div>
+          </div>
+
+          <!-- Legal Footer -->
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px; text-align: center;">
+            <p style="margin: 0; color: #9ca3af; font-size: 12px; line-height: 1.5;">
+              © ${year} PUSHIN. All rights reserved.
+            </p>
+          </div>
+        </body>
+      </html>
+    `;
+
+  // Plain text version for email clients that don't support HTML
+  const text = [
+    title,
+    'Hello,',
+    ...paragraphs,
+    actionUrl,
+    code,
+    notice ? `⚠️ ${notice}` : null,
+    footnote,
+    'Best regards,\nThe PUSHIN Team',
+    `---\nThis is an automated email. Please do not reply to this message.\n© ${year} PUSHIN. All rights reserved.`
+  ].filter(Boolean).join('\n\n');
+
+  return { html, text };
+}
+
+module.exports = {
+  sendMail,
+  renderEmail
+};
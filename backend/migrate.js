@@ -0,0 +1,295 @@
+/**
+ * Database Migration Module for Pushin Reload Backend
+ * Versioned schema changes, applied in order and tracked in the database
+ *
+ * Features:
+ * - Numbered migrations in backend/migrations (NNN_description.js), each
+ *   exporting async up(client) and down(client)
+ * - Applied versions recorded in schema_migrations
+ * - Each migration runs in its own transaction together with its
+ *   schema_migrations row, so a failure leaves nothing half-applied
+ * - A Postgres advisory lock keeps concurrent server starts (or a deploy
+ *   racing a manual run) from applying the same migration twice
+ *
+ * Usage:
+ *   node backend/migrate.js status          List migrations and whether they're applied
+ *   node backend/migrate.js up [--to N]     Apply pending migrations (up to version N)
+ *   node backend/migrate.js down [--steps N | --to N]
+ *                                           Roll back the last N migrations (default 1),
+ *                                           or every migration above version N
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Load migration files in version order
+ * @returns {Array<Object>} { version, name, up, down }
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return { version: parseInt(version, 10), name, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Run a function on a dedicated client while holding the migration lock
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))");
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get applied migrations
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Map>} version -> { version, name, applied_at }
+ */
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Apply or revert one migration in a transaction
+ * @param {Object} client - PostgreSQL client holding the migration lock
+ * @param {Object} migration - Migration from loadMigrations()
+ * @param {string} direction - 'up' or 'down'
+ */
+async function runMigration(client, migration, direction) {
+  const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  console.log(`🔄 Migration ${label} ${direction}...`);
+
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+    console.log(`✅ Migration ${label} ${direction} complete`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${label} ${direction} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} options - { to } highest version to apply (default: all)
+ * @returns {Promise<Array>} Applied migrations ({ version, name })
+ */
+async function migrateUp(pool, { to } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const pending = migrations.filter(m => !applied.has(m.version) && (to === undefined || m.version <= to));
+
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up');
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} options - { steps } number to roll back (default 1), or
+ *   { to } roll back every migration above this version
+ * @returns {Promise<Array>} Rolled back migrations ({ version, name })
+ */
+async function migrateDown(pool, { steps = 1, to } = {}) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = [...(await getAppliedMigrations(client)).keys()].sort((a, b) => b - a);
+    const versions = to === undefined
+      ? applied.slice(0, steps)
+      : applied.filter(version => version > to);
+
+    const missing = versions.filter(version => !byVersion.has(version));
+    if (missing.length > 0) {
+      throw new Error(`No migration file for applied version(s) ${missing.join(', ')}`);
+    }
+
+    for (const version of versions) {
+      await runMigration(client, byVersion.get(version), 'down');
+    }
+
+    return versions.map(version => ({ version, name: byVersion.get(version).name }));
+  });
+}
+
+/**
+ * Get every known migration and whether it's applied
+ * @param {Object} pool - PostgreSQL pool
+ * @returns {Promise<Array>} { version, name, applied, appliedAt, missingFile }
+ */
+async function getMigrationStatus(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const status = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      appliedAt: applied.has(version) ? applied.get(version).applied_at : null,
+      missingFile: false
+    }));
+
+    // Applied by a newer build whose migration file isn't here
+    for (const row of applied.values()) {
+      if (!migrations.some(m => m.version === row.version)) {
+        status.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missingFile: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+/**
+ * Read a numeric --flag value from argv
+ */
+function numericOption(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return undefined;
+
+  const value = parseInt(args[index + 1], 10);
+  if (Number.isNaN(value) || value < 0) {
+    throw new Error(`${flag} requires a non-negative number`);
+  }
+  return value;
+}
+
+/**
+ * Command line entry point
+ */
+async function main() {
+  try {
+    require('dotenv').config();
+  } catch (err) {
+    // dotenv not installed, skip
+  }
+
+  const { Pool } = require('pg');
+  const connectionString = process.env.DATABASE_PRIVATE_URL || process.env.DATABASE_URL;
+
+  if (!connectionString) {
+    console.error('❌ ERROR: No database connection string found!');
+    process.exit(1);
+  }
+
+  const useInternalConnection = !!process.env.DATABASE_PRIVATE_URL;
+  const pool = new Pool({
+    connectionString,
+    ssl: useInternalConnection ? false : {
+      rejectUnauthorized: false
+    }
+  });
+
+  const [command = 'status', ...args] = process.argv.slice(2);
+  let exitCode = 0;
+
+  try {
+    if (command === 'status') {
+      const status = await getMigrationStatus(pool);
+      console.log('📋 Migrations:');
+      status.forEach(m => {
+        const label = `${String(m.version).padStart(3, '0')}_${m.name}`;
+        const state = m.applied ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+        console.log(`   ${m.applied ? '✅' : '⏳'} ${label} - ${state}${m.missingFile ? ' (no migration file)' : ''}`);
+      });
+    } else if (command === 'up') {
+      const applied = await migrateUp(pool, { to: numericOption(args, '--to') });
+      console.log(applied.length > 0
+        ? `🎉 Applied ${applied.length} migration(s)`
+        : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const to = numericOption(args, '--to');
+      const steps = numericOption(args, '--steps');
+      const rolledBack = await migrateDown(pool, { to, steps: steps === undefined ? 1 : steps });
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else {
+      console.error(`❌ Unknown command: ${command}`);
+      console.error('Usage: node backend/migrate.js status | up [--to N] | down [--steps N | --to N]');
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  loadMigrations
+};
@@ -1,22 +1,17 @@
-require('dotenv').config();
-const { Pool } = require('pg');
+/**
+ * Migration 001: Initial schema
+ * Users, auth tokens, subscriptions and audit logs.
+ *
+ * Databases created by the old scripts (init_db.js, create_table.js,
+ * create_all_tables.js, initDatabase() in server.js and the one-off
+ * add_*_column.js scripts) each ended up with a slightly different shape, so
+ * besides creating missing tables this brings existing ones to the same
+ * columns, types and indexes a fresh database gets.
+ */
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: false  // Disable SSL for local development
-});
-
-async function initDatabase() {
-  try {
-    console.log('🔄 Attempting database connection and table initialization...');
-
-    // Test connection first
-    const client = await pool.connect();
-    console.log('✅ Database connection successful');
-    client.release();
-
-    // Create users table
-    await pool.query(`
+module.exports = {
+  async up(client) {
+    await client.query(`
       CREATE TABLE IF NOT EXISTS users (
         id SERIAL PRIMARY KEY,
         email VARCHAR(255) UNIQUE NOT NULL,
@@ -24,13 +19,30 @@ async function initDatabase() {
         firstname VARCHAR(255),
         apple_id VARCHAR(255) UNIQUE,
         google_id VARCHAR(255) UNIQUE,
+        profile_picture TEXT,
+        timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
-    // Create refresh tokens table
-    await pool.query(`
+    // create_table.js made a users table with only id/firstname/email,
+    // initDatabase() left out firstname and profile_picture
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS firstname VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS apple_id VARCHAR(255) UNIQUE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS google_id VARCHAR(255) UNIQUE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_picture TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE users ALTER COLUMN email TYPE VARCHAR(255);
+      ALTER TABLE users ALTER COLUMN firstname TYPE VARCHAR(255);
+      ALTER TABLE users ALTER COLUMN firstname DROP NOT NULL;
+    `);
+
+    await client.query(`
       CREATE TABLE IF NOT EXISTS refresh_tokens (
         id SERIAL PRIMARY KEY,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
@@ -40,8 +52,7 @@ async function initDatabase() {
       )
     `);
 
-    // Create subscriptions table for Stripe
-    await pool.query(`
+    await client.query(`
       CREATE TABLE IF NOT EXISTS subscriptions (
         id SERIAL PRIMARY KEY,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
@@ -55,8 +66,7 @@ async function initDatabase() {
       )
     `);
 
-    // Create anonymous subscriptions table for guest users
-    await pool.query(`
+    await client.query(`
       CREATE TABLE IF NOT EXISTS anonymous_subscriptions (
         id SERIAL PRIMARY KEY,
         anonymous_id VARCHAR(255) UNIQUE NOT NULL,
@@ -74,15 +84,13 @@ async function initDatabase() {
       )
     `);
 
-    // Create indexes for anonymous subscriptions
-    await pool.query(`
+    await client.query(`
       CREATE INDEX IF NOT EXISTS idx_anonymous_subscriptions_email ON anonymous_subscriptions(email);
       CREATE INDEX IF NOT EXISTS idx_anonymous_subscriptions_recovery_token ON anonymous_subscriptions(recovery_token);
       CREATE INDEX IF NOT EXISTS idx_anonymous_subscriptions_linked_user ON anonymous_subscriptions(linked_user_id);
     `);
 
-    // Create password reset tokens table
-    await pool.query(`
+    await client.query(`
       CREATE TABLE IF NOT EXISTS password_reset_tokens (
         id SERIAL PRIMARY KEY,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
@@ -93,13 +101,15 @@ async function initDatabase() {
       )
     `);
 
-    // Create unique index on user_id for password reset tokens (one active token per user)
-    await pool.query(`
+    // One active reset per user (requestPasswordReset upserts on user_id).
+    // create_all_tables.js declared this as a table constraint instead.
+    await client.query(`
+      ALTER TABLE password_reset_tokens ALTER COLUMN token_hash TYPE VARCHAR(255);
+      ALTER TABLE password_reset_tokens DROP CONSTRAINT IF EXISTS password_reset_tokens_user_id_key;
       CREATE UNIQUE INDEX IF NOT EXISTS idx_password_reset_user_id ON password_reset_tokens(user_id);
     `);
 
-    // Create audit logs table for security tracking
-    await pool.query(`
+    await client.query(`
       CREATE TABLE IF NOT EXISTS audit_logs (
         id SERIAL PRIMARY KEY,
         event_type VARCHAR(100) NOT NULL,
@@ -111,20 +121,23 @@ async function initDatabase() {
       )
     `);
 
-    // Create indexes for audit logs
-    await pool.query(`
+    // create_all_tables.js used INET here
+    await client.query(`
+      ALTER TABLE audit_logs ALTER COLUMN ip_address TYPE VARCHAR(50) USING ip_address::text;
       CREATE INDEX IF NOT EXISTS idx_audit_logs_event_type ON audit_logs(event_type);
       CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
       CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
     `);
+  },
 
-    console.log('✅ Database connected and tables initialized');
-  } catch (error) {
-    console.error('❌ Database initialization error:', error);
-    process.exit(1);
-  } finally {
-    await pool.end();
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS audit_logs;
+      DROP TABLE IF EXISTS password_reset_tokens;
+      DROP TABLE IF EXISTS anonymous_subscriptions;
+      DROP TABLE IF EXISTS subscriptions;
+      DROP TABLE IF EXISTS refresh_tokens;
+      DROP TABLE IF EXISTS users;
+    `);
   }
-}
-
-initDatabase();
\ No newline at end of file
+};
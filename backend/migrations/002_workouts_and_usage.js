@@ -0,0 +1,82 @@
+/**
+ * Migration 002: Workouts and daily usage
+ * Workout history with idempotent sync, the daily usage ledger and its
+ * event log.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS workouts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        client_id VARCHAR(64),
+        workout_type VARCHAR(50) NOT NULL,
+        reps_completed INTEGER NOT NULL DEFAULT 0,
+        earned_seconds INTEGER NOT NULL DEFAULT 0,
+        workout_mode VARCHAR(20) NOT NULL DEFAULT 'normal',
+        rules_version INTEGER,
+        timezone VARCHAR(64),
+        completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Older databases created workouts without sync columns
+    await client.query(`
+      ALTER TABLE workouts ADD COLUMN IF NOT EXISTS client_id VARCHAR(64);
+      ALTER TABLE workouts ADD COLUMN IF NOT EXISTS workout_mode VARCHAR(20) NOT NULL DEFAULT 'normal';
+      ALTER TABLE workouts ADD COLUMN IF NOT EXISTS rules_version INTEGER;
+      ALTER TABLE workouts ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+      UPDATE workouts SET client_id = 'legacy-' || id WHERE client_id IS NULL;
+      ALTER TABLE workouts ALTER COLUMN client_id SET NOT NULL;
+    `);
+
+    // Indexes for idempotent sync and paginated history. create_all_tables.js
+    // declared the first as UNIQUE(user_id, client_id), which is equivalent.
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_workouts_user_client_id ON workouts(user_id, client_id);
+      CREATE INDEX IF NOT EXISTS idx_workouts_user_completed_at ON workouts(user_id, completed_at DESC, id DESC);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS daily_usage (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        earned_seconds INTEGER NOT NULL DEFAULT 0,
+        consumed_seconds INTEGER NOT NULL DEFAULT 0,
+        plan_tier VARCHAR(20) NOT NULL DEFAULT 'free',
+        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, date)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS usage_events (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        event_type VARCHAR(20) NOT NULL,
+        event_id VARCHAR(64),
+        requested_seconds INTEGER NOT NULL,
+        applied_seconds INTEGER NOT NULL,
+        plan_tier VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, event_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_usage_events_user_date ON usage_events(user_id, date);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS usage_events;
+      DROP TABLE IF EXISTS daily_usage;
+      DROP TABLE IF EXISTS workouts;
+    `);
+  }
+};
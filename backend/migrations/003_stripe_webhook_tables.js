@@ -0,0 +1,61 @@
+/**
+ * Migration 003: Stripe webhook tables
+ * Invoice outcomes and the stored webhook events they come from.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS subscription_invoices (
+        id SERIAL PRIMARY KEY,
+        invoice_id VARCHAR(255) UNIQUE NOT NULL,
+        subscription_id VARCHAR(255),
+        customer_id VARCHAR(255),
+        status VARCHAR(20) NOT NULL,
+        amount_due INTEGER NOT NULL DEFAULT 0,
+        amount_paid INTEGER NOT NULL DEFAULT 0,
+        currency VARCHAR(10),
+        billing_reason VARCHAR(50),
+        attempt_count INTEGER NOT NULL DEFAULT 0,
+        next_payment_attempt TIMESTAMP,
+        period_end TIMESTAMP,
+        hosted_invoice_url TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_subscription_invoices_subscription_id ON subscription_invoices(subscription_id);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stripe_events (
+        id SERIAL PRIMARY KEY,
+        event_id VARCHAR(255) UNIQUE NOT NULL,
+        type VARCHAR(100) NOT NULL,
+        subscription_id VARCHAR(255),
+        stripe_created_at TIMESTAMP NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        processed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_stripe_events_subscription_created ON stripe_events(subscription_id, stripe_created_at);
+      CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events(status);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS stripe_events;
+      DROP TABLE IF EXISTS subscription_invoices;
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration 004: Anonymous identities
+ * Server-issued guest identities and their current refresh token hash.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS anonymous_identities (
+        id SERIAL PRIMARY KEY,
+        anonymous_id VARCHAR(255) UNIQUE NOT NULL,
+        refresh_token_hash VARCHAR(64),
+        refresh_expires_at TIMESTAMP,
+        linked_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        linked_at TIMESTAMP,
+        last_seen_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_anonymous_identities_linked_user ON anonymous_identities(linked_user_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS anonymous_identities');
+  }
+};
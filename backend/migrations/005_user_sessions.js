@@ -0,0 +1,40 @@
+/**
+ * Migration 005: User sessions
+ * One row per signed-in device. Each session owns a family of refresh
+ * tokens, so signing in on one device no longer signs out the others.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        device_name VARCHAR(100),
+        platform VARCHAR(20),
+        last_ip VARCHAR(50),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+    `);
+
+    // Tokens issued before sessions existed keep a NULL session_id
+    await client.query(`
+      ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS session_id INTEGER REFERENCES user_sessions(id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS session_id;
+      DROP TABLE IF EXISTS user_sessions;
+    `);
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration 006: Refresh token rotation
+ * refresh_tokens.token now holds the SHA-256 of the token instead of the
+ * token itself. Rotated tokens are kept (rotated_at set) and each new token
+ * points at its predecessor, so presenting an old token again can be spotted.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL;
+      ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+    `);
+
+    // Hash the raw JWTs already stored (a hex SHA-256 is exactly 64 characters)
+    await client.query(`
+      UPDATE refresh_tokens
+      SET token = encode(sha256(convert_to(token, 'UTF8')), 'hex')
+      WHERE length(token) <> 64;
+    `);
+  },
+
+  async down(client) {
+    // Hashes can't be turned back into tokens; everyone signs in again
+    await client.query(`
+      DELETE FROM refresh_tokens;
+      ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS rotated_at;
+      ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS parent_id;
+    `);
+  }
+};
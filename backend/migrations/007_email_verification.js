@@ -0,0 +1,43 @@
+/**
+ * Migration 007: Email verification
+ * users.email_verified_at records when the address was proven, either by a
+ * verification link or by Google/Apple vouching for it. Verification tokens
+ * work like password reset tokens: one per user, stored hashed.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+    `);
+
+    // Google sign in only accepts verified emails and Apple relay or
+    // verified addresses, so accounts created through them count as verified
+    await client.query(`
+      UPDATE users SET email_verified_at = COALESCE(updated_at, created_at, NOW())
+      WHERE email_verified_at IS NULL AND password_hash IS NULL
+        AND (google_id IS NOT NULL OR apple_id IS NOT NULL);
+    `);
+
+    // email is the address the token proves, so a later email change
+    // doesn't let an old link verify the new address
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(255) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS email_verification_tokens;
+      ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+    `);
+  }
+};
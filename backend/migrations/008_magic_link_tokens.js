@@ -0,0 +1,30 @@
+/**
+ * Migration 008: Magic link tokens
+ * Passwordless sign in, modeled on password_reset_tokens: one outstanding
+ * request per user, only hashes stored. A request mails either a link
+ * (token_hash) or a 6-digit code (code_hash, with an attempt counter because
+ * a code is easy to guess).
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS magic_link_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(255) UNIQUE,
+        code_hash VARCHAR(255),
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        used BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS magic_link_tokens;
+    `);
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration 010: Account deletions
+ * A pending deletion per user: when it runs, the hash of the undo token from
+ * the confirmation email, and which Stripe subscriptions were set to cancel
+ * so undoing can switch exactly those back on.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS account_deletions (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        requested_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        scheduled_for TIMESTAMP NOT NULL,
+        undo_token_hash VARCHAR(255) UNIQUE NOT NULL,
+        canceled_subscription_ids TEXT[] NOT NULL DEFAULT '{}'
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_account_deletions_scheduled_for ON account_deletions(scheduled_for);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS account_deletions;
+    `);
+  }
+};
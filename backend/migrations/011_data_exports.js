@@ -0,0 +1,36 @@
+/**
+ * Migration 011: Data exports
+ * Personal data export jobs and the archives they produce. A partial unique
+ * index allows only one pending or running export per user.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        file_name VARCHAR(255),
+        size_bytes INTEGER,
+        error TEXT,
+        expires_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_data_exports_one_active ON data_exports(user_id) WHERE status IN ('pending', 'running');
+      CREATE INDEX IF NOT EXISTS idx_data_exports_user_created ON data_exports(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports(status);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS data_exports;
+    `);
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Migration 012: User identities
+ * Google and Apple accounts linked to a user move out of users.google_id /
+ * users.apple_id into their own table, with the provider email and when each
+ * was linked and last used. The password stays on users.password_hash.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(20) NOT NULL,
+        provider_user_id VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        UNIQUE (provider, provider_user_id),
+        UNIQUE (user_id, provider)
+      )
+    `);
+
+    await client.query(`
+      INSERT INTO user_identities (user_id, provider, provider_user_id, email, linked_at)
+      SELECT id, 'google', google_id, email, created_at FROM users WHERE google_id IS NOT NULL
+      ON CONFLICT DO NOTHING;
+
+      INSERT INTO user_identities (user_id, provider, provider_user_id, email, linked_at)
+      SELECT id, 'apple', apple_id, email, created_at FROM users WHERE apple_id IS NOT NULL
+      ON CONFLICT DO NOTHING;
+    `);
+
+    await client.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS google_id;
+      ALTER TABLE users DROP COLUMN IF EXISTS apple_id;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS google_id VARCHAR(255) UNIQUE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS apple_id VARCHAR(255) UNIQUE;
+
+      UPDATE users u SET google_id = i.provider_user_id
+      FROM user_identities i WHERE i.user_id = u.id AND i.provider = 'google';
+
+      UPDATE users u SET apple_id = i.provider_user_id
+      FROM user_identities i WHERE i.user_id = u.id AND i.provider = 'apple';
+
+      DROP TABLE IF EXISTS user_identities;
+    `);
+  }
+};
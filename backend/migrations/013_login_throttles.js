@@ -0,0 +1,30 @@
+/**
+ * Migration 013: Login throttles
+ * Failed password sign ins, counted per email address and per IP. Email keys
+ * are hashed and don't depend on the account existing, so throttling looks the
+ * same for unknown addresses. A locked account row carries the hash of the
+ * emailed unlock token and the user it belongs to.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_throttles (
+        key VARCHAR(100) PRIMARY KEY,
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        blocked_until TIMESTAMP,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        unlock_token_hash VARCHAR(255) UNIQUE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_login_throttles_last_failed_at ON login_throttles(last_failed_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS login_throttles;
+    `);
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 014: Rate limit counters
+ * Hit counts for express-rate-limit, shared by every replica and kept across
+ * deploys. One row per limiter key per fixed window; the sliding window is
+ * estimated from the current and previous rows. Keys are hashed.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_counters (
+        key VARCHAR(128) NOT NULL,
+        window_start BIGINT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        PRIMARY KEY (key, window_start)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires_at ON rate_limit_counters(expires_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS rate_limit_counters;
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 015: Password history
+ * bcrypt hashes of the passwords a user had before the current one, so a
+ * password change or reset can refuse a recently used password. Only as many
+ * as the policy's historyCount needs are kept.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history(user_id, created_at DESC);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS password_history;
+    `);
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 016: Avatars
+ * users.avatar_key points at the processed profile picture in avatar
+ * storage (see avatars.js). profile_picture, the base64 the app used to
+ * send, stays until convert_profile_pictures.js has moved it to storage.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_key VARCHAR(100);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS avatar_key;
+    `);
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration 017: Email changes
+ * A change of address is a request until the new address confirms it. The
+ * confirmation link goes to the new address, a revert link to the old one;
+ * only token hashes are stored. The revert link outlives the confirmation,
+ * so the previous owner can undo a change made by someone else. One pending
+ * request per user (a new one supersedes it).
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_changes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        session_id INTEGER REFERENCES user_sessions(id) ON DELETE SET NULL,
+        old_email VARCHAR(255) NOT NULL,
+        new_email VARCHAR(255) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        confirm_token_hash VARCHAR(255) UNIQUE NOT NULL,
+        revert_token_hash VARCHAR(255) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revert_expires_at TIMESTAMP NOT NULL,
+        requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        confirmed_at TIMESTAMP,
+        reverted_at TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_email_changes_pending ON email_changes(user_id) WHERE status = 'pending';
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS email_changes;
+    `);
+  }
+};
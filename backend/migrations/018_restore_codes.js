@@ -0,0 +1,30 @@
+/**
+ * Migration 018: Restore codes
+ * Restoring a purchase by email needs a 6-digit code mailed to the address
+ * (unless the caller is signed in with that address verified). Keyed by
+ * address rather than user, since guest purchases have no account. One
+ * outstanding code per address, only hashes stored, with an attempt counter
+ * like magic_link_tokens.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS restore_codes (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        code_hash VARCHAR(255) NOT NULL,
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        used BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS restore_codes;
+    `);
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 019: Data export archives in Postgres
+ * Archives used to be files in DATA_EXPORT_DIR, which is local to one
+ * instance. They're now kept in data_exports.archive, so any instance can
+ * serve the download and they go with the row (and the user). Archives
+ * still on disk can't be served any more, so their exports are expired.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE data_exports ADD COLUMN IF NOT EXISTS archive BYTEA;
+
+      UPDATE data_exports SET status = 'expired' WHERE status = 'completed' AND archive IS NULL;
+
+      ALTER TABLE data_exports DROP COLUMN IF EXISTS file_name;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      UPDATE data_exports SET status = 'expired' WHERE status = 'completed';
+
+      ALTER TABLE data_exports ADD COLUMN IF NOT EXISTS file_name VARCHAR(255);
+      ALTER TABLE data_exports DROP COLUMN IF EXISTS archive;
+    `);
+  }
+};
@@ -0,0 +1,228 @@
+/**
+ * Password Policy Module for Pushin Reload Backend
+ * Rules every new password has to meet, in one place
+ *
+ * Features:
+ * - Configurable length, character class and repeated character rules
+ *   (defaults below, PASSWORD_POLICY env JSON to override)
+ * - Offline breached-password check against a bundled, gzipped list of the
+ *   most common passwords from public breaches (data/breached-passwords.txt.gz,
+ *   rebuilt with build_breached_passwords.js); a listed password with digits
+ *   or symbols tacked on counts too
+ * - Password history: none of the user's last N passwords can be reused
+ * - The public part of the policy is served to the app for live validation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const bcrypt = require('bcrypt');
+
+const BREACHED_PASSWORDS_FILE = path.join(__dirname, 'data', 'breached-passwords.txt.gz');
+const SYMBOLS = '!@#$%^&*()_+-=[]{};\':"\\|,.<>/?';
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  maxLength: 128, // prevents DoS through bcrypt
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: true,
+  maxRepeatedChars: 3, // same character in a row; 0 turns the rule off
+  rejectBreached: true,
+  historyCount: 5 // current password plus the 4 before it; 0 allows reuse
+};
+
+/**
+ * Parse PASSWORD_POLICY
+ * @param {string} value - JSON object with any of the DEFAULT_POLICY fields
+ * @returns {Object} Full policy (defaults for missing or invalid fields)
+ */
+function parsePolicy(value) {
+  const policy = { ...DEFAULT_POLICY };
+  if (!value) {
+    return policy;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+
+    for (const [field, setting] of Object.entries(parsed)) {
+      const expected = typeof DEFAULT_POLICY[field];
+      if (expected === 'undefined') {
+        console.error(`❌ PASSWORD_POLICY: unknown setting "${field}"`);
+      } else if (expected === 'number' ? Number.isInteger(setting) && setting >= 0 : typeof setting === expected) {
+        policy[field] = setting;
+      } else {
+        console.error(`❌ PASSWORD_POLICY: invalid value for "${field}", using ${DEFAULT_POLICY[field]}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ PASSWORD_POLICY is not valid JSON, using the defaults:', error.message);
+  }
+
+  return policy;
+}
+
+const POLICY = parsePolicy(process.env.PASSWORD_POLICY);
+
+let breachedPasswords = null;
+
+/**
+ * Load the bundled breached-password list (once)
+ * @returns {Set<string>} Lowercased passwords
+ */
+function loadBreachedPasswords() {
+  if (!breachedPasswords) {
+    try {
+      const list = zlib.gunzipSync(fs.readFileSync(BREACHED_PASSWORDS_FILE)).toString('utf8');
+      breachedPasswords = new Set(list.split('\n').filter(Boolean));
+    } catch (error) {
+      console.error('❌ Breached password list could not be loaded:', error.message);
+      breachedPasswords = new Set();
+    }
+  }
+  return breachedPasswords;
+}
+
+/**
+ * Check a password against the breached-password list
+ * "Dragon2024!" is as easy to guess as "dragon", so trailing digits and
+ * symbols are stripped before a second and third lookup.
+ * @param {string} password - Plain text password
+ * @returns {boolean} True if the password (or its base word) is listed
+ */
+function isBreachedPassword(password) {
+  const list = loadBreachedPasswords();
+  const lowered = password.toLowerCase();
+  const candidates = [lowered, lowered.replace(/[^a-z0-9]+$/, ''), lowered.replace(/[^a-z]+$/, '')];
+  return candidates.some(candidate => candidate && list.has(candidate));
+}
+
+/**
+ * Validate a password against the policy
+ * @param {string} password - Password to validate
+ * @param {Object} policy - Policy to apply (the configured one by default)
+ * @returns {Object} Validation result with isValid and errors array
+ */
+function validatePassword(password, policy = POLICY) {
+  const errors = [];
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+
+  if (password.length > policy.maxLength) {
+    errors.push(`Password must be no more than ${policy.maxLength} characters long`);
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+
+  if (policy.requireSymbol && ![...password].some(char => SYMBOLS.includes(char))) {
+    errors.push('Password must contain at least one special character');
+  }
+
+  if (policy.rejectBreached && password.length <= policy.maxLength && isBreachedPassword(password)) {
+    errors.push('Password is too common and easily guessable');
+  }
+
+  if (policy.maxRepeatedChars > 0 && new RegExp(`(.)\\1{${policy.maxRepeatedChars},}`).test(password)) {
+    errors.push(`Password cannot contain more than ${policy.maxRepeatedChars} repeated characters in a row`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Policy settings the app needs to validate as the user types
+ * @param {Object} policy - Policy to describe (the configured one by default)
+ * @returns {Object} Rules and the accepted special characters
+ */
+function getPublicPolicy(policy = POLICY) {
+  return {
+    minLength: policy.minLength,
+    maxLength: policy.maxLength,
+    requireUppercase: policy.requireUppercase,
+    requireLowercase: policy.requireLowercase,
+    requireNumber: policy.requireNumber,
+    requireSymbol: policy.requireSymbol,
+    symbols: SYMBOLS,
+    maxRepeatedChars: policy.maxRepeatedChars,
+    rejectBreached: policy.rejectBreached,
+    historyCount: policy.historyCount
+  };
+}
+
+/**
+ * Check whether a password is one of the user's last historyCount passwords
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} password - Plain text candidate
+ * @param {Object} policy - Policy to apply (the configured one by default)
+ * @returns {Promise<boolean>} True if it was used recently
+ */
+async function isPasswordReused(db, userId, password, policy = POLICY) {
+  if (!policy.historyCount) {
+    return false;
+  }
+
+  const result = await db.query(
+    `SELECT password_hash FROM users WHERE id = $1 AND password_hash IS NOT NULL
+     UNION ALL
+     (SELECT password_hash FROM password_history WHERE user_id = $1
+      ORDER BY created_at DESC, id DESC LIMIT $2)`,
+    [userId, policy.historyCount - 1]
+  );
+
+  const matches = await Promise.all(result.rows.map(row => bcrypt.compare(password, row.password_hash)));
+  return matches.some(Boolean);
+}
+
+/**
+ * Keep the password being replaced, and drop entries older than the policy needs
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string|null} previousHash - bcrypt hash being replaced
+ * @param {Object} policy - Policy to apply (the configured one by default)
+ */
+async function recordPasswordChange(db, userId, previousHash, policy = POLICY) {
+  if (!previousHash || !policy.historyCount) {
+    return;
+  }
+
+  await db.query(
+    'INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)',
+    [userId, previousHash]
+  );
+  await db.query(
+    `DELETE FROM password_history WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM password_history WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC LIMIT $2
+     )`,
+    [userId, policy.historyCount - 1]
+  );
+}
+
+module.exports = {
+  BREACHED_PASSWORDS_FILE,
+  DEFAULT_POLICY,
+  parsePolicy,
+  isBreachedPassword,
+  validatePassword,
+  getPublicPolicy,
+  isPasswordReused,
+  recordPasswordChange
+};
@@ -0,0 +1,186 @@
+/**
+ * Purchase Restore Module for Pushin Reload Backend
+ * Proof of address for POST /api/stripe/restore-by-email
+ *
+ * Features:
+ * - A 6-digit code mailed to the address, valid for 15 minutes and once,
+ *   burned after 5 wrong guesses (like magic link codes)
+ * - One outstanding code per address; only a hash is stored
+ * - A code is only mailed when a purchase was made under the address, and
+ *   the caller gets the same answer either way
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const mailer = require('./mailer');
+
+const RESTORE_CODE_EXPIRES_MS = 15 * 60 * 1000; // 15 minutes
+const RESTORE_CODE_MAX_ATTEMPTS = 5; // a 6-digit code is guessable, so it's burned after this
+
+/**
+ * Hash a restore code
+ * Codes are only unique per address, so the address is part of the hash.
+ * @param {string} email - Normalized address
+ * @param {string} code - 6-digit code
+ * @returns {string} Hex SHA-256
+ */
+function hashRestoreCode(email, code) {
+  return crypto.createHash('sha256').update(`${email}:${code}`).digest('hex');
+}
+
+/**
+ * Check whether a purchase was made under an address, active or not. Same
+ * rows restore-by-email can return: purchases of users who verified the
+ * address, and guest purchases nobody has claimed yet.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} email - Normalized address
+ * @returns {Promise<boolean>} True if there is one
+ */
+async function hasPurchases(pool, email) {
+  const result = await pool.query(
+    `SELECT 1 FROM subscriptions s
+     INNER JOIN users u ON s.user_id = u.id
+     WHERE u.email = $1 AND u.email_verified_at IS NOT NULL
+     UNION ALL
+     SELECT 1 FROM anonymous_subscriptions
+     WHERE email = $1 AND linked_user_id IS NULL
+     LIMIT 1`,
+    [email]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Email a restore code to an address
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} email - Normalized address
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { emailSent: true }, also when nothing was sent
+ */
+async function requestRestoreCode(pool, email, context = {}) {
+  const { ipAddress = null, userAgent = null } = context;
+
+  const found = await hasPurchases(pool, email);
+
+  await auth.logAuditEvent(pool, 'restore_code_requested', null, ipAddress, userAgent, {
+    email: email,
+    purchase_exists: found
+  });
+
+  if (!found) {
+    // Same answer as a real request, so addresses can't be probed
+    console.log(`🔐 Restore code requested for an address without purchases: ${email}`);
+    return { emailSent: true };
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  // A new request replaces any earlier code
+  await pool.query(
+    `INSERT INTO restore_codes (email, code_hash, failed_attempts, expires_at, used, created_at)
+     VALUES ($1, $2, 0, $3, false, NOW())
+     ON CONFLICT (email)
+     DO UPDATE SET code_hash = $2, failed_attempts = 0, expires_at = $3, used = false, created_at = NOW()`,
+    [email, hashRestoreCode(email, code), new Date(Date.now() + RESTORE_CODE_EXPIRES_MS)]
+  );
+
+  try {
+    await sendRestoreCodeEmail(email, code);
+  } catch (emailError) {
+    await pool.query('DELETE FROM restore_codes WHERE email = $1', [email]);
+    console.error(`❌ Restore code email failed for ${email}: ${emailError.message}`);
+    throw new Error('Failed to send restore code email');
+  }
+
+  console.log(`📧 Restore code sent to ${email}`);
+  return { emailSent: true };
+}
+
+/**
+ * Redeem a restore code
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} email - Normalized address
+ * @param {string} code - Code from the email
+ * @param {Object} context - { ipAddress, userAgent }
+ * @throws {Error} 'Invalid or expired code' when the code doesn't prove the address
+ */
+async function verifyRestoreCode(pool, email, code, context = {}) {
+  const { ipAddress = null, userAgent = null } = context;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the row so a code can't be redeemed twice at once
+    const result = await client.query(
+      `SELECT *, expires_at > NOW() AS is_valid FROM restore_codes
+       WHERE email = $1
+       FOR UPDATE`,
+      [email]
+    );
+    const row = result.rows[0];
+
+    if (!row || !row.is_valid || row.used) {
+      await client.query('ROLLBACK');
+      throw new Error('Invalid or expired code');
+    }
+
+    const expected = Buffer.from(row.code_hash, 'hex');
+    const actual = Buffer.from(hashRestoreCode(email, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const attempts = row.failed_attempts + 1;
+      await client.query(
+        'UPDATE restore_codes SET failed_attempts = $1, used = $2 WHERE id = $3',
+        [attempts, attempts >= RESTORE_CODE_MAX_ATTEMPTS, row.id]
+      );
+      await client.query('COMMIT');
+
+      await auth.logAuditEvent(pool, 'restore_code_failed', null, ipAddress, userAgent, {
+        email: email,
+        failed_attempts: attempts,
+        code_burned: attempts >= RESTORE_CODE_MAX_ATTEMPTS
+      });
+      throw new Error('Invalid or expired code');
+    }
+
+    await client.query('UPDATE restore_codes SET used = true WHERE id = $1', [row.id]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auth.logAuditEvent(pool, 'restore_code_verified', null, ipAddress, userAgent, {
+    email: email
+  });
+}
+
+/**
+ * Send the restore code email
+ * @param {string} email - Address
+ * @param {string} code - 6-digit code
+ */
+async function sendRestoreCodeEmail(email, code) {
+  const { html, text } = mailer.renderEmail({
+    title: 'Restore Your PUSHIN Purchase',
+    paragraphs: ['Enter this code in the PUSHIN app to restore your purchase:'],
+    code,
+    notice: 'This code expires in 15 minutes and works once',
+    footnote: "If you didn't try to restore a purchase, you can safely ignore this email. Nothing changes without the code."
+  });
+
+  return mailer.sendMail({
+    to: email,
+    subject: `Your PUSHIN restore code: ${code}`,
+    html,
+    text
+  });
+}
+
+module.exports = {
+  requestRestoreCode,
+  verifyRestoreCode
+};
@@ -0,0 +1,146 @@
+/**
+ * Rate Limit Store Module for Pushin Reload Backend
+ * PostgreSQL store for express-rate-limit
+ *
+ * Features:
+ * - Counts live in rate_limit_counters, so limits survive deploys and are
+ *   shared between replicas, using the existing pool (no Redis)
+ * - Sliding window: hits in the current fixed window plus the previous
+ *   window's hits weighted by how much of it still overlaps
+ * - Keys are hashed, so IPs and emails in composite keys aren't stored
+ */
+
+const crypto = require('crypto');
+
+let pool = null;
+
+/**
+ * Give the stores their database pool
+ * Limiters are created when the route modules load, before server.js has a
+ * pool, so it's handed over here once it exists.
+ * @param {Object} dbPool - PostgreSQL pool
+ */
+function setPool(dbPool) {
+  pool = dbPool;
+}
+
+/**
+ * The pool, or an error if setPool hasn't been called
+ * @returns {Object} PostgreSQL pool
+ */
+function getPool() {
+  if (!pool) {
+    throw new Error('Rate limit store has no database pool');
+  }
+  return pool;
+}
+
+/**
+ * Sliding window estimate from two fixed windows
+ * @param {number} currentHits - Hits in the current window
+ * @param {number} previousHits - Hits in the previous window
+ * @param {number} elapsedMs - Time since the current window started
+ * @param {number} windowMs - Window length
+ * @returns {number} Hits in the last windowMs
+ */
+function slidingHits(currentHits, previousHits, elapsedMs, windowMs) {
+  const overlap = Math.max(0, 1 - elapsedMs / windowMs);
+  return currentHits + Math.floor(previousHits * overlap);
+}
+
+/**
+ * Create a store for one limiter
+ * @param {string} name - Limiter name, keeps its keys apart from other limiters'
+ * @returns {Object} express-rate-limit Store
+ */
+function createPostgresStore(name) {
+  let windowMs = 60 * 1000;
+
+  const storedKey = (key) => `${name}:${crypto.createHash('sha256').update(key).digest('hex')}`;
+
+  const windowOf = (now) => Math.floor(now / windowMs) * windowMs;
+
+  return {
+    prefix: `${name}:`,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const now = Date.now();
+      const windowStart = windowOf(now);
+
+      // A window's row counts until the end of the window after it
+      const result = await getPool().query(
+        `WITH current AS (
+           INSERT INTO rate_limit_counters (key, window_start, hits, expires_at)
+           VALUES ($1, $2, 1, NOW() + $4 * INTERVAL '1 millisecond')
+           ON CONFLICT (key, window_start) DO UPDATE SET hits = rate_limit_counters.hits + 1
+           RETURNING hits
+         )
+         SELECT current.hits,
+           COALESCE((SELECT hits FROM rate_limit_counters WHERE key = $1 AND window_start = $3), 0) AS previous_hits
+         FROM current`,
+        [storedKey(key), windowStart, windowStart - windowMs, windowStart + 2 * windowMs - now]
+      );
+
+      const { hits, previous_hits: previousHits } = result.rows[0];
+      return {
+        totalHits: slidingHits(hits, previousHits, now - windowStart, windowMs),
+        resetTime: new Date(windowStart + windowMs)
+      };
+    },
+
+    async get(key) {
+      const now = Date.now();
+      const windowStart = windowOf(now);
+
+      const result = await getPool().query(
+        'SELECT window_start, hits FROM rate_limit_counters WHERE key = $1 AND window_start IN ($2, $3)',
+        [storedKey(key), windowStart, windowStart - windowMs]
+      );
+      if (result.rows.length === 0) {
+        return undefined;
+      }
+
+      const hitsIn = (start) => {
+        const row = result.rows.find(r => parseInt(r.window_start) === start);
+        return row ? row.hits : 0;
+      };
+      return {
+        totalHits: slidingHits(hitsIn(windowStart), hitsIn(windowStart - windowMs), now - windowStart, windowMs),
+        resetTime: new Date(windowStart + windowMs)
+      };
+    },
+
+    async decrement(key) {
+      await getPool().query(
+        'UPDATE rate_limit_counters SET hits = hits - 1 WHERE key = $1 AND window_start = $2 AND hits > 0',
+        [storedKey(key), windowOf(Date.now())]
+      );
+    },
+
+    async resetKey(key) {
+      await getPool().query('DELETE FROM rate_limit_counters WHERE key = $1', [storedKey(key)]);
+    }
+  };
+}
+
+/**
+ * Delete counters that no longer affect any window
+ * @param {Object} db - PostgreSQL pool or client
+ * @returns {Promise<number>} Rows deleted
+ */
+async function pruneRateLimitCounters(db) {
+  const result = await db.query('DELETE FROM rate_limit_counters WHERE expires_at < NOW()');
+  return result.rowCount;
+}
+
+module.exports = {
+  setPool,
+  slidingHits,
+  createPostgresStore,
+  pruneRateLimitCounters
+};
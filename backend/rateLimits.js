@@ -0,0 +1,284 @@
+/**
+ * Rate Limits Module for Pushin Reload Backend
+ * Every express-rate-limit limiter, configured in one place
+ *
+ * Features:
+ * - One table of limits (window, max, key, message) for all routes
+ * - Keys built from parts: 'ip', 'email' (normalized request body email) and
+ *   'user' (authenticated user), e.g. ['ip', 'email']
+ * - Counts kept in PostgreSQL (rateLimitStore.js) with a sliding window
+ * - Ops overrides without a code change: RATE_LIMIT_OVERRIDES, a JSON object
+ *   of { name: { windowMs, max } }
+ * - RATE_LIMIT_ALLOWLIST: comma-separated IPs or CIDR ranges (office, test
+ *   devices) that are never limited
+ */
+
+const net = require('net');
+const rateLimit = require('express-rate-limit');
+const rateLimitStore = require('./rateLimitStore');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const RATE_LIMITS = {
+  // Password reset: keyed by IP + email, malformed requests aren't counted
+  forgotPassword: {
+    windowMs: 15 * MINUTE, max: 5, key: ['ip', 'email'],
+    error: 'Too many password reset attempts. Please try again later.',
+    skip: (req) => !req.body.email
+  },
+  resetPassword: {
+    windowMs: 15 * MINUTE, max: 10, key: ['ip'],
+    error: 'Too many password reset attempts. Please try again later.'
+  },
+
+  // Coarse cap on sign-in requests; failed passwords are throttled further
+  // per email and IP in loginThrottle.js
+  login: {
+    windowMs: 15 * MINUTE, max: 50, key: ['ip'],
+    error: 'Too many sign-in attempts. Please try again later.'
+  },
+  unlockAccount: {
+    windowMs: 15 * MINUTE, max: 10, key: ['ip'],
+    error: 'Too many unlock attempts. Please try again later.'
+  },
+
+  // Each call adds a row
+  anonymousIdentity: {
+    windowMs: HOUR, max: 20, key: ['ip'],
+    error: 'Too many anonymous identities requested. Please try again later.'
+  },
+
+  // Passwordless sign in (same limits as password reset)
+  magicLink: {
+    windowMs: 15 * MINUTE, max: 5, key: ['ip', 'email'],
+    error: 'Too many sign-in attempts. Please try again later.',
+    skip: (req) => !req.body.email
+  },
+  magicLinkVerify: {
+    windowMs: 15 * MINUTE, max: 10, key: ['ip'],
+    error: 'Too many sign-in attempts. Please try again later.'
+  },
+
+  // Two-factor codes, per account: a 6-digit code must not be guessable by
+  // spreading attempts over many IPs (the route keys it by the challenge's user)
+  mfaVerify: {
+    windowMs: 15 * MINUTE, max: 5, key: ['ip'],
+    error: 'Too many two-factor attempts. Please try again later.'
+  },
+  // Code-checking account endpoints (confirm, disable, new recovery codes)
+  mfaManage: {
+    windowMs: 15 * MINUTE, max: 10, key: ['user'],
+    error: 'Too many two-factor attempts. Please try again later.'
+  },
+
+  // Adding and removing sign-in methods
+  identity: {
+    windowMs: 15 * MINUTE, max: 10, key: ['user'],
+    error: 'Too many sign-in method changes. Please try again later.'
+  },
+
+  // Re-authentication for account deletion, per account like the 2FA limits
+  accountDeletion: {
+    windowMs: 15 * MINUTE, max: 5, key: ['user'],
+    error: 'Too many account deletion attempts. Please try again later.'
+  },
+  // Undo links are long random tokens, but don't let anyone hammer them
+  restoreAccount: {
+    windowMs: 15 * MINUTE, max: 10, key: ['ip'],
+    error: 'Too many restore attempts. Please try again later.'
+  },
+
+  // Each upload is decoded and resized into every avatar size
+  avatarUpload: {
+    windowMs: HOUR, max: 20, key: ['user'],
+    error: 'Too many profile picture changes. Please try again later.'
+  },
+
+  // Each request mails both addresses, so per account
+  emailChange: {
+    windowMs: HOUR, max: 5, key: ['user'],
+    error: 'Too many email change requests. Please try again later.'
+  },
+  // Confirm and revert links are long random tokens, but don't let anyone hammer them
+  emailChangeToken: {
+    windowMs: 15 * MINUTE, max: 10, key: ['ip'],
+    error: 'Too many email change attempts. Please try again later.'
+  },
+
+  verifyEmail: {
+    windowMs: 15 * MINUTE, max: 10, key: ['ip'],
+    error: 'Too many verification attempts. Please try again later.'
+  },
+  // Each resend mails the user, so per account rather than per IP
+  resendVerification: {
+    windowMs: HOUR, max: 3, key: ['user'],
+    error: 'Too many verification emails requested. Please try again later.'
+  },
+
+  // Building an archive reads every table the user has rows in
+  exportRequest: {
+    windowMs: 24 * HOUR, max: 3, key: ['user'],
+    error: 'Too many export requests. Please try again tomorrow.'
+  },
+  // Download links are signed, but don't let anyone hammer them
+  exportDownload: {
+    windowMs: 15 * MINUTE, max: 20, key: ['ip'],
+    error: 'Too many download attempts. Please try again later.'
+  },
+
+  // Restore purchases by email (prevents email enumeration); the app expects
+  // this endpoint's own error shape
+  restorePurchases: {
+    windowMs: 5 * MINUTE, max: 5, key: ['ip'],
+    message: {
+      success: false,
+      error: 'rate_limit_exceeded',
+      message: 'Too many restore attempts. Please try again in 5 minutes.'
+    }
+  }
+};
+
+const KEY_PARTS = {
+  ip: (req) => req.ip,
+  email: (req) => (req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : 'unknown'),
+  user: (req) => `user:${req.user.userId}`
+};
+
+/**
+ * Parse RATE_LIMIT_OVERRIDES
+ * @param {string} value - JSON object of { name: { windowMs, max } }
+ * @returns {Object} Overrides by limiter name ({} if unset or invalid)
+ */
+function parseOverrides(value) {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    const overrides = {};
+
+    for (const [name, override] of Object.entries(parsed)) {
+      if (!RATE_LIMITS[name]) {
+        console.error(`❌ RATE_LIMIT_OVERRIDES: unknown limiter "${name}"`);
+        continue;
+      }
+      overrides[name] = {};
+      for (const field of ['windowMs', 'max']) {
+        if (Number.isInteger(override[field]) && override[field] > 0) {
+          overrides[name][field] = override[field];
+        }
+      }
+    }
+
+    return overrides;
+  } catch (error) {
+    console.error('❌ RATE_LIMIT_OVERRIDES is not valid JSON, ignoring it:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Parse RATE_LIMIT_ALLOWLIST
+ * @param {string} value - Comma-separated IPs and CIDR ranges
+ * @returns {net.BlockList} Addresses that are never limited
+ */
+function parseAllowlist(value) {
+  const allowlist = new net.BlockList();
+
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(address)) {
+      console.error(`❌ RATE_LIMIT_ALLOWLIST: "${entry}" is not an IP address or range`);
+    } else if (prefix !== undefined) {
+      allowlist.addSubnet(address, parseInt(prefix), type);
+    } else {
+      allowlist.addAddress(address, type);
+    }
+  }
+
+  return allowlist;
+}
+
+const overrides = parseOverrides(process.env.RATE_LIMIT_OVERRIDES);
+const allowlist = parseAllowlist(process.env.RATE_LIMIT_ALLOWLIST);
+
+/**
+ * Whether an IP is on the allowlist
+ * @param {string} ip - Client IP (IPv4-mapped IPv6 addresses count as IPv4)
+ * @param {net.BlockList} list - Allowlist (RATE_LIMIT_ALLOWLIST by default)
+ * @returns {boolean} True if requests from it are never limited
+ */
+function isAllowlisted(ip, list = allowlist) {
+  if (!ip) {
+    return false;
+  }
+  const address = ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+  return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Build a key generator from key parts
+ * @param {Array<string>} parts - 'ip', 'email' and/or 'user'
+ * @returns {Function} (req) => key, parts joined with ':'
+ */
+function compositeKey(parts) {
+  return (req) => parts.map(part => KEY_PARTS[part](req)).join(':');
+}
+
+/**
+ * Create the limiter for a route
+ * When the store can't count a request (database down, lock or pool
+ * timeout) the request is refused with a 503: letting it through would lift
+ * the limit on login, 2FA codes and reset tokens for as long as that lasts.
+ * @param {string} name - Entry in RATE_LIMITS
+ * @param {Object} options - Route-specific express-rate-limit options (e.g. keyGenerator)
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter(name, options = {}) {
+  if (!RATE_LIMITS[name]) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+  const config = { ...RATE_LIMITS[name], ...overrides[name] };
+
+  const limiter = rateLimit({
+    windowMs: config.windowMs,
+    max: config.max,
+    message: config.message || {
+      success: false,
+      error: config.error,
+      code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: compositeKey(config.key),
+    skip: (req, res) => isAllowlisted(req.ip) || (config.skip ? config.skip(req, res) : false),
+    store: rateLimitStore.createPostgresStore(name),
+    ...options
+  });
+
+  return (req, res, next) => limiter(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    console.error(`❌ Rate limit store error (${name}):`, error.message);
+    res.status(503).json({
+      success: false,
+      error: 'Service temporarily unavailable. Please try again later.',
+      code: 'RATE_LIMIT_UNAVAILABLE'
+    });
+  });
+}
+
+module.exports = {
+  RATE_LIMITS,
+  parseOverrides,
+  parseAllowlist,
+  isAllowlisted,
+  compositeKey,
+  createRateLimiter
+};
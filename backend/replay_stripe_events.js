@@ -0,0 +1,110 @@
+/**
+ * Admin Script: Inspect and replay failed Stripe webhook events
+ *
+ * Events are replayed from the stripe_events table, oldest first, so a
+ * transient outage doesn't lose a cancellation or renewal.
+ *
+ * Usage:
+ *   node backend/replay_stripe_events.js                      List failed events
+ *   node backend/replay_stripe_events.js --replay [--limit N] Replay failed events
+ *   node backend/replay_stripe_events.js --replay --event evt_...
+ *   node backend/replay_stripe_events.js --skip evt_...       Give up on one event
+ */
+
+const { Pool } = require('pg');
+const stripeWebhooks = require('./stripeWebhooks');
+
+// Load .env file
+try {
+  require('dotenv').config();
+} catch (err) {
+  // dotenv not installed, skip
+}
+
+// Get connection string
+const connectionString = process.env.DATABASE_PRIVATE_URL || process.env.DATABASE_URL;
+
+if (!connectionString) {
+  console.error('❌ ERROR: No database connection string found!');
+  process.exit(1);
+}
+
+// Configure SSL
+const useInternalConnection = !!process.env.DATABASE_PRIVATE_URL;
+const pool = new Pool({
+  connectionString,
+  ssl: useInternalConnection ? false : {
+    rejectUnauthorized: false
+  }
+});
+
+// Same key selection as server.js (handlers may fetch the subscription)
+const stripeSecretKey = process.env.NODE_ENV === 'test'
+  ? process.env.STRIPE_TEST_SECRET_KEY
+  : process.env.STRIPE_SECRET_KEY;
+const stripe = require('stripe')(stripeSecretKey);
+
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function listFailedEvents() {
+  const result = await pool.query(
+    `SELECT event_id, type, subscription_id, status, attempts, last_error, stripe_created_at
+     FROM stripe_events
+     WHERE status IN ('pending', 'failed')
+     ORDER BY stripe_created_at, id`
+  );
+
+  if (result.rows.length === 0) {
+    console.log('✅ No failed or pending events');
+    return;
+  }
+
+  console.log(`⚠️ ${result.rows.length} failed or pending event(s):\n`);
+  for (const row of result.rows) {
+    console.log(`${row.event_id}  ${row.type}  ${row.status} (${row.attempts} attempt(s))`);
+    console.log(`   subscription: ${row.subscription_id || '-'}  created: ${row.stripe_created_at.toISOString()}`);
+    if (row.last_error) {
+      console.log(`   error: ${row.last_error}`);
+    }
+  }
+}
+
+async function main() {
+  try {
+    if (process.argv.includes('--skip')) {
+      const eventId = getArg('--skip');
+      const skipped = await stripeWebhooks.skipEvent(pool, eventId);
+      console.log(skipped ? `✅ Marked ${eventId} as skipped` : `⚠️ ${eventId} is not pending or failed`);
+    } else if (process.argv.includes('--replay')) {
+      const limit = getArg('--limit') ? parseInt(getArg('--limit'), 10) : undefined;
+      const outcomes = await stripeWebhooks.replayFailedEvents(pool, stripe, {
+        eventId: getArg('--event'),
+        limit
+      });
+
+      if (outcomes.length === 0) {
+        console.log('✅ Nothing to replay');
+      }
+      for (const outcome of outcomes) {
+        const icon = outcome.status === 'failed' ? '❌' : outcome.status === 'blocked' ? '⏸️' : '✅';
+        console.log(`${icon} ${outcome.eventId} (${outcome.type}): ${outcome.status}${outcome.error ? ` - ${outcome.error}` : ''}`);
+      }
+
+      if (outcomes.some(outcome => outcome.status === 'failed')) {
+        process.exitCode = 1;
+      }
+    } else {
+      await listFailedEvents();
+    }
+  } catch (err) {
+    console.error('❌ Replay failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
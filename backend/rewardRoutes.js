@@ -0,0 +1,69 @@
+/**
+ * Reward Routes for Pushin Reload Backend
+ * Express routes for previewing workout payouts
+ */
+
+const express = require('express');
+const rewards = require('./rewards');
+
+const router = express.Router();
+
+/**
+ * Parse an optional integer query parameter
+ * @param {string} value - Raw query value
+ * @returns {number|undefined|NaN} Parsed value
+ */
+function parseOptionalInt(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+/**
+ * GET /api/rewards/quote?workoutType=push-ups&mode=normal&minutes=15&reps=20
+ * Preview a workout: `minutes` returns the required target,
+ * `reps` returns the screen time those reps would earn
+ */
+router.get('/quote', (req, res) => {
+  try {
+    const quote = rewards.quoteReward({
+      workoutType: req.query.workoutType,
+      mode: req.query.mode,
+      minutes: parseOptionalInt(req.query.minutes),
+      reps: parseOptionalInt(req.query.reps)
+    });
+
+    res.json({
+      success: true,
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('❌ Reward quote error:', error.message);
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_QUOTE_REQUEST'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Reward quote failed',
+      code: 'REWARD_QUOTE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/rewards/rules
+ * The active reward rule table, so the app can mirror server payouts
+ */
+router.get('/rules', (req, res) => {
+  res.json({
+    success: true,
+    data: { rules: rewards.getActiveRules() }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+/**
+ * Reward Calculation Module for Pushin Reload Backend
+ * Authoritative port of the app's WorkoutRewardCalculator
+ *
+ * Features:
+ * - Same per-exercise base rates, mode multipliers, min and maxFactor rules as the app
+ * - Versioned rule tables; the active version is chosen by REWARD_RULES_VERSION
+ *   so payouts can change with a server deploy instead of an app release
+ * - Inverse calculation (reps -> earned seconds) used to recompute workout payouts
+ * - Only workout types in the rule table earn time; the app's 1-rep-per-minute
+ *   fallback for unknown types is deliberately not ported
+ */
+
+/**
+ * Reward rule tables by version. Never edit a published version in place;
+ * add a new one and point REWARD_RULES_VERSION at it.
+ */
+const REWARD_RULE_VERSIONS = {
+  1: {
+    version: 1,
+    // Selectable unlock durations (matches the screen time slider)
+    desiredMinutes: { min: 5, max: 60, step: 5 },
+    // Time-based workouts count seconds held instead of reps
+    timeBasedWorkouts: ['plank'],
+    // Reps (or seconds) per minute of screen time in Normal mode
+    baseRatesPerMinute: {
+      'push-ups': 1.0,
+      'squats': 1.2,
+      'plank': 3.0,
+      'jumping-jacks': 2.5,
+      'burpees': 0.6
+    },
+    // Rep-based workouts cap at desiredMinutes * maxFactor, time-based at a fixed max
+    modeProfiles: {
+      'push-ups': {
+        cozy: { multiplier: 0.7, min: 3, maxFactor: 2.5 },
+        normal: { multiplier: 1.0, min: 5, maxFactor: 3.5 },
+        tuff: { multiplier: 1.4, min: 8, maxFactor: 4.0 }
+      },
+      'squats': {
+        cozy: { multiplier: 0.75, min: 4, maxFactor: 2.5 },
+        normal: { multiplier: 1.0, min: 6, maxFactor: 3.5 },
+        tuff: { multiplier: 1.3, min: 10, maxFactor: 4.0 }
+      },
+      'plank': {
+        cozy: { multiplier: 0.7, min: 20, max: 60 },
+        normal: { multiplier: 1.0, min: 30, max: 120 },
+        tuff: { multiplier: 1.5, min: 45, max: 180 }
+      },
+      'jumping-jacks': {
+        cozy: { multiplier: 0.8, min: 10, maxFactor: 3.0 },
+        normal: { multiplier: 1.0, min: 15, maxFactor: 4.0 },
+        tuff: { multiplier: 1.2, min: 25, maxFactor: 4.5 }
+      },
+      'burpees': {
+        cozy: { multiplier: 0.6, min: 2, maxFactor: 2.0 },
+        normal: { multiplier: 1.0, min: 3, maxFactor: 3.0 },
+        tuff: { multiplier: 1.5, min: 5, maxFactor: 3.5 }
+      }
+    }
+  }
+};
+
+const WORKOUT_MODES = ['cozy', 'normal', 'tuff'];
+
+const LATEST_RULES_VERSION = Math.max(...Object.keys(REWARD_RULE_VERSIONS).map(Number));
+
+/**
+ * Get the reward rule table currently in force
+ * @returns {Object} Active rule table
+ */
+function getActiveRules() {
+  const configured = parseInt(process.env.REWARD_RULES_VERSION || '', 10);
+  if (!isNaN(configured)) {
+    if (REWARD_RULE_VERSIONS[configured]) {
+      return REWARD_RULE_VERSIONS[configured];
+    }
+    console.error(`⚠️ Unknown REWARD_RULES_VERSION ${configured}, using ${LATEST_RULES_VERSION}`);
+  }
+  return REWARD_RULE_VERSIONS[LATEST_RULES_VERSION];
+}
+
+/**
+ * Normalize and validate a workout mode
+ * @param {string} [mode] - cozy, normal or tuff
+ * @returns {string} Normalized mode
+ */
+function normalizeMode(mode) {
+  const normalized = (mode || 'normal').toLowerCase();
+  if (!WORKOUT_MODES.includes(normalized)) {
+    throw new Error(`Invalid mode: must be one of ${WORKOUT_MODES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Check whether a rule table pays out for a workout type
+ * Only listed workouts earn time; anything else is rejected rather than paid
+ * at a default rate.
+ * @param {Object} rules - Rule table
+ * @param {string} workoutType - Workout type (e.g. push-ups)
+ * @returns {boolean} True if the type has a base rate and mode profile
+ */
+function isKnownWorkoutType(rules, workoutType) {
+  const type = typeof workoutType === 'string' ? workoutType.trim().toLowerCase() : '';
+  return rules.baseRatesPerMinute[type] !== undefined && rules.modeProfiles[type] !== undefined;
+}
+
+/**
+ * Calculate the workout target (reps, or seconds for time-based workouts)
+ * needed to earn the desired screen time. Mirrors calculateWorkoutTarget in the app.
+ * @param {Object} rules - Rule table
+ * @param {string} workoutType - Workout type (e.g. push-ups)
+ * @param {string} mode - cozy, normal or tuff
+ * @param {number} desiredMinutes - Desired screen time in minutes
+ * @returns {number} Required reps or seconds
+ */
+function calculateWorkoutTarget(rules, workoutType, mode, desiredMinutes) {
+  if (desiredMinutes <= 0) return 0;
+
+  const type = workoutType.toLowerCase();
+  // The app falls back to 1 rep per minute here; the server doesn't pay for made-up types
+  if (!isKnownWorkoutType(rules, type)) {
+    throw new Error(`Invalid workoutType: ${type}`);
+  }
+
+  const baseRate = rules.baseRatesPerMinute[type];
+  const profile = rules.modeProfiles[type];
+  const settings = profile[mode] || profile.normal;
+  const baseTarget = Math.round(baseRate * desiredMinutes * settings.multiplier);
+
+  const maxValue = rules.timeBasedWorkouts.includes(type)
+    ? settings.max
+    : Math.round(desiredMinutes * settings.maxFactor);
+
+  return Math.min(Math.max(baseTarget, settings.min), maxValue);
+}
+
+/**
+ * Calculate the screen time earned by a completed workout: the largest
+ * selectable duration whose target the reps satisfy, optionally capped at
+ * what the user actually selected.
+ * @param {Object} rules - Rule table
+ * @param {Object} params - Workout details
+ * @param {string} params.workoutType - Workout type
+ * @param {string} params.mode - cozy, normal or tuff
+ * @param {number} params.repsCompleted - Reps (or seconds held)
+ * @param {number} [params.requestedSeconds] - Screen time the user selected
+ * @returns {number} Earned seconds
+ */
+function calculateEarnedSeconds(rules, { workoutType, mode, repsCompleted, requestedSeconds }) {
+  if (!Number.isInteger(repsCompleted) || repsCompleted <= 0) return 0;
+
+  const { min, max, step } = rules.desiredMinutes;
+  let upperMinutes = max;
+  if (requestedSeconds !== undefined && requestedSeconds !== null) {
+    upperMinutes = Math.min(max, Math.floor(requestedSeconds / 60));
+  }
+
+  // Less than the shortest selectable duration earns nothing
+  if (upperMinutes < min) return 0;
+
+  // Walk down the selectable durations and take the first one the reps cover
+  for (let minutes = upperMinutes - ((upperMinutes - min) % step); minutes >= min; minutes -= step) {
+    if (calculateWorkoutTarget(rules, workoutType, mode, minutes) <= repsCompleted) {
+      return minutes * 60;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Build a payout preview for the client
+ * @param {Object} params - Quote parameters
+ * @param {string} params.workoutType - Workout type
+ * @param {string} [params.mode] - cozy, normal or tuff (defaults to normal)
+ * @param {number} [params.minutes] - Desired screen time; returns the required target
+ * @param {number} [params.reps] - Completed reps; returns the earned time
+ * @returns {Object} Quote including the rules version used
+ */
+function quoteReward({ workoutType, mode, minutes, reps }) {
+  if (typeof workoutType !== 'string' || workoutType.trim().length === 0) {
+    throw new Error('Invalid workoutType: required');
+  }
+  if (minutes === undefined && reps === undefined) {
+    throw new Error('Invalid quote: provide minutes or reps');
+  }
+
+  const rules = getActiveRules();
+  const type = workoutType.trim().toLowerCase();
+  if (!isKnownWorkoutType(rules, type)) {
+    throw new Error(`Invalid workoutType: must be one of ${Object.keys(rules.modeProfiles).join(', ')}`);
+  }
+  const normalizedMode = normalizeMode(mode);
+  const quote = {
+    workoutType: type,
+    mode: normalizedMode,
+    unit: rules.timeBasedWorkouts.includes(type) ? 'seconds' : 'reps',
+    rulesVersion: rules.version
+  };
+
+  if (minutes !== undefined) {
+    const { min, max } = rules.desiredMinutes;
+    if (!Number.isInteger(minutes) || minutes < min || minutes > max) {
+      throw new Error(`Invalid minutes: must be an integer between ${min} and ${max}`);
+    }
+    quote.desiredMinutes = minutes;
+    quote.target = calculateWorkoutTarget(rules, type, normalizedMode, minutes);
+    quote.earnedSeconds = minutes * 60;
+  }
+
+  if (reps !== undefined) {
+    if (!Number.isInteger(reps) || reps < 0) {
+      throw new Error('Invalid reps: must be a non-negative integer');
+    }
+    const requestedSeconds = minutes !== undefined ? minutes * 60 : undefined;
+    quote.repsCompleted = reps;
+    quote.earnedSeconds = calculateEarnedSeconds(rules, {
+      workoutType: type,
+      mode: normalizedMode,
+      repsCompleted: reps,
+      requestedSeconds
+    });
+  }
+
+  return quote;
+}
+
+module.exports = {
+  REWARD_RULE_VERSIONS,
+  getActiveRules,
+  isKnownWorkoutType,
+  calculateWorkoutTarget,
+  calculateEarnedSeconds,
+  quoteReward
+};
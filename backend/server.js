@@ -5,6 +5,18 @@ require('dotenv').config();
 const express = require('express');
 const { Pool } = require('pg');
 const authRoutes = require('./authRoutes');
+const workoutRoutes = require('./workoutRoutes');
+const usageRoutes = require('./usageRoutes');
+const rewardRoutes = require('./rewardRoutes');
+const streakRoutes = require('./streakRoutes');
+const dataExportRoutes = require('./dataExportRoutes');
+const stripeRoutes = require('./stripeRoutes');
+const stripeWebhookRoutes = require('./stripeWebhookRoutes');
+const migrate = require('./migrate');
+const accountDeletion = require('./accountDeletion');
+const dataExport = require('./dataExport');
+const loginThrottle = require('./loginThrottle');
+const avatarStorage = require('./avatarStorage');
 
 // Use test key if in test mode, otherwise use live key
 const stripeSecretKey = process.env.NODE_ENV === 'test'
@@ -12,12 +24,15 @@ const stripeSecretKey = process.env.NODE_ENV === 'test'
   : process.env.STRIPE_SECRET_KEY;
 
 const stripe = require('stripe')(stripeSecretKey);
-const bodyParser = require('body-parser');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
+const rateLimitStore = require('./rateLimitStore');
 
 const app = express();
 
+// Railway's proxy sits in front of the app; without this req.ip is the
+// proxy's address and every per-IP rate limit is shared by all clients
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1'));
+
 // PostgreSQL connection
 const tls = require('tls');
 const dbUrl = process.env.DATABASE_URL || '';
@@ -45,6 +60,9 @@ const pool = new Pool({
   keepAliveInitialDelayMillis: 10000,
 });
 
+// Rate limit counters are shared by every replica through the database
+rateLimitStore.setPool(pool);
+
 console.log('🔗 DB URL pattern:', cleanDbUrl.replace(/:[^:@]+@/, ':****@'));
 console.log('🔒 SSL:', (isLocal || isRailwayInternal) ? 'disabled (local or Railway internal)' : 'TLSv1.2-1.3, rejectUnauthorized=false');
 
@@ -98,85 +116,25 @@ app.use(cors({
   credentials: true,
 }));
 
+// Stripe webhook verifies its signature against the raw request bytes, so it
+// is mounted before the JSON parser and reads the body itself
+app.use('/api/stripe/webhook', stripeWebhookRoutes);
+
+// PUT /api/auth/me may carry a base64 profile picture from older app
+// versions, more than the default 100kb limit (see authRoutes.js)
+app.put('/api/auth/me', authRoutes.parseProfileUpdate);
+
 // JSON parser for most routes
 app.use(express.json());
 
-// Initialize database tables
+// Bring the schema up to date (see migrate.js and migrations/)
 async function initDatabase() {
   try {
-    console.log('🔄 Attempting database connection and table initialization...');
-
-    // Test connection first
-    const client = await pool.connect();
-    console.log('✅ Database connection successful');
-    client.release();
-
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255),
-        apple_id VARCHAR(255) UNIQUE,
-        google_id VARCHAR(255) UNIQUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create refresh tokens table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS refresh_tokens (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        token VARCHAR(500) UNIQUE NOT NULL,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    console.log('🔄 Attempting database connection and running migrations...');
 
-    // Create subscriptions table for Stripe
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS subscriptions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        customer_id VARCHAR(255),
-        subscription_id VARCHAR(255) UNIQUE,
-        plan_id VARCHAR(50),
-        current_period_end TIMESTAMP,
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create anonymous subscriptions table for guest users
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS anonymous_subscriptions (
-        id SERIAL PRIMARY KEY,
-        anonymous_id VARCHAR(255) UNIQUE NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        customer_id VARCHAR(255),
-        subscription_id VARCHAR(255) UNIQUE,
-        plan_id VARCHAR(50),
-        current_period_end TIMESTAMP,
-        is_active BOOLEAN DEFAULT true,
-        linked_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        recovery_token VARCHAR(255),
-        recovery_expires_at TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create indexes for anonymous subscriptions
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_anonymous_subscriptions_email ON anonymous_subscriptions(email);
-      CREATE INDEX IF NOT EXISTS idx_anonymous_subscriptions_recovery_token ON anonymous_subscriptions(recovery_token);
-      CREATE INDEX IF NOT EXISTS idx_anonymous_subscriptions_linked_user ON anonymous_subscriptions(linked_user_id);
-    `);
+    const applied = await migrate.migrateUp(pool);
 
-    console.log('✅ Database connected and tables initialized');
+    console.log(`✅ Database connected and migrations applied (${applied.length} new)`);
   } catch (error) {
     console.error('❌ Database initialization error:', error);
     console.error('❌ Error details:', {
@@ -195,14 +153,13 @@ async function initDatabase() {
       console.error('💡 Make sure DATABASE_URL is set in Railway service variables.');
       console.error('💡 Railway should provide DATABASE_URL automatically from your PostgreSQL service.');
     }
+
+    throw error;
   }
 }
 
 // Authentication middleware and functions are now in authRoutes.js
 
-// Initialize database on startup
-initDatabase();
-
 // Migration: Fix any subscriptions that might have been stored with wrong user_id
 // This handles edge cases from before the INTEGER fix was applied
 async function migrateSubscriptionUserIds() {
@@ -228,9 +185,9 @@ async function migrateSubscriptionUserIds() {
           const customer = await stripe.customers.retrieve(stripeSub.customer);
 
           if (customer.email) {
-            // Find user by email
+            // Find user by email (only a verified address proves it's theirs)
             const userResult = await pool.query(
-              'SELECT id FROM users WHERE email = $1',
+              'SELECT id FROM users WHERE email = $1 AND email_verified_at IS NOT NULL',
               [customer.email]
             );
 
@@ -255,8 +212,6 @@ async function migrateSubscriptionUserIds() {
   }
 }
 
-// Run migration after database init (delayed to ensure tables exist)
-setTimeout(migrateSubscriptionUserIds, 5000);
 
 // ===========================
 // AUTHENTICATION ROUTES
@@ -265,1111 +220,81 @@ setTimeout(migrateSubscriptionUserIds, 5000);
 // Make pool available to auth routes
 app.locals.pool = pool;
 
+// Make the Stripe client available to the Stripe and webhook routes
+app.locals.stripe = stripe;
+
 // Mount authentication routes
 app.use('/api/auth', authRoutes);
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// 1. Create Checkout Session
-app.post('/api/stripe/create-checkout-session', async (req, res) => {
-  try {
-    console.log('📦 Raw request body:', JSON.stringify(req.body));
-    const { userId, planId, billingPeriod, userEmail, anonymousId, successUrl, cancelUrl } = req.body;
-
-    console.log('Creating checkout session:', { userId, planId, billingPeriod, userEmail, anonymousId, successUrl, cancelUrl });
-
-    // Validate inputs - either userId or anonymousId must be provided
-    if ((!userId && !anonymousId) || !planId || !userEmail) {
-      console.log('❌ Validation failed:', { userId, anonymousId, planId, userEmail });
-      return res.status(400).json({
-        error: 'Missing required fields: either userId or anonymousId, planId, userEmail'
-      });
-    }
-
-    console.log('✅ Validation passed');
-
-    // Default billingPeriod to 'monthly' if not provided
-    const period = billingPeriod || 'monthly';
-
-    // Validate planId and billingPeriod
-    if (!['pro', 'advanced'].includes(planId)) {
-      return res.status(400).json({
-        error: `Invalid plan ID: ${planId}. Must be 'pro' or 'advanced'`
-      });
-    }
-
-    if (!['monthly', 'yearly'].includes(period)) {
-      return res.status(400).json({
-        error: `Invalid billing period: ${period}. Must be 'monthly' or 'yearly'`
-      });
-    }
-
-    // Determine price ID based on plan and billing period (test or live mode)
-    // Supports 4 combinations: pro_monthly, pro_yearly, advanced_monthly, advanced_yearly
-    const priceIds = process.env.NODE_ENV === 'test' ? {
-      'pro_monthly': process.env.STRIPE_TEST_PRICE_PRO_MONTHLY || 'price_test_pro_monthly_placeholder',
-      'pro_yearly': process.env.STRIPE_TEST_PRICE_PRO_YEARLY || 'price_test_pro_yearly_placeholder',
-      'advanced_monthly': process.env.STRIPE_TEST_PRICE_ADVANCED_MONTHLY || 'price_test_advanced_monthly_placeholder',
-      'advanced_yearly': process.env.STRIPE_TEST_PRICE_ADVANCED_YEARLY || 'price_test_advanced_yearly_placeholder',
-    } : {
-      'pro_monthly': process.env.STRIPE_PRICE_PRO_MONTHLY,
-      'pro_yearly': process.env.STRIPE_PRICE_PRO_YEARLY,
-      'advanced_monthly': process.env.STRIPE_PRICE_ADVANCED_MONTHLY,
-      'advanced_yearly': process.env.STRIPE_PRICE_ADVANCED_YEARLY,
-    };
-
-    // Create planKey from planId and billingPeriod (e.g., "pro_monthly")
-    const planKey = `${planId}_${period}`;
-    const priceId = priceIds[planKey];
+// Mount workout sync routes
+app.use('/api/workouts', workoutRoutes);
 
-    if (!priceId) {
-      return res.status(400).json({
-        error: `Invalid plan/billing combination: ${planKey}. Check that STRIPE_PRICE_${planId.toUpperCase()}_${period.toUpperCase()} is set.`
-      });
-    }
-
-    console.log('🔵 About to create Stripe session with priceId:', priceId);
-
-    // Create Stripe Checkout session
-    const session = await stripe.checkout.sessions.create({
-      mode: 'subscription',
-      customer_email: userEmail,
-      line_items: [
-        {
-          price: priceId,
-          quantity: 1,
-        },
-      ],
-      success_url: successUrl,
-      cancel_url: cancelUrl,
-      metadata: {
-        userId: userId || null,
-        anonymousId: anonymousId || null,
-        planId: planId,
-        billingPeriod: period,
-      },
-    });
-
-    console.log('✅ Checkout session created:', session.id);
-
-    res.json({
-      checkoutUrl: session.url,
-      sessionId: session.id,
-    });
-  } catch (error) {
-    console.error('❌ Error creating checkout session:', error);
-    console.error('Error details:', error.message, error.stack);
-    res.status(500).json({ error: error.message });
-  }
-});
+// Mount daily usage ledger routes
+app.use('/api/usage', usageRoutes);
 
-// 2. Verify Payment
-app.post('/api/stripe/verify-payment', async (req, res) => {
-  try {
-    const { sessionId, userId, anonymousId } = req.body;
-
-    console.log('Verifying payment:', { sessionId, userId, anonymousId });
-
-    if (!sessionId || (!userId && !anonymousId)) {
-      return res.status(400).json({
-        error: 'Missing required fields: sessionId and either userId or anonymousId'
-      });
-    }
-
-    // CRITICAL FIX: Convert userId to INTEGER for PostgreSQL
-    // Flutter sends userId as STRING, but database column is INTEGER
-    const userIdInt = userId ? parseInt(userId, 10) : null;
-    if (userId && isNaN(userIdInt)) {
-      console.error('❌ Invalid userId - not a number:', userId);
-      return res.status(400).json({
-        error: 'Invalid userId - must be numeric'
-      });
-    }
-    console.log('✅ Parsed userId:', userId, '→', userIdInt);
-
-    // Retrieve the checkout session from Stripe
-    const session = await stripe.checkout.sessions.retrieve(sessionId, {
-      expand: ['subscription'],
-    });
+// Mount reward preview routes
+app.use('/api/rewards', rewardRoutes);
 
-    console.log('Session payment status:', session.payment_status);
+// Mount streak routes
+app.use('/api/streaks', streakRoutes);
 
-    if (session.payment_status === 'paid') {
-      const subscription = session.subscription;
-      const isAnonymous = !userIdInt && anonymousId;
+// Mount personal data export routes
+app.use('/api/me/export', dataExportRoutes);
 
-      // Store subscription in appropriate table
-      if (isAnonymous) {
-        // Generate recovery token for anonymous subscription
-        const crypto = require('crypto');
-        const recoveryToken = crypto.randomBytes(32).toString('hex');
-
-        await pool.query(
-          `INSERT INTO anonymous_subscriptions (anonymous_id, email, customer_id, subscription_id, plan_id, current_period_end, is_active, recovery_token, recovery_expires_at, updated_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-           ON CONFLICT (subscription_id)
-           DO UPDATE SET
-             plan_id = EXCLUDED.plan_id,
-             current_period_end = EXCLUDED.current_period_end,
-             is_active = EXCLUDED.is_active,
-             updated_at = EXCLUDED.updated_at`,
-          [anonymousId, session.customer_details.email, session.customer, subscription.id, session.metadata.planId,
-            new Date(subscription.current_period_end * 1000), true, recoveryToken,
-            new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), new Date()] // 1 year expiry
-        );
-      } else {
-        // Regular authenticated subscription
-        // CRITICAL: Use userIdInt (INTEGER) not userId (STRING)
-        console.log('💾 Storing subscription for user_id (INTEGER):', userIdInt);
-        await pool.query(
-          `INSERT INTO subscriptions (user_id, customer_id, subscription_id, plan_id, current_period_end, is_active, updated_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7)
-           ON CONFLICT (subscription_id)
-           DO UPDATE SET
-             user_id = EXCLUDED.user_id,
-             plan_id = EXCLUDED.plan_id,
-             current_period_end = EXCLUDED.current_period_end,
-             is_active = EXCLUDED.is_active,
-             updated_at = EXCLUDED.updated_at`,
-          [userIdInt, session.customer, subscription.id, session.metadata.planId,
-            new Date(subscription.current_period_end * 1000), true, new Date()]
-        );
-        console.log('✅ Subscription stored with user_id:', userIdInt);
-      }
-
-      console.log(`✅ Payment verified and stored ${isAnonymous ? '(anonymous)' : '(authenticated)'}`);
-
-      res.json({
-        isActive: true,
-        planId: session.metadata.planId,
-        customerId: session.customer,
-        subscriptionId: subscription.id,
-        currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-        isAnonymous: isAnonymous,
-        userId: userIdInt, // Return the INTEGER userId for verification
-      });
-    } else {
-      console.log('⚠️ Payment not completed');
-      res.json({
-        isActive: false,
-        planId: 'free',
-        customerId: null,
-        subscriptionId: null,
-        currentPeriodEnd: null,
-      });
-    }
-  } catch (error) {
-    console.error('❌ Error verifying payment:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// 3. Check Subscription Status (supports both query params and path params)
-// Path param version: GET /api/stripe/subscription-status/:userId
-app.get('/api/stripe/subscription-status/:userId', async (req, res) => {
-  const userId = req.params.userId;
-  console.log('📱 Subscription status check (path param) for userId:', userId);
-
-  // Delegate to the shared handler
-  return handleSubscriptionStatusCheck(req, res, userId, null);
-});
-
-// Query param version: GET /api/stripe/subscription-status?userId=X&anonymousId=Y
-app.get('/api/stripe/subscription-status', async (req, res) => {
-  const { userId, anonymousId } = req.query;
-  console.log('📱 Subscription status check (query param) for:', { userId, anonymousId });
-
-  if (!userId && !anonymousId) {
-    return res.status(400).json({ error: 'Missing userId or anonymousId parameter' });
-  }
-
-  return handleSubscriptionStatusCheck(req, res, userId, anonymousId);
-});
-
-// Shared handler for subscription status checks
-async function handleSubscriptionStatusCheck(req, res, userId, anonymousId) {
-  try {
-    console.log('🔍 Checking subscription status for:', { userId, anonymousId });
-
-    // CRITICAL FIX: Convert userId to INTEGER for PostgreSQL query
-    const userIdInt = userId ? parseInt(userId, 10) : null;
-    if (userId && isNaN(userIdInt)) {
-      console.error('❌ Invalid userId for subscription check:', userId);
-      return res.status(400).json({ error: 'Invalid userId - must be numeric' });
-    }
-    console.log('✅ Parsed userId for query:', userId, '→', userIdInt);
-
-    let subscriptionResult;
-    let isAnonymous = false;
-
-    if (userIdInt) {
-      // Check authenticated user subscription using INTEGER
-      console.log('🔍 Querying subscriptions table for user_id (INTEGER):', userIdInt);
-      subscriptionResult = await pool.query(
-        'SELECT * FROM subscriptions WHERE user_id = $1 AND is_active = true ORDER BY updated_at DESC LIMIT 1',
-        [userIdInt]
-      );
-      console.log('📊 Query returned', subscriptionResult.rows.length, 'rows');
-
-      // INDUSTRY STANDARD FALLBACK: If no subscription found by user_id,
-      // try to find by email (handles edge cases like data migration, reinstalls)
-      if (subscriptionResult.rows.length === 0) {
-        console.log('⚠️ No subscription by user_id, trying email fallback...');
-
-        // Get user's email from users table
-        const userResult = await pool.query(
-          'SELECT email FROM users WHERE id = $1',
-          [userIdInt]
-        );
-
-        if (userResult.rows.length > 0) {
-          const userEmail = userResult.rows[0].email;
-          console.log('📧 Looking up subscription by email:', userEmail);
-
-          // Check subscriptions table (via users join)
-          subscriptionResult = await pool.query(
-            `SELECT s.* FROM subscriptions s
-             INNER JOIN users u ON s.user_id = u.id
-             WHERE u.email = $1 AND s.is_active = true
-             ORDER BY s.updated_at DESC LIMIT 1`,
-            [userEmail]
-          );
-
-          // If still not found, check anonymous_subscriptions table
-          if (subscriptionResult.rows.length === 0) {
-            console.log('📧 Checking anonymous_subscriptions by email...');
-            const anonResult = await pool.query(
-              `SELECT * FROM anonymous_subscriptions
-               WHERE email = $1 AND is_active = true AND linked_user_id IS NULL
-               ORDER BY updated_at DESC LIMIT 1`,
-              [userEmail]
-            );
-
-            if (anonResult.rows.length > 0) {
-              console.log('✅ Found anonymous subscription - linking to user');
-              const anonSub = anonResult.rows[0];
-
-              // Link the anonymous subscription to this user
-              await pool.query(
-                'UPDATE anonymous_subscriptions SET linked_user_id = $1, updated_at = NOW() WHERE id = $2',
-                [userIdInt, anonSub.id]
-              );
-
-              // Create a proper subscription record for this user
-              await pool.query(
-                `INSERT INTO subscriptions (user_id, customer_id, subscription_id, plan_id, current_period_end, is_active, created_at, updated_at)
-                 VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-                 ON CONFLICT (subscription_id) DO UPDATE SET
-                   user_id = EXCLUDED.user_id,
-                   is_active = EXCLUDED.is_active,
-                   updated_at = NOW()`,
-                [userIdInt, anonSub.customer_id, anonSub.subscription_id, anonSub.plan_id, anonSub.current_period_end, true]
-              );
-
-              // Re-query to get the newly linked subscription
-              subscriptionResult = await pool.query(
-                'SELECT * FROM subscriptions WHERE user_id = $1 AND is_active = true ORDER BY updated_at DESC LIMIT 1',
-                [userIdInt]
-              );
-              console.log('✅ Anonymous subscription linked and retrieved');
-            }
-          }
-        }
-      }
-    } else {
-      // Check anonymous subscription
-      subscriptionResult = await pool.query(
-        'SELECT * FROM anonymous_subscriptions WHERE anonymous_id = $1 AND is_active = true ORDER BY updated_at DESC LIMIT 1',
-        [anonymousId]
-      );
-      isAnonymous = true;
-    }
-
-    if (subscriptionResult.rows.length === 0) {
-      console.log('❌ No subscription found (tried user_id and email fallback)');
-      return res.json({
-        isActive: false,
-        planId: 'free',
-        customerId: null,
-        subscriptionId: null,
-        currentPeriodEnd: null,
-        isAnonymous: isAnonymous,
-      });
-    }
-
-    const subscriptionData = subscriptionResult.rows[0];
-
-    // Fetch latest subscription status from Stripe
-    let subscription;
-    let isActive = false;
-    let willCancelAtPeriodEnd = false;
-    let currentPeriodEnd = subscriptionData.current_period_end;
-
-    try {
-      subscription = await stripe.subscriptions.retrieve(subscriptionData.subscription_id);
-      isActive = subscription.status === 'active';
-      willCancelAtPeriodEnd = subscription.cancel_at_period_end || false;
-      currentPeriodEnd = new Date(subscription.current_period_end * 1000);
-
-      // Update database with latest status from Stripe
-      const tableName = isAnonymous ? 'anonymous_subscriptions' : 'subscriptions';
-      await pool.query(
-        `UPDATE ${tableName} SET is_active = $1, current_period_end = $2, updated_at = $3 WHERE subscription_id = $4`,
-        [isActive, currentPeriodEnd, new Date(), subscriptionData.subscription_id]
-      );
-
-      console.log('✅ Stripe subscription verified:', subscription.status);
-    } catch (stripeError) {
-      // Handle case where subscription doesn't exist in Stripe (deleted, invalid, etc.)
-      console.error('⚠️ Stripe subscription not found or error:', stripeError.message);
-
-      // If subscription doesn't exist in Stripe, it's no longer valid
-      if (stripeError.code === 'resource_missing') {
-        console.log('   Subscription was deleted from Stripe - marking as inactive');
-        const tableName = isAnonymous ? 'anonymous_subscriptions' : 'subscriptions';
-        await pool.query(
-          `UPDATE ${tableName} SET is_active = false, updated_at = $1 WHERE subscription_id = $2`,
-          [new Date(), subscriptionData.subscription_id]
-        );
-
-        // Return free status since subscription is invalid
-        return res.json({
-          isActive: false,
-          planId: 'free',
-          customerId: null,
-          subscriptionId: null,
-          currentPeriodEnd: null,
-          isAnonymous: isAnonymous,
-        });
-      }
-
-      // For other Stripe errors, use database values but mark as potentially stale
-      console.log('   Using database values (Stripe unavailable)');
-      isActive = subscriptionData.is_active;
-    }
-
-    console.log('✅ Returning subscription status:', {
-      isActive,
-      planId: subscriptionData.plan_id,
-      userId: userId,
-    });
-
-    res.json({
-      isActive,
-      planId: subscriptionData.plan_id,
-      customerId: subscriptionData.customer_id,
-      subscriptionId: subscriptionData.subscription_id,
-      currentPeriodEnd: currentPeriodEnd instanceof Date ? currentPeriodEnd.toISOString() : currentPeriodEnd,
-      isAnonymous: isAnonymous,
-      recoveryToken: isAnonymous ? subscriptionData.recovery_token : null,
-      cancelAtPeriodEnd: willCancelAtPeriodEnd,
-    });
-  } catch (error) {
-    console.error('❌ Error checking subscription:', error);
-    res.status(500).json({ error: error.message });
-  }
+// Profile pictures kept on local disk (AVATAR_STORAGE=local); file names
+// change with every upload, so they can be cached for good
+const avatarFiles = avatarStorage.getStorage();
+if (avatarFiles.name === 'local') {
+  app.use(avatarStorage.LOCAL_MEDIA_PATH, express.static(avatarFiles.dir, { index: false, immutable: true, maxAge: '365d' }));
 }
 
-// 4. Cancel Subscription
-app.post('/api/stripe/cancel-subscription', async (req, res) => {
-  try {
-    const { userId, anonymousId, subscriptionId } = req.body;
-
-    console.log('Canceling subscription:', { userId, anonymousId, subscriptionId });
-
-    if ((!userId && !anonymousId) || !subscriptionId) {
-      return res.status(400).json({
-        error: 'Missing required fields: either userId or anonymousId, and subscriptionId'
-      });
-    }
-
-    // Convert userId to INTEGER
-    const userIdInt = userId ? parseInt(userId, 10) : null;
-
-    // Cancel at period end (user keeps access until billing period ends)
-    const subscription = await stripe.subscriptions.update(subscriptionId, {
-      cancel_at_period_end: true,
-    });
-
-    // Update database to reflect cancellation
-    await pool.query(
-      'UPDATE subscriptions SET is_active = false, updated_at = $1 WHERE subscription_id = $2',
-      [new Date(), subscriptionId]
-    );
-
-    console.log('✅ Subscription will cancel at period end');
-
-    res.json({
-      success: true,
-      cancelAt: new Date(subscription.cancel_at * 1000).toISOString(),
-    });
-  } catch (error) {
-    console.error('❌ Error canceling subscription:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// 4b. Reactivate Subscription (undo cancellation)
-app.post('/api/stripe/reactivate-subscription', async (req, res) => {
-  try {
-    const { userId, anonymousId, subscriptionId } = req.body;
-
-    console.log('Reactivating subscription:', { userId, anonymousId, subscriptionId });
-
-    if ((!userId && !anonymousId) || !subscriptionId) {
-      return res.status(400).json({
-        error: 'Missing required fields: either userId or anonymousId, and subscriptionId'
-      });
-    }
-
-    // Remove cancel_at_period_end flag
-    const subscription = await stripe.subscriptions.update(subscriptionId, {
-      cancel_at_period_end: false,
-    });
-
-    // Update database to mark as active
-    const tableName = anonymousId ? 'anonymous_subscriptions' : 'subscriptions';
-    await pool.query(
-      `UPDATE ${tableName} SET is_active = true, updated_at = $1 WHERE subscription_id = $2`,
-      [new Date(), subscriptionId]
-    );
-
-    console.log('✅ Subscription reactivated - will continue renewing');
-
-    res.json({
-      success: true,
-      subscription: {
-        id: subscription.id,
-        status: subscription.status,
-        cancelAtPeriodEnd: subscription.cancel_at_period_end,
-        currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-      },
-    });
-  } catch (error) {
-    console.error('❌ Error reactivating subscription:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// 4c. Upgrade Subscription (Pro -> Advanced)
-app.post('/api/stripe/upgrade-subscription', async (req, res) => {
-  try {
-    const { userId, newPlanId, billingPeriod } = req.body;
-
-    console.log('Upgrading subscription:', { userId, newPlanId, billingPeriod });
-
-    if (!userId || !newPlanId) {
-      return res.status(400).json({
-        error: 'Missing required fields: userId and newPlanId'
-      });
-    }
-
-    // Convert userId to INTEGER
-    const userIdInt = parseInt(userId, 10);
-    if (isNaN(userIdInt)) {
-      return res.status(400).json({ error: 'Invalid userId' });
-    }
-
-    // Get active subscription from database
-    const subResult = await pool.query(
-      'SELECT subscription_id FROM subscriptions WHERE user_id = $1 AND is_active = true LIMIT 1',
-      [userIdInt]
-    );
-
-    if (subResult.rows.length === 0) {
-      return res.status(404).json({ error: 'No active subscription found to upgrade' });
-    }
-
-    const subscriptionId = subResult.rows[0].subscription_id;
-
-    // Get price ID for new plan
-    // Default to 'monthly' if not provided
-    const period = billingPeriod || 'monthly';
-    const planKey = `${newPlanId}_${period}`;
-
-    // Determine price ID (test or live)
-    const priceIds = process.env.NODE_ENV === 'test' ? {
-      'pro_monthly': process.env.STRIPE_TEST_PRICE_PRO_MONTHLY,
-      'pro_yearly': process.env.STRIPE_TEST_PRICE_PRO_YEARLY,
-      'advanced_monthly': process.env.STRIPE_TEST_PRICE_ADVANCED_MONTHLY,
-      'advanced_yearly': process.env.STRIPE_TEST_PRICE_ADVANCED_YEARLY,
-    } : {
-      'pro_monthly': process.env.STRIPE_PRICE_PRO_MONTHLY,
-      'pro_yearly': process.env.STRIPE_PRICE_PRO_YEARLY,
-      'advanced_monthly': process.env.STRIPE_PRICE_ADVANCED_MONTHLY,
-      'advanced_yearly': process.env.STRIPE_PRICE_ADVANCED_YEARLY,
-    };
-
-    const newPriceId = priceIds[planKey];
-    if (!newPriceId) {
-      return res.status(400).json({ error: `Invalid plan/billing combination: ${planKey}` });
-    }
-
-    // Retrieve subscription from Stripe to get the item ID
-    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-    const itemId = subscription.items.data[0].id;
-
-    // Update subscription in Stripe
-    // proration_behavior: 'always_invoice' ensures immediate charge for upgrade
-    const updatedSubscription = await stripe.subscriptions.update(subscriptionId, {
-      items: [{
-        id: itemId,
-        price: newPriceId,
-      }],
-      metadata: {
-        planId: newPlanId,
-        billingPeriod: period,
-      },
-      proration_behavior: 'always_invoice',
-    });
-
-    // Update local database
-    await pool.query(
-      `UPDATE subscriptions SET 
-       plan_id = $1, 
-       updated_at = NOW() 
-       WHERE subscription_id = $2`,
-      [newPlanId, subscriptionId]
-    );
-
-    console.log('✅ Subscription upgraded successfully to:', newPlanId);
-
-    res.json({
-      success: true,
-      planId: newPlanId,
-      subscriptionId: updatedSubscription.id,
-    });
-
-  } catch (error) {
-    console.error('❌ Error upgrading subscription:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// 5. Create Customer Portal Session
-app.post('/api/stripe/create-portal-session', async (req, res) => {
-  try {
-    const { userId, anonymousId } = req.body;
-
-    console.log('Creating portal session:', { userId, anonymousId });
-
-    if (!userId && !anonymousId) {
-      return res.status(400).json({ error: 'Missing userId or anonymousId' });
-    }
-
-    // Get customer_id from database
-    let customerId;
-    if (userId) {
-      const result = await pool.query(
-        'SELECT customer_id FROM subscriptions WHERE user_id = $1 AND is_active = true LIMIT 1',
-        [userId]
-      );
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'No active subscription found' });
-      }
-      customerId = result.rows[0].customer_id;
-    } else {
-      const result = await pool.query(
-        'SELECT customer_id FROM anonymous_subscriptions WHERE anonymous_id = $1 AND is_active = true LIMIT 1',
-        [anonymousId]
-      );
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'No active subscription found' });
-      }
-      customerId = result.rows[0].customer_id;
-    }
-
-    if (!customerId) {
-      return res.status(404).json({ error: 'Customer ID not found' });
-    }
-
-    // Create portal session
-    const session = await stripe.billingPortal.sessions.create({
-      customer: customerId,
-      return_url: 'pushinapp://portal-return',
-    });
-
-    console.log('✅ Portal session created:', session.id);
-
-    res.json({ url: session.url });
-  } catch (error) {
-    console.error('❌ Error creating portal session:', error);
-    res.status(500).json({ error: error.message });
-  }
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
 });
 
-// 6. Link Anonymous Subscription to User Account
-app.post('/api/stripe/link-anonymous-subscription', async (req, res) => {
-  try {
-    const { anonymousId, userId, email } = req.body;
-
-    console.log('Linking anonymous subscription:', { anonymousId, userId, email });
-
-    if (!anonymousId || !userId || !email) {
-      return res.status(400).json({
-        error: 'Missing required fields: anonymousId, userId, email'
-      });
-    }
+// Mount Stripe checkout and subscription routes
+app.use('/api/stripe', stripeRoutes);
 
-    // Find the anonymous subscription
-    const anonymousResult = await pool.query(
-      'SELECT * FROM anonymous_subscriptions WHERE anonymous_id = $1 AND linked_user_id IS NULL',
-      [anonymousId]
-    );
-
-    if (anonymousResult.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Anonymous subscription not found or already linked'
-      });
-    }
+// Stripe webhooks are mounted before express.json() near the top of this file - see stripeWebhookRoutes.js
 
-    const anonymousSub = anonymousResult.rows[0];
-
-    // Check if user already has an active subscription
-    const existingSub = await pool.query(
-      'SELECT * FROM subscriptions WHERE user_id = $1 AND is_active = true',
-      [userId]
-    );
-
-    if (existingSub.rows.length > 0) {
-      return res.status(409).json({
-        error: 'User already has an active subscription'
-      });
-    }
-
-    // Link the anonymous subscription to the user
-    await pool.query(
-      'UPDATE anonymous_subscriptions SET linked_user_id = $1, updated_at = $2 WHERE anonymous_id = $3',
-      [userId, new Date(), anonymousId]
-    );
-
-    // Create a regular subscription record for the user
-    await pool.query(
-      `INSERT INTO subscriptions (user_id, customer_id, subscription_id, plan_id, current_period_end, is_active, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-      [userId, anonymousSub.customer_id, anonymousSub.subscription_id, anonymousSub.plan_id,
-        anonymousSub.current_period_end, anonymousSub.is_active, anonymousSub.created_at, new Date()]
-    );
-
-    console.log('✅ Anonymous subscription linked to user account');
-
-    res.json({
-      success: true,
-      subscriptionId: anonymousSub.subscription_id,
-      planId: anonymousSub.plan_id,
-    });
-  } catch (error) {
-    console.error('❌ Error linking anonymous subscription:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+// Start server
+const PORT = process.env.PORT || 3000;
+app.listen(PORT, async () => {
+  console.log(`🚀 PUSHIN' API running on port ${PORT}`);
+  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`Health check: http://localhost:${PORT}/api/health`);
 
-// 6. Recover Anonymous Subscription by Recovery Token
-app.get('/api/stripe/recover-anonymous-subscription', async (req, res) => {
+  // Apply schema migrations before the data fix-ups that depend on them
   try {
-    const { recoveryToken } = req.query;
-
-    console.log('Recovering anonymous subscription with token:', recoveryToken?.substring(0, 8) + '...');
-
-    if (!recoveryToken) {
-      return res.status(400).json({ error: 'Missing recovery token' });
-    }
-
-    // Find anonymous subscription by recovery token
-    const subscriptionResult = await pool.query(
-      `SELECT anonymous_id, email, subscription_id, plan_id, current_period_end, is_active, recovery_expires_at
-       FROM anonymous_subscriptions
-       WHERE recovery_token = $1 AND recovery_expires_at > NOW() AND linked_user_id IS NULL`,
-      [recoveryToken]
-    );
-
-    if (subscriptionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Invalid or expired recovery token' });
-    }
-
-    const subscription = subscriptionResult.rows[0];
-
-    // Check if subscription is still active
-    const stripeSubscription = await stripe.subscriptions.retrieve(subscription.subscription_id);
-    const isActive = stripeSubscription.status === 'active';
-
-    if (!isActive) {
-      return res.status(410).json({ error: 'Subscription is no longer active' });
-    }
-
-    console.log('✅ Anonymous subscription recovered');
-
-    res.json({
-      anonymousId: subscription.anonymous_id,
-      email: subscription.email,
-      subscriptionId: subscription.subscription_id,
-      planId: subscription.plan_id,
-      currentPeriodEnd: subscription.current_period_end.toISOString(),
-      isActive: true,
-    });
+    await initDatabase();
   } catch (error) {
-    console.error('❌ Error recovering anonymous subscription:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Shutting down: database schema is not up to date');
+    process.exit(1);
   }
-});
-
-// Test endpoint to check if subscription tables are accessible
-app.get('/api/stripe/test-tables', async (req, res) => {
-  try {
-    console.log('🧪 Testing database tables...');
-    const results = {};
 
-    // Test users table first (we know this works)
-    try {
-      const usersCount = await pool.query('SELECT COUNT(*) FROM users');
-      results.users = parseInt(usersCount.rows[0].count);
-      console.log(`   ✅ users table: ${results.users} records`);
-    } catch (e) {
-      results.users = `Error: ${e.message}`;
-      console.error(`   ❌ users table error: ${e.message}`);
-    }
+  migrateSubscriptionUserIds();
 
-    // Test subscriptions table
-    try {
-      const subsCount = await pool.query('SELECT COUNT(*) FROM subscriptions');
-      results.subscriptions = parseInt(subsCount.rows[0].count);
-      console.log(`   ✅ subscriptions table: ${results.subscriptions} records`);
-    } catch (e) {
-      results.subscriptions = `Error: ${e.message}`;
-      console.error(`   ❌ subscriptions table error: ${e.message}`);
-    }
+  // Erase accounts whose deletion grace period has ended, now and hourly
+  accountDeletion.purgeDueAccounts(pool, stripe);
+  setInterval(() => accountDeletion.purgeDueAccounts(pool, stripe), 60 * 60 * 1000).unref();
 
-    // Test anonymous_subscriptions table
-    try {
-      const anonCount = await pool.query('SELECT COUNT(*) FROM anonymous_subscriptions');
-      results.anonymous_subscriptions = parseInt(anonCount.rows[0].count);
-      console.log(`   ✅ anonymous_subscriptions table: ${results.anonymous_subscriptions} records`);
-    } catch (e) {
-      results.anonymous_subscriptions = `Error: ${e.message}`;
-      console.error(`   ❌ anonymous_subscriptions table error: ${e.message}`);
-    }
+  // Resume exports cut off by the restart and delete expired archives, now and hourly
+  dataExport.processDataExports(pool);
+  setInterval(() => dataExport.processDataExports(pool), 60 * 60 * 1000).unref();
 
-    res.json({
-      success: true,
-      tables: results
+  // Drop failed sign-in and rate limit counters that have run out, hourly
+  setInterval(() => {
+    loginThrottle.pruneLoginThrottles(pool).catch(error => {
+      console.error('❌ Login throttle cleanup failed:', error.message);
     });
-  } catch (error) {
-    console.error('❌ Global table test error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      code: error.code
+    rateLimitStore.pruneRateLimitCounters(pool).catch(error => {
+      console.error('❌ Rate limit counter cleanup failed:', error.message);
     });
-  }
-});
-
-// 5. Restore Subscription by Email
-// Rate limiting middleware for restore purchases (prevents email enumeration)
-const restorePurchasesLimiter = rateLimit({
-  windowMs: 5 * 60 * 1000, // 5 minutes
-  max: 5, // 5 attempts per window per IP
-  message: {
-    success: false,
-    error: 'rate_limit_exceeded',
-    message: 'Too many restore attempts. Please try again in 5 minutes.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.post('/api/stripe/restore-by-email', restorePurchasesLimiter, async (req, res) => {
-  console.log('🚀 RESTORE ENDPOINT CALLED - START');
-  console.log('   Request body:', req.body);
-  try {
-    const { email } = req.body;
-
-    // Validate email
-    if (!email || !email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
-      console.log('❌ Invalid email:', email);
-      return res.status(400).json({
-        success: false,
-        error: 'invalid_email',
-        message: 'Please provide a valid email address.'
-      });
-    }
-
-    console.log(`🔍 Restore request for email: ${email}`);
-
-    // Search in both tables
-    const authenticatedQuery = `
-      SELECT s.*, u.email, 'authenticated' as subscription_type
-      FROM subscriptions s
-      INNER JOIN users u ON s.user_id = u.id
-      WHERE u.email = $1 AND s.is_active = true
-      ORDER BY s.updated_at DESC
-      LIMIT 1
-    `;
-
-    const anonymousQuery = `
-      SELECT *, 'anonymous' as subscription_type
-      FROM anonymous_subscriptions
-      WHERE email = $1 AND is_active = true AND linked_user_id IS NULL
-      ORDER BY updated_at DESC
-      LIMIT 1
-    `;
-
-    console.log('📊 Executing database queries...');
-    let authenticatedResult, anonymousResult;
-    try {
-      [authenticatedResult, anonymousResult] = await Promise.all([
-        pool.query(authenticatedQuery, [email.trim().toLowerCase()]),
-        pool.query(anonymousQuery, [email.trim().toLowerCase()])
-      ]);
-      console.log('✅ Database queries completed');
-      console.log(`   - Authenticated results: ${authenticatedResult.rows.length}`);
-      console.log(`   - Anonymous results: ${anonymousResult.rows.length}`);
-    } catch (dbError) {
-      console.error('❌ Database query error:', dbError.message);
-      console.error('   - Error code:', dbError.code);
-      console.error('   - Error detail:', dbError.detail);
-      throw dbError; // Re-throw to be caught by outer try-catch
-    }
-
-    // Collect all active subscriptions
-    let allSubscriptions = [
-      ...authenticatedResult.rows,
-      ...anonymousResult.rows
-    ];
-
-    // If no active subscriptions found, check for expired ones
-    if (allSubscriptions.length === 0) {
-      console.log('📭 No active subscriptions found, checking for expired ones...');
-      const expiredQuery = `
-        SELECT s.plan_id, s.current_period_end, 'authenticated' as subscription_type
-        FROM subscriptions s
-        INNER JOIN users u ON s.user_id = u.id
-        WHERE u.email = $1 AND s.is_active = false
-        UNION ALL
-        SELECT plan_id, current_period_end, 'anonymous' as subscription_type
-        FROM anonymous_subscriptions
-        WHERE email = $1 AND is_active = false AND linked_user_id IS NULL
-        ORDER BY current_period_end DESC
-        LIMIT 3
-      `;
-
-      const expiredResult = await pool.query(expiredQuery, [email.trim().toLowerCase()]);
-      console.log(`   - Found ${expiredResult.rows.length} expired subscriptions`);
-
-      return res.status(404).json({
-        success: false,
-        error: 'no_active_subscription',
-        message: 'No active subscriptions found for this email address.',
-        expiredSubscriptions: expiredResult.rows.map(row => ({
-          planId: row.plan_id,
-          expiredOn: row.current_period_end.toISOString()
-        }))
-      });
-    }
-
-    // Prioritize: authenticated over anonymous
-    let selectedSubscription = allSubscriptions.find(sub => sub.subscription_type === 'authenticated')
-      || allSubscriptions[0];
-
-    console.log(`💳 Found subscription - verifying with Stripe...`);
-    console.log(`   - Subscription ID: ${selectedSubscription.subscription_id}`);
-    console.log(`   - Type: ${selectedSubscription.subscription_type}`);
-
-    // Verify with Stripe that subscription is still active
-    try {
-      const stripeSubscription = await stripe.subscriptions.retrieve(selectedSubscription.subscription_id);
-      console.log('✅ Stripe verification completed');
-
-      if (stripeSubscription.status !== 'active') {
-        // Update database to reflect actual status
-        const tableName = selectedSubscription.subscription_type === 'authenticated'
-          ? 'subscriptions'
-          : 'anonymous_subscriptions';
-        await pool.query(
-          `UPDATE ${tableName} SET is_active = false, updated_at = NOW() WHERE subscription_id = $1`,
-          [selectedSubscription.subscription_id]
-        );
-
-        return res.status(404).json({
-          success: false,
-          error: 'subscription_inactive',
-          message: 'This subscription is no longer active.',
-          expiredOn: new Date(stripeSubscription.current_period_end * 1000).toISOString()
-        });
-      }
-
-      // Update local database with latest info from Stripe
-      const tableName = selectedSubscription.subscription_type === 'authenticated'
-        ? 'subscriptions'
-        : 'anonymous_subscriptions';
-      await pool.query(
-        `UPDATE ${tableName} SET current_period_end = $1, updated_at = NOW() WHERE subscription_id = $2`,
-        [new Date(stripeSubscription.current_period_end * 1000), selectedSubscription.subscription_id]
-      );
-
-      console.log(`✅ Restored ${selectedSubscription.subscription_type} subscription for ${email}`);
-
-      // Return subscription details
-      res.json({
-        success: true,
-        subscription: {
-          subscriptionId: selectedSubscription.subscription_id,
-          planId: selectedSubscription.plan_id,
-          customerId: selectedSubscription.customer_id,
-          currentPeriodEnd: new Date(stripeSubscription.current_period_end * 1000).toISOString(),
-          isActive: true,
-          subscriptionType: selectedSubscription.subscription_type,
-          userId: selectedSubscription.user_id ? selectedSubscription.user_id.toString() : null,
-          anonymousId: selectedSubscription.anonymous_id || null
-        }
-      });
-
-    } catch (stripeError) {
-      console.error('❌ Stripe verification error:', stripeError);
-
-      // If Stripe API fails, return cached data with warning
-      return res.json({
-        success: true,
-        subscription: {
-          subscriptionId: selectedSubscription.subscription_id,
-          planId: selectedSubscription.plan_id,
-          customerId: selectedSubscription.customer_id,
-          currentPeriodEnd: selectedSubscription.current_period_end.toISOString(),
-          isActive: true,
-          subscriptionType: selectedSubscription.subscription_type,
-          userId: selectedSubscription.user_id ? selectedSubscription.user_id.toString() : null,
-          anonymousId: selectedSubscription.anonymous_id || null
-        },
-        warning: 'Unable to verify with Stripe. Using cached data.'
-      });
-    }
-
-  } catch (error) {
-    console.error('❌ Error restoring subscription by email:', error);
-    console.error('   Error stack:', error.stack);
-    console.error('   Error message:', error.message);
-    console.error('   Error code:', error.code);
-    res.status(500).json({
-      success: false,
-      error: 'server_error',
-      message: 'Unable to process restore request. Please try again later.',
-      debug: process.env.NODE_ENV === 'test' ? error.message : undefined
-    });
-  }
-});
-
-// 6. Webhook Handler (CRITICAL for production)
-app.post('/api/stripe/webhook',
-  bodyParser.raw({ type: 'application/json' }),
-  async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-
-    let event;
-
-    try {
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
-
-      console.log('✅ Webhook signature verified:', event.type);
-    } catch (err) {
-      console.error('❌ Webhook signature verification failed:', err.message);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
-
-    // Handle different event types
-    try {
-      switch (event.type) {
-        case 'checkout.session.completed':
-          const session = event.data.object;
-          console.log('💰 Checkout completed:', session.id);
-          // Update user subscription in database
-          break;
-
-        case 'customer.subscription.created':
-          const newSub = event.data.object;
-          console.log('🆕 Subscription created:', newSub.id);
-          break;
-
-        case 'customer.subscription.updated':
-          const updatedSub = event.data.object;
-          console.log('🔄 Subscription updated:', updatedSub.id);
-
-          // Update database
-          const status = updatedSub.status;
-          const isActive = status === 'active';
-
-          // Update subscriptions table
-          await pool.query(
-            `UPDATE subscriptions SET is_active = $1, current_period_end = $2, updated_at = $3 WHERE subscription_id = $4`,
-            [isActive, new Date(updatedSub.current_period_end * 1000), new Date(), updatedSub.id]
-          );
-
-          // Update anonymous_subscriptions table
-          await pool.query(
-            `UPDATE anonymous_subscriptions SET is_active = $1, current_period_end = $2, updated_at = $3 WHERE subscription_id = $4`,
-            [isActive, new Date(updatedSub.current_period_end * 1000), new Date(), updatedSub.id]
-          );
-
-          console.log(`✅ Subscription ${updatedSub.id} updated - status: ${status}`);
-          break;
-
-        case 'customer.subscription.deleted':
-          const deletedSub = event.data.object;
-          console.log('❌ Subscription canceled:', deletedSub.id);
-
-          // Mark as inactive in both tables
-          await pool.query(
-            'UPDATE subscriptions SET is_active = false, updated_at = $1 WHERE subscription_id = $2',
-            [new Date(), deletedSub.id]
-          );
-          await pool.query(
-            'UPDATE anonymous_subscriptions SET is_active = false, updated_at = $1 WHERE subscription_id = $2',
-            [new Date(), deletedSub.id]
-          );
-
-          console.log(`✅ Subscription ${deletedSub.id} marked as inactive`);
-          break;
-
-        case 'invoice.payment_succeeded':
-          const invoice = event.data.object;
-          console.log('✅ Payment succeeded:', invoice.id);
-          break;
-
-        case 'invoice.payment_failed':
-          const failedInvoice = event.data.object;
-          console.log('⚠️ Payment failed:', failedInvoice.id);
-          // Notify user
-          break;
-
-        default:
-          console.log('Unhandled event type:', event.type);
-      }
-
-      res.json({ received: true });
-    } catch (error) {
-      console.error('Error processing webhook:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
-  }
-);
-
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, async () => {
-  console.log(`🚀 PUSHIN' API running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-
-  // Initialize database tables
-  await initDatabase();
+  }, 60 * 60 * 1000).unref();
 });
 
@@ -0,0 +1,150 @@
+/**
+ * Sessions Module for Pushin Reload Backend
+ * Per-device sign-in sessions
+ *
+ * Features:
+ * - A session per sign in, with device name, platform, last IP and last seen
+ * - Each session owns its own refresh tokens (a refresh-token family), so
+ *   devices can be listed and signed out individually
+ * - Revoking a session deletes its refresh tokens; access tokens already
+ *   issued for it run out within their 15 minute lifetime
+ */
+
+const PLATFORMS = ['ios', 'android', 'web', 'macos', 'windows', 'linux'];
+
+/**
+ * Clean up client-supplied device details
+ * @param {Object} context - { deviceName, platform, ipAddress, userAgent }
+ * @returns {Object} Normalized context
+ */
+function normalizeContext(context = {}) {
+  const deviceName = typeof context.deviceName === 'string' ? context.deviceName.trim().substring(0, 100) : '';
+  const platform = typeof context.platform === 'string' ? context.platform.trim().toLowerCase() : '';
+
+  return {
+    deviceName: deviceName || null,
+    platform: PLATFORMS.includes(platform) ? platform : null,
+    ipAddress: context.ipAddress ? String(context.ipAddress).substring(0, 50) : null,
+    userAgent: context.userAgent || null
+  };
+}
+
+/**
+ * Start a session for a sign in
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} context - { deviceName, platform, ipAddress, userAgent }
+ * @returns {Promise<Object>} Session row
+ */
+async function createSession(db, userId, context = {}) {
+  const { deviceName, platform, ipAddress, userAgent } = normalizeContext(context);
+
+  const result = await db.query(
+    `INSERT INTO user_sessions (user_id, device_name, platform, last_ip, user_agent)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [userId, deviceName, platform, ipAddress, userAgent]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Sessions
+ */
+async function listSessions(pool, userId) {
+  // A session whose refresh tokens have all expired can't be resumed
+  const result = await pool.query(
+    `SELECT s.id, s.device_name, s.platform, s.last_ip, s.created_at, s.last_seen_at
+     FROM user_sessions s
+     WHERE s.user_id = $1 AND s.revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.session_id = s.id AND rt.rotated_at IS NULL AND rt.expires_at > NOW()
+       )
+     ORDER BY s.last_seen_at DESC, s.id DESC`,
+    [userId]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    deviceName: row.device_name,
+    platform: row.platform,
+    lastIp: row.last_ip,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at
+  }));
+}
+
+/**
+ * Record that a session was just used (on token refresh)
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} sessionId - Session ID
+ * @param {Object} context - { ipAddress } of the request
+ */
+async function touchSession(db, sessionId, context = {}) {
+  const { ipAddress } = normalizeContext(context);
+
+  await db.query(
+    `UPDATE user_sessions SET last_seen_at = NOW(), last_ip = COALESCE($2, last_ip)
+     WHERE id = $1`,
+    [sessionId, ipAddress]
+  );
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID (sessions of other users are never touched)
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<boolean>} False if the user has no such active session
+ */
+async function revokeSession(db, userId, sessionId) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+
+  await db.query(
+    'DELETE FROM refresh_tokens WHERE session_id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke all of a user's sessions
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} options - { exceptSessionId } session to keep signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(db, userId, { exceptSessionId = null } = {}) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::integer IS NULL OR id <> $2)`,
+    [userId, exceptSessionId]
+  );
+
+  // Includes tokens from before sessions existed (session_id NULL)
+  await db.query(
+    `DELETE FROM refresh_tokens
+     WHERE user_id = $1 AND ($2::integer IS NULL OR session_id IS DISTINCT FROM $2)`,
+    [userId, exceptSessionId]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  createSession,
+  listSessions,
+  touchSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,44 @@
+/**
+ * Streak Routes for Pushin Reload Backend
+ * Express routes for server-derived workout streaks
+ */
+
+const express = require('express');
+const streaks = require('./streaks');
+const { authenticateToken } = require('./authRoutes');
+
+const router = express.Router();
+
+/**
+ * GET /api/streaks/me
+ * Current and best streak in the user's timezone, with freeze allowance
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const summary = await streaks.getStreakSummary(pool, req.user.userId);
+
+    res.json({
+      success: true,
+      data: { streak: summary }
+    });
+  } catch (error) {
+    console.error('❌ Get streak error:', error.message);
+
+    if (error.message.includes('User not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get streak',
+      code: 'STREAK_ERROR'
+    });
+  }
+});
+
+module.exports = router;
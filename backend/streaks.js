@@ -0,0 +1,187 @@
+/**
+ * Streak Module for Pushin Reload Backend
+ * Derives workout streaks from the workouts table
+ *
+ * Features:
+ * - Day boundaries in the user's IANA timezone (DST-safe, via Intl)
+ * - Each workout is bucketed in the timezone it was completed in, so travel
+ *   doesn't retroactively move past workouts onto other days
+ * - Monthly "streak freeze" allowance per plan tier that bridges missed days
+ */
+
+const usage = require('./usage');
+
+// Missed days that can be bridged per calendar month, by plan tier
+const STREAK_FREEZES_PER_MONTH = {
+  free: 1,
+  pro: 2,
+  advanced: 4
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timeZone - e.g. Europe/Berlin
+ * @returns {boolean} True if Intl recognizes the zone
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} YYYY-MM-DD
+ */
+function toLocalDate(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+/**
+ * Convert YYYY-MM-DD to a day number (days since epoch).
+ * Calendar arithmetic is done on day numbers so DST never affects it.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Day number
+ */
+function toDayNumber(date) {
+  return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+/**
+ * Convert a day number back to YYYY-MM-DD
+ * @param {number} dayNumber - Days since epoch
+ * @returns {string} YYYY-MM-DD
+ */
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Compute current and best streak from the set of days with a workout.
+ * A missed day is bridged by a freeze while the month's allowance lasts;
+ * frozen days keep the streak alive but don't add to it. Today never breaks
+ * a streak, since the user may still work out.
+ * @param {Array<string>} workoutDates - Local YYYY-MM-DD dates with a workout
+ * @param {string} today - Today's local date
+ * @param {number} freezesPerMonth - Freeze allowance per calendar month
+ * @returns {Object} Streak summary
+ */
+function computeStreaks(workoutDates, today, freezesPerMonth = 0) {
+  const todayNumber = toDayNumber(today);
+  const days = new Set(
+    workoutDates.map(toDayNumber).filter(day => day <= todayNumber)
+  );
+
+  const summary = {
+    currentStreak: 0,
+    bestStreak: 0,
+    lastWorkoutDate: null,
+    workedOutToday: days.has(todayNumber),
+    frozenDays: [],
+    freezesUsedThisMonth: 0
+  };
+
+  if (days.size === 0) {
+    return summary;
+  }
+
+  const sortedDays = Array.from(days).sort((a, b) => a - b);
+  summary.lastWorkoutDate = fromDayNumber(sortedDays[sortedDays.length - 1]);
+
+  const freezesUsed = {};
+  let streak = 0;
+  let streakFrozenDays = [];
+
+  for (let day = sortedDays[0]; day <= todayNumber; day++) {
+    if (days.has(day)) {
+      streak++;
+      summary.bestStreak = Math.max(summary.bestStreak, streak);
+      continue;
+    }
+
+    if (day === todayNumber) {
+      break;
+    }
+
+    const month = fromDayNumber(day).slice(0, 7);
+    if (streak > 0 && (freezesUsed[month] || 0) < freezesPerMonth) {
+      freezesUsed[month] = (freezesUsed[month] || 0) + 1;
+      streakFrozenDays.push(fromDayNumber(day));
+    } else {
+      streak = 0;
+      streakFrozenDays = [];
+    }
+  }
+
+  summary.currentStreak = streak;
+  summary.frozenDays = streak > 0 ? streakFrozenDays : [];
+  summary.freezesUsedThisMonth = freezesUsed[today.slice(0, 7)] || 0;
+  return summary;
+}
+
+/**
+ * Get the streak summary for a user
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Date} [now] - Current instant (injectable for tests)
+ * @returns {Promise<Object>} Streak summary with plan and freeze allowance
+ */
+async function getStreakSummary(pool, userId, now = new Date()) {
+  const userResult = await pool.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const userTimeZone = isValidTimeZone(userResult.rows[0].timezone) ? userResult.rows[0].timezone : 'UTC';
+  const planTier = await usage.getPlanTier(pool, userId);
+  const freezesPerMonth = STREAK_FREEZES_PER_MONTH[planTier] || 0;
+
+  const workoutResult = await pool.query(
+    'SELECT completed_at, timezone FROM workouts WHERE user_id = $1',
+    [userId]
+  );
+
+  const workoutDates = workoutResult.rows.map(row => {
+    const timeZone = isValidTimeZone(row.timezone) ? row.timezone : userTimeZone;
+    return toLocalDate(new Date(row.completed_at), timeZone);
+  });
+
+  const today = toLocalDate(now, userTimeZone);
+  const streaks = computeStreaks(workoutDates, today, freezesPerMonth);
+
+  return {
+    ...streaks,
+    totalWorkouts: workoutResult.rows.length,
+    today,
+    timezone: userTimeZone,
+    planTier,
+    freezesPerMonth,
+    freezesRemainingThisMonth: Math.max(freezesPerMonth - streaks.freezesUsedThisMonth, 0)
+  };
+}
+
+module.exports = {
+  STREAK_FREEZES_PER_MONTH,
+  isValidTimeZone,
+  toLocalDate,
+  computeStreaks,
+  getStreakSummary
+};
@@ -0,0 +1,62 @@
+/**
+ * Stripe Webhook Routes for Pushin Reload Backend
+ * Verifies Stripe signatures and hands events to stripeWebhooks.js
+ *
+ * Must be mounted before express.json(): the signature covers the exact
+ * request bytes, so this router parses the body itself as a raw Buffer.
+ */
+
+const express = require('express');
+const stripeWebhooks = require('./stripeWebhooks');
+
+const router = express.Router();
+
+/**
+ * Webhook signing secret, following the same test/live split as the API key
+ * @returns {string|undefined} Signing secret
+ */
+function getWebhookSecret() {
+  return process.env.NODE_ENV === 'test'
+    ? process.env.STRIPE_TEST_WEBHOOK_SECRET || process.env.STRIPE_WEBHOOK_SECRET
+    : process.env.STRIPE_WEBHOOK_SECRET;
+}
+
+/**
+ * POST /api/stripe/webhook
+ * Stripe event delivery (Stripe-Signature header required)
+ */
+router.post('/', express.raw({ type: '*/*' }), async (req, res) => {
+  const pool = req.app.locals.pool;
+  const stripe = req.app.locals.stripe;
+  const sig = req.headers['stripe-signature'];
+
+  // Guard against a JSON parser running first and discarding the raw bytes
+  if (!Buffer.isBuffer(req.body)) {
+    console.error('❌ Webhook body was already parsed - mount the webhook before express.json()');
+    return res.status(400).send('Webhook Error: raw request body unavailable');
+  }
+
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, getWebhookSecret());
+
+    console.log('✅ Webhook signature verified:', event.type);
+  } catch (err) {
+    console.error('❌ Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  // Store and apply the event (see stripeWebhooks.js). A failure is
+  // recorded on the stored event and returns 500 so Stripe retries.
+  try {
+    const result = await stripeWebhooks.processStripeEvent(pool, stripe, event);
+
+    res.json({ received: true, status: result.status });
+  } catch (error) {
+    console.error('Error processing webhook:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,549 @@
+/**
+ * Stripe Webhook Module for Pushin Reload Backend
+ * Applies verified Stripe events to the subscription tables
+ *
+ * Features:
+ * - checkout.session.completed / customer.subscription.created persist the
+ *   subscription from metadata (userId, anonymousId, planId), so payment is
+ *   recorded even if the app never calls /api/stripe/verify-payment
+ * - Subscription updates and cancellations keep is_active in sync; only
+ *   subscription events change it, never invoices
+ * - Invoice outcomes are recorded in subscription_invoices
+ * - Every verified event is stored in stripe_events: duplicate deliveries are
+ *   skipped, events for one subscription are applied in the order Stripe
+ *   created them, and failed events can be replayed from storage
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Read an ID from Stripe metadata (missing values may arrive as '' or 'null')
+ * @param {string} value - Metadata value
+ * @returns {string|null} ID or null
+ */
+function parseMetadataId(value) {
+  if (value === undefined || value === null || value === '' || value === 'null') {
+    return null;
+  }
+  return String(value);
+}
+
+/**
+ * Insert or update an authenticated user's subscription
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} subscription - Subscription fields
+ */
+async function upsertUserSubscription(db, { userId, customerId, subscriptionId, planId, currentPeriodEnd, isActive }) {
+  await db.query(
+    `INSERT INTO subscriptions (user_id, customer_id, subscription_id, plan_id, current_period_end, is_active, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (subscription_id)
+     DO UPDATE SET
+       user_id = EXCLUDED.user_id,
+       plan_id = EXCLUDED.plan_id,
+       current_period_end = EXCLUDED.current_period_end,
+       is_active = EXCLUDED.is_active,
+       updated_at = EXCLUDED.updated_at`,
+    [userId, customerId, subscriptionId, planId, currentPeriodEnd, isActive, new Date()]
+  );
+}
+
+/**
+ * Insert or update a guest subscription
+ * A recovery token is generated for new rows and kept on updates.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {Object} subscription - Subscription fields
+ */
+async function upsertAnonymousSubscription(db, { anonymousId, email, customerId, subscriptionId, planId, currentPeriodEnd, isActive }) {
+  const recoveryToken = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `INSERT INTO anonymous_subscriptions (anonymous_id, email, customer_id, subscription_id, plan_id, current_period_end, is_active, recovery_token, recovery_expires_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (subscription_id)
+     DO UPDATE SET
+       plan_id = EXCLUDED.plan_id,
+       current_period_end = EXCLUDED.current_period_end,
+       is_active = EXCLUDED.is_active,
+       updated_at = EXCLUDED.updated_at`,
+    [anonymousId, email, customerId, subscriptionId, planId, currentPeriodEnd, isActive, recoveryToken,
+      new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), new Date()] // 1 year expiry
+  );
+}
+
+/**
+ * Persist a Stripe subscription for the user or guest named in its metadata
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {Object} subscription - Stripe subscription object
+ * @param {Object} metadata - { userId, anonymousId, planId }
+ * @param {string|null} email - Customer email, looked up if missing for guests
+ * @returns {Promise<string>} 'user', 'anonymous' or 'skipped'
+ */
+async function persistSubscription(pool, stripe, subscription, metadata, email = null) {
+  const userId = parseMetadataId(metadata.userId);
+  const anonymousId = parseMetadataId(metadata.anonymousId);
+  const planId = parseMetadataId(metadata.planId);
+
+  const record = {
+    customerId: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer?.id,
+    subscriptionId: subscription.id,
+    planId,
+    currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+    isActive: ['active', 'trialing'].includes(subscription.status)
+  };
+
+  if (userId) {
+    const userIdInt = parseInt(userId, 10);
+    if (isNaN(userIdInt)) {
+      console.error(`❌ Webhook metadata has non-numeric userId for ${subscription.id}:`, userId);
+      return 'skipped';
+    }
+    await upsertUserSubscription(pool, { userId: userIdInt, ...record });
+    console.log(`✅ Webhook stored subscription ${subscription.id} for user_id ${userIdInt}`);
+    return 'user';
+  }
+
+  if (anonymousId) {
+    let customerEmail = email;
+    if (!customerEmail && record.customerId) {
+      const customer = await stripe.customers.retrieve(record.customerId);
+      customerEmail = customer.email;
+    }
+    if (!customerEmail) {
+      console.error(`❌ No customer email for anonymous subscription ${subscription.id}`);
+      return 'skipped';
+    }
+    await upsertAnonymousSubscription(pool, { anonymousId, email: customerEmail, ...record });
+    console.log(`✅ Webhook stored anonymous subscription ${subscription.id}`);
+    return 'anonymous';
+  }
+
+  console.log(`⚠️ Subscription ${subscription.id} has no userId/anonymousId metadata - not stored`);
+  return 'skipped';
+}
+
+/**
+ * checkout.session.completed
+ */
+async function handleCheckoutSessionCompleted(pool, stripe, session) {
+  console.log('💰 Checkout completed:', session.id);
+
+  if (session.mode !== 'subscription' || !session.subscription) {
+    console.log('   Not a subscription checkout - nothing to store');
+    return;
+  }
+
+  if (session.payment_status !== 'paid' && session.payment_status !== 'no_payment_required') {
+    console.log(`   Payment status ${session.payment_status} - waiting for invoice events`);
+    return;
+  }
+
+  const subscription = typeof session.subscription === 'string'
+    ? await stripe.subscriptions.retrieve(session.subscription)
+    : session.subscription;
+
+  await persistSubscription(pool, stripe, subscription, session.metadata || {}, session.customer_details?.email);
+}
+
+/**
+ * customer.subscription.created
+ * Checkout copies its metadata onto the subscription, so this event alone is
+ * enough to persist it if checkout.session.completed is delayed or lost.
+ */
+async function handleSubscriptionCreated(pool, stripe, subscription) {
+  console.log('🆕 Subscription created:', subscription.id);
+  await persistSubscription(pool, stripe, subscription, subscription.metadata || {});
+}
+
+/**
+ * customer.subscription.updated
+ */
+async function handleSubscriptionUpdated(pool, stripe, subscription) {
+  console.log('🔄 Subscription updated:', subscription.id);
+
+  const status = subscription.status;
+  const isActive = status === 'active' || status === 'trialing';
+  const currentPeriodEnd = new Date(subscription.current_period_end * 1000);
+  const planId = parseMetadataId(subscription.metadata?.planId);
+
+  for (const tableName of ['subscriptions', 'anonymous_subscriptions']) {
+    await pool.query(
+      `UPDATE ${tableName}
+       SET is_active = $1, current_period_end = $2, plan_id = COALESCE($3, plan_id), updated_at = $4
+       WHERE subscription_id = $5`,
+      [isActive, currentPeriodEnd, planId, new Date(), subscription.id]
+    );
+  }
+
+  console.log(`✅ Subscription ${subscription.id} updated - status: ${status}`);
+}
+
+/**
+ * customer.subscription.deleted
+ */
+async function handleSubscriptionDeleted(pool, stripe, subscription) {
+  console.log('❌ Subscription canceled:', subscription.id);
+
+  // Mark as inactive in both tables
+  await pool.query(
+    'UPDATE subscriptions SET is_active = false, updated_at = $1 WHERE subscription_id = $2',
+    [new Date(), subscription.id]
+  );
+  await pool.query(
+    'UPDATE anonymous_subscriptions SET is_active = false, updated_at = $1 WHERE subscription_id = $2',
+    [new Date(), subscription.id]
+  );
+
+  console.log(`✅ Subscription ${subscription.id} marked as inactive`);
+}
+
+/**
+ * Record the outcome of an invoice payment attempt
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} invoice - Stripe invoice object
+ * @param {string} status - 'paid' or 'failed'
+ */
+async function recordInvoice(pool, invoice, status) {
+  const line = invoice.lines?.data?.[0];
+  const periodEnd = line?.period?.end ? new Date(line.period.end * 1000) : null;
+
+  await pool.query(
+    `INSERT INTO subscription_invoices
+       (invoice_id, subscription_id, customer_id, status, amount_due, amount_paid, currency,
+        billing_reason, attempt_count, next_payment_attempt, period_end, hosted_invoice_url, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
+     ON CONFLICT (invoice_id)
+     DO UPDATE SET
+       status = EXCLUDED.status,
+       amount_paid = EXCLUDED.amount_paid,
+       attempt_count = EXCLUDED.attempt_count,
+       next_payment_attempt = EXCLUDED.next_payment_attempt,
+       updated_at = NOW()`,
+    [invoice.id, invoice.subscription || null, invoice.customer || null, status,
+      invoice.amount_due || 0, invoice.amount_paid || 0, invoice.currency || null,
+      invoice.billing_reason || null, invoice.attempt_count || 0,
+      invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000) : null,
+      periodEnd, invoice.hosted_invoice_url || null]
+  );
+
+  return periodEnd;
+}
+
+/**
+ * invoice.payment_succeeded
+ * A paid renewal extends the subscription's period. is_active is left to the
+ * subscription events: invoices aren't ordered against them, so a late or
+ * replayed invoice must not turn a canceled subscription back on.
+ */
+async function handleInvoicePaymentSucceeded(pool, stripe, invoice) {
+  console.log('✅ Payment succeeded:', invoice.id);
+
+  const periodEnd = await recordInvoice(pool, invoice, 'paid');
+
+  if (invoice.subscription && periodEnd) {
+    for (const tableName of ['subscriptions', 'anonymous_subscriptions']) {
+      await pool.query(
+        `UPDATE ${tableName}
+         SET current_period_end = GREATEST(COALESCE(current_period_end, $1), $1), updated_at = NOW()
+         WHERE subscription_id = $2`,
+        [periodEnd, invoice.subscription]
+      );
+    }
+  }
+}
+
+/**
+ * invoice.payment_failed
+ * Access is left to customer.subscription.updated, which follows Stripe's
+ * retry schedule (past_due -> canceled/unpaid)
+ */
+async function handleInvoicePaymentFailed(pool, stripe, invoice) {
+  console.log(`⚠️ Payment failed: ${invoice.id} (attempt ${invoice.attempt_count || 0})`);
+  await recordInvoice(pool, invoice, 'failed');
+}
+
+const EVENT_HANDLERS = {
+  'checkout.session.completed': handleCheckoutSessionCompleted,
+  'customer.subscription.created': handleSubscriptionCreated,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+  'invoice.payment_succeeded': handleInvoicePaymentSucceeded,
+  'invoice.payment_failed': handleInvoicePaymentFailed
+};
+
+// Events that overwrite subscription state; an older one arriving after a
+// newer one for the same subscription is skipped instead of applied
+const STATE_EVENT_TYPES = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted'
+];
+
+/**
+ * Apply a verified Stripe event
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {Object} event - Event from stripe.webhooks.constructEvent
+ * @returns {Promise<boolean>} True if the event type is handled
+ */
+async function handleStripeEvent(pool, stripe, event) {
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) {
+    console.log('Unhandled event type:', event.type);
+    return false;
+  }
+
+  await handler(pool, stripe, event.data.object);
+  return true;
+}
+
+/**
+ * Get the subscription an event belongs to (used for ordering)
+ * @param {Object} event - Stripe event
+ * @returns {string|null} Subscription ID
+ */
+function getEventSubscriptionId(event) {
+  const object = event.data?.object || {};
+  if (object.object === 'subscription') {
+    return object.id;
+  }
+  const subscription = object.subscription;
+  if (!subscription) {
+    return null;
+  }
+  return typeof subscription === 'string' ? subscription : subscription.id;
+}
+
+/**
+ * Store a verified event, or return the stored copy of a redelivered one
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} event - Stripe event
+ * @returns {Promise<Object>} stripe_events row
+ */
+async function storeEvent(pool, event) {
+  const inserted = await pool.query(
+    `INSERT INTO stripe_events (event_id, type, subscription_id, stripe_created_at, payload, status)
+     VALUES ($1, $2, $3, $4, $5, 'pending')
+     ON CONFLICT (event_id) DO NOTHING
+     RETURNING *`,
+    [event.id, event.type, getEventSubscriptionId(event), new Date(event.created * 1000), JSON.stringify(event)]
+  );
+
+  if (inserted.rows.length > 0) {
+    return inserted.rows[0];
+  }
+
+  const existing = await pool.query('SELECT * FROM stripe_events WHERE event_id = $1', [event.id]);
+  return existing.rows[0];
+}
+
+/**
+ * Apply a stored event and record the outcome on its row
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {Object} row - stripe_events row
+ * @returns {Promise<string>} 'processed' or 'skipped'
+ */
+async function applyStoredEvent(pool, stripe, row) {
+  // A cancellation is final, so it is applied even if it arrives late
+  if (row.subscription_id && STATE_EVENT_TYPES.includes(row.type) && row.type !== 'customer.subscription.deleted') {
+    const newer = await pool.query(
+      `SELECT event_id FROM stripe_events
+       WHERE subscription_id = $1 AND status = 'processed' AND type = ANY($2)
+         AND stripe_created_at > $3
+       LIMIT 1`,
+      [row.subscription_id, STATE_EVENT_TYPES, row.stripe_created_at]
+    );
+
+    if (newer.rows.length > 0) {
+      console.log(`⏭️ Skipping ${row.event_id} (${row.type}) - superseded by ${newer.rows[0].event_id}`);
+      await pool.query(
+        `UPDATE stripe_events
+         SET status = 'skipped', last_error = $1, processed_at = NOW(), updated_at = NOW()
+         WHERE id = $2`,
+        [`Superseded by ${newer.rows[0].event_id}`, row.id]
+      );
+      return 'skipped';
+    }
+  }
+
+  try {
+    await handleStripeEvent(pool, stripe, row.payload);
+  } catch (error) {
+    await pool.query(
+      `UPDATE stripe_events
+       SET status = 'failed', attempts = attempts + 1, last_error = $1, updated_at = NOW()
+       WHERE id = $2`,
+      [error.message, row.id]
+    );
+    throw error;
+  }
+
+  await pool.query(
+    `UPDATE stripe_events
+     SET status = 'processed', attempts = attempts + 1, last_error = NULL, processed_at = NOW(), updated_at = NOW()
+     WHERE id = $1`,
+    [row.id]
+  );
+  return 'processed';
+}
+
+/**
+ * Run a function while holding a per-subscription advisory lock, so
+ * concurrent deliveries for one subscription are applied one at a time
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+async function withSubscriptionLock(pool, subscriptionId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [`stripe:${subscriptionId}`]);
+    try {
+      return await fn();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`stripe:${subscriptionId}`]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply all pending or failed events for a subscription, oldest first, up to
+ * and including the given event. Stops at the first failure so later events
+ * are never applied ahead of an earlier one.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {Object} row - stripe_events row to process up to
+ * @returns {Promise<string>} Outcome for the given event
+ */
+async function processSubscriptionQueue(pool, stripe, row) {
+  const queue = await pool.query(
+    `SELECT * FROM stripe_events
+     WHERE subscription_id = $1 AND status IN ('pending', 'failed')
+       AND (stripe_created_at, id) <= ($2, $3)
+     ORDER BY stripe_created_at, id`,
+    [row.subscription_id, row.stripe_created_at, row.id]
+  );
+
+  let outcome = 'duplicate';
+  for (const queued of queue.rows) {
+    const status = await applyStoredEvent(pool, stripe, queued);
+    if (queued.id === row.id) {
+      outcome = status;
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Store and apply a verified webhook event
+ * Redeliveries of processed events are acknowledged without reapplying them.
+ * Throws if the event (or an earlier one for the same subscription) fails,
+ * so Stripe retries the delivery.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {Object} event - Event from stripe.webhooks.constructEvent
+ * @returns {Promise<Object>} { status: 'processed' | 'skipped' | 'duplicate' }
+ */
+async function processStripeEvent(pool, stripe, event) {
+  const row = await storeEvent(pool, event);
+
+  if (row.status === 'processed' || row.status === 'skipped') {
+    console.log(`↩️ Duplicate delivery of ${event.id} (${row.status}) - ignoring`);
+    return { status: 'duplicate' };
+  }
+
+  if (!row.subscription_id) {
+    return { status: await applyStoredEvent(pool, stripe, row) };
+  }
+
+  const status = await withSubscriptionLock(pool, row.subscription_id,
+    () => processSubscriptionQueue(pool, stripe, row));
+  return { status };
+}
+
+/**
+ * Replay failed events from storage, oldest first. Events left pending for
+ * over 10 minutes (e.g. the server stopped mid-delivery) are included.
+ * Once an event fails, later events for the same subscription are left for
+ * the next run so they aren't applied out of order.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} stripe - Stripe client
+ * @param {Object} options - Replay options
+ * @param {string} [options.eventId] - Replay only this event
+ * @param {number} [options.limit] - Max events to replay (default 100)
+ * @returns {Promise<Array<Object>>} { eventId, type, status, error } per event
+ */
+async function replayFailedEvents(pool, stripe, options = {}) {
+  const limit = options.limit || 100;
+  const result = options.eventId
+    ? await pool.query(`SELECT * FROM stripe_events WHERE event_id = $1 AND status IN ('pending', 'failed')`, [options.eventId])
+    : await pool.query(
+      `SELECT * FROM stripe_events
+       WHERE status = 'failed'
+          OR (status = 'pending' AND updated_at < NOW() - INTERVAL '10 minutes')
+       ORDER BY stripe_created_at, id
+       LIMIT $1`,
+      [limit]
+    );
+
+  const blockedSubscriptions = new Set();
+  const outcomes = [];
+
+  for (const row of result.rows) {
+    const outcome = { eventId: row.event_id, type: row.type, status: null, error: null };
+
+    if (row.subscription_id && blockedSubscriptions.has(row.subscription_id)) {
+      outcome.status = 'blocked';
+      outcomes.push(outcome);
+      continue;
+    }
+
+    try {
+      outcome.status = row.subscription_id
+        ? await withSubscriptionLock(pool, row.subscription_id, () => processSubscriptionQueue(pool, stripe, row))
+        : await applyStoredEvent(pool, stripe, row);
+    } catch (error) {
+      outcome.status = 'failed';
+      outcome.error = error.message;
+      if (row.subscription_id) {
+        blockedSubscriptions.add(row.subscription_id);
+      }
+    }
+
+    outcomes.push(outcome);
+  }
+
+  return outcomes;
+}
+
+/**
+ * Mark a pending or failed event as skipped so it no longer blocks later
+ * events for its subscription
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<boolean>} True if an event was updated
+ */
+async function skipEvent(pool, eventId) {
+  const result = await pool.query(
+    `UPDATE stripe_events
+     SET status = 'skipped', last_error = COALESCE(last_error, '') || ' (skipped manually)', processed_at = NOW(), updated_at = NOW()
+     WHERE event_id = $1 AND status IN ('pending', 'failed')`,
+    [eventId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  processStripeEvent,
+  replayFailedEvents,
+  skipEvent,
+  handleStripeEvent,
+  upsertUserSubscription,
+  upsertAnonymousSubscription,
+  HANDLED_EVENT_TYPES: Object.keys(EVENT_HANDLERS)
+};
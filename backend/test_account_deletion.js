@@ -0,0 +1,394 @@
+/**
+ * Account Deletion Test (No Database Required)
+ * Runs deletion, restore during the grace period and the purge against
+ * in-memory tables and a Stripe stand-in. Deleting the user row applies the
+ * ON DELETE rules the migrations declare for every table referencing users,
+ * so the purge is checked against the real schema.
+ *
+ * Usage: node backend/test_account_deletion.js
+ */
+
+const crypto = require('crypto');
+const mailer = require('./mailer');
+const auth = require('./auth');
+const migrate = require('./migrate');
+const accountDeletion = require('./accountDeletion');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Columns referencing users(id) and their ON DELETE action, read from the
+ * CREATE TABLE statements of the migrations
+ * @returns {Promise<Array<Object>>} [{ table, column, action }]
+ */
+async function loadUserForeignKeys() {
+  const statements = [];
+  const recorder = { query: async (sql) => { statements.push(sql); return { rows: [], rowCount: 0 }; } };
+  for (const migration of migrate.loadMigrations()) {
+    await migration.up(recorder);
+  }
+
+  const foreignKeys = [];
+  for (const sql of statements) {
+    const table = sql.match(/CREATE TABLE IF NOT EXISTS (\w+)/);
+    if (!table) {
+      continue;
+    }
+    for (const [, column, action] of sql.matchAll(/(\w+) INTEGER[^,]*REFERENCES users\(id\) ON DELETE (CASCADE|SET NULL)/g)) {
+      foreignKeys.push({ table: table[1], column, action });
+    }
+  }
+  return foreignKeys;
+}
+
+/**
+ * Pool stand-in holding every table that references users, with a row for
+ * each of users 7 (Jane, deleting her account) and 8 (Bob). BEGIN/ROLLBACK
+ * snapshot and restore the tables.
+ */
+function fakePool(foreignKeys, passwordHash) {
+  let tables = {
+    users: [
+      { id: 7, email: 'jane@example.com', password_hash: passwordHash, avatar_key: null },
+      { id: 8, email: 'bob@example.com', password_hash: passwordHash, avatar_key: null }
+    ]
+  };
+  for (const { table, column } of foreignKeys) {
+    tables[table] = tables[table] || [];
+    tables[table].push({ [column]: 7 }, { [column]: 8 });
+  }
+
+  // Rows the deletion code reads beyond the user reference
+  tables.account_deletions = [];
+  tables.user_sessions = [{ id: 70, user_id: 7, revoked_at: null }, { id: 80, user_id: 8, revoked_at: null }];
+  tables.refresh_tokens = [{ user_id: 7, session_id: 70 }, { user_id: 8, session_id: 80 }];
+  tables.subscriptions = [
+    { user_id: 7, subscription_id: 'sub_jane', customer_id: 'cus_jane', is_active: true },
+    { user_id: 8, subscription_id: 'sub_bob', customer_id: 'cus_bob', is_active: true }
+  ];
+  tables.anonymous_subscriptions = [
+    { linked_user_id: 7, subscription_id: 'sub_jane_guest', customer_id: 'cus_jane_guest', is_active: true },
+    { linked_user_id: 8, subscription_id: 'sub_bob_guest', customer_id: 'cus_bob_guest', is_active: true }
+  ];
+  tables.subscription_invoices = [{ subscription_id: 'sub_jane' }, { subscription_id: 'sub_bob' }];
+  tables.stripe_events = [{ subscription_id: 'sub_jane_guest' }, { subscription_id: 'sub_bob' }];
+  tables.audit_logs = [
+    { user_id: 7, ip_address: '203.0.113.7', user_agent: 'app', metadata: { email: 'jane@example.com' } },
+    { user_id: null, ip_address: '203.0.113.7', user_agent: 'app', metadata: { email: 'JANE@example.com', user_exists: false } },
+    { user_id: 8, ip_address: '198.51.100.8', user_agent: 'app', metadata: { email: 'bob@example.com' } }
+  ];
+
+  let snapshot = null;
+  // Deep copy that keeps timestamps as Dates
+  const copy = (from) => JSON.parse(JSON.stringify(from), (key, value) =>
+    (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value) : value));
+
+  const query = async (sql, params = []) => {
+    if (sql === 'BEGIN') {
+      snapshot = copy(tables);
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT') {
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql === 'ROLLBACK') {
+      if (snapshot) {
+        tables = snapshot;
+        snapshot = null;
+      }
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM account_deletions WHERE user_id = $1')) {
+      return { rows: tables.account_deletions.filter(d => d.user_id === params[0]) };
+    }
+    if (sql.startsWith('SELECT id, password_hash FROM users') || sql.startsWith('SELECT email FROM users') ||
+        sql.startsWith('SELECT avatar_key FROM users')) {
+      return { rows: tables.users.filter(u => u.id === params[0]) };
+    }
+    if (sql.startsWith('SELECT 1 FROM user_mfa')) {
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT subscription_id, customer_id FROM subscriptions')) {
+      const [userId, activeOnly] = params;
+      const rows = [
+        ...tables.subscriptions.filter(s => s.user_id === userId && (!activeOnly || s.is_active)),
+        ...tables.anonymous_subscriptions.filter(s => s.linked_user_id === userId && (!activeOnly || s.is_active))
+      ];
+      return { rows: rows.map(({ subscription_id, customer_id }) => ({ subscription_id, customer_id })) };
+    }
+    if (sql.startsWith('INSERT INTO account_deletions')) {
+      if (tables.account_deletions.some(d => d.user_id === params[0])) {
+        return { rows: [], rowCount: 0 };
+      }
+      tables.account_deletions.push({ user_id: params[0], scheduled_for: params[1], undo_token_hash: params[2], canceled_subscription_ids: params[3] });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('UPDATE user_sessions SET revoked_at = NOW()')) {
+      const revoked = tables.user_sessions.filter(s => s.user_id === params[0] && !s.revoked_at);
+      revoked.forEach(s => { s.revoked_at = new Date(); });
+      return { rows: [], rowCount: revoked.length };
+    }
+    if (sql.startsWith('DELETE FROM refresh_tokens')) {
+      tables.refresh_tokens = tables.refresh_tokens.filter(t => t.user_id !== params[0]);
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM account_deletions')) {
+      const matching = tables.account_deletions.filter(d => d.undo_token_hash === params[0] && d.scheduled_for > new Date());
+      tables.account_deletions = tables.account_deletions.filter(d => !matching.includes(d));
+      return { rows: matching.map(d => ({ user_id: d.user_id, canceled_subscription_ids: d.canceled_subscription_ids })) };
+    }
+    if (sql.includes('FROM account_deletions d')) {
+      const due = tables.account_deletions
+        .filter(d => d.scheduled_for <= new Date() && !params[0].includes(d.user_id))
+        .sort((a, b) => a.scheduled_for - b.scheduled_for)
+        .slice(0, 1);
+      return { rows: due.map(d => ({ user_id: d.user_id, email: tables.users.find(u => u.id === d.user_id).email })) };
+    }
+    const byInvoiceOrEvent = sql.match(/^DELETE FROM (subscription_invoices|stripe_events) WHERE subscription_id = ANY\(\$1\)/);
+    if (byInvoiceOrEvent) {
+      tables[byInvoiceOrEvent[1]] = tables[byInvoiceOrEvent[1]].filter(row => !params[0].includes(row.subscription_id));
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE audit_logs')) {
+      const [userId, subject, email] = params;
+      for (const row of tables.audit_logs) {
+        if (row.user_id === userId || (row.metadata.email || '').toLowerCase() === email.toLowerCase()) {
+          const { email: _email, previous_email: _previous, ...metadata } = row.metadata;
+          Object.assign(row, { user_id: null, ip_address: null, user_agent: null, metadata: { ...metadata, subject } });
+        }
+      }
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM users WHERE id = $1')) {
+      tables.users = tables.users.filter(u => u.id !== params[0]);
+      for (const { table, column, action } of foreignKeys) {
+        tables[table] = action === 'CASCADE'
+          ? tables[table].filter(row => row[column] !== params[0])
+          : tables[table].map(row => (row[column] === params[0] ? { ...row, [column]: null } : row));
+      }
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO audit_logs')) {
+      const metadata = JSON.parse(sql.includes("'account_deleted'") ? params[0] : params[4]);
+      const eventType = sql.includes("'account_deleted'") ? 'account_deleted' : params[0];
+      const userId = sql.includes("'account_deleted'") ? null : params[1];
+      tables.audit_logs.push({ event_type: eventType, user_id: userId, metadata });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    get tables() { return tables; }
+  };
+}
+
+/**
+ * Stripe stand-in recording renewal changes, cancellations and deleted customers
+ * @param {Object} options - { failCancel } makes subscription cancellation fail
+ */
+function fakeStripe({ failCancel = false, failCancelIds = [] } = {}) {
+  const renewals = {};
+  const calls = { updated: [], canceled: [], deletedCustomers: [] };
+
+  return {
+    calls,
+    renewals,
+    subscriptions: {
+      retrieve: async (id) => ({ id, status: 'active', cancel_at_period_end: renewals[id] === false }),
+      update: async (id, { cancel_at_period_end: cancelAtPeriodEnd }) => {
+        calls.updated.push([id, cancelAtPeriodEnd]);
+        renewals[id] = !cancelAtPeriodEnd;
+        return { id };
+      },
+      cancel: async (id) => {
+        if (failCancel || failCancelIds.includes(id)) {
+          throw new Error('Stripe is unavailable');
+        }
+        calls.canceled.push(id);
+        return { id, status: 'canceled' };
+      }
+    },
+    customers: {
+      del: async (id) => {
+        calls.deletedCustomers.push(id);
+        return { id, deleted: true };
+      }
+    }
+  };
+}
+
+/**
+ * Rows of a table that still point at a user
+ */
+function rowsOf(pool, table, column, userId) {
+  return pool.tables[table].filter(row => row[column] === userId);
+}
+
+async function testAccountDeletion() {
+  console.log('🧪 Testing Account Deletion\n');
+
+  const sent = [];
+  mailer.sendMail = async (mailOptions) => {
+    sent.push(mailOptions);
+  };
+  const tokenIn = (mail) => mail.text.match(/token=([0-9a-f]{64})/)[1];
+
+  // Keep the module logging out of the results
+  const log = console.log;
+  const quiet = async (run) => {
+    console.log = () => {};
+    try {
+      return await run();
+    } finally {
+      console.log = log;
+    }
+  };
+
+  try {
+    const foreignKeys = await quiet(() => loadUserForeignKeys());
+    const passwordHash = await auth.hashPassword('Correct-horse-7');
+
+    // Grace period
+    console.log('Grace period');
+    const pool = fakePool(foreignKeys, passwordHash);
+    const stripe = fakeStripe();
+
+    check('a wrong password is refused',
+      await quiet(() => errorOf(accountDeletion.requestAccountDeletion(pool, stripe, 7, { password: 'wrong' })))
+      === 'Re-authentication failed');
+
+    const { scheduledFor } = await quiet(() => accountDeletion.requestAccountDeletion(pool, stripe, 7, { password: 'Correct-horse-7' }));
+    const graceMs = scheduledFor - Date.now();
+    check('erasure is scheduled after the grace period',
+      Math.abs(graceMs - accountDeletion.ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000) < 60 * 1000, graceMs);
+    check('renewal stops for every subscription of the user',
+      JSON.stringify(stripe.calls.updated) === JSON.stringify([['sub_jane', true], ['sub_jane_guest', true]]), stripe.calls.updated);
+    check('every session is signed out',
+      rowsOf(pool, 'user_sessions', 'user_id', 7).every(s => s.revoked_at) && rowsOf(pool, 'refresh_tokens', 'user_id', 7).length === 0);
+    check('other users stay signed in', rowsOf(pool, 'refresh_tokens', 'user_id', 8).length === 1);
+    check('sign in is refused while deletion is pending',
+      await errorOf(auth.startSession(pool, 7)) === 'Account is scheduled for deletion');
+    check('a second request is refused',
+      await quiet(() => errorOf(accountDeletion.requestAccountDeletion(pool, stripe, 7, { password: 'Correct-horse-7' })))
+      === 'Account is scheduled for deletion');
+
+    const undoToken = tokenIn(sent[sent.length - 1]);
+    check('only a hash of the undo token is stored',
+      pool.tables.account_deletions[0].undo_token_hash === crypto.createHash('sha256').update(undoToken).digest('hex'));
+
+    const restored = await quiet(() => accountDeletion.cancelAccountDeletion(pool, stripe, undoToken));
+    check('the undo link restores the account', restored.email === 'jane@example.com' && pool.tables.account_deletions.length === 0, restored);
+    check('renewal resumes for the subscriptions deletion stopped',
+      stripe.renewals.sub_jane === true && stripe.renewals.sub_jane_guest === true, stripe.renewals);
+    check('nothing was erased', pool.tables.users.length === 2 && rowsOf(pool, 'workouts', 'user_id', 7).length === 1);
+    check('the undo link works once',
+      await quiet(() => errorOf(accountDeletion.cancelAccountDeletion(pool, stripe, undoToken))) === 'Invalid or expired token');
+
+    await quiet(() => accountDeletion.requestAccountDeletion(pool, stripe, 7, { password: 'Correct-horse-7' }));
+    const lateToken = tokenIn(sent[sent.length - 1]);
+    pool.tables.account_deletions[0].scheduled_for = new Date(Date.now() - 1000);
+    check('the undo link stops working when the grace period ends',
+      await quiet(() => errorOf(accountDeletion.cancelAccountDeletion(pool, stripe, lateToken))) === 'Invalid or expired token');
+    console.log('');
+
+    // Purge
+    console.log('Purge');
+    const failingStripe = fakeStripe({ failCancel: true });
+    check('a Stripe failure erases nothing', await quiet(() => accountDeletion.purgeDueAccounts(pool, failingStripe)) === 0 &&
+      pool.tables.users.some(u => u.id === 7) && pool.tables.account_deletions.length === 1);
+
+    check('the due account is erased', await quiet(() => accountDeletion.purgeDueAccounts(pool, stripe)) === 1);
+    check('subscriptions are canceled in Stripe',
+      stripe.calls.canceled.join() === 'sub_jane,sub_jane_guest', stripe.calls.canceled);
+    check('Stripe customers are deleted',
+      stripe.calls.deletedCustomers.join() === 'cus_jane,cus_jane_guest', stripe.calls.deletedCustomers);
+
+    check('users row is removed', !pool.tables.users.some(u => u.id === 7));
+    for (const table of ['refresh_tokens', 'subscriptions', 'workouts', 'daily_usage', 'password_reset_tokens']) {
+      check(`${table} rows are removed`, rowsOf(pool, table, 'user_id', 7).length === 0 && rowsOf(pool, table, 'user_id', 8).length > 0);
+    }
+    const leftovers = foreignKeys.filter(({ table, column }) => rowsOf(pool, table, column, 7).length > 0);
+    check('no table referencing users keeps a row for the user', leftovers.length === 0, leftovers);
+    check('billing records of the subscriptions are removed',
+      pool.tables.subscription_invoices.map(r => r.subscription_id).join() === 'sub_bob' &&
+      pool.tables.stripe_events.map(r => r.subscription_id).join() === 'sub_bob');
+
+    const subject = accountDeletion.pseudonymizeUser(7);
+    const janeLogs = pool.tables.audit_logs.filter(row => row.metadata.subject === subject);
+    check('audit_logs entries are kept under a pseudonym', janeLogs.length >= 2, pool.tables.audit_logs);
+    check('audit_logs entries lose the user, IP, user agent and email',
+      janeLogs.every(row => row.user_id === null && !row.ip_address && !row.user_agent && !('email' in row.metadata)), janeLogs);
+    check('entries matched only by email are anonymized too',
+      !pool.tables.audit_logs.some(row => /jane@example.com/i.test(JSON.stringify(row))));
+    check('other users\' audit entries are untouched',
+      pool.tables.audit_logs.some(row => row.user_id === 8 && row.metadata.email === 'bob@example.com'));
+    check('the erasure itself is audited',
+      pool.tables.audit_logs.some(row => row.event_type === 'account_deleted' && row.metadata.subject === subject));
+    check('the user is told their account is gone', sent[sent.length - 1].subject === 'Your PUSHIN account has been deleted');
+
+    check('other users are untouched',
+      pool.tables.users.map(u => u.id).join() === '8' && !stripe.calls.canceled.includes('sub_bob'));
+    check('nothing is left to purge', await quiet(() => accountDeletion.purgeDueAccounts(pool, stripe)) === 0);
+    console.log('');
+
+    // One failing account doesn't hold up the others
+    console.log('Failing account');
+    const queuePool = fakePool(foreignKeys, passwordHash);
+    queuePool.tables.account_deletions.push(
+      { user_id: 7, scheduled_for: new Date(Date.now() - 2000), canceled_subscription_ids: [] },
+      { user_id: 8, scheduled_for: new Date(Date.now() - 1000), canceled_subscription_ids: [] }
+    );
+    const error = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args.join(' '));
+    const janeFails = fakeStripe({ failCancelIds: ['sub_jane'] });
+    const purgedPastFailure = await quiet(() => accountDeletion.purgeDueAccounts(queuePool, janeFails));
+    console.error = error;
+    check('the account after a failing one is still erased',
+      purgedPastFailure === 1 && !queuePool.tables.users.some(u => u.id === 8), purgedPastFailure);
+    check('the failing account is kept for the next run',
+      queuePool.tables.users.some(u => u.id === 7) && queuePool.tables.account_deletions.map(d => d.user_id).join() === '7');
+    check('the failing account is tried once per run', errors.length === 1 && /user 7/.test(errors[0]), errors);
+    check('the next run erases it once Stripe works',
+      await quiet(() => accountDeletion.purgeDueAccounts(queuePool, fakeStripe())) === 1 && queuePool.tables.users.length === 0);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testAccountDeletion();
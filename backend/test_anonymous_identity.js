@@ -0,0 +1,227 @@
+/**
+ * Anonymous Identity Test (No Database Required)
+ * Covers refresh token rotation and reuse, and linking an identity and its
+ * guest subscription into an account, against in-memory tables that
+ * BEGIN/ROLLBACK snapshot and restore
+ *
+ * Usage: node backend/test_anonymous_identity.js
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+const anonymousIdentity = require('./anonymousIdentity');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  if (ok) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   expected: ${JSON.stringify(expected)}`);
+    console.log(`   actual:   ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Pool stand-in for the queries anonymousIdentity.js makes
+ */
+function fakePool() {
+  let tables = { identities: [], anonymousSubscriptions: [], subscriptions: [] };
+  let snapshot = null;
+
+  const copy = (from) => JSON.parse(JSON.stringify(from));
+
+  const query = async (sql, params = []) => {
+    if (sql === 'BEGIN') {
+      snapshot = copy(tables);
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT') {
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql === 'ROLLBACK') {
+      tables = snapshot;
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO anonymous_identities')) {
+      if (!tables.identities.some(i => i.anonymous_id === params[0])) {
+        tables.identities.push({
+          id: tables.identities.length + 1, anonymous_id: params[0], linked_user_id: null,
+          refresh_token_hash: null, refresh_expires_at: null
+        });
+      }
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('SET refresh_token_hash = $1')) {
+      const identity = tables.identities.find(i => i.anonymous_id === params[2] && i.linked_user_id === null &&
+        (params[3] === null || i.refresh_token_hash === params[3]));
+      if (!identity) {
+        return { rows: [], rowCount: 0 };
+      }
+      identity.refresh_token_hash = params[0];
+      identity.refresh_expires_at = params[1].toISOString();
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('SELECT linked_user_id, refresh_expires_at FROM anonymous_identities') ||
+        sql.startsWith('SELECT id, linked_user_id FROM anonymous_identities')) {
+      return { rows: tables.identities.filter(i => i.anonymous_id === params[0]).map(i => ({ ...i })) };
+    }
+    if (sql.includes('SET linked_user_id = $1, linked_at = NOW()')) {
+      const identity = tables.identities.find(i => i.id === params[1]);
+      Object.assign(identity, { linked_user_id: params[0], refresh_token_hash: null, refresh_expires_at: null });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('SELECT * FROM anonymous_subscriptions')) {
+      return { rows: tables.anonymousSubscriptions.filter(s => s.anonymous_id === params[0] && s.linked_user_id === null).map(s => ({ ...s })) };
+    }
+    if (sql.startsWith('UPDATE anonymous_subscriptions SET linked_user_id')) {
+      tables.anonymousSubscriptions.find(s => s.id === params[1]).linked_user_id = params[0];
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('SELECT 1 FROM subscriptions')) {
+      return { rows: tables.subscriptions.filter(s => s.user_id === params[0] && s.is_active).map(() => ({ '?column?': 1 })) };
+    }
+    if (sql.startsWith('INSERT INTO subscriptions')) {
+      const [userId, customerId, subscriptionId, planId, currentPeriodEnd, isActive] = params;
+      const existing = tables.subscriptions.find(s => s.subscription_id === subscriptionId);
+      if (existing) {
+        existing.user_id = userId;
+      } else {
+        tables.subscriptions.push({ user_id: userId, customer_id: customerId, subscription_id: subscriptionId, plan_id: planId, current_period_end: currentPeriodEnd, is_active: isActive });
+      }
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    get tables() { return tables; }
+  };
+}
+
+/**
+ * Guest subscription row bought by the given anonymous ID
+ */
+function guestSubscription(id, anonymousId, subscriptionId, isActive = true) {
+  return {
+    id, anonymous_id: anonymousId, customer_id: `cus_${subscriptionId}`, subscription_id: subscriptionId,
+    plan_id: 'pro', current_period_end: '2030-01-01T00:00:00.000Z', is_active: isActive, linked_user_id: null,
+    created_at: '2024-01-01T00:00:00.000Z'
+  };
+}
+
+async function testAnonymousIdentity() {
+  console.log('🧪 Testing Anonymous Identity\n');
+
+  try {
+    // Refresh rotation
+    console.log('Refresh rotation');
+    const pool = fakePool();
+    const created = await anonymousIdentity.createAnonymousIdentity(pool);
+    check('server generates the anonymous ID', /^anon_[0-9a-f]{32}$/.test(created.anonymousId), true);
+    check('only a hash of the refresh token is stored',
+      pool.tables.identities[0].refresh_token_hash, sha256(created.refreshToken));
+    check('access token identifies the guest', auth.verifyAnonymousToken(created.accessToken).anonymousId, created.anonymousId);
+
+    const rotated = await anonymousIdentity.refreshAnonymousTokens(pool, created.refreshToken);
+    check('refresh issues a new refresh token',
+      [rotated.anonymousId, rotated.refreshToken !== created.refreshToken], [created.anonymousId, true]);
+    check('rotated token replaces the stored hash', pool.tables.identities[0].refresh_token_hash, sha256(rotated.refreshToken));
+    check('reusing the old refresh token is rejected',
+      await errorOf(anonymousIdentity.refreshAnonymousTokens(pool, created.refreshToken)), 'Invalid refresh token');
+    const current = await anonymousIdentity.refreshAnonymousTokens(pool, rotated.refreshToken);
+    check('reuse does not revoke the current token', current.anonymousId, created.anonymousId);
+
+    const raced = await Promise.all([
+      errorOf(anonymousIdentity.refreshAnonymousTokens(pool, current.refreshToken)),
+      errorOf(anonymousIdentity.refreshAnonymousTokens(pool, current.refreshToken))
+    ]);
+    check('concurrent refreshes with one token rotate once', raced.sort(), [null, 'Invalid refresh token'].sort());
+
+    check('user refresh tokens are not accepted',
+      await errorOf(anonymousIdentity.refreshAnonymousTokens(pool, auth.generateTokens(7).refreshToken)), 'Invalid refresh token');
+    check('unknown identity is rejected',
+      await errorOf(anonymousIdentity.refreshAnonymousTokens(pool, auth.generateAnonymousTokens('anon_unknown').refreshToken)), 'Invalid refresh token');
+
+    const expiredPool = fakePool();
+    const expiring = await anonymousIdentity.createAnonymousIdentity(expiredPool);
+    expiredPool.tables.identities[0].refresh_expires_at = new Date(Date.now() - 1000).toISOString();
+    check('expired refresh token is rejected',
+      await errorOf(anonymousIdentity.refreshAnonymousTokens(expiredPool, expiring.refreshToken)), 'Invalid refresh token');
+    console.log('');
+
+    // Linking
+    console.log('Linking to an account');
+    const linkPool = fakePool();
+    const guest = await anonymousIdentity.createAnonymousIdentity(linkPool);
+    linkPool.tables.anonymousSubscriptions.push(guestSubscription(1, guest.anonymousId, 'sub_guest'));
+
+    const linked = await anonymousIdentity.linkAnonymousIdentity(linkPool, guest.anonymousId, 7);
+    check('link returns the moved subscription', linked.subscription, { subscriptionId: 'sub_guest', planId: 'pro', isActive: true });
+    check('subscription now belongs to the user',
+      linkPool.tables.subscriptions.map(s => [s.user_id, s.subscription_id, s.is_active]), [[7, 'sub_guest', true]]);
+    check('guest subscription is marked linked', linkPool.tables.anonymousSubscriptions[0].linked_user_id, 7);
+    check('identity is linked and its refresh token cleared',
+      [linkPool.tables.identities[0].linked_user_id, linkPool.tables.identities[0].refresh_token_hash], [7, null]);
+    check('guest refresh token stops working',
+      await errorOf(anonymousIdentity.refreshAnonymousTokens(linkPool, guest.refreshToken)), 'Anonymous identity has been linked to an account');
+    check('recovery cannot issue guest tokens again',
+      await errorOf(anonymousIdentity.issueTokensForPurchase(linkPool, guest.anonymousId)), 'Anonymous identity has been linked to an account');
+
+    check('linking an already-linked identity is refused',
+      await errorOf(anonymousIdentity.linkAnonymousIdentity(linkPool, guest.anonymousId, 8)), 'Anonymous identity already linked');
+    check('second link moves nothing to the other user',
+      [linkPool.tables.subscriptions.map(s => s.user_id), linkPool.tables.identities[0].linked_user_id], [[7], 7]);
+
+    const busyPool = fakePool();
+    const buyer = await anonymousIdentity.createAnonymousIdentity(busyPool);
+    busyPool.tables.anonymousSubscriptions.push(guestSubscription(1, buyer.anonymousId, 'sub_second'));
+    busyPool.tables.subscriptions.push({ user_id: 7, subscription_id: 'sub_existing', is_active: true });
+    check('user with an active subscription cannot take another',
+      await errorOf(anonymousIdentity.linkAnonymousIdentity(busyPool, buyer.anonymousId, 7)), 'User already has an active subscription');
+    check('refused link rolls everything back',
+      [busyPool.tables.identities[0].linked_user_id, busyPool.tables.anonymousSubscriptions[0].linked_user_id, busyPool.tables.subscriptions.length],
+      [null, null, 1]);
+    check('guest keeps working after a refused link',
+      (await anonymousIdentity.refreshAnonymousTokens(busyPool, buyer.refreshToken)).anonymousId, buyer.anonymousId);
+
+    const freePool = fakePool();
+    const browser = await anonymousIdentity.createAnonymousIdentity(freePool);
+    check('guest without a purchase links with no subscription',
+      (await anonymousIdentity.linkAnonymousIdentity(freePool, browser.anonymousId, 9)).subscription, null);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testAnonymousIdentity();
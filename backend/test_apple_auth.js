@@ -0,0 +1,170 @@
+/**
+ * Apple Identity Token Verification Test (No Database Required)
+ * Signs tokens with locally generated keys and serves them from a fake JWKS
+ * endpoint, then checks what verifyAppleIdentityToken accepts and rejects.
+ *
+ * Usage: node backend/test_apple_auth.js
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { createJwksKeySource } = require('./jwks');
+const { verifyAppleIdentityToken, isAppleEmailVerified, APPLE_ISSUER } = require('./appleAuth');
+
+const AUDIENCES = ['com.pushin.app', 'com.pushin.web'];
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * RSA key pair plus its public JWK
+ */
+function createKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+}
+
+function signToken(key, claims = {}, options = {}) {
+  return jwt.sign(
+    { sub: '001234.apple-user', email: 'user@privaterelay.appleid.com', email_verified: 'true', ...claims },
+    key.privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: key.kid,
+      issuer: APPLE_ISSUER,
+      audience: 'com.pushin.app',
+      ...(claims.exp ? {} : { expiresIn: '10m' }),
+      ...options
+    }
+  );
+}
+
+/**
+ * Local stand-in for https://appleid.apple.com/auth/keys
+ */
+function startFakeJwks(jwks) {
+  const server = http.createServer((req, res) => {
+    server.hits++;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ keys: jwks.keys }));
+  });
+  server.hits = 0;
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function expectRejected(name, token, options, messagePart) {
+  try {
+    await verifyAppleIdentityToken(token, options);
+    check(name, false, 'token was accepted');
+  } catch (error) {
+    check(name, !messagePart || error.message.includes(messagePart), error.message);
+  }
+}
+
+async function testAppleAuth() {
+  console.log('🧪 Testing Apple Identity Token Verification\n');
+
+  const key1 = createKey('apple-key-1');
+  const key2 = createKey('apple-key-2');
+  const jwks = { keys: [key1.jwk] };
+  const server = await startFakeJwks(jwks);
+
+  try {
+    const keySource = createJwksKeySource({
+      url: `http://127.0.0.1:${server.address().port}/auth/keys`,
+      minRefreshIntervalMs: 0
+    });
+    const options = { keySource, audiences: AUDIENCES };
+
+    // Valid tokens
+    console.log('Valid tokens');
+    const payload = await verifyAppleIdentityToken(signToken(key1), options);
+    check('valid token is accepted', payload.sub === '001234.apple-user', payload);
+    check('email_verified string is understood', isAppleEmailVerified(payload));
+
+    const webPayload = await verifyAppleIdentityToken(signToken(key1, {}, { audience: 'com.pushin.web' }), options);
+    check('services ID audience is accepted', webPayload.aud === 'com.pushin.web', webPayload);
+
+    await verifyAppleIdentityToken(signToken(key1), options);
+    check('keys are cached between verifications', server.hits === 1, server.hits);
+    console.log('');
+
+    // Forged or misdirected tokens
+    console.log('Rejected tokens');
+    const unsigned = jwt.sign({ sub: 'attacker' }, null, { algorithm: 'none' });
+    await expectRejected('unsigned token is rejected', unsigned, options, 'Invalid Apple token');
+
+    const forged = jwt.sign({ sub: 'victim', email: 'victim@example.com' }, createKey('x').privateKey,
+      { algorithm: 'RS256', keyid: key1.kid, issuer: APPLE_ISSUER, audience: 'com.pushin.app' });
+    await expectRejected('token signed with another key is rejected', forged, options, 'invalid signature');
+
+    await expectRejected('wrong audience is rejected',
+      signToken(key1, {}, { audience: 'com.someone.else' }), options, 'audience');
+    await expectRejected('wrong issuer is rejected',
+      signToken(key1, {}, { issuer: 'https://evil.example.com' }), options, 'issuer');
+    await expectRejected('expired token is rejected',
+      signToken(key1, { exp: Math.floor(Date.now() / 1000) - 60 }), options, 'expired');
+    await expectRejected('payload base64-decoded without verification is not enough',
+      'eyJhbGciOiJSUzI1NiIsImtpZCI6ImFwcGxlLWtleS0xIn0.' +
+      Buffer.from(JSON.stringify({ sub: 'victim', email: 'victim@example.com' })).toString('base64url') + '.c2ln',
+      options, 'Invalid Apple token');
+    console.log('');
+
+    // Key rotation
+    console.log('Key rotation');
+    jwks.keys = [key1.jwk, key2.jwk];
+    const rotated = await verifyAppleIdentityToken(signToken(key2), options);
+    check('token signed with a newly published key is accepted', rotated.sub === '001234.apple-user');
+    check('unknown kid triggers a refetch', server.hits === 2, server.hits);
+
+    const hits = server.hits;
+    await expectRejected('kid Apple never published is rejected', signToken(createKey('apple-key-9')), options, 'unknown signing key');
+    check('refetch happened for the unknown kid', server.hits === hits + 1, server.hits);
+
+    const throttled = createJwksKeySource({ fetchKeys: async () => { throttled.fetches++; return jwks.keys; } });
+    throttled.fetches = 0;
+    for (let i = 0; i < 5; i++) {
+      await expectRejected(`garbage kid ${i + 1} is rejected`, signToken(createKey(`garbage-${i}`)),
+        { keySource: throttled, audiences: AUDIENCES });
+    }
+    check('unknown kids do not refetch more than once a minute', throttled.fetches === 1, throttled.fetches);
+    console.log('');
+
+    // Nonce
+    console.log('Nonce');
+    const rawNonce = crypto.randomBytes(16).toString('hex');
+    const hashedNonce = crypto.createHash('sha256').update(rawNonce).digest('hex');
+    const nonceToken = signToken(key1, { nonce: hashedNonce, nonce_supported: true });
+
+    const withNonce = await verifyAppleIdentityToken(nonceToken, { ...options, nonce: rawNonce });
+    check('matching raw nonce is accepted', withNonce.nonce === hashedNonce);
+    await expectRejected('wrong nonce is rejected', nonceToken, { ...options, nonce: 'other' }, 'nonce mismatch');
+    await expectRejected('missing nonce for a nonce-bound token is rejected', nonceToken, options, 'nonce mismatch');
+    await expectRejected('nonce sent for a token without one is rejected', signToken(key1), { ...options, nonce: rawNonce }, 'nonce mismatch');
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  } finally {
+    server.close();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testAppleAuth();
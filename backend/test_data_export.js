@@ -0,0 +1,160 @@
+/**
+ * Data Export Test (No Database Required)
+ * Checks the ZIP archive (by reading it back), CSV escaping and the signed
+ * download links.
+ *
+ * Usage: node backend/test_data_export.js
+ */
+
+const zlib = require('zlib');
+const dataExport = require('./dataExport');
+const { crc32 } = require('./zipArchive');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Read the entries of a ZIP archive through its central directory
+ */
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const content = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    entries[name] = { content: content.toString('utf8'), crcOk: crc32(content) === buffer.readUInt32LE(offset + 16) };
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+async function downloadError(pool, exportId, expires, signature) {
+  try {
+    await dataExport.resolveDownload(pool, exportId, expires, signature);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+async function testDataExport() {
+  console.log('🧪 Testing Data Export\n');
+
+  try {
+    const data = {
+      profile: { id: 7, email: 'jane@example.com', firstname: 'Jane, "JJ"', timezone: 'Europe/Berlin', has_password: true, created_at: new Date('2024-01-01T00:00:00Z') },
+      identities: [{ provider: 'apple', email: 'jane@privaterelay.appleid.com', linked_at: new Date('2024-01-01T00:00:00Z') }],
+      sessions: [{ id: 1, device_name: "Jane's iPhone", platform: 'ios', last_ip: '203.0.113.7', created_at: new Date('2024-01-02T00:00:00Z') }],
+      subscriptions: [],
+      workouts: [{ client_id: 'w1', workout_type: 'pushups', reps_completed: 20, earned_seconds: 600, completed_at: new Date('2024-01-03T08:00:00Z') }],
+      dailyUsage: [{ date: '2024-01-03', earned_seconds: 600, consumed_seconds: 120, plan_tier: 'free' }],
+      usageEvents: [{ date: '2024-01-03', event_type: 'consume', requested_seconds: -120, applied_seconds: -120, plan_tier: 'free' }],
+      auditEvents: [{ event_type: 'user_login', ip_address: '203.0.113.7', user_agent: '=HYPERLINK("x")', metadata: { method: 'password' } }]
+    };
+
+    // Archive
+    console.log('Archive');
+    const generatedAt = new Date('2024-02-01T10:00:00Z');
+    const entries = readZip(dataExport.buildArchive(data, generatedAt));
+    const names = Object.keys(entries);
+    check('archive has export.json and a CSV per section',
+      ['export.json', 'profile.csv', 'identities.csv', 'sessions.csv', 'subscriptions.csv', 'workouts.csv', 'daily_usage.csv', 'usage_events.csv', 'audit_events.csv']
+        .every(name => names.includes(name)), names);
+    check('every entry passes its CRC check', Object.values(entries).every(entry => entry.crcOk));
+
+    const json = JSON.parse(entries['export.json'].content);
+    check('export.json carries all sections',
+      json.profile.email === 'jane@example.com' && json.workouts.length === 1 && json.auditEvents.length === 1, json);
+    check('export.json records when it was generated', json.generatedAt === generatedAt.toISOString(), json.generatedAt);
+    check('empty section gives a header-only CSV',
+      entries['subscriptions.csv'].content === 'source,subscription_id,customer_id,plan_id,current_period_end,is_active,created_at,updated_at\r\n',
+      entries['subscriptions.csv'].content);
+    console.log('');
+
+    // CSV
+    console.log('CSV');
+    const profileLines = entries['profile.csv'].content.split('\r\n');
+    check('profile CSV has a header and one row', profileLines.length === 3 && profileLines[2] === '', profileLines);
+    check('commas and quotes are escaped', profileLines[1].includes('"Jane, ""JJ"""'), profileLines[1]);
+    check('dates are ISO 8601', profileLines[1].includes('2024-01-01T00:00:00.000Z'), profileLines[1]);
+    check('objects are written as JSON',
+      entries['audit_events.csv'].content.includes('"{""method"":""password""}"'), entries['audit_events.csv'].content);
+    check('formula-like strings are neutralized',
+      entries['audit_events.csv'].content.includes(`"'=HYPERLINK(""x"")"`), entries['audit_events.csv'].content);
+    check('negative numbers are left alone',
+      entries['usage_events.csv'].content.includes(',-120,-120,'), entries['usage_events.csv'].content);
+    check('missing values are empty fields',
+      dataExport.toCsv([{ a: null, b: undefined, c: 0 }], ['a', 'b', 'c']) === 'a,b,c\r\n,,0\r\n');
+    console.log('');
+
+    // Signed download links
+    console.log('Download links');
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    const url = new URL(dataExport.buildDownloadUrl(42, expiresAt));
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+    check('URL points at the download route', url.pathname === '/api/me/export/42/download', url.pathname);
+    check('URL expiry matches the archive', parseInt(expires) === Math.floor(expiresAt.getTime() / 1000), expires);
+
+    const queries = [];
+    const pool = {
+      query: async (sql, params) => {
+        queries.push(params);
+        if (sql.includes('FROM data_exports')) {
+          return { rows: params[0] === 42 ? [{ user_id: 7, archive: Buffer.from('PK archive 42') }] : [] };
+        }
+        return { rows: [] };
+      }
+    };
+
+    const archive = await dataExport.resolveDownload(pool, 42, expires, signature);
+    check('valid link resolves to the stored archive', archive.toString() === 'PK archive 42', archive);
+    check('wrong signature is rejected',
+      await downloadError(pool, 42, expires, signature.replace(/.$/, c => (c === '0' ? '1' : '0'))) === 'Invalid or expired download link');
+    check('signature for another export is rejected',
+      await downloadError(pool, 43, expires, signature) === 'Invalid or expired download link');
+    check('extended expiry is rejected',
+      await downloadError(pool, 42, String(parseInt(expires) + 3600), signature) === 'Invalid or expired download link');
+
+    const pastExpires = Math.floor(Date.now() / 1000) - 60;
+    const queriesBefore = queries.length;
+    check('expired link is rejected',
+      await downloadError(pool, 42, String(pastExpires), dataExport.signDownload(42, pastExpires)) === 'Invalid or expired download link');
+    check('missing signature is rejected', await downloadError(pool, 42, expires, undefined) === 'Invalid or expired download link');
+    check('bad links never reach the database', queries.length === queriesBefore);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testDataExport();
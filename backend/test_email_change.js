@@ -0,0 +1,232 @@
+/**
+ * Email Change Test (No Database Required)
+ * Runs the email change flow against an in-memory stand-in for users,
+ * user_sessions and email_changes: the recent sign in requirement, the
+ * confirmation and revert emails, confirming, reverting before and after
+ * confirmation, and the sessions each step signs out.
+ *
+ * Usage: node backend/test_email_change.js
+ */
+
+const mailer = require('./mailer');
+const emailChange = require('./emailChange');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Pool stand-in for the queries emailChange.js makes (transactions are not
+ * modelled; every statement applies right away)
+ */
+function fakePool() {
+  const users = [
+    { id: 1, email: 'jane@example.com', email_verified_at: null },
+    { id: 2, email: 'taken@example.com', email_verified_at: new Date() }
+  ];
+  const sessions = [
+    { id: 10, user_id: 1, created_at: Date.now(), revoked_at: null },
+    { id: 11, user_id: 1, created_at: Date.now() - 60 * 60 * 1000, revoked_at: null }
+  ];
+  const changes = [];
+  const audit = [];
+
+  const query = async (sql, params = []) => {
+    if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO audit_logs')) {
+      audit.push({ eventType: params[0], userId: params[1], metadata: JSON.parse(params[4]) });
+      return { rows: [] };
+    }
+    if (sql.includes('FROM user_sessions')) {
+      return { rows: sessions.filter(s => s.id === params[0] && s.user_id === params[1] && !s.revoked_at && s.created_at > params[2]) };
+    }
+    if (sql.startsWith('UPDATE user_sessions')) {
+      const revoked = sessions.filter(s => s.user_id === params[0] && !s.revoked_at && s.id !== params[1]);
+      revoked.forEach(s => { s.revoked_at = new Date(); });
+      return { rows: [], rowCount: revoked.length };
+    }
+    if (sql.startsWith('DELETE FROM refresh_tokens')) {
+      return { rows: [], rowCount: 0 };
+    }
+    if (sql.startsWith('SELECT email FROM users')) {
+      return { rows: users.filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('LOWER(email) = LOWER($1)')) {
+      return { rows: users.filter(u => u.email.toLowerCase() === params[0].toLowerCase() && u.id !== params[1]) };
+    }
+    if (sql.startsWith('SELECT id FROM users')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE users SET email')) {
+      const user = users.find(u => u.id === params[0]);
+      user.email = params[1];
+      user.email_verified_at = new Date();
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('INSERT INTO email_changes')) {
+      const [userId, sessionId, oldEmail, newEmail, confirmHash, revertHash, expiresAt, revertExpiresAt] = params;
+      changes.push({
+        id: changes.length + 1, user_id: userId, session_id: sessionId, old_email: oldEmail, new_email: newEmail,
+        status: 'pending', confirm_token_hash: confirmHash, revert_token_hash: revertHash, expires_at: expiresAt, revert_expires_at: revertExpiresAt
+      });
+      return { rows: [{ id: changes.length }] };
+    }
+    if (sql.startsWith('UPDATE email_changes SET status = \'canceled\' WHERE id')) {
+      changes.find(c => c.id === params[0]).status = 'canceled';
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE email_changes SET status = \'canceled\'')) {
+      const pending = changes.filter(c => c.user_id === params[0] && c.status === 'pending' && c.id !== params[1]
+        && (!sql.includes('expires_at > NOW()') || c.expires_at > new Date()));
+      pending.forEach(c => { c.status = 'canceled'; });
+      return { rows: pending.map(c => ({ new_email: c.new_email })) };
+    }
+    if (sql.startsWith('UPDATE email_changes SET status')) {
+      changes.find(c => c.id === params[0]).status = sql.includes("'confirmed'") ? 'confirmed' : 'reverted';
+      return { rows: [] };
+    }
+    if (sql.includes('WHERE c.confirm_token_hash = $1')) {
+      const change = changes.find(c => c.confirm_token_hash === params[0]);
+      if (!change) {
+        return { rows: [] };
+      }
+      const user = users.find(u => u.id === change.user_id);
+      return { rows: [{ ...change, is_valid: change.expires_at > new Date(), current_email: user.email }] };
+    }
+    if (sql.includes('WHERE c.revert_token_hash = $1')) {
+      return {
+        rows: changes.filter(c => c.revert_token_hash === params[0] && c.revert_expires_at > new Date()
+          && ['pending', 'confirmed'].includes(c.status))
+      };
+    }
+    if (sql.includes('FROM email_changes')) {
+      return { rows: changes.filter(c => c.user_id === params[0] && c.status === 'pending' && c.expires_at > new Date()) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    users,
+    sessions,
+    changes,
+    audit
+  };
+}
+
+async function testEmailChange() {
+  console.log('🧪 Testing Email Change\n');
+
+  const sent = [];
+  mailer.sendMail = async (mailOptions) => {
+    sent.push(mailOptions);
+  };
+  const tokenIn = (mail) => mail.text.match(/token=([0-9a-f]{64})/)[1];
+
+  try {
+    // Request
+    console.log('Request');
+    check('addresses are normalized', emailChange.normalizeEmail('  New@Example.COM ') === 'new@example.com');
+    check('malformed addresses are refused', emailChange.normalizeEmail('jane@') === null && emailChange.normalizeEmail('a b@example.com') === null);
+
+    const pool = fakePool();
+    check('an old session needs the current password',
+      (await errorOf(emailChange.requestEmailChange(pool, 1, 'new@example.com', { sessionId: 11 }))) === 'Recent sign in required');
+    check('an address of another account is refused',
+      (await errorOf(emailChange.requestEmailChange(pool, 1, 'Taken@example.com', { sessionId: 10 }))) === 'User with this email already exists');
+    check('the current address is refused',
+      (await errorOf(emailChange.requestEmailChange(pool, 1, 'JANE@example.com', { sessionId: 10 }))) === 'New email is the same as the current one');
+
+    await emailChange.requestEmailChange(pool, 1, 'first@example.com', { sessionId: 10 });
+    const pending = await emailChange.requestEmailChange(pool, 1, 'New@Example.com', { sessionId: 10 });
+    check('a new request supersedes the pending one',
+      pool.changes.map(c => c.status).join() === 'canceled,pending' && pending.newEmail === 'new@example.com', pool.changes);
+    check('nothing changes until it is confirmed', pool.users[0].email === 'jane@example.com');
+
+    const [confirmMail, noticeMail] = sent.slice(-2);
+    check('confirmation goes to the new address', confirmMail.to === 'new@example.com' && /confirm-email-change\?token=/.test(confirmMail.text));
+    check('notice with a revert link goes to the old address',
+      noticeMail.to === 'jane@example.com' && noticeMail.text.includes('new@example.com') && /revert-email-change\?token=/.test(noticeMail.text));
+    check('only token hashes are stored', pool.changes.every(c => c.confirm_token_hash !== tokenIn(confirmMail) && c.revert_token_hash !== tokenIn(noticeMail)));
+    check('pending change is reported', (await emailChange.getPendingEmailChange(pool, 1)).newEmail === 'new@example.com');
+    console.log('');
+
+    // Confirm
+    console.log('Confirm');
+    check('superseded link is refused', (await errorOf(emailChange.confirmEmailChange(pool, tokenIn(sent[0])))) === 'Invalid or expired token');
+
+    const confirmed = await emailChange.confirmEmailChange(pool, tokenIn(confirmMail), '203.0.113.7');
+    check('confirming changes and verifies the address',
+      confirmed.email === 'new@example.com' && pool.users[0].email === 'new@example.com' && !!pool.users[0].email_verified_at);
+    check('other sessions are signed out, the requesting one stays',
+      !pool.sessions[0].revoked_at && !!pool.sessions[1].revoked_at, pool.sessions);
+    check('the change is audited with both addresses', pool.audit.some(e => e.eventType === 'email_changed'
+      && e.metadata.email === 'new@example.com' && e.metadata.previous_email === 'jane@example.com'), pool.audit);
+    check('a confirmation link works once', (await errorOf(emailChange.confirmEmailChange(pool, tokenIn(confirmMail)))) === 'Token has already been used');
+    console.log('');
+
+    // Revert
+    console.log('Revert');
+    const reverted = await emailChange.revertEmailChange(pool, tokenIn(noticeMail));
+    check('revert after confirmation puts the old address back', reverted.email === 'jane@example.com' && pool.users[0].email === 'jane@example.com');
+    check('revert signs out every device', pool.sessions.every(s => s.revoked_at));
+    check('a revert link works once', (await errorOf(emailChange.revertEmailChange(pool, tokenIn(noticeMail)))) === 'Invalid or expired token');
+
+    const pool2 = fakePool();
+    await emailChange.requestEmailChange(pool2, 1, 'attacker@example.com', { sessionId: 10 });
+    const [confirmMail2, noticeMail2] = sent.slice(-2);
+    await emailChange.revertEmailChange(pool2, tokenIn(noticeMail2));
+    check('revert before confirmation drops the request',
+      pool2.users[0].email === 'jane@example.com' && pool2.changes[0].status === 'reverted'
+        && (await errorOf(emailChange.confirmEmailChange(pool2, tokenIn(confirmMail2)))) === 'Invalid or expired token');
+
+    const pool3 = fakePool();
+    await emailChange.requestEmailChange(pool3, 1, 'new@example.com', { sessionId: 10 });
+    await emailChange.cancelEmailChange(pool3, 1);
+    check('pending change can be withdrawn',
+      (await emailChange.getPendingEmailChange(pool3, 1)) === null
+        && (await errorOf(emailChange.cancelEmailChange(pool3, 1))) === 'No pending email change');
+
+    mailer.sendMail = async () => { throw new Error('SMTP down'); };
+    const pool4 = fakePool();
+    check('request fails when the confirmation email does not go out',
+      (await errorOf(emailChange.requestEmailChange(pool4, 1, 'new@example.com', { sessionId: 10 }))) === 'Failed to send confirmation email'
+        && pool4.changes[0].status === 'canceled');
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testEmailChange();
@@ -0,0 +1,166 @@
+/**
+ * Google ID Token Verification Test (No Database Required)
+ * Signs tokens with locally generated keys served by an injected key fetcher,
+ * including a fetcher that fails to simulate a cert endpoint outage.
+ *
+ * Usage: node backend/test_google_auth.js
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createJwksKeySource } = require('./jwks');
+const { verifyGoogleIdToken } = require('./googleAuth');
+
+const IOS_CLIENT_ID = 'ios-client.apps.googleusercontent.com';
+const ANDROID_CLIENT_ID = 'android-client.apps.googleusercontent.com';
+const WEB_CLIENT_ID = 'web-client.apps.googleusercontent.com';
+const AUDIENCES = [IOS_CLIENT_ID, ANDROID_CLIENT_ID, WEB_CLIENT_ID];
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+function createKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+}
+
+function signToken(key, claims = {}, options = {}) {
+  return jwt.sign(
+    { sub: '1234567890', email: 'user@gmail.com', email_verified: true, given_name: 'Test', ...claims },
+    key.privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: key.kid,
+      issuer: 'https://accounts.google.com',
+      audience: IOS_CLIENT_ID,
+      ...(claims.exp ? {} : { expiresIn: '1h' }),
+      ...options
+    }
+  );
+}
+
+/**
+ * Key fetcher whose availability the test controls
+ */
+function controllableFetcher(jwks) {
+  const fetcher = async () => {
+    fetcher.calls++;
+    if (fetcher.down) {
+      throw new Error('connect ECONNREFUSED');
+    }
+    return jwks;
+  };
+  fetcher.calls = 0;
+  fetcher.down = false;
+  return fetcher;
+}
+
+async function verifyError(token, options) {
+  try {
+    await verifyGoogleIdToken(token, options);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testGoogleAuth() {
+  console.log('🧪 Testing Google ID Token Verification\n');
+
+  const key = createKey('google-key-1');
+
+  try {
+    const fetcher = controllableFetcher([key.jwk]);
+    const options = { keySource: createJwksKeySource({ fetchKeys: fetcher }), audiences: AUDIENCES };
+
+    // Audiences and issuers
+    console.log('Valid tokens');
+    for (const [platform, audience] of [['iOS', IOS_CLIENT_ID], ['Android', ANDROID_CLIENT_ID], ['web', WEB_CLIENT_ID]]) {
+      const payload = await verifyGoogleIdToken(signToken(key, {}, { audience }), options);
+      check(`${platform} client ID is accepted`, payload.aud === audience, payload);
+    }
+    const bareIssuer = await verifyGoogleIdToken(signToken(key, {}, { issuer: 'accounts.google.com' }), options);
+    check('issuer without scheme is accepted', bareIssuer.iss === 'accounts.google.com');
+    check('certs fetched once and cached', fetcher.calls === 1, fetcher.calls);
+    console.log('');
+
+    console.log('Rejected tokens');
+    let error = await verifyError(signToken(key, {}, { audience: 'someone-elses-app.apps.googleusercontent.com' }), options);
+    check('token for another app is rejected', error && error.includes('audience'), error);
+    error = await verifyError(signToken(key, {}, { issuer: 'https://evil.example.com' }), options);
+    check('wrong issuer is rejected', error && error.includes('issuer'), error);
+    error = await verifyError(signToken(key, { exp: Math.floor(Date.now() / 1000) - 60 }), options);
+    check('expired token is rejected', error && error.includes('expired'), error);
+    error = await verifyError(signToken(key, { email_verified: false }), options);
+    check('unverified email is rejected', error === 'Google email is not verified', error);
+    error = await verifyError(jwt.sign({ sub: 'x' }, createKey('forged').privateKey,
+      { algorithm: 'RS256', keyid: key.kid, issuer: 'https://accounts.google.com', audience: IOS_CLIENT_ID }), options);
+    check('forged signature is rejected', error && error.includes('invalid signature'), error);
+    error = await verifyError('not-a-jwt', options);
+    check('garbage is rejected', error === 'Invalid Google token format', error);
+    console.log('');
+
+    // Outages of the cert endpoint
+    console.log('Cert endpoint outages');
+    const outageFetcher = controllableFetcher([key.jwk]);
+    const outageSource = createJwksKeySource({
+      fetchKeys: outageFetcher,
+      cacheTtlMs: 0, // every call wants fresh keys
+      minRefreshIntervalMs: 0,
+      maxStaleMs: 200
+    });
+    const outageOptions = { keySource: outageSource, audiences: AUDIENCES };
+
+    await verifyGoogleIdToken(signToken(key), outageOptions);
+    outageFetcher.down = true;
+    const duringOutage = await verifyGoogleIdToken(signToken(key), outageOptions);
+    check('login keeps working with cached certs during an outage', duringOutage.sub === '1234567890');
+    check('a refresh was attempted', outageFetcher.calls === 2, outageFetcher.calls);
+
+    await sleep(250);
+    error = await verifyError(signToken(key), outageOptions);
+    check('certs past the stale limit are not used', error && error.includes('Signing keys unavailable'), error);
+
+    outageFetcher.down = false;
+    const recovered = await verifyGoogleIdToken(signToken(key), outageOptions);
+    check('recovers once the endpoint is back', recovered.sub === '1234567890');
+
+    const coldFetcher = controllableFetcher([key.jwk]);
+    coldFetcher.down = true;
+    error = await verifyError(signToken(key), { keySource: createJwksKeySource({ fetchKeys: coldFetcher }), audiences: AUDIENCES });
+    check('outage with nothing cached reports keys unavailable', error && error.includes('Signing keys unavailable'), error);
+
+    const throttledFetcher = controllableFetcher([key.jwk]);
+    const throttledSource = createJwksKeySource({ fetchKeys: throttledFetcher, cacheTtlMs: 0 });
+    await verifyGoogleIdToken(signToken(key), { keySource: throttledSource, audiences: AUDIENCES });
+    throttledFetcher.down = true;
+    for (let i = 0; i < 5; i++) {
+      await verifyGoogleIdToken(signToken(key), { keySource: throttledSource, audiences: AUDIENCES });
+    }
+    check('failed refreshes are not retried on every login', throttledFetcher.calls === 1, throttledFetcher.calls);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testGoogleAuth();
@@ -0,0 +1,354 @@
+/**
+ * Sign-in Methods Test (No Database Required)
+ * Unlinks sign-in methods through DELETE /api/auth/identities/:provider in a
+ * real Express app, and signs in with Google and Apple (tokens signed by a
+ * local key) onto existing accounts, against in-memory tables that
+ * BEGIN/ROLLBACK snapshot and restore: the last method can't be removed, a
+ * failed automatic link leaves the password and sessions untouched, and
+ * accounts with 2FA get a challenge instead of tokens.
+ *
+ * Usage: node backend/test_identities.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const auth = require('./auth');
+const authRoutes = require('./authRoutes');
+const rateLimitStore = require('./rateLimitStore');
+const { createJwksKeySource } = require('./jwks');
+
+const CLIENT_ID = 'ios-client.apps.googleusercontent.com';
+const APPLE_CLIENT_ID = 'com.pushin.app';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Pool stand-in for the users, user_identities, user_sessions and
+ * refresh_tokens queries; set failOn to a statement prefix to make it fail
+ */
+function fakePool() {
+  const user = (id, email, verified, hasPassword) => ({
+    id, email, firstname: null, password_hash: hasPassword ? '$2b$12$hash' : null,
+    email_verified_at: verified ? new Date() : null, created_at: new Date()
+  });
+  let tables = {
+    users: [
+      user(1, 'jane@example.com', true, true),
+      user(2, 'bob@example.com', true, true),
+      user(3, 'carol@example.com', false, true),
+      user(4, 'dan@example.com', true, true)
+    ],
+    identities: [],
+    mfaUserIds: [],
+    userSessions: [],
+    refreshTokens: []
+  };
+  let snapshot = null;
+  const audit = [];
+
+  const query = async (sql, params = []) => {
+    if (sql === 'BEGIN') {
+      snapshot = structuredClone(tables);
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT') {
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql === 'ROLLBACK') {
+      tables = snapshot;
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (pool.failOn && sql.startsWith(pool.failOn)) {
+      throw new Error('Connection terminated unexpectedly');
+    }
+    if (sql.includes('INSERT INTO rate_limit_counters')) {
+      return { rows: [{ hits: 1, previous_hits: 0 }] };
+    }
+    if (sql.startsWith('INSERT INTO audit_logs')) {
+      audit.push({ event: params[0], userId: params[1] });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM account_deletions')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM user_mfa')) {
+      return { rows: tables.mfaUserIds.filter(id => id === params[0]).map(() => ({ '?column?': 1 })) };
+    }
+
+    // Sessions
+    if (sql.startsWith('INSERT INTO user_sessions')) {
+      const session = { id: tables.userSessions.length + 1, user_id: params[0], created_at: new Date(), revoked_at: null };
+      tables.userSessions.push(session);
+      return { rows: [{ ...session }] };
+    }
+    if (sql.startsWith('INSERT INTO refresh_tokens')) {
+      tables.refreshTokens.push({ user_id: params[0], token: params[1], session_id: params[3] });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM user_sessions')) {
+      return { rows: tables.userSessions.filter(s => s.id === params[0] && s.user_id === params[1] && !s.revoked_at && s.created_at > params[2]) };
+    }
+    if (sql.startsWith('UPDATE user_sessions SET revoked_at = NOW()')) {
+      const matching = tables.userSessions.filter(s => s.user_id === params[0] && !s.revoked_at);
+      matching.forEach(s => { s.revoked_at = new Date(); });
+      return { rows: [], rowCount: matching.length };
+    }
+    if (sql.startsWith('DELETE FROM refresh_tokens')) {
+      tables.refreshTokens = tables.refreshTokens.filter(t => t.user_id !== params[0]);
+      return { rows: [] };
+    }
+
+    // Identities
+    if (sql.startsWith('SELECT user_id FROM user_identities')) {
+      return { rows: tables.identities.filter(i => i.provider === params[0] && i.provider_user_id === params[1]) };
+    }
+    if (sql.startsWith('SELECT * FROM user_identities')) {
+      return { rows: tables.identities.filter(i => i.user_id === params[0] && i.provider === params[1]) };
+    }
+    if (sql.startsWith('SELECT provider, email, linked_at, last_used_at FROM user_identities')) {
+      return { rows: tables.identities.filter(i => i.user_id === params[0]) };
+    }
+    if (sql.startsWith('INSERT INTO user_identities')) {
+      tables.identities.push({
+        user_id: params[0], provider: params[1], provider_user_id: params[2], email: params[3],
+        linked_at: new Date(), last_used_at: new Date()
+      });
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE user_identities SET last_used_at = NOW()')) {
+      tables.identities.filter(i => i.provider === params[0] && i.provider_user_id === params[1])
+        .forEach(i => { i.last_used_at = new Date(); i.email = params[2] || i.email; });
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM user_identities')) {
+      const before = tables.identities.length;
+      tables.identities = tables.identities.filter(i => !(i.user_id === params[0] && i.provider === params[1]));
+      return { rows: [], rowCount: before - tables.identities.length };
+    }
+
+    // Users
+    const findUser = id => tables.users.find(u => u.id === id);
+    if (sql.startsWith('SELECT * FROM users WHERE email = $1')) {
+      return { rows: tables.users.filter(u => u.email === params[0]) };
+    }
+    if (sql.startsWith('SELECT * FROM users WHERE id = $1')) {
+      return { rows: tables.users.filter(u => u.id === params[0]) };
+    }
+    if (sql.startsWith('SELECT email_verified_at, password_hash IS NOT NULL AS has_password') ||
+        sql.startsWith('SELECT password_hash IS NOT NULL AS has_password') ||
+        sql.startsWith('SELECT email, password_hash IS NOT NULL AS has_password')) {
+      return { rows: tables.users.filter(u => u.id === params[0]).map(u => ({ ...u, has_password: u.password_hash !== null })) };
+    }
+    if (sql.startsWith('UPDATE users SET password_hash = NULL')) {
+      findUser(params[0]).password_hash = null;
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('UPDATE users SET email_verified_at = COALESCE')) {
+      const found = findUser(params[0]);
+      found.email_verified_at = found.email_verified_at || new Date();
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const pool = {
+    failOn: null,
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    get tables() { return tables; },
+    audit
+  };
+  return pool;
+}
+
+/**
+ * Send a JSON request to the test server
+ */
+function request(port, method, path, token, body = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      Authorization: `Bearer ${token}`
+    };
+    const req = http.request({ port, method, path, headers }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+async function testIdentities() {
+  console.log('🧪 Testing Sign-in Methods\n');
+
+  const pool = fakePool();
+  rateLimitStore.setPool(pool);
+  const app = express();
+  app.use(express.json());
+  app.locals.pool = pool;
+  app.use('/api/auth', authRoutes);
+  const server = app.listen(0);
+  const port = server.address().port;
+
+  // Google tokens signed by a local key
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const keySource = createJwksKeySource({ fetchKeys: async () => [jwk] });
+  const googleOptions = { keySource, audiences: [CLIENT_ID] };
+  const appleOptions = { keySource, audiences: [APPLE_CLIENT_ID] };
+  const googleToken = (sub, email) => jwt.sign(
+    { sub, email, email_verified: true },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'test-key', issuer: 'https://accounts.google.com', audience: CLIENT_ID, expiresIn: '1h' }
+  );
+  const appleToken = (sub, email) => jwt.sign(
+    { sub, email, email_verified: 'true' },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'test-key', issuer: 'https://appleid.apple.com', audience: APPLE_CLIENT_ID, expiresIn: '1h' }
+  );
+
+  // Keep the route logging out of the results
+  const log = console.log;
+  const error = console.error;
+  const quiet = async (promise) => {
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      return await promise;
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  };
+
+  try {
+    // The last sign-in method stays
+    console.log('Unlinking');
+    const jane = await auth.startSession(pool, 1);
+    const lastPassword = await quiet(request(port, 'DELETE', '/api/auth/identities/password', jane.accessToken));
+    check('the only sign-in method can\'t be removed',
+      lastPassword.status === 409 && lastPassword.body.code === 'LAST_SIGN_IN_METHOD', lastPassword);
+    check('the password is kept', pool.tables.users[0].password_hash !== null);
+    check('the refused unlink is not audited', !pool.audit.some(a => a.event === 'identity_unlinked'));
+
+    pool.tables.identities.push({
+      user_id: 2, provider: 'google', provider_user_id: 'g-bob', email: 'bob@gmail.com', linked_at: new Date(), last_used_at: null
+    });
+    const bob = await auth.startSession(pool, 2);
+    const unlinked = await quiet(request(port, 'DELETE', '/api/auth/identities/google', bob.accessToken));
+    check('one of two methods can be removed',
+      unlinked.status === 200 && unlinked.body.data.identities.map(i => i.provider).join() === 'password', unlinked);
+    check('the remaining method is marked as not removable', unlinked.body.data.identities[0].canUnlink === false);
+    const lastAfterUnlink = await quiet(request(port, 'DELETE', '/api/auth/identities/password', bob.accessToken));
+    check('the method left over can\'t be removed',
+      lastAfterUnlink.status === 409 && lastAfterUnlink.body.code === 'LAST_SIGN_IN_METHOD', lastAfterUnlink);
+    const notLinked = await quiet(request(port, 'DELETE', '/api/auth/identities/google', bob.accessToken));
+    check('removing it twice is not found', notLinked.status === 404 && notLinked.body.code === 'IDENTITY_NOT_FOUND', notLinked);
+    check('unlinkIdentity refuses the last method',
+      await errorOf(auth.unlinkIdentity(pool, 2, 'password', { sessionId: pool.tables.userSessions[1].id })) === 'Cannot remove the last sign-in method');
+    console.log('');
+
+    // Automatic linking is all or nothing
+    console.log('Linking by email');
+    await auth.startSession(pool, 3);
+    pool.failOn = 'INSERT INTO user_identities';
+    check('a failed link is reported',
+      await quiet(errorOf(auth.loginWithGoogle(pool, googleToken('g-carol', 'carol@example.com'), {}, googleOptions))) === 'Connection terminated unexpectedly');
+    pool.failOn = null;
+    const carolRow = () => pool.tables.users.find(u => u.id === 3);
+    check('a failed link keeps the password', carolRow().password_hash !== null);
+    check('a failed link keeps the sessions',
+      pool.tables.userSessions.find(s => s.user_id === 3).revoked_at === null && pool.tables.refreshTokens.some(t => t.user_id === 3));
+    check('a failed link leaves the email unverified', carolRow().email_verified_at === null);
+    check('a failed link is not audited', !pool.audit.some(a => a.userId === 3));
+
+    const linked = await quiet(auth.loginWithGoogle(pool, googleToken('g-carol', 'carol@example.com'), {}, googleOptions));
+    check('Google signs in to the account with that email', linked.user.id === 3 && linked.isNewUser === false, linked.user);
+    check('the email is now verified', linked.user.emailVerified === true && carolRow().email_verified_at !== null);
+    check('the unverified password is cleared', carolRow().password_hash === null);
+    check('the earlier session is signed out',
+      pool.tables.userSessions.filter(s => s.user_id === 3 && s.revoked_at === null).length === 1 &&
+      pool.tables.userSessions.find(s => s.user_id === 3).revoked_at !== null);
+    check('the Google account is linked',
+      pool.tables.identities.some(i => i.user_id === 3 && i.provider === 'google' && i.provider_user_id === 'g-carol'));
+    check('clearing and linking are audited',
+      pool.audit.filter(a => a.userId === 3).map(a => a.event).join() === 'unverified_password_cleared,identity_linked',
+      pool.audit.filter(a => a.userId === 3));
+
+    await auth.startSession(pool, 4);
+    const verified = await quiet(auth.loginWithGoogle(pool, googleToken('g-dan', 'dan@example.com'), {}, googleOptions));
+    const dan = pool.tables.users.find(u => u.id === 4);
+    check('a verified account keeps its password', verified.user.id === 4 && dan.password_hash !== null);
+    check('a verified account keeps its sessions', pool.tables.userSessions.filter(s => s.user_id === 4).every(s => s.revoked_at === null));
+
+    check('a second Google account is refused',
+      await quiet(errorOf(auth.loginWithGoogle(pool, googleToken('g-dan-2', 'dan@example.com'), {}, googleOptions))) === 'A different Google account is already linked');
+    check('the refused link changes nothing',
+      pool.tables.identities.filter(i => i.user_id === 4).map(i => i.provider_user_id).join() === 'g-dan' &&
+      pool.tables.userSessions.filter(s => s.user_id === 4).every(s => s.revoked_at === null));
+    console.log('');
+
+    // Two-factor authentication
+    console.log('Two-factor authentication');
+    pool.tables.mfaUserIds.push(4);
+    const sessionCount = pool.tables.userSessions.length;
+    const isChallenge = (result) => result.mfaRequired === true && result.accessToken === undefined &&
+      auth.verifyToken(result.mfaToken, auth.JWT_SECRET).type === 'mfa_challenge' &&
+      auth.verifyToken(result.mfaToken, auth.JWT_SECRET).userId === 4;
+
+    const googleChallenge = await quiet(auth.loginWithGoogle(pool, googleToken('g-dan', 'dan@example.com'), {}, googleOptions));
+    check('Google sign in with 2FA on returns a challenge, not tokens', isChallenge(googleChallenge), googleChallenge);
+    const appleChallenge = await quiet(auth.loginWithApple(pool, appleToken('a-dan', 'dan@example.com'), {}, {}, appleOptions));
+    check('Apple sign in with 2FA on returns a challenge, not tokens', isChallenge(appleChallenge), appleChallenge);
+    check('the Apple account is still linked by email',
+      pool.tables.identities.some(i => i.user_id === 4 && i.provider === 'apple' && i.provider_user_id === 'a-dan'));
+    const linkedChallenge = await quiet(auth.loginWithApple(pool, appleToken('a-dan'), {}, {}, appleOptions));
+    check('an already linked Apple account gets a challenge too', isChallenge(linkedChallenge), linkedChallenge);
+    check('no session is started before the second factor', pool.tables.userSessions.length === sessionCount);
+  } catch (err) {
+    console.log('❌ FAILED: unexpected error -', err.message);
+    testsFailed++;
+  } finally {
+    server.close();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testIdentities();
@@ -0,0 +1,215 @@
+/**
+ * Login Throttle Test (No Database Required)
+ * Runs loginUser against an in-memory stand-in for users and login_throttles:
+ * identical answers for unknown emails, progressive delays, lockout with an
+ * unlock email, and unlocking.
+ *
+ * Usage: node backend/test_login_throttle.js
+ */
+
+const mailer = require('./mailer');
+const auth = require('./auth');
+const loginThrottle = require('./loginThrottle');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Pool stand-in for the queries loginUser makes. Only failed attempts and
+ * their blocks are modelled; tests move a block into the past with expire().
+ */
+function fakePool(users) {
+  const throttles = new Map();
+  const audit = [];
+
+  const query = async (sql, params = []) => {
+    if (sql.includes('INSERT INTO audit_logs')) {
+      audit.push({ eventType: params[0], userId: params[1], metadata: JSON.parse(params[4]) });
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT * FROM users WHERE email')) {
+      return { rows: users.filter(user => user.email === params[0]) };
+    }
+    if (sql.includes('FROM login_throttles') && sql.includes('blocked_until > NOW()')) {
+      const now = Date.now();
+      const rows = params[0]
+        .map(key => throttles.get(key))
+        .filter(row => row && row.blockedUntil > now)
+        .map(row => ({ key: row.key, failed_attempts: row.failedAttempts, retry_after: Math.ceil((row.blockedUntil - now) / 1000) }));
+      return { rows };
+    }
+    if (sql.includes('INSERT INTO login_throttles')) {
+      const row = throttles.get(params[0]) || { key: params[0], failedAttempts: 0, blockedUntil: 0 };
+      row.failedAttempts++;
+      throttles.set(params[0], row);
+      return { rows: [{ failed_attempts: row.failedAttempts }] };
+    }
+    if (sql.includes('UPDATE login_throttles')) {
+      const row = throttles.get(params[0]);
+      row.blockedUntil = Date.now() + params[1];
+      if (params.length > 2) {
+        row.userId = params[2];
+        row.unlockTokenHash = params[3];
+      }
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('DELETE FROM login_throttles WHERE key')) {
+      throttles.delete(params[0]);
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('DELETE FROM login_throttles WHERE unlock_token_hash')) {
+      const row = [...throttles.values()].find(r => r.unlockTokenHash && r.unlockTokenHash === params[0]);
+      if (!row) {
+        return { rows: [], rowCount: 0 };
+      }
+      throttles.delete(row.key);
+      return { rows: [{ user_id: row.userId }], rowCount: 1 };
+    }
+    if (sql.includes('FROM user_mfa')) {
+      // 2FA is on for every account, so a correct password stops at the challenge
+      return { rows: [{}] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    audit,
+    throttles,
+    expire: () => throttles.forEach(row => { row.blockedUntil = 0; })
+  };
+}
+
+async function loginError(pool, email, password, ipAddress = '198.51.100.1') {
+  try {
+    await auth.loginUser(pool, email, password, { ipAddress });
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testLoginThrottle() {
+  console.log('🧪 Testing Login Throttle\n');
+
+  const sentMail = [];
+  mailer.sendMail = async (mailOptions) => {
+    sentMail.push(mailOptions);
+    return {};
+  };
+
+  try {
+    // Schedule
+    console.log('Schedule');
+    check('no wait during the free attempts', loginThrottle.delayAfter(loginThrottle.ACCOUNT_FREE_ATTEMPTS - 1, loginThrottle.ACCOUNT_FREE_ATTEMPTS) === 0);
+    check('wait doubles with each further failure',
+      loginThrottle.delayAfter(6, 5) === 2 * loginThrottle.delayAfter(5, 5) && loginThrottle.delayAfter(5, 5) > 0);
+    check('wait is capped', loginThrottle.delayAfter(100, 5) === 15 * 60 * 1000);
+    check('email keys ignore case and spacing and hide the address',
+      loginThrottle.accountKey(' Jane@Example.com ') === loginThrottle.accountKey('jane@example.com')
+        && !loginThrottle.accountKey('jane@example.com').includes('jane'));
+    console.log('');
+
+    // Unknown emails look like wrong passwords
+    console.log('Same answer for every failure');
+    const passwordHash = await auth.hashPassword('Secret123!');
+    const users = [
+      { id: 1, email: 'jane@example.com', password_hash: passwordHash, created_at: new Date() },
+      { id: 2, email: 'apple@example.com', password_hash: null, created_at: new Date() }
+    ];
+    let pool = fakePool(users);
+
+    let started = Date.now();
+    const wrongPassword = await loginError(pool, 'jane@example.com', 'Wrong123!');
+    const wrongPasswordMs = Date.now() - started;
+    started = Date.now();
+    const unknownEmail = await loginError(pool, 'nobody@example.com', 'Wrong123!');
+    const unknownEmailMs = Date.now() - started;
+    const noPassword = await loginError(pool, 'apple@example.com', 'Wrong123!');
+
+    check('wrong password, unknown email and provider-only account give the same error',
+      [wrongPassword, unknownEmail, noPassword].every(error => error && error.message === 'Invalid email or password'),
+      [wrongPassword, unknownEmail, noPassword].map(error => error && error.message));
+    check('unknown email still runs bcrypt', unknownEmailMs >= wrongPasswordMs / 2, { wrongPasswordMs, unknownEmailMs });
+    check('failures are written to audit_logs',
+      pool.audit.filter(event => event.eventType === 'login_failed').map(event => event.metadata.reason).join()
+        === 'wrong_password,unknown_email,no_password',
+      pool.audit);
+    console.log('');
+
+    // Progressive delays and lockout
+    console.log('Lockout');
+    pool = fakePool(users);
+    let error = null;
+    for (let i = 0; i < loginThrottle.ACCOUNT_FREE_ATTEMPTS; i++) {
+      error = await loginError(pool, 'jane@example.com', 'Wrong123!');
+    }
+    check('free attempts then a wait', error.message === 'Invalid email or password');
+
+    error = await loginError(pool, 'jane@example.com', 'Secret123!');
+    check('right password is refused while waiting',
+      error && error.message === 'Too many failed sign-in attempts' && error.retryAfter > 0, error && error.message);
+    check('a different IP waits too', !!(await loginError(pool, 'jane@example.com', 'Secret123!', '203.0.113.9')));
+
+    for (let i = loginThrottle.ACCOUNT_FREE_ATTEMPTS; i < loginThrottle.ACCOUNT_LOCKOUT_ATTEMPTS; i++) {
+      pool.expire();
+      await loginError(pool, 'jane@example.com', 'Wrong123!');
+    }
+    error = await loginError(pool, 'jane@example.com', 'Secret123!');
+    check('locked after repeated failures',
+      error && error.message.startsWith('Account temporarily locked') && error.retryAfter > 25 * 60, error && error.message);
+    check('owner gets an unlock email',
+      sentMail.length === 1 && sentMail[0].to === 'jane@example.com' && sentMail[0].text.includes('unlock-account?token='), sentMail);
+    check('lockout is audited', pool.audit.some(event => event.eventType === 'account_locked' && event.userId === 1));
+
+    for (let i = 0; i < loginThrottle.ACCOUNT_LOCKOUT_ATTEMPTS; i++) {
+      pool.expire();
+      await loginError(pool, 'nobody@example.com', 'Wrong123!', `203.0.113.${i}`);
+    }
+    error = await loginError(pool, 'nobody@example.com', 'Wrong123!', '203.0.113.99');
+    check('unknown emails lock the same way', error && error.message.startsWith('Account temporarily locked'), error && error.message);
+    check('but no email is sent for them', sentMail.length === 1);
+    console.log('');
+
+    // Unlock
+    console.log('Unlock');
+    const token = new URL(sentMail[0].text.match(/pushinapp:\/\/unlock-account\?token=\w+/)[0]).searchParams.get('token');
+    let unlockError = null;
+    try {
+      await auth.unlockAccount(pool, 'not-a-token');
+    } catch (e) {
+      unlockError = e.message;
+    }
+    check('unknown unlock token is rejected', unlockError === 'Invalid or expired token', unlockError);
+
+    await auth.unlockAccount(pool, token);
+    pool.throttles.forEach(row => { if (row.key.startsWith('ip:')) row.blockedUntil = 0; });
+    const result = await auth.loginUser(pool, 'jane@example.com', 'Secret123!', { ipAddress: '198.51.100.1' })
+      .catch(e => ({ error: e.message }));
+    check('unlock link lets the owner straight back in', result.mfaRequired === true, result);
+    check('successful sign in clears the email counter', !pool.throttles.has(loginThrottle.accountKey('jane@example.com')));
+    check('but not the IP counter', pool.throttles.has('ip:198.51.100.1'));
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testLoginThrottle();
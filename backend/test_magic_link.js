@@ -0,0 +1,289 @@
+/**
+ * Magic Link Test (No Database Required)
+ * Runs passwordless sign in against an in-memory stand-in for users and
+ * magic_link_tokens, with a stubbed mailer: links and codes work once, run
+ * out after 15 minutes, wrong codes burn the code, and POST
+ * /api/auth/magic-link answers the same for unknown addresses.
+ *
+ * Usage: node backend/test_magic_link.js
+ */
+
+const http = require('http');
+const express = require('express');
+const mailer = require('./mailer');
+const auth = require('./auth');
+const authRoutes = require('./authRoutes');
+const rateLimitStore = require('./rateLimitStore');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Pool stand-in for the queries a passwordless sign in makes (transactions
+ * are not modelled; every statement applies right away)
+ */
+function fakePool() {
+  const users = [
+    { id: 1, email: 'jane@example.com', firstname: 'Jane', email_verified_at: null, created_at: new Date() }
+  ];
+  const magicLinks = [];
+  const audit = [];
+  let nextId = 1;
+
+  const query = async (sql, params = []) => {
+    if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO rate_limit_counters')) {
+      return { rows: [{ hits: 1, previous_hits: 0 }] };
+    }
+    if (sql.startsWith('INSERT INTO audit_logs')) {
+      audit.push({ event: params[0], userId: params[1], metadata: JSON.parse(params[4]) });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT id, email FROM users WHERE email = $1')) {
+      return { rows: users.filter(u => u.email === params[0]) };
+    }
+    if (sql.startsWith('INSERT INTO magic_link_tokens')) {
+      const [userId, tokenHash, codeHash, expiresAt] = params;
+      let row = magicLinks.find(m => m.user_id === userId);
+      if (!row) {
+        row = { id: nextId++, user_id: userId };
+        magicLinks.push(row);
+      }
+      Object.assign(row, { token_hash: tokenHash, code_hash: codeHash, failed_attempts: 0, expires_at: expiresAt, used: false });
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM magic_link_tokens WHERE user_id = $1')) {
+      const index = magicLinks.findIndex(m => m.user_id === params[0]);
+      if (index !== -1) {
+        magicLinks.splice(index, 1);
+      }
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT m.*, m.expires_at > NOW() AS is_valid')) {
+      const rows = sql.includes('WHERE m.token_hash = $1')
+        ? magicLinks.filter(m => m.token_hash === params[0])
+        : magicLinks.filter(m => m.code_hash !== null && users.some(u => u.id === m.user_id && u.email === params[0]));
+      return { rows: rows.map(m => ({ ...m, is_valid: m.expires_at > new Date() })) };
+    }
+    if (sql.startsWith('UPDATE magic_link_tokens SET failed_attempts')) {
+      Object.assign(magicLinks.find(m => m.id === params[2]), { failed_attempts: params[0], used: params[1] });
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE magic_link_tokens SET used = true')) {
+      magicLinks.find(m => m.id === params[0]).used = true;
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE users SET email_verified_at = COALESCE')) {
+      const user = users.find(u => u.id === params[0]);
+      user.email_verified_at = user.email_verified_at || new Date();
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM user_mfa') || sql.startsWith('SELECT 1 FROM account_deletions')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT * FROM users WHERE id = $1')) {
+      return { rows: users.filter(u => u.id === params[0]) };
+    }
+    if (sql.startsWith('INSERT INTO user_sessions')) {
+      return { rows: [{ id: 1, user_id: params[0] }] };
+    }
+    if (sql.startsWith('INSERT INTO refresh_tokens')) {
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    users,
+    magicLinks,
+    audit
+  };
+}
+
+/**
+ * Send a JSON request to the test server
+ */
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers: { 'Content-Type': 'application/json' } }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+async function testMagicLink() {
+  console.log('🧪 Testing Magic Link Sign In\n');
+
+  const sent = [];
+  mailer.sendMail = async (mailOptions) => {
+    sent.push(mailOptions);
+  };
+  const tokenIn = (mail) => mail.text.match(/token=([0-9a-f]{64})/)[1];
+  const codeIn = (mail) => mail.subject.match(/(\d{6})$/)[1];
+
+  const pool = fakePool();
+  rateLimitStore.setPool(pool);
+  const app = express();
+  app.use(express.json());
+  app.locals.pool = pool;
+  app.use('/api/auth', authRoutes);
+  const server = app.listen(0);
+  const port = server.address().port;
+
+  // Keep the sign-in logging out of the results
+  const log = console.log;
+  const error = console.error;
+  const quiet = async (promise) => {
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      return await promise;
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  };
+
+  try {
+    // Links work once
+    console.log('Single use');
+    await quiet(auth.initiateMagicLink(pool, 'Jane@Example.com', 'link', '203.0.113.7', 'test'));
+    const token = tokenIn(sent[sent.length - 1]);
+    check('only a hash of the link token is stored', pool.magicLinks[0].token_hash !== token && pool.magicLinks[0].token_hash.length === 64);
+
+    const signedIn = await quiet(auth.verifyMagicLink(pool, { token }));
+    check('link signs the user in', signedIn.user.id === 1 && typeof signedIn.accessToken === 'string', signedIn);
+    check('opening the link verifies the address', signedIn.user.emailVerified === true);
+    check('a used link is refused', await quiet(errorOf(auth.verifyMagicLink(pool, { token }))) === 'Token has already been used');
+    const reused = await quiet(request(port, 'POST', '/api/auth/magic-link/verify', { token }));
+    check('the route reports a used link', reused.status === 400 && reused.body.code === 'TOKEN_USED', reused);
+    check('reuse is audited', pool.audit.some(a => a.event === 'magic_link_token_reused'));
+
+    await quiet(auth.initiateMagicLink(pool, 'jane@example.com', 'link'));
+    const replaced = tokenIn(sent[sent.length - 1]);
+    await quiet(auth.initiateMagicLink(pool, 'jane@example.com', 'link'));
+    check('a new request replaces the earlier link',
+      await quiet(errorOf(auth.verifyMagicLink(pool, { token: replaced }))) === 'Invalid or expired token');
+    console.log('');
+
+    // Codes work once, and wrong guesses burn them
+    console.log('Codes');
+    await quiet(auth.initiateMagicLink(pool, 'jane@example.com', 'code'));
+    const code = codeIn(sent[sent.length - 1]);
+    const wrong = code === '000000' ? '000001' : '000000';
+    check('a wrong code is refused',
+      await quiet(errorOf(auth.verifyMagicLink(pool, { email: 'jane@example.com', code: wrong }))) === 'Invalid or expired code');
+    const byCode = await quiet(auth.verifyMagicLink(pool, { email: 'JANE@example.com', code }));
+    check('the right code signs the user in', byCode.user.id === 1);
+    check('a used code is refused',
+      await quiet(errorOf(auth.verifyMagicLink(pool, { email: 'jane@example.com', code }))) === 'Token has already been used');
+
+    await quiet(auth.initiateMagicLink(pool, 'jane@example.com', 'code'));
+    const guessed = codeIn(sent[sent.length - 1]);
+    const other = guessed === '000000' ? '000001' : '000000';
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await quiet(errorOf(auth.verifyMagicLink(pool, { email: 'jane@example.com', code: other })));
+    }
+    check('five wrong codes burn the code',
+      await quiet(errorOf(auth.verifyMagicLink(pool, { email: 'jane@example.com', code: guessed }))) === 'Token has already been used');
+    console.log('');
+
+    // Expiry
+    console.log('Expiry');
+    await quiet(auth.initiateMagicLink(pool, 'jane@example.com', 'link'));
+    const expiring = tokenIn(sent[sent.length - 1]);
+    const expiresIn = pool.magicLinks[0].expires_at - Date.now();
+    check('links last 15 minutes', expiresIn > 14 * 60 * 1000 && expiresIn <= 15 * 60 * 1000, expiresIn);
+    pool.magicLinks[0].expires_at = new Date(Date.now() - 1000);
+    check('an expired link is refused', await quiet(errorOf(auth.verifyMagicLink(pool, { token: expiring }))) === 'Invalid or expired token');
+    check('expiry is audited',
+      pool.audit.some(a => a.event === 'magic_link_token_invalid' && a.metadata.reason === 'token_expired'));
+    const expiredRoute = await quiet(request(port, 'POST', '/api/auth/magic-link/verify', { token: expiring }));
+    check('the route reports an expired link', expiredRoute.status === 400 && expiredRoute.body.code === 'INVALID_TOKEN', expiredRoute);
+
+    await quiet(auth.initiateMagicLink(pool, 'jane@example.com', 'code'));
+    const lateCode = codeIn(sent[sent.length - 1]);
+    pool.magicLinks[0].expires_at = new Date(Date.now() - 1000);
+    check('an expired code is refused',
+      await quiet(errorOf(auth.verifyMagicLink(pool, { email: 'jane@example.com', code: lateCode }))) === 'Invalid or expired code');
+    console.log('');
+
+    // Fields that aren't strings
+    console.log('Field types');
+    const badTypes = [
+      ['a token that is an object', { token: { $ne: '' } }, 'INVALID_TOKEN'],
+      ['a token that is a number', { token: 12345 }, 'INVALID_TOKEN'],
+      ['an email that is an array', { email: ['jane@example.com'], code: '123456' }, 'INVALID_EMAIL'],
+      ['an email that is an object', { email: { toLowerCase: 1 }, code: '123456' }, 'INVALID_EMAIL'],
+      ['a code that is a number', { email: 'jane@example.com', code: 123456 }, 'INVALID_CODE'],
+      ['a code that is an array', { email: 'jane@example.com', code: ['123456'] }, 'INVALID_CODE']
+    ];
+    for (const [name, body, code] of badTypes) {
+      const response = await quiet(request(port, 'POST', '/api/auth/magic-link/verify', body));
+      check(`${name} is a 400`, response.status === 400 && response.body.code === code, response);
+    }
+    console.log('');
+
+    // Unknown addresses
+    console.log('Unknown addresses');
+    for (const method of ['link', 'code']) {
+      const before = sent.length;
+      const known = await quiet(request(port, 'POST', '/api/auth/magic-link', { email: 'jane@example.com', method }));
+      const unknown = await quiet(request(port, 'POST', '/api/auth/magic-link', { email: 'nobody@example.com', method }));
+      check(`unknown address gets the same ${method} response`,
+        known.status === 200 && unknown.status === known.status && JSON.stringify(unknown.body) === JSON.stringify(known.body), [known, unknown]);
+      check(`no ${method} is emailed to an unknown address`,
+        sent.length === before + 1 && sent[before].to === 'jane@example.com', sent.slice(before).map(m => m.to));
+    }
+    check('unknown addresses store no token', pool.magicLinks.every(m => m.user_id === 1));
+
+    mailer.sendMail = async () => { throw new Error('SMTP down'); };
+    const failed = await quiet(request(port, 'POST', '/api/auth/magic-link', { email: 'jane@example.com' }));
+    check('a failed email is reported', failed.status === 500 && failed.body.code === 'MAGIC_LINK_EMAIL_ERROR', failed);
+    check('a failed email leaves no usable token', pool.magicLinks.length === 0);
+  } catch (err) {
+    console.log('❌ FAILED: unexpected error -', err.message);
+    testsFailed++;
+  } finally {
+    server.close();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testMagicLink();
@@ -0,0 +1,262 @@
+/**
+ * Two-factor Management Test (No Database Required)
+ * Turns 2FA on and off through /api/auth/mfa/* in a real Express app,
+ * against in-memory user_mfa and mfa_recovery_codes tables that
+ * BEGIN/ROLLBACK snapshot and restore: enrolling needs a recent sign in or
+ * the current password, and a failed disable leaves 2FA fully on.
+ *
+ * Usage: node backend/test_mfa.js
+ */
+
+const http = require('http');
+const express = require('express');
+const auth = require('./auth');
+const totp = require('./totp');
+const authRoutes = require('./authRoutes');
+const rateLimitStore = require('./rateLimitStore');
+
+const PASSWORD = 'Correct-Horse-42';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Pool stand-in for the 2FA queries; set failOn to a statement prefix to
+ * make it fail
+ */
+function fakePool(passwordHash) {
+  let tables = {
+    users: [
+      { id: 1, email: 'jane@example.com', password_hash: passwordHash },
+      { id: 2, email: 'bob@example.com', password_hash: passwordHash }
+    ],
+    userSessions: [],
+    userMfa: [],
+    recoveryCodes: []
+  };
+  let snapshot = null;
+  const audit = [];
+
+  const query = async (sql, params = []) => {
+    if (sql === 'BEGIN') {
+      snapshot = structuredClone(tables);
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT') {
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql === 'ROLLBACK') {
+      tables = snapshot;
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (pool.failOn && sql.startsWith(pool.failOn)) {
+      throw new Error('Connection terminated unexpectedly');
+    }
+    if (sql.includes('INSERT INTO rate_limit_counters')) {
+      return { rows: [{ hits: 1, previous_hits: 0 }] };
+    }
+    if (sql.startsWith('INSERT INTO audit_logs')) {
+      audit.push({ event: params[0], userId: params[1] });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM account_deletions')) {
+      return { rows: [] };
+    }
+
+    // Sessions
+    if (sql.startsWith('INSERT INTO user_sessions')) {
+      const session = { id: tables.userSessions.length + 1, user_id: params[0], created_at: new Date(), revoked_at: null };
+      tables.userSessions.push(session);
+      return { rows: [{ ...session }] };
+    }
+    if (sql.startsWith('INSERT INTO refresh_tokens')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM user_sessions')) {
+      return { rows: tables.userSessions.filter(s => s.id === params[0] && s.user_id === params[1] && !s.revoked_at && s.created_at > params[2]) };
+    }
+
+    // Users
+    if (sql.startsWith('SELECT id, email, password_hash FROM users') || sql.startsWith('SELECT id, password_hash FROM users')) {
+      return { rows: tables.users.filter(u => u.id === params[0]) };
+    }
+
+    // Two-factor
+    const mfaFor = userId => tables.userMfa.find(m => m.user_id === userId);
+    if (sql.startsWith('SELECT 1 FROM user_mfa')) {
+      return { rows: tables.userMfa.filter(m => m.user_id === params[0] && m.enabled_at) };
+    }
+    if (sql.startsWith('INSERT INTO user_mfa')) {
+      tables.userMfa = tables.userMfa.filter(m => m.user_id !== params[0]);
+      tables.userMfa.push({ user_id: params[0], secret_encrypted: params[1], enabled_at: null, last_used_step: null });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT secret_encrypted, enabled_at FROM user_mfa')) {
+      return { rows: tables.userMfa.filter(m => m.user_id === params[0]) };
+    }
+    if (sql.startsWith('UPDATE user_mfa SET enabled_at = NOW()')) {
+      const mfa = mfaFor(params[0]);
+      if (!mfa || mfa.enabled_at) {
+        return { rows: [] };
+      }
+      Object.assign(mfa, { enabled_at: new Date(), last_used_step: params[1] });
+      return { rows: [{ user_id: params[0] }] };
+    }
+    if (sql.startsWith('DELETE FROM user_mfa')) {
+      tables.userMfa = tables.userMfa.filter(m => m.user_id !== params[0]);
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM mfa_recovery_codes')) {
+      tables.recoveryCodes = tables.recoveryCodes.filter(c => c.user_id !== params[0]);
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO mfa_recovery_codes')) {
+      tables.recoveryCodes.push({ id: tables.recoveryCodes.length + 1, user_id: params[0], code_hash: params[1], used_at: null });
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE mfa_recovery_codes SET used_at = NOW()')) {
+      const row = tables.recoveryCodes.find(c => c.user_id === params[0] && c.code_hash === params[1] && !c.used_at);
+      if (!row) {
+        return { rows: [] };
+      }
+      row.used_at = new Date();
+      return { rows: [{ id: row.id }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const pool = {
+    failOn: null,
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    get tables() { return tables; },
+    audit
+  };
+  return pool;
+}
+
+/**
+ * Send a JSON request to the test server
+ */
+function request(port, path, token, body = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      Authorization: `Bearer ${token}`
+    };
+    const req = http.request({ port, method: 'POST', path, headers }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+async function testMfa() {
+  console.log('🧪 Testing Two-factor Management\n');
+
+  const pool = fakePool(await auth.hashPassword(PASSWORD));
+  rateLimitStore.setPool(pool);
+  const app = express();
+  app.use(express.json());
+  app.locals.pool = pool;
+  app.use('/api/auth', authRoutes);
+  const server = app.listen(0);
+  const port = server.address().port;
+
+  // Keep the route logging out of the results
+  const log = console.log;
+  const error = console.error;
+  const quiet = async (promise) => {
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      return await promise;
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  };
+
+  try {
+    // A session from an hour ago: the access token alone isn't enough
+    console.log('Enrolling');
+    const jane = await auth.startSession(pool, 1);
+    pool.tables.userSessions[0].created_at = new Date(Date.now() - 60 * 60 * 1000);
+
+    const tokenOnly = await quiet(request(port, '/api/auth/mfa/enroll', jane.accessToken));
+    check('enrolling with only an access token is refused',
+      tokenOnly.status === 401 && tokenOnly.body.code === 'RECENT_SIGN_IN_REQUIRED', tokenOnly);
+    check('no secret is stored', pool.tables.userMfa.length === 0);
+
+    const wrongPassword = await quiet(request(port, '/api/auth/mfa/enroll', jane.accessToken, { currentPassword: 'wrong' }));
+    check('enrolling with a wrong password is refused',
+      wrongPassword.status === 401 && wrongPassword.body.code === 'REAUTH_FAILED', wrongPassword);
+
+    const enrolled = await quiet(request(port, '/api/auth/mfa/enroll', jane.accessToken, { currentPassword: PASSWORD }));
+    check('enrolling with the current password works', enrolled.status === 200 && typeof enrolled.body.data.secret === 'string', enrolled);
+
+    const code = totp.generateTotp(enrolled.body.data.secret);
+    const confirmTokenOnly = await quiet(request(port, '/api/auth/mfa/confirm', jane.accessToken, { code }));
+    check('confirming with only an access token is refused',
+      confirmTokenOnly.status === 401 && confirmTokenOnly.body.code === 'RECENT_SIGN_IN_REQUIRED', confirmTokenOnly);
+    check('2FA stays off', !(await auth.isMfaEnabled(pool, 1)));
+
+    const confirmed = await quiet(request(port, '/api/auth/mfa/confirm', jane.accessToken, { code, currentPassword: PASSWORD }));
+    check('confirming with the current password turns 2FA on',
+      confirmed.status === 200 && confirmed.body.data.recoveryCodes.length === 10 && await auth.isMfaEnabled(pool, 1), confirmed);
+
+    const bob = await auth.startSession(pool, 2);
+    const recent = await quiet(request(port, '/api/auth/mfa/enroll', bob.accessToken));
+    check('a sign in from the last 10 minutes is enough', recent.status === 200, recent);
+    console.log('');
+
+    // Disabling removes the recovery codes and the secret together
+    console.log('Disabling');
+    const [firstCode, secondCode] = confirmed.body.data.recoveryCodes;
+    pool.failOn = 'DELETE FROM user_mfa';
+    const failed = await quiet(request(port, '/api/auth/mfa/disable', jane.accessToken, { password: PASSWORD, recoveryCode: firstCode }));
+    pool.failOn = null;
+    check('a failed disable is reported', failed.status === 500 && failed.body.code === 'MFA_DISABLE_ERROR', failed);
+    check('a failed disable leaves 2FA on', await auth.isMfaEnabled(pool, 1));
+    check('a failed disable keeps the other recovery codes',
+      pool.tables.recoveryCodes.filter(c => c.user_id === 1 && !c.used_at).length === 9, pool.tables.recoveryCodes.length);
+    check('a failed disable is not audited as disabled', !pool.audit.some(a => a.event === 'mfa_disabled'));
+
+    const disabled = await quiet(request(port, '/api/auth/mfa/disable', jane.accessToken, { password: PASSWORD, recoveryCode: secondCode }));
+    check('disabling with the password and a recovery code works', disabled.status === 200, disabled);
+    check('2FA is off', !(await auth.isMfaEnabled(pool, 1)));
+    check('the recovery codes are gone', !pool.tables.recoveryCodes.some(c => c.user_id === 1));
+    check('the secret is gone', !pool.tables.userMfa.some(m => m.user_id === 1));
+  } catch (err) {
+    console.log('❌ FAILED: unexpected error -', err.message);
+    testsFailed++;
+  } finally {
+    server.close();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testMfa();
@@ -0,0 +1,155 @@
+/**
+ * Migration Runner Test (No Database Required)
+ * Runs the real migrations against a pool stand-in that records statements,
+ * and checks ordering, bookkeeping, locking and rollback behaviour.
+ *
+ * Usage: node backend/test_migrations.js
+ */
+
+const migrate = require('./migrate');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Pool stand-in keeping schema_migrations in memory. Schema statements are
+ * recorded but not executed; failOn makes a matching statement throw.
+ */
+function fakePool({ failOn } = {}) {
+  const state = { applied: new Map(), log: [], committed: [], inTransaction: [] };
+
+  const client = {
+    query: async (sql, values) => {
+      state.log.push(sql.trim());
+
+      if (failOn && sql.includes(failOn)) {
+        throw new Error('simulated failure');
+      }
+      if (sql === 'BEGIN') {
+        state.inTransaction = [];
+      } else if (sql === 'COMMIT') {
+        state.inTransaction.forEach(apply => apply());
+        state.committed.push(...state.inTransaction);
+        state.inTransaction = [];
+      } else if (sql === 'ROLLBACK') {
+        state.inTransaction = [];
+      } else if (sql.startsWith('INSERT INTO schema_migrations')) {
+        state.inTransaction.push(() => state.applied.set(values[0], { version: values[0], name: values[1], applied_at: new Date() }));
+      } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+        state.inTransaction.push(() => state.applied.delete(values[0]));
+      } else if (sql.startsWith('SELECT version, name, applied_at FROM schema_migrations')) {
+        return { rows: [...state.applied.values()] };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+    release: () => {
+      state.released = true;
+    }
+  };
+
+  return { state, connect: async () => client };
+}
+
+async function testMigrations() {
+  console.log('🧪 Testing Migration Runner\n');
+
+  const migrations = migrate.loadMigrations();
+  const versions = migrations.map(m => m.version);
+
+  try {
+    check('migrations load in version order',
+      versions.length > 0 && versions.every((v, i) => i === 0 || v > versions[i - 1]), versions);
+    check('versions are numbered from 1 without gaps',
+      versions.every((v, i) => v === i + 1), versions);
+
+    // Fresh database
+    let pool = fakePool();
+    let applied = await migrate.migrateUp(pool);
+    check('all migrations applied on a fresh database',
+      JSON.stringify(applied.map(m => m.version)) === JSON.stringify(versions), applied);
+    check('applied versions recorded', pool.state.applied.size === versions.length);
+    check('advisory lock taken first',
+      pool.state.log[0].includes('pg_advisory_lock'), pool.state.log[0]);
+    check('advisory lock released and client returned',
+      pool.state.log[pool.state.log.length - 1].includes('pg_advisory_unlock') && pool.state.released);
+    check('schema_migrations created before migrations run',
+      pool.state.log[1].includes('CREATE TABLE IF NOT EXISTS schema_migrations'), pool.state.log[1]);
+    check('each migration runs in its own transaction',
+      pool.state.log.filter(sql => sql === 'BEGIN').length === versions.length);
+    check('legacy MySQL-style inline INDEX clauses are gone',
+      !pool.state.log.some(sql => /,\s*INDEX\s+\w+\s*\(/i.test(sql)));
+
+    applied = await migrate.migrateUp(pool);
+    check('second run applies nothing', applied.length === 0, applied);
+
+    // Status
+    let status = await migrate.getMigrationStatus(pool);
+    check('status reports every migration as applied', status.every(m => m.applied), status);
+
+    // Rollback
+    const latest = versions[versions.length - 1];
+    let rolledBack = await migrate.migrateDown(pool);
+    check('down rolls back only the latest migration by default',
+      rolledBack.length === 1 && rolledBack[0].version === latest, rolledBack);
+    status = await migrate.getMigrationStatus(pool);
+    check('rolled back migration shows as pending',
+      status.find(m => m.version === latest)?.applied === false, status);
+
+    rolledBack = await migrate.migrateDown(pool, { to: 1 });
+    check('down --to N rolls back everything above N, newest first',
+      JSON.stringify(rolledBack.map(m => m.version)) === JSON.stringify(versions.slice(1, -1).reverse()), rolledBack);
+
+    applied = await migrate.migrateUp(pool, { to: 2 });
+    check('up --to N stops at N', JSON.stringify(applied.map(m => m.version)) === '[2]', applied);
+
+    // A failing migration leaves nothing recorded and stops the run
+    pool = fakePool({ failOn: 'CREATE TABLE IF NOT EXISTS workouts' });
+    let error = null;
+    try {
+      await migrate.migrateUp(pool);
+    } catch (e) {
+      error = e;
+    }
+    check('failure names the migration', error && error.message.includes('002_workouts_and_usage up failed'), error?.message);
+    check('failed migration rolled back', pool.state.log.includes('ROLLBACK'));
+    check('earlier migrations stay applied, later ones not attempted',
+      JSON.stringify([...pool.state.applied.keys()]) === '[1]', [...pool.state.applied.keys()]);
+    check('lock released after failure',
+      pool.state.log[pool.state.log.length - 1].includes('pg_advisory_unlock'));
+
+    // Version applied by a newer build
+    pool = fakePool();
+    pool.state.applied.set(999, { version: 999, name: 'from_the_future', applied_at: new Date() });
+    status = await migrate.getMigrationStatus(pool);
+    check('status flags applied versions without a file', status.find(m => m.version === 999)?.missingFile === true, status);
+    error = null;
+    try {
+      await migrate.migrateDown(pool);
+    } catch (e) {
+      error = e;
+    }
+    check('rolling back an unknown version is refused', error && error.message.includes('999'), error?.message);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testMigrations();
@@ -0,0 +1,129 @@
+/**
+ * Password Policy Test (No Database Required)
+ * Checks the rules, PASSWORD_POLICY parsing, the bundled breached-password
+ * list and password history against an in-memory stand-in for the database.
+ *
+ * Usage: node backend/test_password_policy.js
+ */
+
+const bcrypt = require('bcrypt');
+const passwordPolicy = require('./passwordPolicy');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Pool stand-in with one user's current hash and password_history rows
+ */
+function fakePool(currentHash) {
+  const history = [];
+  let nextId = 1;
+
+  const query = async (sql, params) => {
+    if (sql.includes('UNION ALL')) {
+      const recent = history.slice(-params[1]).reverse();
+      return { rows: [...(currentHash ? [{ password_hash: currentHash }] : []), ...recent] };
+    }
+    if (sql.startsWith('INSERT INTO password_history')) {
+      history.push({ id: nextId++, password_hash: params[1] });
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM password_history')) {
+      history.splice(0, Math.max(0, history.length - params[1]));
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    history,
+    setCurrent: (hash) => { currentHash = hash; }
+  };
+}
+
+async function testPasswordPolicy() {
+  console.log('🧪 Testing Password Policy\n');
+
+  try {
+    // Rules
+    console.log('Rules');
+    const errorsFor = (password, policy) => passwordPolicy.validatePassword(password, policy).errors;
+    check('strong password passes', passwordPolicy.validatePassword('Xk9#mQ2vLp').isValid);
+    check('short password is rejected', errorsFor('Xk9#mQ').includes('Password must be at least 8 characters long'));
+    check('each missing character class is reported', errorsFor('xkqmvlpzwr').length === 3, errorsFor('xkqmvlpzwr'));
+    check('repeated characters are rejected',
+      errorsFor('Xk9#mmmmQ2').includes('Password cannot contain more than 3 repeated characters in a row'));
+
+    const relaxed = passwordPolicy.parsePolicy('{"minLength":12,"requireSymbol":false,"maxRepeatedChars":0}');
+    check('configured length is enforced and reported', errorsFor('Xk9mQ2vLpw', relaxed).join() === 'Password must be at least 12 characters long',
+      errorsFor('Xk9mQ2vLpw', relaxed));
+    check('disabled rules are skipped', passwordPolicy.validatePassword('Xk9mQ2vLpwzzzz', relaxed).isValid);
+    console.log('');
+
+    // PASSWORD_POLICY
+    console.log('Configuration');
+    const parsed = passwordPolicy.parsePolicy('{"minLength":"ten","historyCount":3,"unknown":true}');
+    check('valid settings apply, invalid and unknown ones are ignored',
+      parsed.minLength === 8 && parsed.historyCount === 3 && parsed.unknown === undefined, parsed);
+    check('invalid JSON gives the defaults',
+      JSON.stringify(passwordPolicy.parsePolicy('{')) === JSON.stringify(passwordPolicy.DEFAULT_POLICY));
+    const publicPolicy = passwordPolicy.getPublicPolicy(relaxed);
+    check('public policy carries the rules and symbols',
+      publicPolicy.minLength === 12 && publicPolicy.requireSymbol === false && publicPolicy.symbols.includes('!'), publicPolicy);
+    console.log('');
+
+    // Breached passwords
+    console.log('Breached passwords');
+    check('listed password is rejected', passwordPolicy.isBreachedPassword('trustno1'));
+    check('case does not matter', passwordPolicy.isBreachedPassword('QWERTY123'));
+    check('digits and symbols appended to a listed word are rejected',
+      passwordPolicy.isBreachedPassword('Dragon2024!') && passwordPolicy.isBreachedPassword('Password123!'));
+    check('unlisted password passes', !passwordPolicy.isBreachedPassword('Xk9#mQ2vLp'));
+    check('breached password fails validation',
+      errorsFor('Password123!').join() === 'Password is too common and easily guessable', errorsFor('Password123!'));
+    console.log('');
+
+    // History
+    console.log('History');
+    const policy = { ...passwordPolicy.DEFAULT_POLICY, historyCount: 3 };
+    const hashes = await Promise.all(['First#Pass1', 'Second#Pass2', 'Third#Pass3', 'Fourth#Pass4'].map(p => bcrypt.hash(p, 4)));
+    const pool = fakePool(hashes[0]);
+
+    check('current password counts as reused', await passwordPolicy.isPasswordReused(pool, 1, 'First#Pass1', policy));
+    for (let i = 1; i < hashes.length; i++) {
+      await passwordPolicy.recordPasswordChange(pool, 1, hashes[i - 1], policy);
+      pool.setCurrent(hashes[i]);
+    }
+    check('only historyCount - 1 old hashes are kept', pool.history.length === 2, pool.history.length);
+    check('recent passwords are reused',
+      await passwordPolicy.isPasswordReused(pool, 1, 'Third#Pass3', policy)
+        && await passwordPolicy.isPasswordReused(pool, 1, 'Second#Pass2', policy));
+    check('older passwords may be used again', !(await passwordPolicy.isPasswordReused(pool, 1, 'First#Pass1', policy)));
+    check('new password is not reused', !(await passwordPolicy.isPasswordReused(pool, 1, 'Fifth#Pass5', policy)));
+    check('historyCount 0 allows reuse',
+      !(await passwordPolicy.isPasswordReused(pool, 1, 'Fourth#Pass4', { ...policy, historyCount: 0 })));
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testPasswordPolicy();
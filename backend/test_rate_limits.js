@@ -0,0 +1,197 @@
+/**
+ * Rate Limits Test (No Database Required)
+ * Checks the sliding window, the PostgreSQL store against an in-memory
+ * stand-in for rate_limit_counters, composite keys, the IP allowlist and
+ * RATE_LIMIT_OVERRIDES, then runs a limiter in a real Express app,
+ * including one whose store throws (requests are refused, not let through).
+ *
+ * Usage: node backend/test_rate_limits.js
+ */
+
+const http = require('http');
+const express = require('express');
+const rateLimitStore = require('./rateLimitStore');
+const rateLimits = require('./rateLimits');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Pool stand-in keeping rate_limit_counters in a Map keyed by key + window
+ */
+function fakePool() {
+  const counters = new Map();
+
+  const query = async (sql, params) => {
+    if (sql.includes('INSERT INTO rate_limit_counters')) {
+      const id = `${params[0]}|${params[1]}`;
+      counters.set(id, (counters.get(id) || 0) + 1);
+      return { rows: [{ hits: counters.get(id), previous_hits: counters.get(`${params[0]}|${params[2]}`) || 0 }] };
+    }
+    if (sql.startsWith('DELETE FROM rate_limit_counters WHERE key')) {
+      [...counters.keys()].filter(id => id.startsWith(`${params[0]}|`)).forEach(id => counters.delete(id));
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { query, counters };
+}
+
+/**
+ * POST a JSON body to the test server
+ */
+function post(port, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const req = http.request({
+      port,
+      path,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...headers }
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+async function testRateLimits() {
+  console.log('🧪 Testing Rate Limits\n');
+
+  const realNow = Date.now;
+
+  try {
+    // Sliding window
+    console.log('Sliding window');
+    check('start of a window counts all of the previous one', rateLimitStore.slidingHits(1, 10, 0, 60000) === 11);
+    check('halfway counts half of the previous one', rateLimitStore.slidingHits(1, 10, 30000, 60000) === 6);
+    check('end of a window counts only the current one', rateLimitStore.slidingHits(3, 10, 60000, 60000) === 3);
+    console.log('');
+
+    // Store
+    console.log('Store');
+    const pool = fakePool();
+    rateLimitStore.setPool(pool);
+    const store = rateLimitStore.createPostgresStore('login');
+    store.init({ windowMs: 60000 });
+    const otherStore = rateLimitStore.createPostgresStore('magicLink');
+    otherStore.init({ windowMs: 60000 });
+
+    const windowStart = Math.floor(realNow() / 60000) * 60000;
+    Date.now = () => windowStart + 1000;
+    await store.increment('203.0.113.7');
+    const second = await store.increment('203.0.113.7');
+    check('hits add up within a window', second.totalHits === 2, second);
+    check('reset time is the end of the window', second.resetTime.getTime() === windowStart + 60000, second.resetTime);
+
+    Date.now = () => windowStart + 60000 + 15000;
+    const next = await store.increment('203.0.113.7');
+    check('previous window still counts after it ends', next.totalHits === 1 + Math.floor(2 * 0.75), next);
+
+    Date.now = () => windowStart + 3 * 60000;
+    check('old windows stop counting', (await store.increment('203.0.113.7')).totalHits === 1);
+
+    check('limiters keep separate counts', (await otherStore.increment('203.0.113.7')).totalHits === 1);
+    check('raw keys are never stored',
+      [...pool.counters.keys()].every(id => !id.includes('203.0.113.7')) && [...pool.counters.keys()][0].startsWith('login:'),
+      [...pool.counters.keys()]);
+
+    await store.resetKey('203.0.113.7');
+    check('resetKey clears a client', (await store.increment('203.0.113.7')).totalHits === 1);
+    Date.now = realNow;
+    console.log('');
+
+    // Keys
+    console.log('Keys');
+    const ipAndEmail = rateLimits.compositeKey(['ip', 'email']);
+    check('composite key joins the parts',
+      ipAndEmail({ ip: '203.0.113.7', body: { email: ' Jane@Example.com ' } }) === '203.0.113.7:jane@example.com');
+    check('missing email is a fixed part', ipAndEmail({ ip: '203.0.113.7', body: {} }) === '203.0.113.7:unknown');
+    check('user key matches the existing format', rateLimits.compositeKey(['user'])({ user: { userId: 42 } }) === 'user:42');
+    console.log('');
+
+    // Allowlist
+    console.log('Allowlist');
+    const allowlist = rateLimits.parseAllowlist('203.0.113.7, 198.51.100.0/24, 2001:db8::/32, not-an-ip');
+    check('single IP is allowlisted', rateLimits.isAllowlisted('203.0.113.7', allowlist));
+    check('CIDR range is allowlisted', rateLimits.isAllowlisted('198.51.100.200', allowlist));
+    check('IPv4-mapped IPv6 address is allowlisted', rateLimits.isAllowlisted('::ffff:198.51.100.1', allowlist));
+    check('IPv6 range is allowlisted', rateLimits.isAllowlisted('2001:db8::1', allowlist));
+    check('other IPs are not', !rateLimits.isAllowlisted('203.0.113.8', allowlist) && !rateLimits.isAllowlisted(undefined, allowlist));
+    console.log('');
+
+    // Overrides
+    console.log('Overrides');
+    const overrides = rateLimits.parseOverrides('{"login":{"max":100,"windowMs":"soon"},"nope":{"max":1}}');
+    check('known limiter gets valid fields only', JSON.stringify(overrides) === '{"login":{"max":100}}', overrides);
+    check('invalid JSON is ignored', JSON.stringify(rateLimits.parseOverrides('{')) === '{}');
+    check('every limiter has a key and a message',
+      Object.values(rateLimits.RATE_LIMITS).every(config => config.key.length > 0 && (config.error || config.message)));
+    console.log('');
+
+    // Express
+    console.log('Express');
+    const app = express();
+    app.use(express.json());
+    app.post('/forgot', rateLimits.createRateLimiter('forgotPassword'), (req, res) => res.json({ success: true }));
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await post(port, '/forgot', { email: 'jane@example.com' })).status);
+    }
+    const limited = await post(port, '/forgot', { email: 'jane@example.com' });
+    const otherEmail = await post(port, '/forgot', { email: 'john@example.com' });
+    const noEmail = await post(port, '/forgot', {});
+    server.close();
+
+    check('requests over the limit get 429', statuses.join() === '200,200,200,200,200,429', statuses);
+    check('429 uses the API error shape', limited.body.code === 'RATE_LIMIT_EXCEEDED' && limited.body.success === false, limited.body);
+    check('another email has its own count', otherEmail.status === 200);
+    check('skip rule still applies', noEmail.status === 200);
+
+    // The store fails while the route itself would still work
+    rateLimitStore.setPool({ query: async () => { throw new Error('canceling statement due to lock timeout'); } });
+    const storeDown = http.createServer(app).listen(0);
+    const error = console.error;
+    console.error = () => {};
+    const downResponses = [];
+    for (let i = 0; i < 3; i++) {
+      downResponses.push(await post(storeDown.address().port, '/forgot', { email: 'jane@example.com' }));
+    }
+    console.error = error;
+    storeDown.close();
+    check('requests are refused when the store throws', downResponses.every(r => r.status === 503), downResponses.map(r => r.status));
+    check('503 uses the API error shape',
+      downResponses[0].body.code === 'RATE_LIMIT_UNAVAILABLE' && downResponses[0].body.success === false, downResponses[0].body);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  } finally {
+    Date.now = realNow;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testRateLimits();
@@ -0,0 +1,179 @@
+/**
+ * Refresh Token Rotation Test
+ * Runs refreshes against a real database, including several concurrent
+ * refreshes with the same token from one device, reuse of a rotated token
+ * and tokens issued before sessions existed.
+ *
+ * Skipped when DATABASE_URL is not set.
+ *
+ * Usage: DATABASE_URL=... node backend/test_refresh_rotation.js
+ */
+
+require('dotenv').config();
+
+if (!process.env.DATABASE_URL) {
+  console.log('⏭️ Skipping Refresh Token Rotation Test: DATABASE_URL is not set (test_sessions.js covers rotation and reuse without a database)');
+  process.exit(0);
+}
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const auth = require('./auth');
+const sessions = require('./sessions');
+const migrate = require('./migrate');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: false
+});
+
+const RUN_ID = Date.now();
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+async function refreshError(refreshToken, options) {
+  try {
+    await auth.refreshAccessToken(pool, refreshToken, { ipAddress: '203.0.113.7' }, options);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+async function testRefreshRotation() {
+  console.log('🧪 Testing Refresh Token Rotation\n');
+
+  let userId;
+
+  try {
+    await migrate.migrateUp(pool);
+
+    const userResult = await pool.query(
+      'INSERT INTO users (email, firstname) VALUES ($1, $2) RETURNING id',
+      [`rotation-user-${RUN_ID}@example.com`, 'Rotation Test']
+    );
+    userId = userResult.rows[0].id;
+
+    const phone = await auth.startSession(pool, userId, { deviceName: 'Test iPhone', platform: 'ios' });
+    const tablet = await auth.startSession(pool, userId, { deviceName: 'Test iPad', platform: 'ios' });
+    const phoneSessionId = auth.verifyToken(phone.refreshToken, auth.JWT_REFRESH_SECRET).sid;
+
+    // Storage
+    console.log('Storage');
+    let result = await pool.query('SELECT * FROM refresh_tokens WHERE session_id = $1', [phoneSessionId]);
+    const expectedHash = crypto.createHash('sha256').update(phone.refreshToken).digest('hex');
+    check('refresh token stored hashed', result.rows[0]?.token === expectedHash, result.rows[0]);
+    check('raw token is not stored', !result.rows.some(row => row.token === phone.refreshToken));
+    console.log('');
+
+    // Sequential rotation
+    console.log('Rotation');
+    const first = await auth.refreshAccessToken(pool, phone.refreshToken, { ipAddress: '203.0.113.7' });
+    check('refresh returns new tokens',
+      !!first.accessToken && !!first.refreshToken && first.refreshToken !== phone.refreshToken);
+    check('new tokens belong to the same session',
+      auth.verifyToken(first.accessToken, auth.JWT_SECRET).sid === phoneSessionId);
+
+    result = await pool.query(
+      'SELECT id, token, parent_id, rotated_at FROM refresh_tokens WHERE session_id = $1 ORDER BY id',
+      [phoneSessionId]
+    );
+    check('old token marked rotated', !!result.rows[0]?.rotated_at, result.rows[0]);
+    check('new token chained to its predecessor',
+      result.rows[1]?.parent_id === result.rows[0]?.id && !result.rows[1]?.rotated_at, result.rows);
+
+    result = await pool.query('SELECT last_ip FROM user_sessions WHERE id = $1', [phoneSessionId]);
+    check('session last IP updated on refresh', result.rows[0]?.last_ip === '203.0.113.7', result.rows[0]);
+    console.log('');
+
+    // The app fires several requests at once after waking up, all with the same token
+    console.log('Concurrent refreshes from the same device');
+    const outcomes = await Promise.allSettled(
+      Array.from({ length: 5 }, () => auth.refreshAccessToken(pool, first.refreshToken))
+    );
+    const winners = outcomes.filter(outcome => outcome.status === 'fulfilled');
+    const losers = outcomes.filter(outcome => outcome.status === 'rejected');
+    check('exactly one concurrent refresh wins', winners.length === 1, outcomes);
+    check('the others are told the token was already rotated',
+      losers.length === 4 && losers.every(outcome => outcome.reason.message === 'Refresh token already rotated'),
+      losers.map(outcome => outcome.reason.message));
+
+    const active = await sessions.listSessions(pool, userId);
+    check('race does not revoke the session', active.some(session => session.id === phoneSessionId), active);
+
+    result = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM refresh_tokens WHERE session_id = $1 AND rotated_at IS NULL',
+      [phoneSessionId]
+    );
+    check('session has a single live refresh token', result.rows[0].count === 1, result.rows[0]);
+
+    const winner = winners[0].value;
+    const next = await auth.refreshAccessToken(pool, winner.refreshToken);
+    check('winning token keeps refreshing', !!next.refreshToken);
+    console.log('');
+
+    // A rotated token showing up later was copied off the device
+    console.log('Reuse of a rotated token');
+    const error = await refreshError(phone.refreshToken, { reuseGraceMs: 0 });
+    check('reuse is rejected', error === 'Refresh token reuse detected', error);
+
+    result = await pool.query('SELECT revoked_at FROM user_sessions WHERE id = $1', [phoneSessionId]);
+    check('session revoked', !!result.rows[0]?.revoked_at, result.rows[0]);
+
+    result = await pool.query('SELECT COUNT(*)::int AS count FROM refresh_tokens WHERE session_id = $1', [phoneSessionId]);
+    check('whole token family deleted', result.rows[0].count === 0, result.rows[0]);
+
+    check('latest token of the family no longer works',
+      await refreshError(next.refreshToken) === 'Invalid or expired refresh token');
+
+    result = await pool.query(
+      `SELECT metadata FROM audit_logs WHERE user_id = $1 AND event_type = 'refresh_token_reuse_detected'`,
+      [userId]
+    );
+    check('reuse written to audit log',
+      result.rows.length === 1 && result.rows[0].metadata.session_id === phoneSessionId, result.rows);
+
+    const tabletRefresh = await auth.refreshAccessToken(pool, tablet.refreshToken);
+    check('other devices stay signed in', !!tabletRefresh.refreshToken);
+    console.log('');
+
+    // Tokens issued before sessions existed
+    console.log('Legacy tokens');
+    const legacy = auth.generateTokens(userId);
+    await auth.storeRefreshToken(pool, userId, legacy.refreshToken);
+    const upgraded = await auth.refreshAccessToken(pool, legacy.refreshToken);
+    check('legacy token gets a session on refresh',
+      !!auth.verifyToken(upgraded.accessToken, auth.JWT_SECRET).sid);
+    check('garbage token is rejected', await refreshError('not-a-jwt') === 'Invalid or expired refresh token');
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  } finally {
+    // Clean up test data (sessions and tokens cascade with the user)
+    if (userId) {
+      await pool.query('DELETE FROM audit_logs WHERE user_id = $1', [userId]).catch(() => {});
+      await pool.query('DELETE FROM users WHERE id = $1', [userId]).catch(() => {});
+    }
+    await pool.end();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testRefreshRotation();
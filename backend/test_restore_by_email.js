@@ -49,32 +49,34 @@ async function testRestoreByEmail() {
   }
   console.log('');
 
-  // Test 3: Email with no subscription (should return 404)
-  console.log('Test 3: Email with no subscription');
+  // Test 3: No credentials and no code (should only send a code, 202)
+  console.log('Test 3: Email without a code');
   try {
     const response = await axios.post(`${BASE_URL}/api/stripe/restore-by-email`, {
       email: 'nosubscription@test.com'
     });
-    console.log('❌ FAILED: Should have returned 404');
-    testsFailed++;
-  } catch (error) {
-    if (error.response?.status === 404 && error.response?.data?.error === 'no_active_subscription') {
-      console.log('✅ PASSED: Returned 404 with no_active_subscription error');
-      console.log('   Message:', error.response?.data?.message);
+    if (response.status === 202 && response.data.codeSent === true && !response.data.subscription) {
+      console.log('✅ PASSED: Returned 202 with codeSent and no subscription');
+      console.log('   Message:', response.data.message);
       testsPassed++;
     } else {
-      console.log('❌ FAILED:', error.response?.data || error.message);
+      console.log('❌ FAILED: Should have returned 202 with codeSent', response.data);
       testsFailed++;
     }
+  } catch (error) {
+    console.log('❌ FAILED:', error.response?.data || error.message);
+    testsFailed++;
   }
   console.log('');
 
-  // Test 4: Valid email with subscription (replace with real test email if you have one)
+  // Test 4: Valid email with subscription (set RESTORE_TEST_EMAIL and the
+  // RESTORE_TEST_CODE emailed to it by an earlier run)
   console.log('Test 4: Valid email with subscription');
-  console.log('⚠️  Note: Replace test email in code with real subscription email to test success case');
+  console.log('⚠️  Note: Set RESTORE_TEST_EMAIL and RESTORE_TEST_CODE to test the success case');
   try {
     const response = await axios.post(`${BASE_URL}/api/stripe/restore-by-email`, {
-      email: 'test@pushinapp.com' // Replace with real test email
+      email: process.env.RESTORE_TEST_EMAIL || 'test@pushinapp.com',
+      code: process.env.RESTORE_TEST_CODE || '000000'
     });
 
     if (response.status === 200 && response.data.success === true) {
@@ -87,8 +89,8 @@ async function testRestoreByEmail() {
       console.log('⚠️  SKIPPED: No subscription found (expected if test email has no subscription)');
     }
   } catch (error) {
-    if (error.response?.status === 404) {
-      console.log('⚠️  SKIPPED: No subscription found for test email (expected)');
+    if (error.response?.status === 404 || error.response?.data?.error === 'invalid_code') {
+      console.log('⚠️  SKIPPED: No subscription or code for test email (expected)');
     } else {
       console.log('❌ FAILED:', error.response?.data || error.message);
       testsFailed++;
@@ -104,13 +106,11 @@ async function testRestoreByEmail() {
       const response = await axios.post(`${BASE_URL}/api/stripe/restore-by-email`, {
         email: 'ratelimit@test.com'
       });
-      console.log(`   Request ${i + 1}: ${response.status}`);
+      console.log(`   Request ${i + 1}: ${response.status}${response.status === 202 ? ' Code sent (expected)' : ''}`);
     } catch (error) {
       if (error.response?.status === 429) {
         console.log(`   Request ${i + 1}: 429 Rate Limited ✅`);
         rateLimitTriggered = true;
-      } else if (error.response?.status === 404) {
-        console.log(`   Request ${i + 1}: 404 No subscription (expected)`);
       } else {
         console.log(`   Request ${i + 1}: ${error.response?.status} ${error.response?.data?.error}`);
       }
@@ -133,7 +133,7 @@ async function testRestoreByEmail() {
       email: 'TEST@PUSHINAPP.COM' // Uppercase version
     });
 
-    if (response.status === 200 || response.status === 404) {
+    if (response.status === 202) {
       console.log('✅ PASSED: Uppercase email accepted (normalized to lowercase)');
       testsPassed++;
     }
@@ -157,7 +157,7 @@ async function testRestoreByEmail() {
       email: '  test@pushinapp.com  ' // Spaces around email
     });
 
-    if (response.status === 200 || response.status === 404) {
+    if (response.status === 202) {
       console.log('✅ PASSED: Email with spaces accepted (trimmed)');
       testsPassed++;
     }
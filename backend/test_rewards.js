@@ -0,0 +1,125 @@
+/**
+ * Reward Rules Test (No Database Required)
+ * Checks the server's rule tables against the values of the app's
+ * WorkoutRewardCalculator: every mode, the min/max clamps, time-based
+ * workouts, earned time capped at the selection and rule version selection
+ *
+ * Usage: node backend/test_rewards.js
+ */
+
+const rewards = require('./rewards');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  if (ok) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   expected: ${JSON.stringify(expected)}`);
+    console.log(`   actual:   ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a throwing call
+ */
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const rules = rewards.REWARD_RULE_VERSIONS[1];
+const target = (type, mode, minutes) => rewards.calculateWorkoutTarget(rules, type, mode, minutes);
+const earned = (workoutType, mode, repsCompleted, requestedSeconds) =>
+  rewards.calculateEarnedSeconds(rules, { workoutType, mode, repsCompleted, requestedSeconds });
+
+function testRewards() {
+  console.log('🧪 Testing Reward Rules\n');
+
+  // Version 1 is the app's table; targets for 10 minutes, worked out from
+  // WorkoutRewardCalculator (baseRate * minutes * multiplier, clamped)
+  console.log('Targets match the app (10 minutes)');
+  check('push-ups cozy/normal/tuff', ['cozy', 'normal', 'tuff'].map(m => target('push-ups', m, 10)), [7, 10, 14]);
+  check('squats cozy/normal/tuff', ['cozy', 'normal', 'tuff'].map(m => target('squats', m, 10)), [9, 12, 16]);
+  check('jumping-jacks cozy/normal/tuff', ['cozy', 'normal', 'tuff'].map(m => target('jumping-jacks', m, 10)), [20, 25, 30]);
+  check('burpees cozy/normal/tuff', ['cozy', 'normal', 'tuff'].map(m => target('burpees', m, 10)), [4, 6, 9]);
+  check('plank cozy/normal/tuff (seconds)', ['cozy', 'normal', 'tuff'].map(m => target('plank', m, 10)), [21, 30, 45]);
+  check('workout type is case-insensitive', target('PUSH-UPS', 'normal', 10), 10);
+  console.log('');
+
+  console.log('Clamps');
+  check('min clamp raises small targets (squats tuff, 5 min)', target('squats', 'tuff', 5), 10);
+  check('min clamp (plank cozy, 5 min)', target('plank', 'cozy', 5), 20);
+  check('time-based max clamp (plank normal/tuff, 60 min)', [target('plank', 'normal', 60), target('plank', 'tuff', 60)], [120, 180]);
+  const tight = {
+    ...rules,
+    modeProfiles: { ...rules.modeProfiles, 'push-ups': { normal: { multiplier: 1.0, min: 1, maxFactor: 0.5 } } }
+  };
+  check('maxFactor caps rep-based targets at minutes * maxFactor',
+    rewards.calculateWorkoutTarget(tight, 'push-ups', 'normal', 30), 15);
+  check('unknown mode falls back to normal', target('push-ups', 'extreme', 10), 10);
+  check('no minutes means no target', target('push-ups', 'normal', 0), 0);
+  console.log('');
+
+  console.log('Earned time');
+  check('20 push-ups (normal) earn 20 minutes', earned('push-ups', 'normal', 20), 1200);
+  check('14 push-ups (tuff) earn 10 minutes', earned('push-ups', 'tuff', 14), 600);
+  check('earned time steps down to a selectable duration', earned('push-ups', 'normal', 23), 1200);
+  check('fewer reps than the shortest target earn nothing', earned('push-ups', 'normal', 4), 0);
+  check('reps beyond the slider earn the maximum', earned('push-ups', 'normal', 500), 3600);
+  check('plank held 45 seconds (normal) earns 15 minutes', earned('plank', 'normal', 45), 900);
+  check('plank at its time cap earns the maximum', earned('plank', 'normal', 120), 3600);
+  check('capped at the selection', earned('push-ups', 'normal', 500, 1000), 900);
+  check('selection below the shortest duration earns nothing',
+    [60, 200, 299].map(requested => earned('push-ups', 'normal', 500, requested)), [0, 0, 0]);
+  check('selection of exactly the shortest duration', earned('push-ups', 'normal', 500, 300), 300);
+  check('no reps earn nothing', [earned('push-ups', 'normal', 0), earned('push-ups', 'normal', -5)], [0, 0]);
+  console.log('');
+
+  console.log('Unknown workout types');
+  check('only listed types are known',
+    [rewards.isKnownWorkoutType(rules, 'Burpees'), rewards.isKnownWorkoutType(rules, 'anything')], [true, false]);
+  check('unknown type has no target', errorOf(() => target('anything', 'normal', 60)), 'Invalid workoutType: anything');
+  check('quote rejects an unknown type',
+    errorOf(() => rewards.quoteReward({ workoutType: 'anything', reps: 60 })),
+    'Invalid workoutType: must be one of push-ups, squats, plank, jumping-jacks, burpees');
+  check('quote of a known type', rewards.quoteReward({ workoutType: 'plank', minutes: 10 }),
+    { workoutType: 'plank', mode: 'normal', unit: 'seconds', rulesVersion: 1, desiredMinutes: 10, target: 30, earnedSeconds: 600 });
+  console.log('');
+
+  console.log('Rule versions');
+  const configured = process.env.REWARD_RULES_VERSION;
+  rewards.REWARD_RULE_VERSIONS[2] = { ...rules, version: 2 };
+  try {
+    delete process.env.REWARD_RULES_VERSION;
+    check('latest version at load time is the default', rewards.getActiveRules().version, 1);
+    process.env.REWARD_RULES_VERSION = '2';
+    check('REWARD_RULES_VERSION selects a version', rewards.getActiveRules().version, 2);
+    process.env.REWARD_RULES_VERSION = '1';
+    check('older versions stay selectable', rewards.getActiveRules().version, 1);
+    process.env.REWARD_RULES_VERSION = '99';
+    check('unknown version falls back to the latest', rewards.getActiveRules().version, 1);
+  } finally {
+    delete rewards.REWARD_RULE_VERSIONS[2];
+    if (configured === undefined) {
+      delete process.env.REWARD_RULES_VERSION;
+    } else {
+      process.env.REWARD_RULES_VERSION = configured;
+    }
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testRewards();
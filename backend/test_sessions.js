@@ -0,0 +1,249 @@
+/**
+ * Sessions Test (No Database Required)
+ * Signs in on several devices against in-memory user_sessions and
+ * refresh_tokens tables, then checks that revoking a session (through
+ * DELETE /api/auth/sessions/:id in a real Express app) ends its refresh
+ * tokens and never reaches another user's sessions, and that reusing a
+ * rotated refresh token revokes its session.
+ *
+ * Usage: node backend/test_sessions.js
+ */
+
+const http = require('http');
+const express = require('express');
+const auth = require('./auth');
+const sessions = require('./sessions');
+const authRoutes = require('./authRoutes');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Pool stand-in for the session and refresh token queries
+ */
+function fakePool() {
+  const userSessions = [];
+  const refreshTokens = [];
+  const auditLogs = [];
+
+  const query = async (sql, params = []) => {
+    if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') {
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM account_deletions')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO user_sessions')) {
+      const session = {
+        id: userSessions.length + 1, user_id: params[0], device_name: params[1], platform: params[2],
+        last_ip: params[3], user_agent: params[4], created_at: new Date(), last_seen_at: new Date(), revoked_at: null
+      };
+      userSessions.push(session);
+      return { rows: [{ ...session }] };
+    }
+    if (sql.startsWith('INSERT INTO refresh_tokens')) {
+      refreshTokens.push({
+        id: refreshTokens.length + 1, user_id: params[0], token: params[1], expires_at: params[2],
+        session_id: params[3], parent_id: params[4], rotated_at: null
+      });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT id, user_id, session_id, expires_at, rotated_at, NOW() AS now')) {
+      return { rows: refreshTokens.filter(t => t.token === params[0]).map(t => ({ ...t, now: new Date() })) };
+    }
+    if (sql.startsWith('UPDATE refresh_tokens SET rotated_at = NOW()')) {
+      Object.assign(refreshTokens.find(t => t.id === params[0]), { rotated_at: new Date(), session_id: params[1] });
+      return { rows: [] };
+    }
+    if (sql.includes('rotated_at IS NOT NULL AND expires_at <= NOW()')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE user_sessions SET last_seen_at')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE user_sessions SET revoked_at = NOW()')) {
+      const matching = sql.includes('WHERE id = $1 AND user_id = $2')
+        ? userSessions.filter(s => s.id === params[0] && s.user_id === params[1] && !s.revoked_at)
+        : userSessions.filter(s => s.user_id === params[0] && !s.revoked_at && (params[1] === null || s.id !== params[1]));
+      matching.forEach(s => { s.revoked_at = new Date(); });
+      return { rows: [], rowCount: matching.length };
+    }
+    if (sql.startsWith('DELETE FROM refresh_tokens')) {
+      const remove = sql.includes('WHERE session_id = $1 AND user_id = $2')
+        ? t => t.session_id === params[0] && t.user_id === params[1]
+        : t => t.user_id === params[0] && (params[1] === null || t.session_id !== params[1]);
+      for (let i = refreshTokens.length - 1; i >= 0; i--) {
+        if (remove(refreshTokens[i])) {
+          refreshTokens.splice(i, 1);
+        }
+      }
+      return { rows: [] };
+    }
+    if (sql.includes('FROM user_sessions s')) {
+      const active = userSessions.filter(s => s.user_id === params[0] && !s.revoked_at &&
+        refreshTokens.some(t => t.session_id === s.id && !t.rotated_at && t.expires_at > new Date()));
+      return { rows: active.sort((a, b) => b.id - a.id) };
+    }
+    if (sql.startsWith('INSERT INTO audit_logs')) {
+      auditLogs.push({ event_type: params[0], user_id: params[1] });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    userSessions,
+    refreshTokens,
+    auditLogs
+  };
+}
+
+/**
+ * Send a request to the test server
+ */
+function request(port, method, path, token) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers: { Authorization: `Bearer ${token}` } }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function testSessions() {
+  console.log('🧪 Testing Sessions\n');
+
+  const pool = fakePool();
+  const app = express();
+  app.use(express.json());
+  app.locals.pool = pool;
+  app.use('/api/auth', authRoutes);
+  const server = app.listen(0);
+  const port = server.address().port;
+
+  // Keep the route logging out of the results
+  const log = console.log;
+  const quiet = async (promise) => {
+    console.log = () => {};
+    try {
+      return await promise;
+    } finally {
+      console.log = log;
+    }
+  };
+
+  try {
+    // Two devices for user 7, one for user 8
+    const phone = await auth.startSession(pool, 7, { deviceName: 'Phone', platform: 'iOS' });
+    const laptop = await auth.startSession(pool, 7, { deviceName: 'Laptop', platform: 'web' });
+    const other = await auth.startSession(pool, 8, { deviceName: 'Other phone', platform: 'android' });
+    const [phoneSession, laptopSession, otherSession] = pool.userSessions;
+
+    console.log('Listing');
+    const listed = await sessions.listSessions(pool, 7);
+    check('each sign in gets its own session', listed.map(s => s.deviceName).join() === 'Laptop,Phone', listed);
+    check('platform is normalized', phoneSession.platform === 'ios', phoneSession.platform);
+    console.log('');
+
+    // Revoking one session
+    console.log('Revoking a session');
+    const phoneRefreshed = await auth.refreshAccessToken(pool, phone.refreshToken);
+    const revoked = await quiet(request(port, 'DELETE', `/api/auth/sessions/${phoneSession.id}`, laptop.accessToken));
+    check('user revokes their own session', revoked.status === 200 && revoked.body.success === true, revoked);
+    check('revoked session is marked revoked', phoneSession.revoked_at !== null);
+    check('its refresh tokens are deleted', !pool.refreshTokens.some(t => t.session_id === phoneSession.id), pool.refreshTokens);
+    check('its current refresh token stops working',
+      await errorOf(auth.refreshAccessToken(pool, phoneRefreshed.refreshToken)) === 'Invalid or expired refresh token');
+    check('its rotated refresh token stops working too',
+      await errorOf(auth.refreshAccessToken(pool, phone.refreshToken)) === 'Invalid or expired refresh token');
+    check('the other device stays signed in', (await auth.refreshAccessToken(pool, laptop.refreshToken)).accessToken !== undefined);
+    check('revoked session is no longer listed', (await sessions.listSessions(pool, 7)).every(s => s.id !== phoneSession.id));
+
+    const again = await quiet(request(port, 'DELETE', `/api/auth/sessions/${phoneSession.id}`, laptop.accessToken));
+    check('revoking it again is not found', again.status === 404 && again.body.code === 'SESSION_NOT_FOUND', again);
+    const invalid = await quiet(request(port, 'DELETE', '/api/auth/sessions/1abc', laptop.accessToken));
+    check('malformed session ID is rejected', invalid.status === 400 && invalid.body.code === 'INVALID_SESSION_ID', invalid);
+    console.log('');
+
+    // Another user's session
+    console.log('Another user\'s session');
+    const crossUser = await quiet(request(port, 'DELETE', `/api/auth/sessions/${otherSession.id}`, laptop.accessToken));
+    check('a user cannot revoke another user\'s session', crossUser.status === 404 && crossUser.body.code === 'SESSION_NOT_FOUND', crossUser);
+    check('the other user\'s session is untouched', otherSession.revoked_at === null);
+    check('the other user\'s refresh token still works', (await auth.refreshAccessToken(pool, other.refreshToken)).accessToken !== undefined);
+    check('revokeSession ignores sessions of other users', (await sessions.revokeSession(pool, 7, otherSession.id)) === false);
+    console.log('');
+
+    // Reusing a rotated refresh token
+    console.log('Refresh token reuse');
+    const watch = await auth.startSession(pool, 9, { deviceName: 'Watch' });
+    const desktop = await auth.startSession(pool, 9, { deviceName: 'Desktop' });
+    const watchSession = pool.userSessions[pool.userSessions.length - 2];
+    const watchRefreshed = await auth.refreshAccessToken(pool, watch.refreshToken);
+    check('reuse within the grace period is refused without revoking',
+      await errorOf(auth.refreshAccessToken(pool, watch.refreshToken)) === 'Refresh token already rotated'
+        && watchSession.revoked_at === null);
+    const watchLatest = await auth.refreshAccessToken(pool, watchRefreshed.refreshToken);
+    check('reuse after the grace period is detected',
+      await quiet(errorOf(auth.refreshAccessToken(pool, watchRefreshed.refreshToken, {}, { reuseGraceMs: 0 }))) === 'Refresh token reuse detected');
+    check('the token family\'s session is revoked', watchSession.revoked_at !== null);
+    check('the latest token in the family stops working',
+      await errorOf(auth.refreshAccessToken(pool, watchLatest.refreshToken)) === 'Invalid or expired refresh token');
+    check('the reuse is audited', pool.auditLogs.some(l => l.event_type === 'refresh_token_reuse_detected' && l.user_id === 9),
+      pool.auditLogs);
+    check('the user\'s other device stays signed in', (await auth.refreshAccessToken(pool, desktop.refreshToken)).accessToken !== undefined);
+    console.log('');
+
+    // Signing out everywhere
+    console.log('Signing out other devices');
+    const tablet = await auth.startSession(pool, 7, { deviceName: 'Tablet' });
+    const revokedCount = await sessions.revokeUserSessions(pool, 7, { exceptSessionId: laptopSession.id });
+    check('every other session is revoked', revokedCount === 1, revokedCount);
+    check('only the kept session is listed',
+      (await sessions.listSessions(pool, 7)).map(s => s.id).join() === String(laptopSession.id));
+    check('the revoked tablet token stops working',
+      await errorOf(auth.refreshAccessToken(pool, tablet.refreshToken)) === 'Invalid or expired refresh token');
+    check('user 8 is still signed in', (await sessions.listSessions(pool, 8)).length === 1);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  } finally {
+    server.close();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testSessions();
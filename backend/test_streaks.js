@@ -0,0 +1,163 @@
+/**
+ * Streak Engine Test (No Database Required)
+ * Covers day boundaries across DST transitions and travelling users
+ *
+ * Usage: node backend/test_streaks.js
+ */
+
+const streaks = require('./streaks');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  if (ok) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   expected: ${JSON.stringify(expected)}`);
+    console.log(`   actual:   ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Minimal pool stand-in that answers the three queries getStreakSummary makes
+ */
+function fakePool({ timezone, planId = null, workouts }) {
+  return {
+    query: async (sql) => {
+      if (sql.includes('FROM users')) {
+        return { rows: [{ timezone }] };
+      }
+      if (sql.includes('FROM subscriptions')) {
+        return { rows: planId ? [{ plan_id: planId }] : [] };
+      }
+      if (sql.includes('FROM workouts')) {
+        return { rows: workouts.map(w => ({ completed_at: new Date(w.at), timezone: w.timezone || null })) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+async function testStreaks() {
+  console.log('🧪 Testing Streak Engine\n');
+
+  // Timezone validation
+  console.log('Timezone validation');
+  check('accepts Europe/Berlin', streaks.isValidTimeZone('Europe/Berlin'), true);
+  check('rejects Mars/Olympus', streaks.isValidTimeZone('Mars/Olympus'), false);
+  console.log('');
+
+  // Local dates across DST transitions
+  console.log('DST transitions (America/New_York)');
+  // Spring forward: 2024-03-10 02:00 -> 03:00, day is 23 hours long
+  check('23:30 EDT on spring-forward day stays on that day',
+    streaks.toLocalDate(new Date('2024-03-11T03:30:00Z'), 'America/New_York'), '2024-03-10');
+  check('00:30 EST on spring-forward day is that day',
+    streaks.toLocalDate(new Date('2024-03-10T05:30:00Z'), 'America/New_York'), '2024-03-10');
+  // Fall back: 2024-11-03 02:00 -> 01:00, day is 25 hours long
+  check('23:30 EST on fall-back day stays on that day',
+    streaks.toLocalDate(new Date('2024-11-04T04:30:00Z'), 'America/New_York'), '2024-11-03');
+  check('00:30 EDT on fall-back day is that day',
+    streaks.toLocalDate(new Date('2024-11-03T04:30:00Z'), 'America/New_York'), '2024-11-03');
+
+  const springDays = ['2024-03-09', '2024-03-10', '2024-03-11'];
+  check('streak spanning spring-forward counts every day',
+    streaks.computeStreaks(springDays, '2024-03-11').currentStreak, 3);
+  const fallDays = ['2024-11-02', '2024-11-03', '2024-11-04'];
+  check('streak spanning fall-back counts every day',
+    streaks.computeStreaks(fallDays, '2024-11-04').currentStreak, 3);
+  console.log('');
+
+  // Streak rules
+  console.log('Streak rules');
+  check('no workouts means no streak',
+    streaks.computeStreaks([], '2024-05-10').currentStreak, 0);
+  check('missing today does not break the streak yet',
+    streaks.computeStreaks(['2024-05-08', '2024-05-09'], '2024-05-10').currentStreak, 2);
+  check('missing yesterday breaks the streak without freezes',
+    streaks.computeStreaks(['2024-05-07', '2024-05-08'], '2024-05-10').currentStreak, 0);
+  check('multiple workouts on one day count once',
+    streaks.computeStreaks(['2024-05-09', '2024-05-09', '2024-05-10'], '2024-05-10').currentStreak, 2);
+  check('best streak survives a later break',
+    streaks.computeStreaks(['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-06'], '2024-05-06').bestStreak, 3);
+  console.log('');
+
+  // Freezes
+  console.log('Streak freezes');
+  const frozen = streaks.computeStreaks(['2024-05-07', '2024-05-09', '2024-05-10'], '2024-05-10', 1);
+  check('one freeze bridges a single missed day', frozen.currentStreak, 3);
+  check('bridged day is reported', frozen.frozenDays, ['2024-05-08']);
+  check('freeze usage is counted for the month', frozen.freezesUsedThisMonth, 1);
+  check('allowance is per month, second gap breaks the streak',
+    streaks.computeStreaks(['2024-05-01', '2024-05-03', '2024-05-05'], '2024-05-05', 1).currentStreak, 1);
+  check('allowance resets in a new month',
+    streaks.computeStreaks(['2024-04-28', '2024-04-30', '2024-05-02'], '2024-05-02', 1).currentStreak, 3);
+  console.log('');
+
+  // Full summaries through getStreakSummary
+  console.log('Travelling users');
+
+  // Worked out every local day while travelling Berlin -> New York -> Tokyo.
+  // Each workout is bucketed in the timezone it was done in.
+  const traveller = fakePool({
+    timezone: 'Asia/Tokyo',
+    workouts: [
+      { at: '2024-06-01T21:30:00Z', timezone: 'Europe/Berlin' },     // Jun 1, 23:30 Berlin
+      { at: '2024-06-02T16:00:00Z', timezone: 'America/New_York' },  // Jun 2, 12:00 New York
+      { at: '2024-06-03T10:00:00Z', timezone: 'Asia/Tokyo' }         // Jun 3, 19:00 Tokyo
+    ]
+  });
+  let summary = await streaks.getStreakSummary(traveller, 1, new Date('2024-06-03T11:00:00Z'));
+  check('today uses the current timezone', summary.today, '2024-06-03');
+  check('round-the-world trip keeps the streak', summary.currentStreak, 3);
+  check('no freeze was needed', summary.frozenDays, []);
+
+  // Berlin morning workout, then a flight to Los Angeles. In LA time the
+  // Berlin workout falls on the previous evening, which would open a gap.
+  const westBound = [
+    { at: '2024-06-01T06:00:00Z', timezone: 'Europe/Berlin' },        // Jun 1, 08:00 Berlin
+    { at: '2024-06-03T03:00:00Z', timezone: 'America/Los_Angeles' },  // Jun 2, 20:00 Los Angeles
+    { at: '2024-06-03T19:00:00Z', timezone: 'America/Los_Angeles' }   // Jun 3, 12:00 Los Angeles
+  ];
+  summary = await streaks.getStreakSummary(
+    fakePool({ timezone: 'America/Los_Angeles', workouts: westBound }), 1, new Date('2024-06-03T20:00:00Z')
+  );
+  check('west-bound flight keeps the streak', summary.currentStreak, 3);
+  check('bucketing everything in the new timezone would break it',
+    streaks.computeStreaks(
+      westBound.map(w => streaks.toLocalDate(new Date(w.at), 'America/Los_Angeles')), '2024-06-03'
+    ).currentStreak, 2);
+
+  // Legacy workouts without a stored timezone fall back to the user's zone
+  const legacy = fakePool({
+    timezone: 'America/Los_Angeles',
+    workouts: [
+      { at: '2024-06-02T06:00:00Z' },  // Jun 1, 23:00 Los Angeles
+      { at: '2024-06-02T18:00:00Z' }   // Jun 2, 11:00 Los Angeles
+    ]
+  });
+  summary = await streaks.getStreakSummary(legacy, 1, new Date('2024-06-02T20:00:00Z'));
+  check('legacy workouts use the user timezone', summary.currentStreak, 2);
+  check('free plan gets the free allowance', summary.freezesPerMonth, streaks.STREAK_FREEZES_PER_MONTH.free);
+
+  const advanced = fakePool({
+    timezone: 'UTC',
+    planId: 'advanced',
+    workouts: [{ at: '2024-06-01T12:00:00Z' }, { at: '2024-06-04T12:00:00Z' }]
+  });
+  summary = await streaks.getStreakSummary(advanced, 1, new Date('2024-06-04T13:00:00Z'));
+  check('advanced plan freezes bridge a two-day gap', summary.currentStreak, 2);
+  check('remaining freezes reflect usage',
+    summary.freezesRemainingThisMonth, streaks.STREAK_FREEZES_PER_MONTH.advanced - 2);
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testStreaks();
@@ -0,0 +1,249 @@
+/**
+ * Stripe Events Test (No Database Required)
+ * Applies subscription and invoice events through the stripe_events store,
+ * backed by in-memory stand-ins, and checks that redeliveries are ignored,
+ * late events never undo newer state and a failed event holds back later
+ * events for its subscription until it is replayed.
+ *
+ * Usage: node backend/test_stripe_events.js
+ */
+
+const stripeWebhooks = require('./stripeWebhooks');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Pool stand-in for the stripe_events, subscriptions and subscription_invoices
+ * queries. Guest subscriptions aren't modelled, and the advisory lock is a
+ * no-op since the test applies events one at a time. Setting failUpdates
+ * makes customer.subscription.updated fail, like a database error would.
+ */
+function fakePool() {
+  const events = [];
+  const subscriptions = [];
+  const invoices = [];
+  const state = { failUpdates: false };
+
+  const byTime = (a, b) => (a.stripe_created_at - b.stripe_created_at) || (a.id - b.id);
+
+  const query = async (sql, params = []) => {
+    if (sql.includes('pg_advisory_lock') || sql.includes('pg_advisory_unlock')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO stripe_events')) {
+      if (events.some(e => e.event_id === params[0])) {
+        return { rows: [] };
+      }
+      const row = {
+        id: events.length + 1, event_id: params[0], type: params[1], subscription_id: params[2],
+        stripe_created_at: params[3], payload: JSON.parse(params[4]), status: 'pending', attempts: 0, last_error: null
+      };
+      events.push(row);
+      return { rows: [{ ...row }] };
+    }
+    if (sql.startsWith('SELECT * FROM stripe_events WHERE event_id = $1')) {
+      const statuses = sql.includes('status IN') ? ['pending', 'failed'] : null;
+      return { rows: events.filter(e => e.event_id === params[0] && (!statuses || statuses.includes(e.status))).map(e => ({ ...e })) };
+    }
+    if (sql.includes("status = 'processed' AND type = ANY($2)")) {
+      const newer = events.filter(e => e.subscription_id === params[0] && e.status === 'processed'
+        && params[1].includes(e.type) && e.stripe_created_at > params[2]);
+      return { rows: newer.map(e => ({ event_id: e.event_id })) };
+    }
+    if (sql.includes('AND (stripe_created_at, id) <= ($2, $3)')) {
+      const queued = events.filter(e => e.subscription_id === params[0] && ['pending', 'failed'].includes(e.status)
+        && byTime(e, { stripe_created_at: params[1], id: params[2] }) <= 0);
+      return { rows: queued.sort(byTime).map(e => ({ ...e })) };
+    }
+    if (sql.includes("WHERE status = 'failed'")) {
+      return { rows: events.filter(e => e.status === 'failed').sort(byTime).slice(0, params[0]).map(e => ({ ...e })) };
+    }
+    if (sql.includes('UPDATE stripe_events')) {
+      const event = events.find(e => e.id === params[params.length - 1]);
+      if (sql.includes("status = 'skipped'")) {
+        Object.assign(event, { status: 'skipped', last_error: params[0] });
+      } else if (sql.includes("status = 'failed'")) {
+        Object.assign(event, { status: 'failed', attempts: event.attempts + 1, last_error: params[0] });
+      } else {
+        Object.assign(event, { status: 'processed', attempts: event.attempts + 1, last_error: null });
+      }
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO subscriptions')) {
+      const existing = subscriptions.find(s => s.subscription_id === params[2]);
+      const row = { user_id: params[0], subscription_id: params[2], plan_id: params[3], current_period_end: params[4], is_active: params[5] };
+      if (existing) {
+        Object.assign(existing, row);
+      } else {
+        subscriptions.push(row);
+      }
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE subscriptions')) {
+      const subscription = subscriptions.find(s => s.subscription_id === params[params.length - 1]);
+      if (sql.includes('SET is_active = $1')) {
+        if (state.failUpdates) {
+          throw new Error('connection terminated unexpectedly');
+        }
+        Object.assign(subscription, { is_active: params[0], current_period_end: params[1], plan_id: params[2] || subscription.plan_id });
+      } else if (sql.includes('SET is_active = false')) {
+        subscription.is_active = false;
+      } else {
+        subscription.current_period_end = new Date(Math.max(subscription.current_period_end, params[0]));
+      }
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE anonymous_subscriptions')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO subscription_invoices')) {
+      invoices.push({ invoice_id: params[0], subscription_id: params[1], status: params[3] });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    events,
+    subscriptions,
+    invoices,
+    state
+  };
+}
+
+/**
+ * stripe_events row stored for an event
+ */
+function storedEvent(pool, event) {
+  return pool.events.find(row => row.event_id === event.id);
+}
+
+/**
+ * Event for sub_1 with the given Stripe creation time
+ */
+let eventCounter = 0;
+function event(type, created, object = {}) {
+  const data = type.startsWith('invoice.')
+    ? { id: `in_${++eventCounter}`, object: 'invoice', subscription: 'sub_1', lines: { data: [{ period: { end: created + 30 * 86400 } }] } }
+    : { id: 'sub_1', object: 'subscription', customer: 'cus_1', status: 'active', current_period_end: created + 30 * 86400, metadata: { userId: '7', planId: 'pro' } };
+  return { id: `evt_${++eventCounter}`, object: 'event', type, created, data: { object: { ...data, ...object } } };
+}
+
+async function testStripeEvents() {
+  console.log('🧪 Testing Stripe Event Ordering\n');
+
+  // Keep the module logging out of the results
+  const log = console.log;
+  const error = console.error;
+  const quiet = async (promise) => {
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      return await promise;
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  };
+
+  const stripe = {};
+  const t = 1700000000;
+
+  try {
+    const pool = fakePool();
+    const deliver = (e) => quiet(stripeWebhooks.processStripeEvent(pool, stripe, e));
+
+    // Redeliveries
+    console.log('Redeliveries');
+    const created = event('customer.subscription.created', t);
+    check('new event is processed', (await deliver(created)).status === 'processed');
+    check('subscription is stored', pool.subscriptions[0]?.is_active === true, pool.subscriptions);
+    check('redelivered event is a duplicate', (await deliver(created)).status === 'duplicate');
+    console.log('');
+
+    // Late deliveries
+    console.log('Late deliveries');
+    const canceled = event('customer.subscription.deleted', t + 20, { status: 'canceled' });
+    await deliver(canceled);
+    const lateUpdate = event('customer.subscription.updated', t + 10);
+    check('update created before a processed cancellation is skipped', (await deliver(lateUpdate)).status === 'skipped');
+    check('skipped update does not reactivate', pool.subscriptions[0].is_active === false, pool.subscriptions);
+    check('skipped update names the newer event', storedEvent(pool, lateUpdate).last_error === `Superseded by ${canceled.id}`);
+
+    const lateInvoice = event('invoice.payment_succeeded', t + 10);
+    check('late paid invoice is recorded',
+      (await deliver(lateInvoice)).status === 'processed' && pool.invoices.some(i => i.status === 'paid'), pool.invoices);
+    check('late paid invoice does not reactivate', pool.subscriptions[0].is_active === false, pool.subscriptions);
+
+    const reordered = fakePool();
+    const deliverReordered = (e) => quiet(stripeWebhooks.processStripeEvent(reordered, stripe, e));
+    await deliverReordered(event('customer.subscription.created', t));
+    await deliverReordered(event('customer.subscription.updated', t + 20));
+    const lateCancel = await deliverReordered(event('customer.subscription.deleted', t + 10, { status: 'canceled' }));
+    check('late cancellation is still applied',
+      lateCancel.status === 'processed' && reordered.subscriptions[0].is_active === false, reordered.subscriptions);
+    console.log('');
+
+    // A failed event holds back later ones for its subscription
+    console.log('Failed events');
+    const failing = fakePool();
+    const deliverFailing = (e) => quiet(stripeWebhooks.processStripeEvent(failing, stripe, e));
+    await deliverFailing(event('customer.subscription.created', t));
+    failing.state.failUpdates = true;
+    const pastDue = event('customer.subscription.updated', t + 10, { status: 'past_due' });
+    check('failing event surfaces the error (so Stripe retries)',
+      await errorOf(deliverFailing(pastDue)) === 'connection terminated unexpectedly');
+    check('failure is stored', storedEvent(failing, pastDue).status === 'failed', storedEvent(failing, pastDue));
+
+    const cancelAfter = event('customer.subscription.deleted', t + 20, { status: 'canceled' });
+    check('later event fails while an earlier one is stuck',
+      await errorOf(deliverFailing(cancelAfter)) === 'connection terminated unexpectedly');
+    check('later event is not applied ahead of it',
+      storedEvent(failing, cancelAfter).status === 'pending' && failing.subscriptions[0].is_active === true, failing.subscriptions);
+
+    failing.state.failUpdates = false;
+    const outcomes = await quiet(stripeWebhooks.replayFailedEvents(failing, stripe));
+    check('replay applies the failed event',
+      outcomes.map(o => o.status).join() === 'processed' && storedEvent(failing, pastDue).status === 'processed', outcomes);
+    check('Stripe\'s retry then applies the later event',
+      (await deliverFailing(cancelAfter)).status === 'processed' && failing.subscriptions[0].is_active === false,
+      failing.subscriptions);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testStripeEvents();
@@ -0,0 +1,377 @@
+/**
+ * Stripe Routes Test (No Database Required)
+ * Runs the subscription routes in a real Express app with in-memory stand-ins
+ * for the subscription tables, the Stripe client and the mailer, and checks
+ * that callers can only reach their own subscription, that an unverified
+ * address never picks up a purchase made under it, and that restoring by
+ * email needs the code mailed to the address or a matching signed-in account.
+ *
+ * Usage: node backend/test_stripe_routes.js
+ */
+
+const http = require('http');
+const express = require('express');
+const auth = require('./auth');
+const mailer = require('./mailer');
+const rateLimitStore = require('./rateLimitStore');
+const stripeRoutes = require('./stripeRoutes');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Pool stand-in for the subscription queries the routes make. The
+ * email_verified_at condition is only applied when the query has it.
+ * User 7 is "A" and user 8 is "B", who owns sub_b; guest anon-b owns
+ * sub_anon_b. Users 7 and 9 haven't verified their addresses: a guest bought
+ * sub_anon_jane under user 7's address, and user 9 owns sub_c. Transactions
+ * are not modelled.
+ */
+function fakePool() {
+  const periodEnd = new Date('2030-01-01T00:00:00Z');
+  const users = [
+    { id: 7, email: 'jane@example.com', email_verified_at: null },
+    { id: 8, email: 'bob@example.com', email_verified_at: new Date() },
+    { id: 9, email: 'carol@example.com', email_verified_at: null }
+  ];
+  const subscriptions = [
+    { id: 1, user_id: 8, customer_id: 'cus_b', subscription_id: 'sub_b', plan_id: 'pro', current_period_end: periodEnd, is_active: true, updated_at: new Date() },
+    { id: 2, user_id: 9, customer_id: 'cus_c', subscription_id: 'sub_c', plan_id: 'advanced', current_period_end: periodEnd, is_active: true, updated_at: new Date() }
+  ];
+  const anonymousSubscriptions = [
+    { id: 1, anonymous_id: 'anon-b', email: 'guest@example.com', customer_id: 'cus_anon_b', subscription_id: 'sub_anon_b', plan_id: 'pro', current_period_end: periodEnd, is_active: true, linked_user_id: null, updated_at: new Date() },
+    { id: 2, anonymous_id: 'anon-jane', email: 'jane@example.com', customer_id: 'cus_jane', subscription_id: 'sub_anon_jane', plan_id: 'pro', current_period_end: periodEnd, is_active: true, linked_user_id: null, updated_at: new Date() }
+  ];
+  const restoreCodes = [];
+
+  // Users a lookup by email may match
+  const usersWithEmail = (sql, email) => users.filter(u => u.email === email &&
+    (!sql.includes('email_verified_at IS NOT NULL') || u.email_verified_at !== null));
+
+  const query = async (sql, params) => {
+    if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO rate_limit_counters')) {
+      return { rows: [{ hits: 1, previous_hits: 0 }] };
+    }
+    if (sql.startsWith('INSERT INTO audit_logs')) {
+      return { rows: [] };
+    }
+
+    // Restore codes
+    if (sql.startsWith('SELECT 1 FROM subscriptions s')) {
+      const ids = usersWithEmail(sql, params[0]).map(u => u.id);
+      const found = subscriptions.some(s => ids.includes(s.user_id)) ||
+        anonymousSubscriptions.some(s => s.email === params[0] && s.linked_user_id === null);
+      return { rows: found ? [{ '?column?': 1 }] : [] };
+    }
+    if (sql.startsWith('INSERT INTO restore_codes')) {
+      const [email, codeHash, expiresAt] = params;
+      const row = restoreCodes.find(r => r.email === email);
+      const values = { code_hash: codeHash, failed_attempts: 0, expires_at: expiresAt, used: false };
+      if (row) {
+        Object.assign(row, values);
+      } else {
+        restoreCodes.push({ id: restoreCodes.length + 1, email, ...values });
+      }
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT *, expires_at > NOW() AS is_valid FROM restore_codes')) {
+      const row = restoreCodes.find(r => r.email === params[0]);
+      return { rows: row ? [{ ...row, is_valid: row.expires_at > new Date() }] : [] };
+    }
+    if (sql.startsWith('UPDATE restore_codes SET failed_attempts')) {
+      Object.assign(restoreCodes.find(r => r.id === params[2]), { failed_attempts: params[0], used: params[1] });
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE restore_codes SET used = true')) {
+      restoreCodes.find(r => r.id === params[0]).used = true;
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('SELECT email FROM users WHERE id = $1')) {
+      const user = users.find(u => u.id === params[0]);
+      return { rows: user ? usersWithEmail(sql, user.email).map(u => ({ email: u.email })) : [] };
+    }
+    if (sql.includes('INNER JOIN users u ON s.user_id = u.id')) {
+      if (sql.includes('UNION ALL')) {
+        return { rows: [] };
+      }
+      const ids = usersWithEmail(sql, params[0]).map(u => u.id);
+      const rows = subscriptions.filter(s => ids.includes(s.user_id) && s.is_active);
+      return { rows: rows.map(s => ({ ...s, email: params[0], subscription_type: 'authenticated' })) };
+    }
+    if (/FROM anonymous_subscriptions\s+WHERE email = \$1 AND is_active = true/.test(sql)) {
+      const rows = anonymousSubscriptions.filter(s => s.email === params[0] && s.is_active && s.linked_user_id === null);
+      return { rows: rows.map(s => ({ ...s, subscription_type: 'anonymous' })) };
+    }
+    if (sql.startsWith('UPDATE anonymous_subscriptions SET linked_user_id')) {
+      anonymousSubscriptions.find(s => s.id === params[1]).linked_user_id = params[0];
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO subscriptions')) {
+      const [userId, customerId, subscriptionId, planId, currentPeriodEnd, isActive] = params;
+      subscriptions.push({ id: subscriptions.length + 1, user_id: userId, customer_id: customerId, subscription_id: subscriptionId, plan_id: planId, current_period_end: currentPeriodEnd, is_active: isActive, updated_at: new Date() });
+      return { rows: [] };
+    }
+    if (/^UPDATE (subscriptions|anonymous_subscriptions) SET current_period_end = \$1/.test(sql)) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT * FROM subscriptions WHERE subscription_id = $1 AND user_id = $2')) {
+      return { rows: subscriptions.filter(s => s.subscription_id === params[0] && s.user_id === params[1]) };
+    }
+    if (sql.startsWith('SELECT * FROM anonymous_subscriptions WHERE subscription_id = $1 AND anonymous_id = $2')) {
+      return { rows: anonymousSubscriptions.filter(s => s.subscription_id === params[0] && s.anonymous_id === params[1] && s.linked_user_id === null) };
+    }
+    if (sql.startsWith('SELECT * FROM subscriptions WHERE user_id = $1 AND is_active = true')) {
+      return { rows: subscriptions.filter(s => s.user_id === params[0] && s.is_active) };
+    }
+    if (sql.startsWith('SELECT * FROM anonymous_subscriptions WHERE anonymous_id = $1 AND is_active = true')) {
+      return { rows: anonymousSubscriptions.filter(s => s.anonymous_id === params[0] && s.is_active) };
+    }
+    const update = sql.match(/^UPDATE (subscriptions|anonymous_subscriptions) SET is_active = (true|false|\$1)/);
+    if (update) {
+      const table = update[1] === 'subscriptions' ? subscriptions : anonymousSubscriptions;
+      const row = table.find(s => s.subscription_id === params[params.length - 1]);
+      if (row) {
+        row.is_active = update[2] === '$1' ? params[0] : update[2] === 'true';
+      }
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    users,
+    subscriptions,
+    anonymousSubscriptions,
+    restoreCodes
+  };
+}
+
+/**
+ * Stripe client stand-in that records the subscriptions it was asked to change
+ */
+function fakeStripe() {
+  const updated = [];
+  return {
+    updated,
+    subscriptions: {
+      update: async (id, params) => {
+        updated.push(id);
+        return { id, cancel_at: 1893456000, cancel_at_period_end: params.cancel_at_period_end };
+      },
+      retrieve: async (id) => ({ id, status: 'active', cancel_at_period_end: false, current_period_end: 1893456000 })
+    }
+  };
+}
+
+/**
+ * Send a JSON request to the test server
+ */
+function request(port, method, path, body, token) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : undefined;
+    const headers = { 'Content-Type': 'application/json' };
+    if (payload) {
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const req = http.request({ port, method, path, headers }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * True when the response is the cross-user 403
+ */
+function isCrossUserForbidden(response) {
+  return response.status === 403 && response.body.code === 'CROSS_USER_FORBIDDEN';
+}
+
+/**
+ * True when the response only says a code may have been sent
+ */
+function isCodeSent(response) {
+  return response.status === 202 && response.body.codeSent === true && response.body.subscription === undefined;
+}
+
+async function testStripeRoutes() {
+  console.log('🧪 Testing Stripe Routes\n');
+
+  const pool = fakePool();
+  const stripe = fakeStripe();
+  rateLimitStore.setPool(pool);
+
+  const app = express();
+  app.use(express.json());
+  app.locals.pool = pool;
+  app.locals.stripe = stripe;
+  app.use('/api/stripe', stripeRoutes);
+  const server = app.listen(0);
+
+  // Capture the restore codes instead of sending them
+  const sentCodes = [];
+  mailer.sendMail = async (mailOptions) => {
+    sentCodes.push({ to: mailOptions.to, code: mailOptions.subject.match(/(\d{6})$/)[1] });
+  };
+  const port = server.address().port;
+
+  const userA = auth.generateTokens(7).accessToken;
+  const userB = auth.generateTokens(8).accessToken;
+  const guestA = auth.generateAnonymousTokens('anon-a').accessToken;
+  const guestB = auth.generateAnonymousTokens('anon-b').accessToken;
+  const userC = auth.generateTokens(9).accessToken;
+
+  // Keep the route logging out of the results
+  const log = console.log;
+  const warn = console.warn;
+  const error = console.error;
+  const quiet = async (promise) => {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    try {
+      return await promise;
+    } finally {
+      console.log = log;
+      console.warn = warn;
+      console.error = error;
+    }
+  };
+
+  try {
+    // Another user's subscription
+    console.log('Cross-user access');
+    const missing = await quiet(request(port, 'POST', '/api/stripe/cancel-subscription', { subscriptionId: 'sub_b' }));
+    check('no credential is rejected', missing.status === 401, missing);
+
+    const cancel = await quiet(request(port, 'POST', '/api/stripe/cancel-subscription', { subscriptionId: 'sub_b' }, userA));
+    check('user A cannot cancel user B\'s subscription', isCrossUserForbidden(cancel), cancel);
+    const reactivate = await quiet(request(port, 'POST', '/api/stripe/reactivate-subscription', { subscriptionId: 'sub_b' }, userA));
+    check('user A cannot reactivate user B\'s subscription', isCrossUserForbidden(reactivate), reactivate);
+    check('Stripe is never called for the other user\'s subscription', stripe.updated.length === 0, stripe.updated);
+    check('user B\'s subscription is untouched', pool.subscriptions[0].is_active === true);
+
+    const statusPath = await quiet(request(port, 'GET', '/api/stripe/subscription-status/8', null, userA));
+    check('user A cannot read user B\'s status by path', isCrossUserForbidden(statusPath), statusPath);
+    const statusQuery = await quiet(request(port, 'GET', '/api/stripe/subscription-status?userId=8', null, userA));
+    check('user A cannot read user B\'s status by query', isCrossUserForbidden(statusQuery), statusQuery);
+    const claimed = await quiet(request(port, 'POST', '/api/stripe/cancel-subscription', { userId: 8, subscriptionId: 'sub_b' }, userA));
+    check('claiming user B\'s userId in the body is refused', isCrossUserForbidden(claimed), claimed);
+
+    const guestCancel = await quiet(request(port, 'POST', '/api/stripe/cancel-subscription', { subscriptionId: 'sub_anon_b' }, guestA));
+    check('a guest cannot cancel another guest\'s subscription', isCrossUserForbidden(guestCancel), guestCancel);
+    const guestStatus = await quiet(request(port, 'GET', '/api/stripe/subscription-status?anonymousId=anon-b', null, guestA));
+    check('a guest cannot read another guest\'s status', isCrossUserForbidden(guestStatus), guestStatus);
+    const guestAsUser = await quiet(request(port, 'GET', '/api/stripe/subscription-status/8', null, guestB));
+    check('a guest cannot claim a userId', isCrossUserForbidden(guestAsUser), guestAsUser);
+    console.log('');
+
+    // The owner
+    console.log('Owner access');
+    const ownStatus = await quiet(request(port, 'GET', '/api/stripe/subscription-status/8', null, userB));
+    check('user B reads their own status', ownStatus.status === 200 && ownStatus.body.subscriptionId === 'sub_b', ownStatus);
+    const ownGuestStatus = await quiet(request(port, 'GET', '/api/stripe/subscription-status', null, guestB));
+    check('a guest reads their own status', ownGuestStatus.status === 200 && ownGuestStatus.body.subscriptionId === 'sub_anon_b', ownGuestStatus);
+    const ownCancel = await quiet(request(port, 'POST', '/api/stripe/cancel-subscription', { subscriptionId: 'sub_b' }, userB));
+    check('user B cancels their own subscription',
+      ownCancel.status === 200 && stripe.updated.join() === 'sub_b' && pool.subscriptions[0].is_active === false, ownCancel);
+    console.log('');
+
+    // Purchases under an address nobody has verified
+    console.log('Unverified email addresses');
+    const unverifiedStatus = await quiet(request(port, 'GET', '/api/stripe/subscription-status', null, userA));
+    check('status email fallback skips an unverified address',
+      unverifiedStatus.status === 200 && unverifiedStatus.body.isActive === false && unverifiedStatus.body.subscriptionId === null, unverifiedStatus);
+    check('the guest purchase is not linked to the unverified user',
+      pool.anonymousSubscriptions[1].linked_user_id === null && !pool.subscriptions.some(s => s.user_id === 7));
+
+    const unverifiedRestore = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'carol@example.com' }));
+    check('restore by email skips a subscription under an unverified address',
+      isCodeSent(unverifiedRestore) && sentCodes.length === 0, { unverifiedRestore, sentCodes });
+
+    pool.users.forEach(u => { u.email_verified_at = new Date(); });
+    const verifiedStatus = await quiet(request(port, 'GET', '/api/stripe/subscription-status', null, userA));
+    check('once verified, the email fallback links the guest purchase',
+      verifiedStatus.body.subscriptionId === 'sub_anon_jane' && pool.anonymousSubscriptions[1].linked_user_id === 7, verifiedStatus);
+    console.log('');
+
+    // Restoring by email needs proof of the address
+    console.log('Restore by email');
+    const noCredentials = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'carol@example.com' }));
+    check('a caller with no credentials only gets a code sent', isCodeSent(noCredentials), noCredentials);
+    check('the code goes to the address', sentCodes.length === 1 && sentCodes[0].to === 'carol@example.com', sentCodes);
+
+    const unknown = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'nobody@example.com' }));
+    check('an address without purchases gets the same answer',
+      isCodeSent(unknown) && unknown.body.message === noCredentials.body.message, unknown);
+    check('no code is mailed to it', sentCodes.length === 1, sentCodes);
+
+    const wrongCode = await quiet(request(port, 'POST', '/api/stripe/restore-by-email',
+      { email: 'carol@example.com', code: sentCodes[0].code === '000000' ? '111111' : '000000' }));
+    check('a wrong code is refused', wrongCode.status === 400 && wrongCode.body.error === 'invalid_code', wrongCode);
+    const badType = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'carol@example.com', code: 123456 }));
+    check('a code that isn\'t a string is refused', badType.status === 400 && badType.body.error === 'invalid_code', badType);
+
+    const verifiedRestore = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'carol@example.com', code: sentCodes[0].code }));
+    check('the emailed code restores the subscription',
+      verifiedRestore.status === 200 && verifiedRestore.body.subscription.subscriptionId === 'sub_c', verifiedRestore);
+    const restored = verifiedRestore.body.subscription || {};
+    check('the response leaves out the customer, user and guest IDs',
+      !('customerId' in restored) && !('userId' in restored) && !('anonymousId' in restored), restored);
+    const reused = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'carol@example.com', code: sentCodes[0].code }));
+    check('a code works once', reused.status === 400 && reused.body.error === 'invalid_code', reused);
+
+    await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'guest@example.com' }));
+    const guestCode = sentCodes[sentCodes.length - 1].code;
+    const wrongGuestCode = guestCode === '000000' ? '111111' : '000000';
+    for (let i = 0; i < 5; i++) {
+      await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'guest@example.com', code: wrongGuestCode }));
+    }
+    const burned = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'guest@example.com', code: guestCode }));
+    check('a code is burned after 5 wrong guesses', burned.status === 400 && burned.body.error === 'invalid_code', burned);
+
+    const signedIn = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'Carol@Example.com' }, userC));
+    check('a signed-in user restores their verified address without a code',
+      signedIn.status === 200 && signedIn.body.subscription.subscriptionId === 'sub_c', signedIn);
+    const otherAddress = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'guest@example.com' }, userC));
+    check('another address still needs a code', isCodeSent(otherAddress), otherAddress);
+    const guestToken = await quiet(request(port, 'POST', '/api/stripe/restore-by-email', { email: 'guest@example.com' }, guestB));
+    check('a guest token is no proof of the address', isCodeSent(guestToken), guestToken);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  } finally {
+    server.close();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testStripeRoutes();
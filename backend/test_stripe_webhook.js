@@ -0,0 +1,242 @@
+/**
+ * Stripe Webhook Test
+ * Signs test events locally, verifies them the way the webhook route does and
+ * applies them through the stripe_events store. No Stripe account or network
+ * access needed.
+ *
+ * Skipped when DATABASE_URL is not set.
+ *
+ * Usage: DATABASE_URL=... node backend/test_stripe_webhook.js
+ */
+
+require('dotenv').config();
+
+if (!process.env.DATABASE_URL) {
+  console.log('⏭️ Skipping Stripe Webhook Test: DATABASE_URL is not set (test_stripe_events.js covers event ordering without a database)');
+  process.exit(0);
+}
+
+const { Pool } = require('pg');
+const stripe = require('stripe')('sk_test_local_webhook_test');
+const stripeWebhooks = require('./stripeWebhooks');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: false
+});
+
+const WEBHOOK_SECRET = 'whsec_local_webhook_test';
+const RUN_ID = Date.now();
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Build a Stripe event, sign it and verify it like /api/stripe/webhook does
+ */
+let eventCounter = 0;
+function signedEvent(type, object, { id, created } = {}) {
+  const payload = JSON.stringify({
+    id: id || `evt_test_${RUN_ID}_${++eventCounter}`,
+    object: 'event',
+    type,
+    created: created || Math.floor(Date.now() / 1000),
+    data: { object }
+  });
+  const header = stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+  return stripe.webhooks.constructEvent(payload, header, WEBHOOK_SECRET);
+}
+
+function fakeSubscription(id, metadata, periodEnd) {
+  return {
+    id,
+    object: 'subscription',
+    customer: `cus_test_${RUN_ID}`,
+    status: 'active',
+    current_period_end: periodEnd,
+    metadata
+  };
+}
+
+function fakeInvoice(id, subscriptionId, paid, periodEnd) {
+  return {
+    id,
+    object: 'invoice',
+    subscription: subscriptionId,
+    customer: `cus_test_${RUN_ID}`,
+    amount_due: 999,
+    amount_paid: paid ? 999 : 0,
+    currency: 'usd',
+    billing_reason: 'subscription_cycle',
+    attempt_count: 1,
+    next_payment_attempt: paid ? null : periodEnd,
+    lines: { data: [{ period: { end: periodEnd } }] }
+  };
+}
+
+async function testStripeWebhook() {
+  console.log('🧪 Testing Stripe Webhook Handling\n');
+
+  const now = Math.floor(Date.now() / 1000);
+  const anonymousId = `anon_test_${RUN_ID}`;
+  const anonSubId = `sub_test_anon_${RUN_ID}`;
+  const userSubId = `sub_test_user_${RUN_ID}`;
+  let userId;
+
+  try {
+    // Signature verification
+    console.log('Signature verification');
+    const payload = JSON.stringify({ id: 'evt_tampered', type: 'checkout.session.completed', data: { object: {} } });
+    const header = stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+    let rejected = false;
+    try {
+      stripe.webhooks.constructEvent(payload.replace('evt_tampered', 'evt_changed'), header, WEBHOOK_SECRET);
+    } catch (error) {
+      rejected = true;
+    }
+    check('tampered payload is rejected', rejected);
+    console.log('');
+
+    // Guest checkout completes without the app calling verify-payment
+    console.log('checkout.session.completed (guest)');
+    await stripeWebhooks.processStripeEvent(pool, stripe, signedEvent('checkout.session.completed', {
+      id: `cs_test_${RUN_ID}`,
+      object: 'checkout.session',
+      mode: 'subscription',
+      payment_status: 'paid',
+      customer: `cus_test_${RUN_ID}`,
+      customer_details: { email: `webhook-${RUN_ID}@example.com` },
+      metadata: { userId: '', anonymousId, planId: 'pro' },
+      // Expanded so the test doesn't need to call the Stripe API
+      subscription: fakeSubscription(anonSubId, {}, now + 30 * 86400)
+    }));
+
+    let result = await pool.query('SELECT * FROM anonymous_subscriptions WHERE subscription_id = $1', [anonSubId]);
+    check('anonymous subscription stored', result.rows.length === 1);
+    check('stored from metadata', result.rows[0]?.anonymous_id === anonymousId && result.rows[0]?.plan_id === 'pro',
+      result.rows[0]);
+    check('recovery token generated', !!result.rows[0]?.recovery_token);
+    console.log('');
+
+    // Invoices
+    console.log('invoice.payment_failed / invoice.payment_succeeded');
+    const failedInvoiceId = `in_test_failed_${RUN_ID}`;
+    await stripeWebhooks.processStripeEvent(pool, stripe,
+      signedEvent('invoice.payment_failed', fakeInvoice(failedInvoiceId, anonSubId, false, now + 60 * 86400)));
+    result = await pool.query('SELECT * FROM subscription_invoices WHERE invoice_id = $1', [failedInvoiceId]);
+    check('failed invoice recorded', result.rows[0]?.status === 'failed', result.rows[0]);
+
+    const renewedUntil = now + 60 * 86400;
+    await stripeWebhooks.processStripeEvent(pool, stripe,
+      signedEvent('invoice.payment_succeeded', fakeInvoice(failedInvoiceId, anonSubId, true, renewedUntil)));
+    result = await pool.query('SELECT * FROM subscription_invoices WHERE invoice_id = $1', [failedInvoiceId]);
+    check('retried invoice updated to paid', result.rows[0]?.status === 'paid' && result.rows[0]?.amount_paid === 999,
+      result.rows[0]);
+    result = await pool.query('SELECT current_period_end FROM anonymous_subscriptions WHERE subscription_id = $1', [anonSubId]);
+    check('paid invoice extends the period',
+      Math.floor(new Date(result.rows[0].current_period_end).getTime() / 1000) === renewedUntil,
+      result.rows[0]);
+    console.log('');
+
+    // Authenticated user subscription arriving via customer.subscription.created
+    console.log('customer.subscription.created (authenticated user)');
+    const userResult = await pool.query(
+      'INSERT INTO users (email, firstname) VALUES ($1, $2) RETURNING id',
+      [`webhook-user-${RUN_ID}@example.com`, 'Webhook Test']
+    );
+    userId = userResult.rows[0].id;
+
+    await stripeWebhooks.processStripeEvent(pool, stripe, signedEvent('customer.subscription.created',
+      fakeSubscription(userSubId, { userId: String(userId), anonymousId: '', planId: 'advanced' }, now + 30 * 86400)));
+    result = await pool.query('SELECT * FROM subscriptions WHERE subscription_id = $1', [userSubId]);
+    check('user subscription stored from subscription metadata',
+      result.rows[0]?.user_id === userId && result.rows[0]?.plan_id === 'advanced' && result.rows[0]?.is_active === true,
+      result.rows[0]);
+
+    result = await pool.query('SELECT status FROM stripe_events WHERE subscription_id = $1', [userSubId]);
+    check('event stored as processed', result.rows[0]?.status === 'processed', result.rows[0]);
+    console.log('');
+
+    // Stripe retries deliveries; the stored event ID makes them no-ops
+    console.log('Duplicate and out-of-order deliveries');
+    const deletedEvent = signedEvent('customer.subscription.deleted',
+      { ...fakeSubscription(userSubId, {}, now), status: 'canceled' }, { created: now + 10 });
+    await stripeWebhooks.processStripeEvent(pool, stripe, deletedEvent);
+    result = await pool.query('SELECT is_active FROM subscriptions WHERE subscription_id = $1', [userSubId]);
+    check('subscription marked inactive', result.rows[0]?.is_active === false, result.rows[0]);
+
+    const redelivery = await stripeWebhooks.processStripeEvent(pool, stripe, deletedEvent);
+    check('redelivered event is reported as duplicate', redelivery.status === 'duplicate', redelivery);
+
+    // An update created before the cancellation but delivered after it
+    const late = await stripeWebhooks.processStripeEvent(pool, stripe, signedEvent('customer.subscription.updated',
+      fakeSubscription(userSubId, { planId: 'advanced' }, now + 30 * 86400), { created: now + 5 }));
+    result = await pool.query('SELECT is_active FROM subscriptions WHERE subscription_id = $1', [userSubId]);
+    check('late update is skipped', late.status === 'skipped', late);
+    check('late update does not reactivate', result.rows[0]?.is_active === false, result.rows[0]);
+
+    // A renewal invoice delivered (or replayed) after the cancellation
+    const lateInvoiceId = `in_test_late_${RUN_ID}`;
+    const lateInvoice = await stripeWebhooks.processStripeEvent(pool, stripe, signedEvent('invoice.payment_succeeded',
+      fakeInvoice(lateInvoiceId, userSubId, true, now + 30 * 86400), { created: now + 5 }));
+    result = await pool.query('SELECT is_active FROM subscriptions WHERE subscription_id = $1', [userSubId]);
+    check('late paid invoice is recorded', lateInvoice.status === 'processed', lateInvoice);
+    check('late paid invoice does not reactivate', result.rows[0]?.is_active === false, result.rows[0]);
+    console.log('');
+
+    // A failing event is stored with its error and can be replayed
+    console.log('Failed events and replay');
+    const brokenEvent = signedEvent('invoice.payment_failed', { ...fakeInvoice(null, userSubId, false, now), id: null });
+    let threw = false;
+    try {
+      await stripeWebhooks.processStripeEvent(pool, stripe, brokenEvent);
+    } catch (error) {
+      threw = true;
+    }
+    check('failing event surfaces the error (so Stripe retries)', threw);
+    result = await pool.query('SELECT status, last_error FROM stripe_events WHERE event_id = $1', [brokenEvent.id]);
+    check('failure recorded with error', result.rows[0]?.status === 'failed' && !!result.rows[0]?.last_error, result.rows[0]);
+
+    // Simulate the cause being fixed, then replay from storage
+    const fixedInvoiceId = `in_test_replayed_${RUN_ID}`;
+    await pool.query(
+      `UPDATE stripe_events SET payload = jsonb_set(payload, '{data,object,id}', to_jsonb($1::text)) WHERE event_id = $2`,
+      [fixedInvoiceId, brokenEvent.id]
+    );
+    const outcomes = await stripeWebhooks.replayFailedEvents(pool, stripe, { eventId: brokenEvent.id });
+    check('replay processes the event', outcomes[0]?.status === 'processed', outcomes);
+    result = await pool.query('SELECT status FROM subscription_invoices WHERE invoice_id = $1', [fixedInvoiceId]);
+    check('replayed invoice recorded', result.rows[0]?.status === 'failed', result.rows[0]);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  } finally {
+    // Clean up test data
+    await pool.query('DELETE FROM subscription_invoices WHERE subscription_id = ANY($1)', [[anonSubId, userSubId]]).catch(() => {});
+    await pool.query('DELETE FROM stripe_events WHERE subscription_id = ANY($1)', [[anonSubId, userSubId]]).catch(() => {});
+    await pool.query('DELETE FROM anonymous_subscriptions WHERE subscription_id = $1', [anonSubId]).catch(() => {});
+    if (userId) {
+      await pool.query('DELETE FROM users WHERE id = $1', [userId]).catch(() => {});
+    }
+    await pool.end();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testStripeWebhook();
@@ -0,0 +1,98 @@
+/**
+ * TOTP Test (No Database Required)
+ * Checks code generation against the RFC 6238 test vectors, drift handling
+ * and the otpauth:// URI authenticator apps scan.
+ *
+ * Usage: node backend/test_totp.js
+ */
+
+const totp = require('./totp');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+function testTotp() {
+  console.log('🧪 Testing TOTP\n');
+
+  try {
+    // RFC 6238 appendix B (SHA1, 8 digits, secret "12345678901234567890")
+    console.log('RFC 6238 test vectors');
+    const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+    for (const [seconds, expected] of vectors) {
+      const code = totp.generateTotp(rfcSecret, { timestamp: seconds * 1000, digits: 8 });
+      check(`T=${seconds} gives ${expected}`, code === expected, code);
+    }
+    console.log('');
+
+    console.log('Secrets');
+    const secret = totp.generateSecret();
+    check('secret is 32 base32 characters (160 bits)', /^[A-Z2-7]{32}$/.test(secret), secret);
+    check('base32 round trip', totp.base32Encode(totp.base32Decode(secret)) === secret);
+    check('decoding ignores case and spaces',
+      totp.base32Decode(secret.toLowerCase().replace(/(.{4})/g, '$1 ')).equals(totp.base32Decode(secret)));
+    check('secrets are random', totp.generateSecret() !== secret);
+    console.log('');
+
+    console.log('Verification');
+    const now = Date.UTC(2024, 0, 1, 12, 0, 10);
+    const currentStep = Math.floor(now / 1000 / 30);
+    const code = totp.generateTotp(secret, { timestamp: now });
+    check('current code is accepted and reports its step',
+      totp.verifyTotp(secret, code, { timestamp: now }) === currentStep);
+    check('code from the previous step is accepted (clock drift)',
+      totp.verifyTotp(secret, totp.generateTotp(secret, { timestamp: now - 30000 }), { timestamp: now }) === currentStep - 1);
+    check('code from the next step is accepted (clock drift)',
+      totp.verifyTotp(secret, totp.generateTotp(secret, { timestamp: now + 30000 }), { timestamp: now }) === currentStep + 1);
+    check('code from two steps ago is rejected',
+      totp.verifyTotp(secret, totp.generateTotp(secret, { timestamp: now - 60000 }), { timestamp: now }) === null);
+    check('code with spaces is accepted',
+      totp.verifyTotp(secret, `${code.substring(0, 3)} ${code.substring(3)}`, { timestamp: now }) === currentStep);
+    check('wrong code is rejected',
+      totp.verifyTotp(secret, code === '000000' ? '111111' : '000000', { timestamp: now, window: 0 }) === null);
+    check('malformed codes are rejected',
+      [null, '', '12345', '1234567', 'abcdef'].every(bad => totp.verifyTotp(secret, bad, { timestamp: now }) === null));
+    console.log('');
+
+    console.log('otpauth URI');
+    const uri = totp.buildOtpauthUri({ secret, accountName: 'user+test@example.com' });
+    const parsed = new URL(uri);
+    check('uses the otpauth totp scheme', uri.startsWith('otpauth://totp/PUSHIN:'), uri);
+    check('label carries the encoded account name', uri.includes('PUSHIN:user%2Btest%40example.com'), uri);
+    check('secret and issuer parameters set',
+      parsed.searchParams.get('secret') === secret && parsed.searchParams.get('issuer') === 'PUSHIN', uri);
+    check('algorithm, digits and period set',
+      parsed.searchParams.get('algorithm') === 'SHA1'
+        && parsed.searchParams.get('digits') === '6'
+        && parsed.searchParams.get('period') === '30', uri);
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testTotp();
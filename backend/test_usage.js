@@ -0,0 +1,222 @@
+/**
+ * Daily Usage Test (No Database Required)
+ * Covers plan tier lookup, the server-side usage date, workout-backed earns,
+ * cap clamping, consumption and concurrent earns against an in-memory ledger
+ *
+ * Usage: node backend/test_usage.js
+ */
+
+// A server east of UTC, where pg's DATE values (local midnight) are the day
+// before in UTC
+process.env.TZ = 'Asia/Tokyo';
+
+// Loaded through streaks.js first, like the server does (the two require each other)
+require('./streaks');
+const usage = require('./usage');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  if (ok) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   expected: ${JSON.stringify(expected)}`);
+    console.log(`   actual:   ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Pool stand-in for the queries usage.js makes. SELECT ... FOR UPDATE takes
+ * a lock that COMMIT/ROLLBACK releases, like the daily_usage row lock.
+ * Dates come back as Dates, as pg returns them, unless selected as text.
+ */
+function fakePool({ timezone = 'UTC', planId = null, workouts = [] } = {}) {
+  const dailyUsage = [];
+  const events = [];
+  let lock = Promise.resolve();
+
+  const connect = async () => {
+    let release = null;
+
+    const query = async (sql, params = []) => {
+      const asRow = r => (sql.includes("to_char(date, 'YYYY-MM-DD')") ? { ...r } : { ...r, date: new Date(`${r.date}T00:00:00`) });
+
+      if (sql === 'BEGIN') {
+        return { rows: [] };
+      }
+      if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+        if (release) {
+          release();
+          release = null;
+        }
+        return { rows: [] };
+      }
+      if (sql.includes('FROM users')) {
+        return { rows: [{ timezone }] };
+      }
+      if (sql.includes('FROM subscriptions')) {
+        return { rows: planId ? [{ plan_id: planId }] : [] };
+      }
+      if (sql.includes('FROM workouts')) {
+        return { rows: workouts.filter(w => w.completed_at >= params[1] && w.completed_at < params[2]) };
+      }
+      if (sql.includes('INSERT INTO daily_usage')) {
+        if (!dailyUsage.some(r => r.user_id === params[0] && r.date === params[1])) {
+          dailyUsage.push({ id: dailyUsage.length + 1, user_id: params[0], date: params[1], plan_tier: params[2], earned_seconds: 0, consumed_seconds: 0 });
+        }
+        return { rows: [] };
+      }
+      if (sql.includes('FROM daily_usage')) {
+        if (sql.includes('FOR UPDATE')) {
+          const previous = lock;
+          lock = new Promise(resolve => { release = resolve; });
+          await previous;
+        }
+        return { rows: dailyUsage.filter(r => r.user_id === params[0] && r.date === params[1]).map(asRow) };
+      }
+      if (sql.includes('FROM usage_events')) {
+        return { rows: events.filter(e => e.userId === params[0] && e.eventId === params[1]) };
+      }
+      if (sql.includes('UPDATE daily_usage')) {
+        const row = dailyUsage.find(r => r.id === params[2]);
+        const column = sql.includes('SET earned_seconds') ? 'earned_seconds' : 'consumed_seconds';
+        row[column] += params[0];
+        row.plan_tier = params[1];
+        return { rows: [asRow(row)] };
+      }
+      if (sql.includes('INSERT INTO usage_events')) {
+        events.push({ userId: params[0], eventId: params[3], applied_seconds: params[5] });
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    };
+
+    return { query, release: () => {} };
+  };
+
+  return {
+    connect,
+    query: async (sql, params) => (await connect()).query(sql, params),
+    dailyUsage,
+    events
+  };
+}
+
+/**
+ * A workout completed just now that paid out the given seconds
+ */
+function workoutNow(earnedSeconds) {
+  return { earned_seconds: earnedSeconds, completed_at: new Date(), timezone: null };
+}
+
+async function testUsage() {
+  console.log('🧪 Testing Daily Usage\n');
+
+  try {
+    // Plan tiers
+    console.log('Plan tiers');
+    check('no subscription is free', await usage.getPlanTier(fakePool(), 1), 'free');
+    check('legacy standard plan maps to pro', await usage.getPlanTier(fakePool({ planId: 'Standard' }), 1), 'pro');
+    check('unknown plan falls back to free', await usage.getPlanTier(fakePool({ planId: 'gold' }), 1), 'free');
+    check('caps per tier', ['free', 'pro', 'advanced'].map(usage.getDailyCapSeconds), [3600, 10800, -1]);
+    console.log('');
+
+    // Usage date
+    console.log('Usage date');
+    const now = new Date('2024-06-10T12:00:00Z');
+    const kiritimati = fakePool({ timezone: 'Pacific/Kiritimati' });
+    check('day comes from the stored timezone',
+      (await usage.resolveUsageDate(kiritimati, 1, undefined, now)).date, '2024-06-11');
+    check('client date matching that day is accepted',
+      (await usage.resolveUsageDate(kiritimati, 1, '2024-06-11', now)).date, '2024-06-11');
+    check('neighbouring day is rejected',
+      await errorOf(usage.resolveUsageDate(kiritimati, 1, '2024-06-10', now)), 'Invalid date: must be today in Pacific/Kiritimati (2024-06-11)');
+    check('malformed date is rejected',
+      await errorOf(usage.resolveUsageDate(kiritimati, 1, '06/10/2024', now)), 'Invalid date: must be YYYY-MM-DD');
+
+    const travelled = fakePool({
+      workouts: [
+        { earned_seconds: 600, completed_at: new Date('2024-06-10T23:30:00Z'), timezone: null },
+        { earned_seconds: 900, completed_at: new Date('2024-06-10T23:30:00Z'), timezone: 'Asia/Tokyo' }
+      ]
+    });
+    check('workouts count on their own local day',
+      [await usage.getWorkoutSecondsForDate(travelled, 1, '2024-06-10', 'UTC'),
+        await usage.getWorkoutSecondsForDate(travelled, 1, '2024-06-11', 'UTC')], [600, 900]);
+    console.log('');
+
+    // Earning
+    console.log('Earning');
+    check('earn without workouts is refused',
+      await errorOf(usage.recordEarnedTime(fakePool(), 1, { seconds: 600 })), 'No workout time to earn');
+
+    const pool = fakePool({ workouts: [workoutNow(1200)] });
+    const earned = await usage.recordEarnedTime(pool, 1, { seconds: 600, eventId: 'e-1' });
+    check('earn backed by a workout is applied', [earned.appliedSeconds, earned.clamped], [600, false]);
+    check('usage carries the stored day', [earned.usage.date, (await usage.getDailyUsage(pool, 1)).date],
+      [pool.dailyUsage[0].date, pool.dailyUsage[0].date]);
+    const replay = await usage.recordEarnedTime(pool, 1, { seconds: 600, eventId: 'e-1' });
+    check('replayed eventId is not applied twice', [replay.duplicate, pool.dailyUsage[0].earned_seconds], [true, 600]);
+    check('strict earn over the workouts is refused',
+      await errorOf(usage.recordEarnedTime(pool, 1, { seconds: 900, strict: true })), 'Earn exceeds recorded workouts');
+    const clamped = await usage.recordEarnedTime(pool, 1, { seconds: 900 });
+    check('earn is clamped to the workouts', [clamped.appliedSeconds, clamped.clamped], [600, true]);
+    check('nothing left once the workouts are spent',
+      await errorOf(usage.recordEarnedTime(pool, 1, { seconds: 60 })), 'No workout time to earn');
+
+    const capPool = fakePool({ workouts: [workoutNow(3000), workoutNow(3000)] });
+    check('strict earn over the cap is refused',
+      await errorOf(usage.recordEarnedTime(capPool, 1, { seconds: 4000, strict: true })), 'Daily cap exceeded');
+    const capped = await usage.recordEarnedTime(capPool, 1, { seconds: 4000 });
+    check('earn is clamped to the free cap', capped.appliedSeconds, 3600);
+    check('full cap refuses further earns',
+      await errorOf(usage.recordEarnedTime(capPool, 1, { seconds: 60 })), 'Daily cap reached');
+
+    const proPool = fakePool({ planId: 'pro', workouts: [workoutNow(3000), workoutNow(3000)] });
+    check('pro cap allows more than an hour', (await usage.recordEarnedTime(proPool, 1, { seconds: 6000 })).appliedSeconds, 6000);
+
+    const racePool = fakePool({ workouts: [workoutNow(3000), workoutNow(3000)] });
+    const raced = await Promise.all([
+      usage.recordEarnedTime(racePool, 1, { seconds: 3000 }),
+      usage.recordEarnedTime(racePool, 1, { seconds: 3000 })
+    ]);
+    check('concurrent earns never exceed the cap',
+      [raced.map(r => r.appliedSeconds), racePool.dailyUsage[0].earned_seconds], [[3000, 600], 3600]);
+    console.log('');
+
+    // Consuming
+    console.log('Consuming');
+    check('consume without earned time is refused',
+      await errorOf(usage.recordConsumedTime(fakePool(), 1, { seconds: 60 })), 'No earned time remaining');
+    const consumed = await usage.recordConsumedTime(pool, 1, { seconds: 5000 });
+    check('consume is clamped to the earned balance', [consumed.appliedSeconds, consumed.usage.remainingSeconds], [1200, 0]);
+    check('invalid seconds are rejected',
+      await errorOf(usage.recordConsumedTime(pool, 1, { seconds: -5 })), 'Invalid seconds: must be an integer between 1 and 86400');
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testUsage();
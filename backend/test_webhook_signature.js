@@ -0,0 +1,158 @@
+/**
+ * Stripe Webhook Signature Test (No Database Required)
+ * Sends locally signed payloads through the webhook router, mounted next to
+ * express.json() the same way server.js does, and checks that the exact raw
+ * bytes reach signature verification.
+ *
+ * Usage: node backend/test_webhook_signature.js
+ */
+
+const express = require('express');
+const stripeWebhookRoutes = require('./stripeWebhookRoutes');
+
+const WEBHOOK_SECRET = 'whsec_local_signature_test';
+process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.STRIPE_TEST_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+const stripe = require('stripe')('sk_test_local_signature_test');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, condition, details) {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    if (details !== undefined) {
+      console.log('  ', details);
+    }
+    testsFailed++;
+  }
+}
+
+/**
+ * Pool stand-in for the stripe_events queries made while storing an event
+ */
+function fakePool(storedEvents) {
+  return {
+    query: async (sql, values) => {
+      if (sql.includes('INSERT INTO stripe_events')) {
+        const payload = JSON.parse(values[4]);
+        storedEvents.push(payload);
+        return { rows: [{ id: storedEvents.length, event_id: values[0], type: values[1], subscription_id: null, status: 'pending', payload }] };
+      }
+      return { rows: [], rowCount: 1 };
+    }
+  };
+}
+
+/**
+ * Build an app with the webhook mounted like server.js
+ * @param {boolean} jsonFirst - Register express.json() before the webhook (the old bug)
+ */
+function buildApp(storedEvents, jsonFirst = false) {
+  const app = express();
+  app.locals.pool = fakePool(storedEvents);
+  app.locals.stripe = stripe;
+
+  if (jsonFirst) {
+    app.use(express.json());
+  }
+  app.use('/api/stripe/webhook', stripeWebhookRoutes);
+  app.use(express.json());
+
+  app.post('/api/echo', (req, res) => res.json({ body: req.body }));
+  return app;
+}
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function post(server, path, body, headers) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST',
+    headers,
+    body
+  });
+  const text = await response.text();
+  return { status: response.status, text };
+}
+
+// Formatting that JSON.parse + JSON.stringify would not reproduce byte for byte
+const payload = `{
+  "id": "evt_local_signature_test",
+  "object": "event",
+  "type": "customer.created",
+  "created": ${Math.floor(Date.now() / 1000)},
+  "data": { "object": { "id": "cus_local", "object": "customer", "name": "Zoë" } }
+}`;
+
+function signature(body, secret = WEBHOOK_SECRET) {
+  return stripe.webhooks.generateTestHeaderString({ payload: body, secret });
+}
+
+async function testWebhookSignature() {
+  console.log('🧪 Testing Stripe Webhook Signature Verification\n');
+
+  const storedEvents = [];
+  const server = await listen(buildApp(storedEvents));
+
+  try {
+    let response = await post(server, '/api/stripe/webhook', payload, {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature(payload)
+    });
+    check('signed payload is accepted', response.status === 200 && JSON.parse(response.text).received === true, response);
+    check('event is handed to the event store', storedEvents[0]?.id === 'evt_local_signature_test', storedEvents);
+
+    response = await post(server, '/api/stripe/webhook', payload, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Stripe-Signature': signature(payload)
+    });
+    check('content type with charset is accepted', response.status === 200, response);
+
+    response = await post(server, '/api/stripe/webhook', payload.replace('Zoë', 'Zoe'), {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature(payload)
+    });
+    check('tampered payload is rejected', response.status === 400, response);
+
+    response = await post(server, '/api/stripe/webhook', payload, {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature(payload, 'whsec_some_other_secret')
+    });
+    check('payload signed with another secret is rejected', response.status === 400, response);
+
+    response = await post(server, '/api/stripe/webhook', payload, { 'Content-Type': 'application/json' });
+    check('missing signature is rejected', response.status === 400, response);
+
+    response = await post(server, '/api/echo', JSON.stringify({ hello: 'world' }), { 'Content-Type': 'application/json' });
+    check('other routes still get parsed JSON', JSON.parse(response.text).body?.hello === 'world', response);
+  } finally {
+    server.close();
+  }
+
+  // With the JSON parser first the raw bytes are gone; the route says so
+  const misordered = await listen(buildApp([], true));
+  try {
+    const response = await post(misordered, '/api/stripe/webhook', payload, {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature(payload)
+    });
+    check('parsed body is reported instead of failing verification obscurely',
+      response.status === 400 && response.text.includes('raw request body unavailable'), response);
+  } finally {
+    misordered.close();
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testWebhookSignature();
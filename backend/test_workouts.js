@@ -0,0 +1,201 @@
+/**
+ * Workout Sync Test (No Database Required)
+ * Covers idempotent client_id replays, atomic batch uploads, cursor
+ * pagination and the from/to filters against an in-memory workouts table
+ *
+ * Usage: node backend/test_workouts.js
+ */
+
+const workouts = require('./workouts');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function check(name, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  if (ok) {
+    console.log(`✅ PASSED: ${name}`);
+    testsPassed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   expected: ${JSON.stringify(expected)}`);
+    console.log(`   actual:   ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Error message of a rejected promise
+ */
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Pool stand-in for the queries workouts.js makes, with BEGIN/ROLLBACK
+ * restoring the table so partial batches can be detected
+ * @param {Object} options - { failOnClientId } makes that insert fail
+ */
+function fakePool({ failOnClientId = null } = {}) {
+  let rows = [];
+  let snapshot = null;
+  let nextId = 1;
+
+  const query = async (sql, params = []) => {
+    if (sql === 'BEGIN') {
+      snapshot = rows.map(r => ({ ...r }));
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT') {
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql === 'ROLLBACK') {
+      rows = snapshot;
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO workouts')) {
+      const [userId, clientId, workoutType, repsCompleted, earnedSeconds, workoutMode, rulesVersion, completedAt, timezone] = params;
+      if (clientId === failOnClientId) {
+        throw new Error('connection terminated');
+      }
+      if (rows.some(r => r.user_id === userId && r.client_id === clientId)) {
+        return { rows: [] };
+      }
+      const row = {
+        id: nextId++, user_id: userId, client_id: clientId, workout_type: workoutType, reps_completed: repsCompleted,
+        earned_seconds: earnedSeconds, workout_mode: workoutMode, rules_version: rulesVersion,
+        completed_at: completedAt, timezone: timezone || 'UTC', created_at: new Date()
+      };
+      rows.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('client_id = $2')) {
+      return { rows: rows.filter(r => r.user_id === params[0] && r.client_id === params[1]) };
+    }
+    if (sql.includes('FROM workouts')) {
+      // Evaluate the conditions listWorkouts builds
+      let matching = rows.filter(r => r.user_id === params[0]);
+      const from = sql.match(/completed_at >= \$(\d+)/);
+      if (from) {
+        matching = matching.filter(r => r.completed_at >= params[from[1] - 1]);
+      }
+      const to = sql.match(/completed_at < \$(\d+)/);
+      if (to) {
+        matching = matching.filter(r => r.completed_at < params[to[1] - 1]);
+      }
+      const cursor = sql.match(/\(completed_at, id\) < \(\$(\d+), \$(\d+)\)/);
+      if (cursor) {
+        const t = params[cursor[1] - 1].getTime();
+        const id = params[cursor[2] - 1];
+        matching = matching.filter(r => r.completed_at.getTime() < t || (r.completed_at.getTime() === t && r.id < id));
+      }
+      matching.sort((a, b) => (b.completed_at - a.completed_at) || (b.id - a.id));
+      return { rows: matching.slice(0, params[params.length - 1]) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    get rows() { return rows; }
+  };
+}
+
+/**
+ * Workout payload completed on a given day of January 2024
+ */
+function workout(id, day, extra = {}) {
+  return {
+    id,
+    workoutType: 'push-ups',
+    repsCompleted: 20,
+    completedAt: `2024-01-${String(day).padStart(2, '0')}T12:00:00.000Z`,
+    ...extra
+  };
+}
+
+async function testWorkouts() {
+  console.log('🧪 Testing Workout Sync\n');
+
+  try {
+    // Idempotency
+    console.log('Idempotent writes');
+    const pool = fakePool();
+    const first = await workouts.recordWorkout(pool, 1, workout('w-1', 1));
+    check('new workout is created', first.created, true);
+    check('payout is recomputed on the server', first.workout.earnedSeconds, 1200);
+
+    const replay = await workouts.recordWorkout(pool, 1, workout('w-1', 1, { repsCompleted: 60 }));
+    check('replayed client_id is not created again', replay.created, false);
+    check('replay returns the stored workout unchanged', replay.workout.repsCompleted, 20);
+    check('replay adds no row', pool.rows.length, 1);
+
+    const madeUp = await errorOf(workouts.recordWorkout(pool, 1, workout('w-2', 1, { workoutType: 'anything', repsCompleted: 60 })));
+    check('workout types without reward rules are rejected', [madeUp.startsWith('Invalid workout: workoutType must be one of'), pool.rows.length], [true, 1]);
+
+    const otherUser = await workouts.recordWorkout(pool, 2, workout('w-1', 1));
+    check('client_id is scoped to the user', otherUser.created, true);
+    console.log('');
+
+    // Batches
+    console.log('Batch uploads');
+    const batchPool = fakePool();
+    const batch = await workouts.recordWorkouts(batchPool, 1, [workout('b-1', 1), workout('b-2', 2), workout('b-1', 1)]);
+    check('batch reports created and duplicate entries', batch.map(r => r.created), [true, true, false]);
+
+    const invalid = await errorOf(workouts.recordWorkouts(batchPool, 1, [workout('b-3', 3), workout('', 4)]));
+    check('invalid entry rejects the whole batch', [invalid !== null, batchPool.rows.length], [true, 2]);
+
+    const failingPool = fakePool({ failOnClientId: 'f-3' });
+    const failed = await errorOf(workouts.recordWorkouts(failingPool, 1, [workout('f-1', 1), workout('f-2', 2), workout('f-3', 3)]));
+    check('database error partway through leaves nothing behind', [failed, failingPool.rows.length], ['connection terminated', 0]);
+    console.log('');
+
+    // Pagination and filters
+    console.log('Listing');
+    const listPool = fakePool();
+    for (let day = 1; day <= 5; day++) {
+      await workouts.recordWorkout(listPool, 1, workout(`l-${day}`, day));
+    }
+    // Same completion time as l-5: the id breaks the tie
+    await workouts.recordWorkout(listPool, 1, workout('l-5b', 5));
+    await workouts.recordWorkout(listPool, 2, workout('other', 3));
+
+    const page1 = await workouts.listWorkouts(listPool, 1, { limit: 2 });
+    check('first page is newest first', page1.workouts.map(w => w.id), ['l-5b', 'l-5']);
+    const page2 = await workouts.listWorkouts(listPool, 1, { limit: 2, cursor: page1.nextCursor });
+    check('cursor continues after equal timestamps', page2.workouts.map(w => w.id), ['l-4', 'l-3']);
+    const page3 = await workouts.listWorkouts(listPool, 1, { limit: 2, cursor: page2.nextCursor });
+    check('last page has no next cursor', [page3.workouts.map(w => w.id), page3.nextCursor], [['l-2', 'l-1'], null]);
+
+    const ranged = await workouts.listWorkouts(listPool, 1, { from: '2024-01-02T00:00:00Z', to: '2024-01-04T12:00:00Z' });
+    check('from is inclusive, to is exclusive', ranged.workouts.map(w => w.id), ['l-3', 'l-2']);
+    const rangedPage = await workouts.listWorkouts(listPool, 1, { from: '2024-01-02T00:00:00Z', limit: 3 });
+    const rangedNext = await workouts.listWorkouts(listPool, 1, { from: '2024-01-02T00:00:00Z', limit: 3, cursor: rangedPage.nextCursor });
+    check('filters apply across pages', rangedNext.workouts.map(w => w.id), ['l-3', 'l-2']);
+
+    check('malformed cursor is rejected',
+      await errorOf(workouts.listWorkouts(listPool, 1, { cursor: 'not-a-cursor' })), 'Invalid cursor');
+    check('limit over the maximum is rejected',
+      await errorOf(workouts.listWorkouts(listPool, 1, { limit: 500 })), `Invalid limit: must be between 1 and ${workouts.MAX_PAGE_SIZE}`);
+    check('malformed date is rejected',
+      await errorOf(workouts.listWorkouts(listPool, 1, { from: 'yesterday' })), 'Invalid date range: from must be an ISO 8601 date');
+  } catch (error) {
+    console.log('❌ FAILED: unexpected error -', error.message);
+    testsFailed++;
+  }
+
+  console.log('');
+  console.log(`📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+testWorkouts();
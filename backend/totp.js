@@ -0,0 +1,163 @@
+/**
+ * TOTP Module for Pushin Reload Backend
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ *
+ * Features:
+ * - Base32 secrets as authenticator apps expect them
+ * - otpauth:// URIs for QR codes
+ * - HMAC-SHA1, 6 digits, 30 second steps (what every authenticator app supports)
+ * - Verification accepts one step of clock drift either way and reports the
+ *   matched step, so callers can refuse a code that was already used
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret (160 bits, as RFC 4226 recommends)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the code for a time step
+ * @param {Buffer} key - Secret bytes
+ * @param {number} counter - Time step
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+function hotp(key, counter, digits) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+}
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - { timestamp } in ms (defaults to now), { digits }
+ * @returns {string} Code
+ */
+function generateTotp(secret, { timestamp = Date.now(), digits = TOTP_DIGITS } = {}) {
+  const counter = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+  return hotp(base32Decode(secret), counter, digits);
+}
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { timestamp } in ms, { window } steps of drift allowed each way
+ * @returns {number|null} Matched time step, or null if the code is wrong
+ */
+function verifyTotp(secret, code, { timestamp = Date.now(), window = 1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(key, step, TOTP_DIGITS);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps scan from a QR code
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Shown in the app, usually the email
+ * @param {string} params.issuer - Shown in the app
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri({ secret, accountName, issuer = 'PUSHIN' }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,370 @@
+/**
+ * Daily Usage Module for Pushin Reload Backend
+ * Server-side ledger of earned and consumed unlock time with plan caps
+ *
+ * Features:
+ * - Atomic earn/consume updates on daily_usage (row locked per user and day)
+ * - Daily caps enforced against the user's real subscription, not the client
+ * - Earns are backed by the payouts of workouts recorded that day (recomputed
+ *   server-side in workouts.js), never by the client's seconds alone
+ * - The day is the current date in the user's stored timezone
+ * - Append-only usage_events ledger with optional idempotent event IDs
+ */
+
+// Daily caps in seconds, mirrors DailyUsage.dailyCapSeconds in the app (-1 = unlimited)
+const PLAN_DAILY_CAPS = {
+  free: 3600,     // 1 hour
+  pro: 10800,     // 3 hours
+  advanced: -1    // Unlimited
+};
+
+// Legacy plan names still present in older subscription rows
+const PLAN_ALIASES = {
+  standard: 'pro'
+};
+
+// Largest single earn/consume event we accept (a full day)
+const MAX_EVENT_SECONDS = 24 * 60 * 60;
+
+// daily_usage columns, with the date as text: pg returns a DATE as local
+// midnight, which toISOString() turns into the previous day east of UTC
+const DAILY_USAGE_COLUMNS = `id, user_id, to_char(date, 'YYYY-MM-DD') AS date, earned_seconds, consumed_seconds,
+       plan_tier, last_updated`;
+
+/**
+ * Get the daily cap for a plan tier
+ * @param {string} planTier - free, pro or advanced
+ * @returns {number} Cap in seconds, or -1 for unlimited
+ */
+function getDailyCapSeconds(planTier) {
+  return PLAN_DAILY_CAPS[planTier] !== undefined ? PLAN_DAILY_CAPS[planTier] : PLAN_DAILY_CAPS.free;
+}
+
+/**
+ * Resolve the user's plan tier from their active subscription
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} free, pro or advanced
+ */
+async function getPlanTier(db, userId) {
+  const result = await db.query(
+    `SELECT plan_id FROM subscriptions
+     WHERE user_id = $1 AND is_active = true
+       AND (current_period_end IS NULL OR current_period_end > NOW())
+     ORDER BY updated_at DESC LIMIT 1`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return 'free';
+  }
+
+  const planId = (result.rows[0].plan_id || '').toLowerCase();
+  const tier = PLAN_ALIASES[planId] || planId;
+  return PLAN_DAILY_CAPS[tier] !== undefined ? tier : 'free';
+}
+
+/**
+ * Get the user's stored timezone
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} IANA timezone (UTC if unset or invalid)
+ */
+async function getUserTimeZone(db, userId) {
+  // Required here, not at the top: streaks.js requires this module while loading
+  const streaks = require('./streaks');
+  const result = await db.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+  const timeZone = result.rows.length > 0 ? result.rows[0].timezone : null;
+  return streaks.isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+/**
+ * Resolve the calendar date a usage event applies to.
+ * The day is today in the user's stored timezone. Clients may still send
+ * their local date, but only that one date is accepted, so earns can't be
+ * spread over neighbouring days.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} [date] - YYYY-MM-DD from the client
+ * @param {Date} now - Current time (tests)
+ * @returns {Promise<Object>} { date, timeZone }
+ */
+async function resolveUsageDate(db, userId, date, now = new Date()) {
+  if (date !== undefined && date !== null
+    && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(`${date}T00:00:00Z`)))) {
+    throw new Error('Invalid date: must be YYYY-MM-DD');
+  }
+
+  const streaks = require('./streaks');
+  const timeZone = await getUserTimeZone(db, userId);
+  const today = streaks.toLocalDate(now, timeZone);
+
+  if (date !== undefined && date !== null && date !== today) {
+    throw new Error(`Invalid date: must be today in ${timeZone} (${today})`);
+  }
+
+  return { date: today, timeZone };
+}
+
+/**
+ * Total payout of the workouts recorded on a day. Each workout counts on the
+ * day it was completed in its own timezone, like streaks, so it backs earns
+ * on one day only.
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {string} usageDate - YYYY-MM-DD
+ * @param {string} timeZone - User's timezone (for workouts without one)
+ * @returns {Promise<number>} Earned seconds of that day's workouts
+ */
+async function getWorkoutSecondsForDate(db, userId, usageDate, timeZone) {
+  const streaks = require('./streaks');
+
+  // Any local date is within a day of the same UTC date
+  const dayMs = 24 * 60 * 60 * 1000;
+  const dayStart = Date.parse(`${usageDate}T00:00:00Z`);
+
+  const result = await db.query(
+    `SELECT earned_seconds, completed_at, timezone FROM workouts
+     WHERE user_id = $1 AND completed_at >= $2 AND completed_at < $3`,
+    [userId, new Date(dayStart - dayMs), new Date(dayStart + 2 * dayMs)]
+  );
+
+  return result.rows
+    .filter(row => streaks.toLocalDate(new Date(row.completed_at), streaks.isValidTimeZone(row.timezone) ? row.timezone : timeZone) === usageDate)
+    .reduce((total, row) => total + (row.earned_seconds || 0), 0);
+}
+
+/**
+ * Validate seconds for an earn/consume event
+ * @param {*} seconds - Seconds from the client
+ * @returns {number} Validated seconds
+ */
+function validateSeconds(seconds) {
+  if (!Number.isInteger(seconds) || seconds <= 0 || seconds > MAX_EVENT_SECONDS) {
+    throw new Error(`Invalid seconds: must be an integer between 1 and ${MAX_EVENT_SECONDS}`);
+  }
+  return seconds;
+}
+
+/**
+ * Convert a daily_usage row into the API representation
+ * @param {Object} row - Row from daily_usage
+ * @param {string} planTier - Current plan tier
+ * @returns {Object} Usage snapshot
+ */
+function formatUsage(row, planTier) {
+  const dailyCapSeconds = getDailyCapSeconds(planTier);
+  const earned = row ? row.earned_seconds : 0;
+  const consumed = row ? row.consumed_seconds : 0;
+
+  return {
+    date: row ? row.date : null,
+    planTier,
+    dailyCapSeconds,
+    earnedSeconds: earned,
+    consumedSeconds: consumed,
+    remainingSeconds: Math.max(earned - consumed, 0),
+    remainingEarnableSeconds: dailyCapSeconds === -1 ? -1 : Math.max(dailyCapSeconds - earned, 0),
+    lastUpdated: row ? row.last_updated : null
+  };
+}
+
+/**
+ * Get today's usage snapshot
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} [date] - YYYY-MM-DD, must be today in the user's timezone
+ * @returns {Promise<Object>} Usage snapshot
+ */
+async function getDailyUsage(pool, userId, date) {
+  const { date: usageDate } = await resolveUsageDate(pool, userId, date);
+  const planTier = await getPlanTier(pool, userId);
+
+  const result = await pool.query(
+    `SELECT ${DAILY_USAGE_COLUMNS} FROM daily_usage WHERE user_id = $1 AND date = $2`,
+    [userId, usageDate]
+  );
+
+  const usage = formatUsage(result.rows[0], planTier);
+  usage.date = usageDate;
+  return usage;
+}
+
+/**
+ * Get usage history for a date range (inclusive, at most 90 days)
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} Usage snapshots, oldest first
+ */
+async function getUsageHistory(pool, userId, from, to) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(from || '') || !datePattern.test(to || '')) {
+    throw new Error('Invalid date range: from and to must be YYYY-MM-DD');
+  }
+
+  const spanDays = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+  if (isNaN(spanDays) || spanDays < 0 || spanDays > 90) {
+    throw new Error('Invalid date range: to must be on or after from and within 90 days');
+  }
+
+  const result = await pool.query(
+    `SELECT ${DAILY_USAGE_COLUMNS} FROM daily_usage WHERE user_id = $1 AND date BETWEEN $2 AND $3 ORDER BY date ASC`,
+    [userId, from, to]
+  );
+
+  // History keeps the tier recorded on each day rather than today's plan
+  return result.rows.map(row => formatUsage(row, row.plan_tier));
+}
+
+/**
+ * Apply an earn or consume event inside a transaction
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} eventType - 'earn' or 'consume'
+ * @param {Object} input - Event payload { seconds, date, eventId, strict }
+ * @returns {Promise<Object>} Applied seconds, clamp flag and usage snapshot
+ */
+async function applyUsageEvent(pool, userId, eventType, input) {
+  const seconds = validateSeconds(input.seconds);
+  const { date: usageDate, timeZone } = await resolveUsageDate(pool, userId, input.date);
+  const eventId = input.eventId === undefined || input.eventId === null ? null : String(input.eventId);
+
+  if (eventId !== null && (eventId.length === 0 || eventId.length > 64)) {
+    throw new Error('Invalid eventId: must be a non-empty string of at most 64 characters');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const planTier = await getPlanTier(client, userId);
+
+    // Ensure the day row exists, then lock it for this user/day
+    await client.query(
+      `INSERT INTO daily_usage (user_id, date, plan_tier)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, date) DO NOTHING`,
+      [userId, usageDate, planTier]
+    );
+    const lockedResult = await client.query(
+      `SELECT ${DAILY_USAGE_COLUMNS} FROM daily_usage WHERE user_id = $1 AND date = $2 FOR UPDATE`,
+      [userId, usageDate]
+    );
+    const row = lockedResult.rows[0];
+
+    // Retried deliveries of the same event are acknowledged without re-applying
+    if (eventId !== null) {
+      const existingEvent = await client.query(
+        'SELECT applied_seconds FROM usage_events WHERE user_id = $1 AND event_id = $2',
+        [userId, eventId]
+      );
+      if (existingEvent.rows.length > 0) {
+        await client.query('COMMIT');
+        return {
+          appliedSeconds: existingEvent.rows[0].applied_seconds,
+          clamped: existingEvent.rows[0].applied_seconds < seconds,
+          duplicate: true,
+          usage: formatUsage(row, planTier)
+        };
+      }
+    }
+
+    let appliedSeconds;
+    if (eventType === 'earn') {
+      const cap = getDailyCapSeconds(planTier);
+      const capRemaining = cap === -1 ? seconds : Math.max(cap - row.earned_seconds, 0);
+
+      if (capRemaining === 0) {
+        throw new Error('Daily cap reached');
+      }
+
+      // Only time paid out for today's recorded workouts can be earned
+      const workoutSeconds = await getWorkoutSecondsForDate(client, userId, usageDate, timeZone);
+      const workoutRemaining = Math.max(workoutSeconds - row.earned_seconds, 0);
+
+      if (workoutRemaining === 0) {
+        throw new Error('No workout time to earn');
+      }
+      if (input.strict && capRemaining < seconds) {
+        throw new Error('Daily cap exceeded');
+      }
+      if (input.strict && workoutRemaining < seconds) {
+        throw new Error('Earn exceeds recorded workouts');
+      }
+      appliedSeconds = Math.min(seconds, capRemaining, workoutRemaining);
+    } else {
+      // Consumption can never exceed what was earned for the day
+      const available = Math.max(row.earned_seconds - row.consumed_seconds, 0);
+      if (available === 0) {
+        throw new Error('No earned time remaining');
+      }
+      appliedSeconds = Math.min(seconds, available);
+    }
+
+    const column = eventType === 'earn' ? 'earned_seconds' : 'consumed_seconds';
+    const updated = await client.query(
+      `UPDATE daily_usage
+       SET ${column} = ${column} + $1, plan_tier = $2, last_updated = NOW()
+       WHERE id = $3
+       RETURNING ${DAILY_USAGE_COLUMNS}`,
+      [appliedSeconds, planTier, row.id]
+    );
+
+    await client.query(
+      `INSERT INTO usage_events (user_id, date, event_type, event_id, requested_seconds, applied_seconds, plan_tier, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+      [userId, usageDate, eventType, eventId, seconds, appliedSeconds, planTier]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      appliedSeconds,
+      clamped: appliedSeconds < seconds,
+      duplicate: false,
+      usage: formatUsage(updated.rows[0], planTier)
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record earned unlock time, clamped to the plan's daily cap and to the
+ * payouts of the day's recorded workouts
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} input - { seconds, date, eventId, strict }
+ * @returns {Promise<Object>} Applied seconds and usage snapshot
+ */
+async function recordEarnedTime(pool, userId, input) {
+  return applyUsageEvent(pool, userId, 'earn', input);
+}
+
+/**
+ * Record consumed unlock time, clamped to the earned balance
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} input - { seconds, date, eventId }
+ * @returns {Promise<Object>} Applied seconds and usage snapshot
+ */
+async function recordConsumedTime(pool, userId, input) {
+  return applyUsageEvent(pool, userId, 'consume', input);
+}
+
+module.exports = {
+  PLAN_DAILY_CAPS,
+  getDailyCapSeconds,
+  getPlanTier,
+  resolveUsageDate,
+  getWorkoutSecondsForDate,
+  getDailyUsage,
+  getUsageHistory,
+  recordEarnedTime,
+  recordConsumedTime
+};
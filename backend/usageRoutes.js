@@ -0,0 +1,143 @@
+/**
+ * Usage Routes for Pushin Reload Backend
+ * Express routes for the server-side daily usage ledger
+ */
+
+const express = require('express');
+const usage = require('./usage');
+const { authenticateToken } = require('./authRoutes');
+
+const router = express.Router();
+
+// Every usage endpoint is user-scoped
+router.use(authenticateToken);
+
+/**
+ * Map usage module errors to HTTP responses
+ */
+async function sendUsageError(req, res, error, fallbackCode) {
+  if (error.message.startsWith('Invalid')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'INVALID_USAGE_REQUEST'
+    });
+  }
+
+  const capErrors = {
+    'Daily cap reached': 'DAILY_CAP_REACHED',
+    'Daily cap exceeded': 'DAILY_CAP_EXCEEDED',
+    'No earned time remaining': 'NO_EARNED_TIME',
+    'No workout time to earn': 'NO_WORKOUT_TIME',
+    'Earn exceeds recorded workouts': 'WORKOUT_TIME_EXCEEDED'
+  };
+
+  if (capErrors[error.message]) {
+    // Include the current snapshot so the client can resync its local state
+    let snapshot = null;
+    try {
+      snapshot = await usage.getDailyUsage(req.app.locals.pool, req.user.userId);
+    } catch (snapshotError) {
+      console.error('⚠️ Could not load usage snapshot:', snapshotError.message);
+    }
+
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+      code: capErrors[error.message],
+      data: { usage: snapshot }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Usage request failed',
+    code: fallbackCode
+  });
+}
+
+/**
+ * GET /api/usage/today?date=YYYY-MM-DD
+ * Current usage, plan tier and cap for one day
+ */
+router.get('/today', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const snapshot = await usage.getDailyUsage(pool, req.user.userId, req.query.date);
+
+    res.json({
+      success: true,
+      data: { usage: snapshot }
+    });
+  } catch (error) {
+    console.error('❌ Get usage error:', error.message);
+    await sendUsageError(req, res, error, 'USAGE_FETCH_ERROR');
+  }
+});
+
+/**
+ * GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Usage history for a date range (max 90 days)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const history = await usage.getUsageHistory(pool, req.user.userId, req.query.from, req.query.to);
+
+    res.json({
+      success: true,
+      data: { usage: history }
+    });
+  } catch (error) {
+    console.error('❌ Get usage history error:', error.message);
+    await sendUsageError(req, res, error, 'USAGE_FETCH_ERROR');
+  }
+});
+
+/**
+ * POST /api/usage/earn
+ * Record earned time, backed by the workouts synced today. Earns over the cap
+ * or over the workouts' payouts are clamped, or rejected outright when
+ * { strict: true } is sent.
+ */
+router.post('/earn', async (req, res) => {
+  try {
+    console.log(`⏱️ Earn event for user ${req.user.userId}:`, req.body.seconds);
+
+    const pool = req.app.locals.pool;
+    const result = await usage.recordEarnedTime(pool, req.user.userId, req.body);
+
+    if (result.clamped) {
+      console.log(`⚠️ Earn clamped to daily cap: ${result.appliedSeconds}/${req.body.seconds}s`);
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Earn event error:', error.message);
+    await sendUsageError(req, res, error, 'USAGE_EARN_ERROR');
+  }
+});
+
+/**
+ * POST /api/usage/consume
+ * Record consumed time, clamped to the earned balance for the day
+ */
+router.post('/consume', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const result = await usage.recordConsumedTime(pool, req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Consume event error:', error.message);
+    await sendUsageError(req, res, error, 'USAGE_CONSUME_ERROR');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * Workout Routes for Pushin Reload Backend
+ * Express routes for syncing workout history across devices
+ */
+
+const express = require('express');
+const workouts = require('./workouts');
+const { authenticateToken } = require('./authRoutes');
+
+const router = express.Router();
+
+// Every workout endpoint is user-scoped
+router.use(authenticateToken);
+
+/**
+ * Map workout module errors to HTTP responses
+ */
+function sendWorkoutError(res, error, fallbackCode) {
+  if (error.message.startsWith('Invalid')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.message.includes('cursor') ? 'INVALID_CURSOR' : 'INVALID_WORKOUT'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Workout request failed',
+    code: fallbackCode
+  });
+}
+
+/**
+ * POST /api/workouts
+ * Record one workout, or a batch via { workouts: [...] }
+ * Re-sending a workout with the same id is a no-op
+ */
+router.post('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const userId = req.user.userId;
+
+    if (Array.isArray(req.body.workouts)) {
+      console.log(`🏋️ Workout batch sync for user ${userId}: ${req.body.workouts.length} workouts`);
+
+      const results = await workouts.recordWorkouts(pool, userId, req.body.workouts);
+      const createdCount = results.filter(r => r.created).length;
+
+      return res.status(createdCount > 0 ? 201 : 200).json({
+        success: true,
+        data: {
+          workouts: results.map(r => r.workout),
+          created: createdCount,
+          duplicates: results.length - createdCount
+        }
+      });
+    }
+
+    console.log(`🏋️ Workout sync for user ${userId}:`, req.body.id);
+
+    const result = await workouts.recordWorkout(pool, userId, req.body);
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: {
+        workout: result.workout,
+        created: result.created
+      }
+    });
+  } catch (error) {
+    console.error('❌ Record workout error:', error.message);
+    sendWorkoutError(res, error, 'WORKOUT_SYNC_ERROR');
+  }
+});
+
+/**
+ * GET /api/workouts?limit=&cursor=&from=&to=
+ * List workouts newest first with cursor pagination
+ */
+router.get('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { limit, cursor, from, to } = req.query;
+
+    const result = await workouts.listWorkouts(pool, req.user.userId, { limit, cursor, from, to });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ List workouts error:', error.message);
+    sendWorkoutError(res, error, 'WORKOUT_LIST_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/workouts/:id
+ * Delete a workout by its client-generated ID
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const deleted = await workouts.deleteWorkout(pool, req.user.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workout not found',
+        code: 'WORKOUT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Workout deleted'
+    });
+  } catch (error) {
+    console.error('❌ Delete workout error:', error.message);
+    sendWorkoutError(res, error, 'WORKOUT_DELETE_ERROR');
+  }
+});
+
+module.exports = router;
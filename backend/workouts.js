@@ -0,0 +1,314 @@
+/**
+ * Workout Sync Module for Pushin Reload Backend
+ * Persists completed workouts so history survives reinstalls and device changes
+ *
+ * Features:
+ * - Idempotent writes keyed by client-generated workout IDs
+ * - Cursor pagination ordered by completion time (newest first)
+ * - Date-range filtering on completed_at
+ * - Earned time recomputed server-side from the active reward rules
+ */
+
+const rewards = require('./rewards');
+const { isValidTimeZone } = require('./streaks');
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_BATCH_SIZE = 100;
+
+// Allow for small clock drift between device and server
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+const WORKOUT_MODES = ['cozy', 'normal', 'tuff'];
+
+/**
+ * Convert a workouts row into the API representation
+ * @param {Object} row - Row from the workouts table
+ * @returns {Object} Workout as returned to clients
+ */
+function formatWorkout(row) {
+  return {
+    id: row.client_id,
+    workoutType: row.workout_type,
+    repsCompleted: row.reps_completed,
+    earnedSeconds: row.earned_seconds,
+    workoutMode: row.workout_mode,
+    rulesVersion: row.rules_version,
+    timezone: row.timezone,
+    completedAt: row.completed_at instanceof Date ? row.completed_at.toISOString() : row.completed_at,
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+  };
+}
+
+/**
+ * Validate and normalize a workout payload from the client
+ * @param {Object} input - Raw workout payload
+ * @returns {Object} Normalized workout fields
+ */
+function validateWorkoutInput(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Invalid workout: payload must be an object');
+  }
+
+  const { id, workoutType, repsCompleted, earnedSeconds, workoutMode, completedAt, timezone } = input;
+
+  if (typeof id !== 'string' || id.trim().length === 0 || id.length > 64) {
+    throw new Error('Invalid workout: id must be a non-empty string of at most 64 characters');
+  }
+
+  if (typeof workoutType !== 'string' || workoutType.trim().length === 0 || workoutType.length > 50) {
+    throw new Error('Invalid workout: workoutType is required');
+  }
+
+  const rules = rewards.getActiveRules();
+  if (!rewards.isKnownWorkoutType(rules, workoutType)) {
+    throw new Error(`Invalid workout: workoutType must be one of ${Object.keys(rules.modeProfiles).join(', ')}`);
+  }
+
+  if (!Number.isInteger(repsCompleted) || repsCompleted < 0) {
+    throw new Error('Invalid workout: repsCompleted must be a non-negative integer');
+  }
+
+  // earnedSeconds is only the time the user asked for; the payout is recomputed
+  if (earnedSeconds !== undefined && earnedSeconds !== null && (!Number.isInteger(earnedSeconds) || earnedSeconds < 0)) {
+    throw new Error('Invalid workout: earnedSeconds must be a non-negative integer');
+  }
+
+  const mode = (workoutMode || 'normal').toLowerCase();
+  if (!WORKOUT_MODES.includes(mode)) {
+    throw new Error(`Invalid workout: workoutMode must be one of ${WORKOUT_MODES.join(', ')}`);
+  }
+
+  const completed = completedAt ? new Date(completedAt) : new Date();
+  if (isNaN(completed.getTime())) {
+    throw new Error('Invalid workout: completedAt must be an ISO 8601 date');
+  }
+  if (completed.getTime() > Date.now() + MAX_FUTURE_SKEW_MS) {
+    throw new Error('Invalid workout: completedAt cannot be in the future');
+  }
+
+  // Timezone the workout was done in; defaults to the user's stored timezone
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+    throw new Error('Invalid workout: timezone must be an IANA timezone name');
+  }
+
+  return {
+    clientId: id.trim(),
+    workoutType: workoutType.trim().toLowerCase(),
+    repsCompleted,
+    requestedSeconds: earnedSeconds === null ? undefined : earnedSeconds,
+    workoutMode: mode,
+    completedAt: completed,
+    timezone: timezone || null
+  };
+}
+
+/**
+ * Encode a pagination cursor from the last row of a page
+ * @param {Object} row - Last workouts row returned
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(row) {
+  const completedAt = row.completed_at instanceof Date ? row.completed_at.toISOString() : row.completed_at;
+  return Buffer.from(JSON.stringify({ t: completedAt, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object} Decoded cursor with completedAt and id
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const completedAt = new Date(decoded.t);
+    if (isNaN(completedAt.getTime()) || !Number.isInteger(decoded.id)) {
+      throw new Error('malformed');
+    }
+    return { completedAt, id: decoded.id };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+/**
+ * Insert a validated workout (idempotent on the client-generated ID)
+ * @param {Object} db - PostgreSQL pool or client
+ * @param {number} userId - User ID
+ * @param {Object} workout - Output of validateWorkoutInput
+ * @returns {Promise<Object>} Stored workout and whether it was newly created
+ */
+async function insertWorkout(db, userId, workout) {
+  // Never trust the client's payout: recompute it, capped at what the user selected
+  const rules = rewards.getActiveRules();
+  const earnedSeconds = rewards.calculateEarnedSeconds(rules, {
+    workoutType: workout.workoutType,
+    mode: workout.workoutMode,
+    repsCompleted: workout.repsCompleted,
+    requestedSeconds: workout.requestedSeconds
+  });
+
+  if (workout.requestedSeconds !== undefined && earnedSeconds !== workout.requestedSeconds) {
+    console.log(`⚠️ Workout ${workout.clientId} payout adjusted: requested ${workout.requestedSeconds}s, earned ${earnedSeconds}s`);
+  }
+
+  const insertResult = await db.query(
+    `INSERT INTO workouts (user_id, client_id, workout_type, reps_completed, earned_seconds, workout_mode, rules_version, completed_at, timezone)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, (SELECT timezone FROM users WHERE id = $1)))
+     ON CONFLICT (user_id, client_id) DO NOTHING
+     RETURNING *`,
+    [userId, workout.clientId, workout.workoutType, workout.repsCompleted,
+      earnedSeconds, workout.workoutMode, rules.version, workout.completedAt, workout.timezone]
+  );
+
+  if (insertResult.rows.length > 0) {
+    return { workout: formatWorkout(insertResult.rows[0]), created: true };
+  }
+
+  // Duplicate delivery - return the row that already exists
+  const existing = await db.query(
+    'SELECT * FROM workouts WHERE user_id = $1 AND client_id = $2',
+    [userId, workout.clientId]
+  );
+
+  return { workout: formatWorkout(existing.rows[0]), created: false };
+}
+
+/**
+ * Record a completed workout (idempotent on the client-generated ID)
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} input - Workout payload from the client
+ * @returns {Promise<Object>} Stored workout and whether it was newly created
+ */
+async function recordWorkout(pool, userId, input) {
+  return insertWorkout(pool, userId, validateWorkoutInput(input));
+}
+
+/**
+ * Record several workouts at once (used for the initial history upload)
+ * The batch is stored in one transaction: all of it or none of it.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Array<Object>} inputs - Workout payloads from the client
+ * @returns {Promise<Array<Object>>} Results in the same order as the inputs
+ */
+async function recordWorkouts(pool, userId, inputs) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new Error('Invalid workout: workouts must be a non-empty array');
+  }
+  if (inputs.length > MAX_BATCH_SIZE) {
+    throw new Error(`Invalid workout: at most ${MAX_BATCH_SIZE} workouts per request`);
+  }
+
+  // Validate everything before touching the database
+  const workouts = inputs.map(validateWorkoutInput);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const results = [];
+    for (const workout of workouts) {
+      results.push(await insertWorkout(client, userId, workout));
+    }
+
+    await client.query('COMMIT');
+    return results;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List a user's workouts, newest first
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {Object} options - Pagination and filter options
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @param {number} [options.limit] - Page size (max 100)
+ * @param {string} [options.from] - Inclusive lower bound on completedAt
+ * @param {string} [options.to] - Exclusive upper bound on completedAt
+ * @returns {Promise<Object>} Workouts and the cursor for the next page
+ */
+async function listWorkouts(pool, userId, options = {}) {
+  const limit = options.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(options.limit, 10);
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid limit: must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const conditions = ['user_id = $1'];
+  const values = [userId];
+
+  if (options.from) {
+    const from = new Date(options.from);
+    if (isNaN(from.getTime())) {
+      throw new Error('Invalid date range: from must be an ISO 8601 date');
+    }
+    values.push(from);
+    conditions.push(`completed_at >= $${values.length}`);
+  }
+
+  if (options.to) {
+    const to = new Date(options.to);
+    if (isNaN(to.getTime())) {
+      throw new Error('Invalid date range: to must be an ISO 8601 date');
+    }
+    values.push(to);
+    conditions.push(`completed_at < $${values.length}`);
+  }
+
+  if (options.cursor) {
+    const cursor = decodeCursor(options.cursor);
+    values.push(cursor.completedAt, cursor.id);
+    conditions.push(`(completed_at, id) < ($${values.length - 1}, $${values.length})`);
+  }
+
+  // Fetch one extra row to know whether another page exists
+  values.push(limit + 1);
+  const result = await pool.query(
+    `SELECT * FROM workouts
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY completed_at DESC, id DESC
+     LIMIT $${values.length}`,
+    values
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  return {
+    workouts: rows.map(formatWorkout),
+    nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+/**
+ * Delete a workout by its client-generated ID
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} userId - User ID
+ * @param {string} clientId - Client-generated workout ID
+ * @returns {Promise<boolean>} True if a workout was deleted
+ */
+async function deleteWorkout(pool, userId, clientId) {
+  const result = await pool.query(
+    'DELETE FROM workouts WHERE user_id = $1 AND client_id = $2',
+    [userId, clientId]
+  );
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  recordWorkout,
+  recordWorkouts,
+  listWorkouts,
+  deleteWorkout,
+  formatWorkout,
+  validateWorkoutInput,
+  MAX_PAGE_SIZE,
+  MAX_BATCH_SIZE
+};
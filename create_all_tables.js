@@ -2,6 +2,10 @@
  * Railway PostgreSQL Table Creation Script
  * Supports: Local dev + Railway internal/external deployment
  *
+ * Applies the versioned migrations in backend/migrations (the same ones the
+ * server runs at startup). To change the schema, add a migration there - see
+ * backend/migrate.js - rather than editing tables here.
+ *
  * USAGE:
  * 
  * 1) LOCAL DEVELOPMENT:
@@ -22,6 +26,7 @@
  */
 
 const { Pool } = require('pg');
+const migrate = require('./backend/migrate');
 
 // Load .env file for local development (optional dependency)
 try {
@@ -65,142 +70,7 @@ console.log('🔧 Environment:', isRailway ? 'Railway' : 'Local');
 console.log('🔗 Connection:', useInternalConnection ? 'Internal (no SSL)' : 'External (SSL)');
 console.log('🌐 Database:', maskedUrl);
 
-// Step 3: Define tables
-const tables = [
-  {
-    name: 'users',
-    sql: `
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        firstname VARCHAR(100),
-        password_hash VARCHAR(255),
-        apple_id VARCHAR(255) UNIQUE,
-        google_id VARCHAR(255) UNIQUE,
-  
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `
-  },
-
-  {
-    name: 'refresh_tokens',
-    sql: `
-      CREATE TABLE IF NOT EXISTS refresh_tokens (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        token VARCHAR(500) UNIQUE NOT NULL,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `
-  },
-  {
-    name: 'password_reset_tokens',
-    sql: `
-      CREATE TABLE IF NOT EXISTS password_reset_tokens (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        token_hash TEXT NOT NULL UNIQUE,
-        expires_at TIMESTAMP NOT NULL,
-        used BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-
-        UNIQUE(user_id) -- Only one active reset per user
-      );
-    `
-  },
-  {
-    name: 'audit_logs',
-    sql: `
-      CREATE TABLE IF NOT EXISTS audit_logs (
-        id SERIAL PRIMARY KEY,
-        event_type VARCHAR(100) NOT NULL,
-        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
-        ip_address INET,
-        user_agent TEXT,
-        metadata JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-
-        INDEX idx_audit_logs_event_type (event_type),
-        INDEX idx_audit_logs_user_id (user_id),
-        INDEX idx_audit_logs_created_at (created_at)
-      );
-    `
-  },
-  {
-    name: 'subscriptions',
-    sql: `
-      CREATE TABLE IF NOT EXISTS subscriptions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        customer_id VARCHAR(255),
-        subscription_id VARCHAR(255) UNIQUE,
-        plan_id VARCHAR(50),
-        current_period_end TIMESTAMP,
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `
-  },
-  {
-    name: 'anonymous_subscriptions',
-    sql: `
-      CREATE TABLE IF NOT EXISTS anonymous_subscriptions (
-        id SERIAL PRIMARY KEY,
-        anonymous_id VARCHAR(255) UNIQUE NOT NULL, -- UUID or random identifier for anonymous user
-        email VARCHAR(255) NOT NULL,
-        customer_id VARCHAR(255),
-        subscription_id VARCHAR(255) UNIQUE,
-        plan_id VARCHAR(50),
-        current_period_end TIMESTAMP,
-        is_active BOOLEAN DEFAULT true,
-        linked_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL until linked to real account
-        recovery_token VARCHAR(255), -- For account linking/recovery
-        recovery_expires_at TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-
-        INDEX idx_anonymous_subscriptions_email (email),
-        INDEX idx_anonymous_subscriptions_recovery_token (recovery_token),
-        INDEX idx_anonymous_subscriptions_linked_user (linked_user_id)
-      );
-    `
-  },
-  {
-    name: 'workouts',
-    sql: `
-      CREATE TABLE IF NOT EXISTS workouts (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        workout_type VARCHAR(50) NOT NULL,
-        reps_completed INTEGER NOT NULL DEFAULT 0,
-        earned_seconds INTEGER NOT NULL DEFAULT 0,
-        completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `
-  },
-  {
-    name: 'daily_usage',
-    sql: `
-      CREATE TABLE IF NOT EXISTS daily_usage (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        date DATE NOT NULL,
-        earned_seconds INTEGER NOT NULL DEFAULT 0,
-        consumed_seconds INTEGER NOT NULL DEFAULT 0,
-        plan_tier VARCHAR(20) NOT NULL DEFAULT 'free',
-        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, date)
-      );
-    `
-  }
-];
-
-// Step 4: Connect and create tables
+// Step 3: Connect and apply migrations
 async function createAllTables() {
   let client;
   try {
@@ -217,15 +87,11 @@ async function createAllTables() {
     console.log('🐘 PostgreSQL:', result.rows[0].pg_version.split(',')[0]);
     console.log('');
 
-    // Create tables in order (respecting foreign key dependencies)
-    for (const table of tables) {
-      console.log(`📋 Creating table '${table.name}'...`);
-      await client.query(table.sql);
-      console.log(`✅ Table '${table.name}' ready`);
-    }
+    // Apply pending migrations in order (under the migration lock)
+    const applied = await migrate.migrateUp(pool);
 
     console.log('');
-    console.log('🎉 SUCCESS! All tables created/verified!');
+    console.log(`🎉 SUCCESS! Schema is up to date (${applied.length} migration(s) applied)`);
     console.log('');
 
     // Show table summary
@@ -160,6 +160,7 @@ class MockPaymentService {
   /// Mock implementation of restore by email
   Future<RestorePurchaseResult> restoreMockSubscriptionByEmail({
     required String email,
+    String? code,
   }) async {
     try {
       print('MOCK: Restoring subscription for email: $email');
@@ -180,6 +181,17 @@ class MockPaymentService {
         );
       }
 
+      // Like the backend, ask for the emailed code first (any code works)
+      if (code == null) {
+        print('MOCK: Restore code "sent" to $normalizedEmail');
+        return RestorePurchaseResult(
+          success: true,
+          codeSent: true,
+          errorMessage:
+              'If a purchase was made with this email address, we sent it a 6-digit code.',
+        );
+      }
+
       // Mock test emails
       if (normalizedEmail == 'test@pushinapp.com' ||
           normalizedEmail == 'pro@test.com') {
@@ -35,9 +35,13 @@ abstract class PaymentService {
 
   /// Restore subscription by email verification
   ///
+  /// The backend needs proof of the address: without [code] it emails a
+  /// 6-digit code and the result has codeSent set (a signed-in user whose
+  /// verified email matches skips this). Call again with the code.
   /// Returns RestorePurchaseResult with subscription if active subscription found
   Future<RestorePurchaseResult> restoreSubscriptionByEmail({
     required String email,
+    String? code,
   });
 
   /// Save subscription status to local cache
@@ -186,8 +190,9 @@ class MockPaymentServiceAdapter implements PaymentService {
   @override
   Future<RestorePurchaseResult> restoreSubscriptionByEmail({
     required String email,
+    String? code,
   }) {
-    return _mockService.restoreMockSubscriptionByEmail(email: email);
+    return _mockService.restoreMockSubscriptionByEmail(email: email, code: code);
   }
 
   @override
@@ -255,6 +260,7 @@ class RestorePurchaseResult {
       errorCode; // 'invalid_email', 'no_active_subscription', 'rate_limit_exceeded', etc.
   final String? errorMessage;
   final List<ExpiredSubscription>? expiredSubscriptions;
+  final bool codeSent; // a code was emailed; ask for it and restore again
 
   RestorePurchaseResult({
     required this.success,
@@ -262,6 +268,7 @@ class RestorePurchaseResult {
     this.errorCode,
     this.errorMessage,
     this.expiredSubscriptions,
+    this.codeSent = false,
   });
 
   bool get hasActiveSubscription => success && subscription != null;
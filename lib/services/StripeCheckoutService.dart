@@ -4,6 +4,7 @@ import 'package:http/http.dart' as http;
 import 'package:url_launcher/url_launcher.dart';
 import 'package:shared_preferences/shared_preferences.dart';
 import 'PaymentService.dart';
+import 'TokenManager.dart';
 
 /// Stripe Web Checkout Service
 ///
@@ -16,6 +17,7 @@ import 'PaymentService.dart';
 class StripeCheckoutService implements PaymentService {
   final String baseUrl;
   final bool isTestMode;
+  final TokenManager _tokenManager;
 
   // Backend API URLs
   // Dev: http://localhost:3000/api
@@ -24,7 +26,18 @@ class StripeCheckoutService implements PaymentService {
   StripeCheckoutService({
     required this.baseUrl,
     required this.isTestMode,
-  });
+    TokenManager? tokenManager,
+  }) : _tokenManager = tokenManager ?? TokenManager(baseUrl: baseUrl);
+
+  /// Headers for /stripe calls
+  ///
+  /// The backend identifies the caller from the access token, so every
+  /// subscription call must carry it (the userId in the body is only checked
+  /// against it).
+  Future<Map<String, String>> _authHeaders() async {
+    return await _tokenManager.getAuthHeaders() ??
+        {'Content-Type': 'application/json'};
+  }
 
   /// Create Stripe Checkout session and launch browser
   ///
@@ -66,9 +79,7 @@ class StripeCheckoutService implements PaymentService {
         response = await http
             .post(
               Uri.parse('$baseUrl/stripe/create-checkout-session'),
-              headers: {
-                'Content-Type': 'application/json',
-              },
+              headers: await _authHeaders(),
               body: jsonEncode(requestBody),
             )
             .timeout(const Duration(seconds: 30));
@@ -140,7 +151,7 @@ class StripeCheckoutService implements PaymentService {
       
       final response = await http.post(
         Uri.parse('$baseUrl/stripe/verify-payment'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
         body: jsonEncode({
           'sessionId': sessionId,
           'userId': userId,
@@ -203,6 +214,7 @@ class StripeCheckoutService implements PaymentService {
 
       final response = await http.get(
         Uri.parse(url),
+        headers: await _authHeaders(),
       ).timeout(const Duration(seconds: 15)); // Increased timeout for reliability
 
       print('📡 Server response status: ${response.statusCode}');
@@ -310,7 +322,7 @@ class StripeCheckoutService implements PaymentService {
     try {
       final response = await http.post(
         Uri.parse('$baseUrl/stripe/cancel-subscription'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
         body: jsonEncode({
           'userId': userId,
           'subscriptionId': subscriptionId,
@@ -401,9 +413,13 @@ class StripeCheckoutService implements PaymentService {
   }
 
   /// Restore subscription by email verification
+  ///
+  /// Sends the access token when signed in, so a user whose verified email
+  /// matches needs no code.
   @override
   Future<RestorePurchaseResult> restoreSubscriptionByEmail({
     required String email,
+    String? code,
   }) async {
     try {
       print(
@@ -422,11 +438,10 @@ class StripeCheckoutService implements PaymentService {
       final response = await http
           .post(
             Uri.parse('$baseUrl/stripe/restore-by-email'),
-            headers: {
-              'Content-Type': 'application/json',
-            },
+            headers: await _authHeaders(),
             body: jsonEncode({
               'email': email.trim().toLowerCase(),
+              if (code != null) 'code': code.trim(),
             }),
           )
           .timeout(const Duration(seconds: 15));
@@ -434,7 +449,15 @@ class StripeCheckoutService implements PaymentService {
       print(
           '📡 StripeCheckoutService: Response status: ${response.statusCode}');
 
-      if (response.statusCode == 200) {
+      if (response.statusCode == 202) {
+        // The backend emailed a code to prove the address
+        final data = jsonDecode(response.body);
+        return RestorePurchaseResult(
+          success: true,
+          codeSent: true,
+          errorMessage: data['message'] as String?,
+        );
+      } else if (response.statusCode == 200) {
         final data = jsonDecode(response.body);
 
         if (data['success'] == true) {
@@ -443,7 +466,6 @@ class StripeCheckoutService implements PaymentService {
           final status = SubscriptionStatus(
             isActive: subscriptionData['isActive'] as bool,
             planId: subscriptionData['planId'] as String,
-            customerId: subscriptionData['customerId'] as String?,
             subscriptionId: subscriptionData['subscriptionId'] as String?,
             currentPeriodEnd: subscriptionData['currentPeriodEnd'] != null
                 ? DateTime.parse(subscriptionData['currentPeriodEnd'] as String)
@@ -548,7 +570,7 @@ class StripeCheckoutService implements PaymentService {
 
       final response = await http.post(
         Uri.parse('$baseUrl/stripe/create-portal-session'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
         body: jsonEncode({
           'userId': userId,
         }),
@@ -619,7 +641,7 @@ class StripeCheckoutService implements PaymentService {
     try {
       final response = await http.post(
         Uri.parse('$baseUrl/stripe/reactivate-subscription'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
         body: jsonEncode({
           'userId': userId,
           'subscriptionId': subscriptionId,
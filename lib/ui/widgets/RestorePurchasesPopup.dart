@@ -7,8 +7,9 @@ import '../../services/PaymentService.dart';
 
 /// Restore Purchases Popup with Email Verification
 ///
-/// Allows users to restore their subscription by entering email address.
-/// Handles loading states, success, and error scenarios.
+/// Allows users to restore their subscription by entering email address,
+/// then the 6-digit code the backend emails to it. Handles loading states,
+/// success, and error scenarios.
 class RestorePurchasesPopup extends StatefulWidget {
   final PaymentService paymentService;
   final VoidCallback onDismiss;
@@ -28,8 +29,11 @@ class RestorePurchasesPopup extends StatefulWidget {
 class _RestorePurchasesPopupState extends State<RestorePurchasesPopup> {
   final TextEditingController _emailController = TextEditingController();
   final FocusNode _emailFocusNode = FocusNode();
+  final TextEditingController _codeController = TextEditingController();
+  final FocusNode _codeFocusNode = FocusNode();
 
   bool _isLoading = false;
+  bool _codeSent = false;
   String? _errorMessage;
   RestorePurchaseResult? _result;
 
@@ -37,6 +41,8 @@ class _RestorePurchasesPopupState extends State<RestorePurchasesPopup> {
   void dispose() {
     _emailController.dispose();
     _emailFocusNode.dispose();
+    _codeController.dispose();
+    _codeFocusNode.dispose();
     super.dispose();
   }
 
@@ -65,8 +71,18 @@ class _RestorePurchasesPopupState extends State<RestorePurchasesPopup> {
       return;
     }
 
+    // Once a code was sent, it's needed to restore
+    final code = _codeController.text.trim();
+    if (_codeSent && !RegExp(r'^\d{6}$').hasMatch(code)) {
+      setState(() {
+        _errorMessage = 'Please enter the 6-digit code from the email';
+      });
+      return;
+    }
+
     // Unfocus keyboard
     _emailFocusNode.unfocus();
+    _codeFocusNode.unfocus();
 
     // Show loading
     setState(() {
@@ -77,10 +93,21 @@ class _RestorePurchasesPopupState extends State<RestorePurchasesPopup> {
       // Call restore API
       final result = await widget.paymentService.restoreSubscriptionByEmail(
         email: email,
+        code: _codeSent ? code : null,
       );
 
       if (!mounted) return;
 
+      // Ask for the code that was just emailed
+      if (result.codeSent) {
+        setState(() {
+          _codeSent = true;
+          _isLoading = false;
+        });
+        _codeFocusNode.requestFocus();
+        return;
+      }
+
       setState(() {
         _result = result;
         _isLoading = false;
@@ -193,7 +220,9 @@ class _RestorePurchasesPopupState extends State<RestorePurchasesPopup> {
                               ),
                             ] else ...[
                               Text(
-                                'Enter the email address you used for your subscription',
+                                _codeSent
+                                    ? 'If a purchase was made with this address, we emailed it a 6-digit code. Enter it below.'
+                                    : 'Enter the email address you used for your subscription',
                                 style: GoogleFonts.poppins(
                                   fontSize: 15,
                                   fontWeight: FontWeight.w400,
@@ -220,7 +249,7 @@ class _RestorePurchasesPopupState extends State<RestorePurchasesPopup> {
                                 child: TextField(
                                   controller: _emailController,
                                   focusNode: _emailFocusNode,
-                                  enabled: !_isLoading,
+                                  enabled: !_isLoading && !_codeSent,
                                   keyboardType: TextInputType.emailAddress,
                                   autocorrect: false,
                                   textInputAction: TextInputAction.done,
@@ -248,6 +277,55 @@ class _RestorePurchasesPopupState extends State<RestorePurchasesPopup> {
                                 ),
                               ),
 
+                              // Code Input Field (after the code was emailed)
+                              if (_codeSent) ...[
+                                const SizedBox(height: 12),
+                                Container(
+                                  decoration: BoxDecoration(
+                                    color: Colors.white.withOpacity(0.08),
+                                    borderRadius: BorderRadius.circular(12),
+                                    border: Border.all(
+                                      color: _errorMessage != null
+                                          ? Colors.red.withOpacity(0.5)
+                                          : Colors.white.withOpacity(0.15),
+                                      width: 1,
+                                    ),
+                                  ),
+                                  child: TextField(
+                                    controller: _codeController,
+                                    focusNode: _codeFocusNode,
+                                    enabled: !_isLoading,
+                                    keyboardType: TextInputType.number,
+                                    maxLength: 6,
+                                    autocorrect: false,
+                                    textInputAction: TextInputAction.done,
+                                    onSubmitted: (_) => _handleRestore(),
+                                    style: GoogleFonts.poppins(
+                                      fontSize: 16,
+                                      fontWeight: FontWeight.w400,
+                                      color: Colors.white,
+                                      letterSpacing: 4,
+                                      decoration: TextDecoration.none,
+                                    ),
+                                    decoration: InputDecoration(
+                                      hintText: '6-digit code',
+                                      hintStyle: GoogleFonts.poppins(
+                                        fontSize: 16,
+                                        fontWeight: FontWeight.w400,
+                                        color: Colors.white.withOpacity(0.3),
+                                        decoration: TextDecoration.none,
+                                      ),
+                                      counterText: '',
+                                      border: InputBorder.none,
+                                      contentPadding: const EdgeInsets.symmetric(
+                                        horizontal: 16,
+                                        vertical: 14,
+                                      ),
+                                    ),
+                                  ),
+                                ),
+                              ],
+
                               // Error Message
                               if (_errorMessage != null) ...[
                                 const SizedBox(height: 12),
@@ -366,7 +444,9 @@ class _RestorePurchasesPopupState extends State<RestorePurchasesPopup> {
                                             ),
                                           )
                                         : Text(
-                                            'Check Purchases',
+                                            _codeSent
+                                                ? 'Restore'
+                                                : 'Check Purchases',
                                             style: GoogleFonts.poppins(
                                               fontSize: 16,
                                               fontWeight: FontWeight.w600,